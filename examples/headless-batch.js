@@ -0,0 +1,139 @@
+/* =============================================================================
+   Virtual Multi-Omics Lab - Headless Batch Example
+   
+   Description: Runs the simulation core under Node without a browser. Checks
+   that seeded runs are reproducible and that long noise-free runs settle on
+   the analytic steady state, and optionally writes a TF-concentration sweep
+   as CSV.
+   
+   USAGE (from the repository root):
+   node examples/headless-batch.js              run the checks
+   node examples/headless-batch.js sweep.csv    run the checks, then write the sweep
+   
+   Prints one "ok" / "not ok" line per check and exits with status 1 if any
+   check fails.
+   ============================================================================= */
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const SimulationCore = require('../simulation-core.js');
+
+const GENES = ['TP53', 'MYC'];
+const DISEASES = ['Breast Cancer'];
+
+// =============================================================================
+// 1. DETERMINISM FOR A FIXED SEED
+// =============================================================================
+
+/**
+ * Run the same configuration twice with one seed and once with another; the first two
+ * must match exactly, the third must not (every engine draws random numbers)
+ */
+function checkDeterminism(engine) {
+    const options = { genes: GENES, diseases: DISEASES, engine, seed: 42, maxTime: 50 };
+    const first = SimulationCore.runSimulation(options);
+    const second = SimulationCore.runSimulation(options);
+    const other = SimulationCore.runSimulation({ ...options, seed: 43 });
+    
+    assert.deepStrictEqual(second.timeSeriesData, first.timeSeriesData, 'time courses differ for seed 42');
+    assert.deepStrictEqual(second.riskTimeSeries, first.riskTimeSeries, 'risk trajectories differ for seed 42');
+    assert.notDeepStrictEqual(other.timeSeriesData, first.timeSeriesData, 'seeds 42 and 43 gave the same run');
+}
+
+// =============================================================================
+// 2. STEADY STATE
+// =============================================================================
+
+/**
+ * Without the network and noise, each gene settles at M* = E (its Hill transcription rate)
+ * and P* = η·M* / δp; a long RK4 run must end there
+ */
+function checkSteadyState() {
+    const options = {
+        genes: GENES,
+        params: { tfConcentration: 200, expressionNoise: 0 },
+        networkEnabled: false,
+        integrator: { method: 'rk4' },
+        seed: 1,
+        maxTime: 400
+    };
+    const config = SimulationCore.createSimulationConfig(options);
+    const series = SimulationCore.runSimulation(options).timeSeriesData;
+    const last = series.time.length - 1;
+    const close = (actual, expected) => Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected));
+    
+    config.genes.forEach(gene => {
+        const params = SimulationCore.getGeneParams(gene, config);
+        const mrna = SimulationCore.calculateGeneExpressionFor(gene, {}, config);
+        const protein = params.translationEfficiency * mrna / params.proteinDegradation;
+        const final = { mrna: series.genes[gene.symbol].mrna[last], protein: series.genes[gene.symbol].protein[last] };
+        
+        assert.ok(close(final.mrna, mrna), `${gene.symbol}: final mRNA ${final.mrna} != M* ${mrna}`);
+        assert.ok(close(final.protein, protein), `${gene.symbol}: final protein ${final.protein} != P* ${protein}`);
+    });
+}
+
+// =============================================================================
+// 3. BATCH SWEEP
+// =============================================================================
+
+/**
+ * Final protein levels and disease risk across TF concentrations, one seeded run each
+ */
+function buildSweepCSV() {
+    const header = ['tfConcentration', ...GENES.map(symbol => `${symbol}_Protein`), ...DISEASES.map(name => `"${name}_Risk"`)];
+    const lines = [header.join(',')];
+    
+    for (let i = 0; i <= 10; i++) {
+        const tfConcentration = 100 * i;
+        const result = SimulationCore.runSimulation({
+            genes: GENES,
+            diseases: DISEASES,
+            params: { tfConcentration },
+            seed: 42,
+            maxTime: 100
+        });
+        const series = result.timeSeriesData;
+        const last = series.time.length - 1;
+        lines.push([
+            tfConcentration,
+            ...GENES.map(symbol => series.genes[symbol].protein[last].toFixed(4)),
+            ...DISEASES.map(name => result.risks[name].risk.toFixed(3))
+        ].join(','));
+    }
+    
+    return lines.join('\n') + '\n';
+}
+
+// =============================================================================
+// 4. RUN
+// =============================================================================
+
+const checks = [
+    ['deterministic runs are reproducible for a fixed seed', () => checkDeterminism('deterministic')],
+    ['gillespie runs are reproducible for a fixed seed', () => checkDeterminism('gillespie')],
+    ['tau-leaping runs are reproducible for a fixed seed', () => checkDeterminism('tau-leaping')],
+    ['long noise-free run settles on the analytic steady state', checkSteadyState]
+];
+
+let failures = 0;
+checks.forEach(([name, check]) => {
+    try {
+        check();
+        console.log(`ok      ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`not ok  ${name}`);
+        console.log(`        ${error.message.split('\n')[0]}`);
+    }
+});
+
+if (failures === 0 && process.argv[2]) {
+    fs.writeFileSync(process.argv[2], buildSweepCSV());
+    console.log(`wrote   ${process.argv[2]}`);
+}
+
+console.log(`${checks.length - failures} of ${checks.length} checks passed`);
+process.exitCode = failures > 0 ? 1 : 0;
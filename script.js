@@ -5,16 +5,20 @@
    Description: Complete simulation engine for multi-omics analysis
    
    HOW TO RUN:
-   1. Save index.html, style.css, and script.js in the same folder
+   1. Save index.html, style.css, simulation-core.js, simulation-worker.js and script.js in the same folder
    2. Open index.html in any modern web browser
-   3. No server required - runs entirely client-side
+   3. No server required - runs entirely client-side (served pages run simulations
+      in a background worker; file:// pages fall back to the main thread)
    
    HOW TO CUSTOMIZE:
-   - Add genes: Modify the GENE_DATABASE constant (line ~50)
-   - Add diseases: Modify the DISEASE_DATABASE constant (line ~150)
-   - Adjust simulation: Modify SIMULATION_CONFIG constant (line ~250)
+   - Add genes: Modify GENE_DATABASE in simulation-core.js
+   - Add diseases: Modify DISEASE_DATABASE in simulation-core.js
+   - Adjust simulation: Modify SIMULATION_CONFIG defaults (section 1) or the simulation settings in the UI
+   - Add drug regimens: Modify DRUG_TEMPLATES (section 1)
    
    ARCHITECTURE:
+   - Model: simulation-core.js holds the DOM-free model (also usable from Node)
+   - Worker: simulation-worker.js runs time courses and batch jobs off the main thread
    - State management: Central state object tracks all parameters
    - Event-driven: Listeners update state and trigger re-renders
    - Modular: Separate functions for calculation, rendering, and I/O
@@ -23,14 +27,29 @@
 
 'use strict';
 
-// Check if Chart.js is loaded
+// Check if Chart.js is loaded (the lab still runs without charts)
 if (typeof Chart === 'undefined') {
     console.error('Chart.js failed to load! Please check your internet connection and CDN link.');
-    alert('Chart.js library failed to load. Please refresh the page or check your internet connection.');
-    throw new Error('Chart.js not loaded');
+    alert('Chart.js library failed to load. Charts are disabled; please refresh the page or check your internet connection.');
+} else {
+    console.log('Chart.js loaded successfully! Version:', Chart.version);
 }
 
-console.log('Chart.js loaded successfully! Version:', Chart.version);
+// The DOM-free model lives in simulation-core.js (loaded before this file)
+const {
+    GENE_DATABASE,
+    GENE_REGULATORY_NETWORK,
+    DISEASE_DATABASE,
+    ODE_INTEGRATORS,
+    SIMULATION_ENGINES,
+    INTERVENTION_TYPES,
+    createSeededRandom,
+    deriveSeed,
+    generateSeed,
+    addExpressionNoise,
+    sigmoid,
+    normalizeWeights
+} = SimulationCore;
 
 // ... rest of your code
 
@@ -39,218 +58,122 @@ console.log('Chart.js loaded successfully! Version:', Chart.version);
 // 1. CONSTANTS & CONFIGURATION
 // =============================================================================
 
+// Snapshot of the built-in genes, used to restore the database after removing imports
+const BUILTIN_GENES = GENE_DATABASE.map(gene => ({ ...gene }));
+
+// Snapshot of the built-in diseases, used to restore a disease after deleting a custom override
+const BUILTIN_DISEASES = DISEASE_DATABASE.map(disease => ({ ...disease, geneWeights: { ...disease.geneWeights } }));
+
 /**
- * Gene Database - Realistic human genes with baseline expression parameters
+ * Simulation Configuration (model defaults come from the simulation core)
  */
-const GENE_DATABASE = [
-    {
-        symbol: 'TP53',
-        name: 'Tumor Protein P53',
-        description: 'Tumor suppressor gene; guardian of the genome. Mutated in >50% of human cancers. Regulates cell cycle and apoptosis.',
-        baselineTPM: 45.2,
-        Vmax: 100.0,
-        baselineProtein: 320.5,
-        defaultEta: 0.7
-    },
-    {
-        symbol: 'BRCA1',
-        name: 'Breast Cancer 1',
-        description: 'DNA repair protein; mutations increase breast/ovarian cancer risk. Critical for homologous recombination.',
-        baselineTPM: 12.8,
-        Vmax: 80.0,
-        baselineProtein: 95.3,
-        defaultEta: 0.75
-    },
-    {
-        symbol: 'EGFR',
-        name: 'Epidermal Growth Factor Receptor',
-        description: 'Receptor tyrosine kinase; frequently amplified in cancers. Target of multiple cancer therapies.',
-        baselineTPM: 67.4,
-        Vmax: 150.0,
-        baselineProtein: 485.7,
-        defaultEta: 0.72
-    },
-    {
-        symbol: 'APOE',
-        name: 'Apolipoprotein E',
-        description: 'Lipid metabolism and transport protein. APOE4 variant is major genetic risk factor for Alzheimer\'s disease.',
-        baselineTPM: 234.6,
-        Vmax: 300.0,
-        baselineProtein: 1850.2,
-        defaultEta: 0.79
-    },
-    {
-        symbol: 'INS',
-        name: 'Insulin',
-        description: 'Peptide hormone regulating glucose metabolism. Deficiency/resistance causes diabetes mellitus.',
-        baselineTPM: 8900.5,
-        Vmax: 10000.0,
-        baselineProtein: 65000.0,
-        defaultEta: 0.73
-    },
-    {
-        symbol: 'IL6',
-        name: 'Interleukin 6',
-        description: 'Pro-inflammatory cytokine; elevated in chronic inflammation, autoimmune diseases, and cancer.',
-        baselineTPM: 28.3,
-        Vmax: 120.0,
-        baselineProtein: 215.8,
-        defaultEta: 0.76
-    },
-    {
-        symbol: 'TNF',
-        name: 'Tumor Necrosis Factor Alpha',
-        description: 'Key inflammatory cytokine; mediates immune response. Dysregulation linked to autoimmune diseases.',
-        baselineTPM: 42.7,
-        Vmax: 130.0,
-        baselineProtein: 298.4,
-        defaultEta: 0.70
-    },
-    {
-        symbol: 'GAPDH',
-        name: 'Glyceraldehyde-3-Phosphate Dehydrogenase',
-        description: 'Housekeeping gene; glycolysis enzyme. Commonly used as reference gene in expression studies.',
-        baselineTPM: 1245.8,
-        Vmax: 1500.0,
-        baselineProtein: 9850.3,
-        defaultEta: 0.79
-    },
-    {
-        symbol: 'VEGFA',
-        name: 'Vascular Endothelial Growth Factor A',
-        description: 'Angiogenesis regulator; promotes blood vessel formation. Overexpressed in tumors and cardiovascular disease.',
-        baselineTPM: 87.2,
-        Vmax: 180.0,
-        baselineProtein: 625.9,
-        defaultEta: 0.72
-    },
-    {
-        symbol: 'MYC',
-        name: 'MYC Proto-Oncogene',
-        description: 'Transcription factor controlling cell proliferation. Amplified/overexpressed in many cancers.',
-        baselineTPM: 56.3,
-        Vmax: 140.0,
-        baselineProtein: 412.7,
-        defaultEta: 0.73
-    }
-];
+const SIMULATION_CONFIG = {
+    ...SimulationCore.SIMULATION_DEFAULTS,
+    updateInterval: 50,
+    changeHistoryLimit: 50,
+    chartMaxPoints: 200,
+    maxSimulationSteps: 100000
+};
 
 /**
- * Disease Database - Human diseases with gene association weights
+ * Bounds of the simulation settings adjustable in the UI (defaults come from SIMULATION_CONFIG)
  */
-const DISEASE_DATABASE = [
-    {
-        name: 'Breast Cancer',
-        description: 'Malignant tumor of breast tissue. Associated with BRCA1/2 mutations and hormone signaling.',
-        geneWeights: {
-            'TP53': 0.8,
-            'BRCA1': -0.9,
-            'EGFR': 0.7,
-            'APOE': 0.1,
-            'INS': 0.2,
-            'IL6': 0.5,
-            'TNF': 0.4,
-            'GAPDH': 0.0,
-            'VEGFA': 0.6,
-            'MYC': 0.8
-        },
-        bias: -1.5  // CHANGED from -2.5 to -1.5
-    },
-    {
-        name: 'Alzheimer\'s Disease',
-        description: 'Progressive neurodegenerative disorder; characterized by amyloid plaques and neurofibrillary tangles.',
-        geneWeights: {
-            'TP53': 0.3,
-            'BRCA1': 0.1,
-            'EGFR': 0.2,
-            'APOE': 0.9,
-            'INS': -0.4,
-            'IL6': 0.6,
-            'TNF': 0.5,
-            'GAPDH': 0.0,
-            'VEGFA': 0.3,
-            'MYC': 0.1
-        },
-        bias: -1.8  // CHANGED from -3.0 to -1.8
-    },
-    {
-        name: 'Type 2 Diabetes',
-        description: 'Metabolic disorder characterized by insulin resistance and hyperglycemia.',
-        geneWeights: {
-            'TP53': 0.2,
-            'BRCA1': 0.0,
-            'EGFR': 0.3,
-            'APOE': 0.4,
-            'INS': -0.9,
-            'IL6': 0.7,
-            'TNF': 0.7,
-            'GAPDH': 0.0,
-            'VEGFA': 0.4,
-            'MYC': 0.2
-        },
-        bias: -1.6  // CHANGED from -2.8 to -1.6
-    },
-    {
-        name: 'Chronic Inflammation',
-        description: 'Persistent inflammatory state; associated with autoimmune diseases and cancer.',
-        geneWeights: {
-            'TP53': 0.4,
-            'BRCA1': 0.1,
-            'EGFR': 0.5,
-            'APOE': 0.3,
-            'INS': 0.2,
-            'IL6': 0.9,
-            'TNF': 0.9,
-            'GAPDH': 0.0,
-            'VEGFA': 0.5,
-            'MYC': 0.4
-        },
-        bias: -1.2  // CHANGED from -2.2 to -1.2
-    },
-    {
-        name: 'Cardiovascular Disease',
-        description: 'Heart and blood vessel disorders; includes atherosclerosis, heart attack, and stroke.',
-        geneWeights: {
-            'TP53': 0.3,
-            'BRCA1': 0.1,
-            'EGFR': 0.4,
-            'APOE': 0.7,
-            'INS': 0.5,
-            'IL6': 0.6,
-            'TNF': 0.6,
-            'GAPDH': 0.0,
-            'VEGFA': 0.8,
-            'MYC': 0.3
-        },
-        bias: -1.4  // CHANGED from -2.6 to -1.4
-    },
-    {
-        name: 'Lung Cancer',
-        description: 'Malignant lung tumor; often associated with smoking and EGFR mutations.',
-        geneWeights: {
-            'TP53': 0.9,
-            'BRCA1': 0.3,
-            'EGFR': 0.9,
-            'APOE': 0.2,
-            'INS': 0.2,
-            'IL6': 0.5,
-            'TNF': 0.4,
-            'GAPDH': 0.0,
-            'VEGFA': 0.7,
-            'MYC': 0.8
-        },
-        bias: -1.3  // CHANGED from -2.7 to -1.3
-    }
+const SIMULATION_SETTINGS = {
+    maxTime: { min: 1, max: 1000 },                         // hours
+    timeStep: { min: 0.001, max: 1 },                       // hours
+    updateInterval: { min: 10, max: 1000, integer: true },  // ms per playback step
+    chartMaxPoints: { min: 20, max: 5000, integer: true }   // points per chart series
+};
+
+/**
+ * Disease risk (%) at which a disease is rated moderate or high risk
+ */
+const RISK_THRESHOLDS = {
+    moderate: 40,
+    high: 70
+};
+
+/**
+ * localStorage keys
+ */
+const STORAGE_KEYS = {
+    scenarios: 'multiomics_scenarios',
+    customGenes: 'multiomics_custom_genes',
+    customDiseases: 'multiomics_custom_diseases',
+    visited: 'multiomics_visited'
+};
+
+/**
+ * Parameter definitions - labels, units and slider ranges for every state.params key
+ */
+const PARAMETER_DEFINITIONS = {
+    tfConcentration: { label: 'TF Concentration', unit: 'nM', min: 0, max: 1000, step: 1 },
+    bindingAffinity: { label: 'Binding Affinity (Kd)', unit: 'µM', min: 0.001, max: 100, step: 0.01 },
+    hillCoefficient: { label: 'Hill Coefficient', unit: '', min: 1, max: 4, step: 1 },
+    methylationFactor: { label: 'Methylation Factor', unit: '', min: 0, max: 1, step: 0.01 },
+    mutationSeverity: { label: 'Mutation Severity', unit: '', min: 0, max: 1, step: 0.01 },
+    translationEfficiency: { label: 'Translation Efficiency', unit: '', min: 0, max: 5, step: 0.1 },
+    proteinDegradation: { label: 'Protein Degradation', unit: 't⁻¹', min: 0, max: 1, step: 0.01 },
+    expressionNoise: { label: 'Expression Noise', unit: '', min: 0, max: 0.5, step: 0.01 },
+    weightGenomics: { label: 'Genomics Weight', unit: '', min: 0, max: 1, step: 0.01 },
+    weightTranscriptomics: { label: 'Transcriptomics Weight', unit: '', min: 0, max: 1, step: 0.01 },
+    weightProteomics: { label: 'Proteomics Weight', unit: '', min: 0, max: 1, step: 0.01 }
+};
+
+/**
+ * Regulatory parameters that can be overridden per gene (all others are global)
+ */
+const GENE_PARAMETER_KEYS = [
+    'tfConcentration', 'bindingAffinity', 'hillCoefficient', 'methylationFactor', 'mutationSeverity'
 ];
 
 /**
- * Simulation Configuration
+ * Drug regimen fields - labels and accepted ranges (doses in mg, times in h, volumes in L, concentrations in mg/L)
  */
-const SIMULATION_CONFIG = {
-    timeStep: 0.1,
-    maxTime: 50.0,
-    updateInterval: 50,
-    chartMaxPoints: 200
+const DRUG_FIELDS = {
+    dose: { label: 'Dose', min: 0, max: 100000, exclusiveMin: true },
+    interval: { label: 'Dosing interval', min: 0, max: 1000, exclusiveMin: true },
+    doses: { label: 'Number of doses', min: 1, max: 1000, integer: true },
+    start: { label: 'First dose time', min: 0, max: 1000 },
+    halfLife: { label: 'Half-life', min: 0, max: 10000, exclusiveMin: true },
+    volume: { label: 'Volume of distribution', min: 0, max: 100000, exclusiveMin: true },
+    bioavailability: { label: 'Bioavailability', min: 0, max: 1, exclusiveMin: true },
+    absorptionRate: { label: 'Absorption rate', min: 0, max: 100, exclusiveMin: true },
+    k12: { label: 'k12', min: 0, max: 100 },
+    k21: { label: 'k21', min: 0, max: 100, exclusiveMin: true },
+    emax: { label: 'Emax', min: 0, max: 10, exclusiveMin: true },
+    ec50: { label: 'EC50', min: 0, max: 100000, exclusiveMin: true },
+    hill: { label: 'Hill coefficient', min: 0.1, max: 10 }
+};
+
+/**
+ * Drug regimen templates for the drug form (illustrative values, not dosing advice)
+ */
+const DRUG_TEMPLATES = {
+    egfrInhibitor: {
+        label: 'EGFR inhibitor (oral, once daily)',
+        drug: {
+            name: 'EGFR inhibitor', compartments: 1, route: 'oral', dose: 150, interval: 24, doses: 4, start: 10,
+            halfLife: 36, volume: 230, bioavailability: 0.6, absorptionRate: 0.5, k12: 0.2, k21: 0.1,
+            targetType: 'gene', target: 'EGFR', action: 'inhibit', emax: 0.9, ec50: 0.2, hill: 1
+        }
+    },
+    demethylatingAgent: {
+        label: 'Demethylating agent (IV, two-compartment)',
+        drug: {
+            name: 'Demethylating agent', compartments: 2, route: 'iv', dose: 75, interval: 24, doses: 5, start: 10,
+            halfLife: 4, volume: 60, bioavailability: 1, absorptionRate: 1, k12: 0.4, k21: 0.2,
+            targetType: 'parameter', target: 'methylationFactor', action: 'inhibit', emax: 0.8, ec50: 0.1, hill: 1.5
+        }
+    },
+    transcriptionActivator: {
+        label: 'TF activator (oral, twice daily)',
+        drug: {
+            name: 'TF activator', compartments: 1, route: 'oral', dose: 50, interval: 12, doses: 8, start: 10,
+            halfLife: 8, volume: 40, bioavailability: 0.8, absorptionRate: 1.2, k12: 0.2, k21: 0.1,
+            targetType: 'parameter', target: 'tfConcentration', action: 'stimulate', emax: 1.5, ec50: 0.5, hill: 1
+        }
+    }
 };
 
 const PRESET_SCENARIOS = {
@@ -634,33 +557,8 @@ function applyScenario(scenarioKey) {
     document.body.appendChild(loadingMsg);
     
     setTimeout(() => {
-        // Save current for comparison
-        state.previousParams = { ...state.params };
-        
-        // Apply parameters
-        Object.assign(state.params, scenario.params);
-        
-        // Select genes
-        state.selectedGenes = [];
-        scenario.selectedGenes.forEach(symbol => {
-            const gene = GENE_DATABASE.find(g => g.symbol === symbol);
-            if (gene) state.selectedGenes.push(gene);
-        });
-        
-        // Select diseases
-        state.selectedDiseases = [];
-        scenario.selectedDiseases.forEach(name => {
-            const disease = DISEASE_DATABASE.find(d => d.name === name);
-            if (disease) state.selectedDiseases.push(disease);
-        });
-        
-        // Update UI
-        syncParametersToUI();
-        updateNormalizedWeights();
-        renderGeneList();
-        renderDiseaseList();
-        resetSimulation();
-        updateContributionChart();
+        // Apply parameters, genes and diseases
+        restoreConfiguration(scenario);
         
         // Remove loading message
         document.body.removeChild(loadingMsg);
@@ -695,6 +593,68 @@ function applyScenario(scenarioKey) {
 }
 
 
+/**
+ * Restore a scenario configuration (parameters, genes, diseases) into the lab
+ * Works for detailed scenarios and saved scenarios; genes or diseases that no
+ * longer exist in the databases are skipped.
+ */
+function restoreConfiguration(config) {
+    // Save current for comparison
+    state.previousParams = { ...state.params };
+    
+    // Apply parameters (per-gene overrides only survive if the scenario defines them)
+    Object.assign(state.params, config.params);
+    state.geneOverrides = config.geneOverrides ? JSON.parse(JSON.stringify(config.geneOverrides)) : {};
+    state.interventions = (config.interventions || [])
+        .map(intervention => validateIntervention(intervention).record)
+        .filter(Boolean)
+        .sort((a, b) => a.start - b.start);
+    state.drugs = (config.drugs || [])
+        .map(drug => validateDrug(drug).record)
+        .filter(Boolean);
+    if (config.networkEnabled !== undefined) {
+        state.networkEnabled = config.networkEnabled;
+    }
+    if (config.engine && SIMULATION_ENGINES[config.engine]) {
+        state.engine = config.engine;
+    }
+    if (config.integrator && ODE_INTEGRATORS[config.integrator.method]) {
+        state.integrator = { ...state.integrator, ...config.integrator };
+    }
+    if (config.seed !== undefined) {
+        state.seed = config.seed;
+        state.parameterRandom = null;
+    }
+    if (config.simulationSettings) {
+        applySimulationSettings(config.simulationSettings);
+    }
+    
+    // Select genes
+    state.selectedGenes = [];
+    (config.selectedGenes || []).forEach(symbol => {
+        const gene = GENE_DATABASE.find(g => g.symbol === symbol);
+        if (gene) state.selectedGenes.push(gene);
+    });
+    
+    // Select diseases
+    state.selectedDiseases = [];
+    (config.selectedDiseases || []).forEach(name => {
+        const disease = DISEASE_DATABASE.find(d => d.name === name);
+        if (disease) state.selectedDiseases.push(disease);
+    });
+    
+    // Update UI
+    syncParametersToUI();
+    updateNormalizedWeights();
+    renderGeneList();
+    renderDiseaseList();
+    renderInterventionList();
+    renderDrugList();
+    resetSimulation();
+    updateContributionChart();
+}
+
+
 /**
  * Tutorial Steps
  */
@@ -717,7 +677,7 @@ const TUTORIAL_STEPS = [
     },
     {
         title: 'Step 4: Run the Time-Series Simulation ▶️',
-        text: `Click <strong>"Run Simulation"</strong> to watch gene expression, protein levels, and disease risk evolve over time!\n\nThe simulation uses differential equations:\ndP/dt = η × T - δ × P\n\nWhere protein abundance (P) increases with translation (η × T) and decreases with degradation (δ × P).\n\nWatch the flow diagram update in real-time showing:\nGenomics → Transcriptomics → Proteomics → Disease Risk\n\nThe simulation runs for 50 hours with stochastic noise added to mimic biological variability.`
+        text: `Click <strong>"Run Simulation"</strong> to watch gene expression, protein levels, and disease risk evolve over time!\n\nThe simulation uses differential equations:\ndM/dt = δm × E × (1 + ε) - δm × M\ndP/dt = η × M - δ × P\n\nmRNA (M) relaxes towards the expression level at a rate set by each gene's mRNA half-life, and protein abundance (P) increases with translation (η × M) and decreases with degradation (δ × P), so protein responses lag behind transcript changes.\n\nWatch the flow diagram update in real-time showing:\nGenomics → Transcriptomics → Proteomics → Disease Risk\n\nThe simulation runs for 50 hours by default (see Simulation settings) with stochastic noise added to mimic biological variability.`
     },
     {
         title: 'Step 5: Analyze Results & Disease Risk 📊',
@@ -725,7 +685,7 @@ const TUTORIAL_STEPS = [
     },
     {
         title: 'Step 6: Save, Export & Explore More! 💾',
-        text: `<strong>Save Scenarios:</strong> Save your current parameters to revisit later (stored in browser localStorage).\n\n<strong>Export Data:</strong> Download simulation results as CSV for further analysis in Excel, R, or Python.\n\n<strong>Load Presets:</strong> Try predefined scenarios like "Healthy State", "High Disease Risk", or "Drug Treatment".\n\n<strong>Randomize:</strong> Generate random parameters for exploratory analysis.\n\n<strong>Import Custom Data:</strong> Upload your own gene baseline data (JSON/CSV format).\n\nReady to explore? Click "Skip Tutorial" to start experimenting! 🚀`
+        text: `<strong>Save Scenarios:</strong> Save your current parameters to revisit later (stored in browser localStorage).\n\n<strong>Export Data:</strong> Download simulation results as CSV for further analysis in Excel, R, or Python.\n\n<strong>Load Presets:</strong> Try predefined scenarios like "Healthy State", "High Disease Risk", or "Drug Treatment".\n\n<strong>Randomize:</strong> Generate random parameters for exploratory analysis.\n\n<strong>Import Custom Genes:</strong> Upload your own gene panel (JSON/CSV format); imported genes are validated, merged into the gene list and kept in your browser.\n\nReady to explore? Click "Skip Tutorial" to start experimenting! 🚀`
     }
 ];
 
@@ -758,13 +718,56 @@ const state = {
         weightProteomics: 0.3
     },
     
+    // Baseline for change tracking and the session's change history (newest first)
     previousParams: null,
+    changeHistory: [],
+
+    // Per-gene regulatory overrides, e.g. { TP53: { mutationSeverity: 0.9 } }
+    geneOverrides: {},
+    openGeneEditor: null,
+    
+    // Scheduled parameter changes during a run (see validateIntervention), sorted by start time
+    interventions: [],
+    
+    // Dosing regimens whose concentrations modulate parameters or gene expression (see validateDrug)
+    drugs: [],
+
+    networkEnabled: true,
+    
+    engine: 'deterministic',
+    
+    // 'playback' and 'fast' run time courses in the simulation worker, 'live' steps on the page
+    executionMode: 'playback',
+    
+    // Deterministic engine integrator; stepSize is the (initial) internal step in hours
+    integrator: {
+        method: 'euler',
+        stepSize: 0.1,
+        tolerance: 1e-4
+    },
     
+    // Duration and output step of time courses, playback speed and chart point budget
+    simulationSettings: {
+        maxTime: SIMULATION_CONFIG.maxTime,
+        timeStep: SIMULATION_CONFIG.timeStep,
+        updateInterval: SIMULATION_CONFIG.updateInterval,
+        chartMaxPoints: SIMULATION_CONFIG.chartMaxPoints
+    },
+
+    // Seed for all stochastic code paths; the run in progress keeps its own copy
+    seed: generateSeed(),
+    parameterRandom: null,
+
     simulation: {
         running: false,
         paused: false,
         currentTime: 0,
         intervalId: null,
+        jobId: null,         // worker job of a playback/fast run
+        buffer: null,        // points streamed by that job: { time, genes, values, cursor, result }
+        seed: null,
+        random: Math.random,
+        geneStates: {},      // molecule counts { mrna, protein } for the stochastic engines
         timeSeriesData: {
             time: [],
             genes: {}
@@ -774,7 +777,98 @@ const state = {
     charts: {
         mrna: null,
         protein: null,
-        contribution: null
+        contribution: null,
+        riskTrajectory: null,
+        sensitivity: null,
+        sweepExpression: null,
+        sweepRisk: null,
+        hysteresis: null,
+        mcmcTrace: null,
+        mcmcHistogram: null,
+        mcmcPairs: null,
+        comparisonMrna: null,
+        comparisonProtein: null
+    },
+    
+    // Global sensitivity analysis (results: { method, output, samples, ranges, seed, evaluations, results })
+    sensitivity: {
+        running: false,
+        jobId: null,
+        results: null
+    },
+    
+    // Parameter fitting (data: { fileName, time, genes }, results: see SimulationCore.getFitResult)
+    fit: {
+        data: null,
+        running: false,
+        jobId: null,
+        results: null
+    },
+    
+    // Bayesian inference (results: see SimulationCore.getMcmcResult, plus the priors)
+    mcmc: {
+        running: false,
+        jobId: null,
+        results: null,
+        showBand: true
+    },
+    
+    // Risk model calibration (data: { fileName, samples, genes, skipped },
+    // results: see SimulationCore.fitRiskModel, plus disease and omicsWeights)
+    calibration: {
+        data: null,
+        results: null
+    },
+    
+    // Parameter sweep (results: { parameter, values, genes, risks, logScale })
+    sweep: {
+        running: false,
+        jobId: null,
+        results: null
+    },
+    
+    // Hysteresis of a self-activating gene (results: see SimulationCore.runHysteresisScan, plus logScale)
+    hysteresis: {
+        running: false,
+        jobId: null,
+        results: null
+    },
+    
+    // Risk phase diagram (results: { xParameter, yParameter, xValues, yValues, risks, contours, ... })
+    heatmap: {
+        running: false,
+        jobId: null,
+        results: null
+    },
+    
+    // Steady-state analysis of the current parameters (analysis: see SimulationCore.analyzeSteadyState)
+    steadyState: {
+        key: null,
+        analysis: null,
+        showLines: true
+    },
+    
+    // Scenario comparison (runs: [{ id, name, result }], first run is the baseline)
+    comparison: {
+        running: false,
+        jobId: null,
+        runs: []
+    },
+    
+    // Monte Carlo ensemble (results: { runs, summary, seed, engine, integrator, params })
+    ensemble: {
+        running: false,
+        jobId: null,
+        results: null
+    },
+    
+    // Simulation worker and the jobs waiting for its messages ({ id: { type, options, onMessage } })
+    worker: {
+        instance: null,
+        unavailable: false,
+        localRunner: null,
+        nextJobId: 1,
+        jobs: {}
     },
     
     tutorial: {
@@ -788,124 +882,63 @@ const state = {
 // =============================================================================
 
 /**
- * Calculate gene expression using Hill equation
+ * Build a simulation-core configuration from the current lab state
  */
-function calculateGeneExpression(TF, Kd, n, Vmax, methylation, mutation) {
-    const Kd_nM = Kd * 1000;
-    const numerator = Vmax * Math.pow(TF, n);
-    const denominator = Math.pow(Kd_nM, n) + Math.pow(TF, n);
-    const E_gene = (numerator / denominator) * (1 - methylation) * (1 - mutation);
-    return Math.max(0, E_gene);
+function buildSimulationConfig() {
+    return SimulationCore.createSimulationConfig({
+        genes: state.selectedGenes,
+        diseases: state.selectedDiseases,
+        params: state.params,
+        geneOverrides: state.geneOverrides,
+        networkEnabled: state.networkEnabled,
+        geneDatabase: GENE_DATABASE,
+        engine: state.engine,
+        integrator: state.integrator,
+        seed: state.seed,
+        timeStep: state.simulationSettings.timeStep,
+        maxTime: state.simulationSettings.maxTime,
+        tauLeapSubsteps: SIMULATION_CONFIG.tauLeapSubsteps,
+        interventions: state.interventions,
+        drugs: state.drugs
+    });
 }
 
 /**
- * Add stochastic noise to gene expression
+ * Global parameters in effect at a simulation time (scheduled interventions and drug effects applied)
  */
-function addExpressionNoise(E_gene, noiseLevel) {
-    const noise = gaussianRandom(0, noiseLevel);
-    const T = E_gene * (1 + noise);
-    return Math.max(0, T);
+function getEffectiveParams(time = state.simulation.currentTime) {
+    const config = { params: state.params, interventions: state.interventions, drugs: state.drugs };
+    return SimulationCore.getConfigAt(config, time).params;
 }
 
 /**
- * Update protein abundance using differential equation
- * dP/dt = eta * T - degradation * P
+ * Get the effective parameters for a gene (global values + per-gene overrides)
  */
-function updateProteinLevel(currentP, T, eta, degradation, dt) {
-    const dP = (eta * T - degradation * currentP) * dt;
-    const newP = currentP + dP;
-    return Math.max(0, newP);
+function getGeneParams(gene) {
+    return SimulationCore.getGeneParams(gene, buildSimulationConfig());
 }
 
 /**
- * Calculate disease risk using sigmoid function
+ * Calculate gene expression for a gene in the current lab configuration
  */
-function calculateDiseaseRisk(geneValues, disease, w1, w2, w3) {
-    // Normalize weights
-    const totalWeight = w1 + w2 + w3;
-    if (totalWeight === 0) return { risk: 0, contributions: { genomic: 0, transcriptomic: 0, proteomic: 0 } };
-    
-    const normW1 = w1 / totalWeight;
-    const normW2 = w2 / totalWeight;
-    const normW3 = w3 / totalWeight;
-    
-    // Calculate weighted contributions for each omics layer
-    let genomicScore = 0;
-    let transcriptomicScore = 0;
-    let proteomicScore = 0;
-    let totalGenes = 0;
-    
-    for (const gene of state.selectedGenes) {
-        const weight = disease.geneWeights[gene.symbol] || 0;
-        const values = geneValues[gene.symbol];
-        
-        if (values) {
-            // Normalize values by baseline - IMPROVED SCALING
-            const normG = (values.genomic / gene.baselineTPM) * 2;  // Scale up for more sensitivity
-            const normT = (values.transcriptomic / gene.baselineTPM) * 2;
-            const normP = (values.proteomic / gene.baselineProtein) * 2;
-            
-            // Apply gene-specific weights
-            genomicScore += weight * normG;
-            transcriptomicScore += weight * normT;
-            proteomicScore += weight * normP;
-            totalGenes++;
-        }
-    }
-    
-    // Average across genes if multiple selected
-    if (totalGenes > 0) {
-        genomicScore /= totalGenes;
-        transcriptomicScore /= totalGenes;
-        proteomicScore /= totalGenes;
-    }
-    
-    // Combine with weights and apply sigmoid
-    const combinedScore = normW1 * genomicScore + normW2 * transcriptomicScore + normW3 * proteomicScore + disease.bias;
-    
-    // Sigmoid with adjusted steepness for better range
-    const risk = (1 / (1 + Math.exp(-1.5 * combinedScore))) * 100;  // Multiplier for steeper curve
-    
-    return {
-        risk: Math.max(0, Math.min(100, risk)),
-        contributions: {
-            genomic: genomicScore,
-            transcriptomic: transcriptomicScore,
-            proteomic: proteomicScore
-        }
-    };
+function calculateGeneExpressionFor(gene, proteinLevels = {}) {
+    return SimulationCore.calculateGeneExpressionFor(gene, proteinLevels, buildSimulationConfig());
 }
 
-
 /**
- * Sigmoid function
+ * Get the latest simulated protein level of every selected gene
  */
-function sigmoid(x) {
-    return 1 / (1 + Math.exp(-x));
+function getCurrentProteinLevels() {
+    return SimulationCore.getProteinLevels(state.simulation, state.selectedGenes);
 }
 
 /**
- * Generate Gaussian random number using Box-Muller transform
+ * Calculate disease risk over the selected genes
  */
-function gaussianRandom(mean = 0, stdev = 1) {
-    const u1 = Math.random();
-    const u2 = Math.random();
-    const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-    return mean + z0 * stdev;
+function calculateDiseaseRisk(geneValues, disease, w1, w2, w3) {
+    return SimulationCore.calculateDiseaseRisk(geneValues, disease, w1, w2, w3, state.selectedGenes);
 }
 
-/**
- * Normalize weights to sum = 1
- */
-function normalizeWeights(w1, w2, w3) {
-    const total = w1 + w2 + w3;
-    if (total === 0) return { w1: 0.33, w2: 0.33, w3: 0.34 };
-    return {
-        w1: w1 / total,
-        w2: w2 / total,
-        w3: w3 / total
-    };
-}
 
 // =============================================================================
 // 4. SIMULATION ENGINE
@@ -915,138 +948,287 @@ function normalizeWeights(w1, w2, w3) {
  * Initialize simulation data structures
  */
 function initializeSimulation() {
-    state.simulation.currentTime = 0;
-    state.simulation.timeSeriesData = {
-        time: [],
-        genes: {}
-    };
-    
-    // Initialize arrays for each selected gene
-    for (const gene of state.selectedGenes) {
-        state.simulation.timeSeriesData.genes[gene.symbol] = {
-            mrna: [],
-            protein: [gene.baselineProtein]  // Start at baseline
-        };
-    }
+    Object.assign(state.simulation, SimulationCore.createSimulationState(buildSimulationConfig()));
 }
 
 /**
  * Run one step of the simulation
  */
 function simulationStep() {
-    const params = state.params;
-    const dt = SIMULATION_CONFIG.timeStep;
-    
-    // Calculate current values for all genes
-    const currentValues = {};
-    
-    for (const gene of state.selectedGenes) {
-        // Get previous protein level or baseline
-        const proteinData = state.simulation.timeSeriesData.genes[gene.symbol].protein;
-        const currentProtein = proteinData.length > 0 ? proteinData[proteinData.length - 1] : gene.baselineProtein;
-        
-        // Calculate gene expression (genomics)
-        const E_gene = calculateGeneExpression(
-            params.tfConcentration,
-            params.bindingAffinity,
-            params.hillCoefficient,
-            gene.Vmax,
-            params.methylationFactor,
-            params.mutationSeverity
-        );
-        
-        // Add noise (transcriptomics)
-        const T = addExpressionNoise(E_gene, params.expressionNoise);
-        
-        // Update protein level (proteomics)
-        const P = updateProteinLevel(
-            currentProtein,
-            T,
-            params.translationEfficiency,
-            params.proteinDegradation,
-            dt
-        );
-        
-        // Store values
-        currentValues[gene.symbol] = {
-            genomic: E_gene,
-            transcriptomic: T,
-            proteomic: P
-        };
-        
-        // Add to time series
-        state.simulation.timeSeriesData.genes[gene.symbol].mrna.push(T);
-        state.simulation.timeSeriesData.genes[gene.symbol].protein.push(P);
-    }
-    
-    // Update time
-    state.simulation.currentTime += dt;
-    state.simulation.timeSeriesData.time.push(state.simulation.currentTime);
+    // Advance the model (parameters are read live, so slider changes apply mid-run)
+    const currentValues = SimulationCore.stepSimulation(state.simulation, buildSimulationConfig());
     
     // Update visualizations
     updateFlowDiagram(currentValues);
+    renderNetworkDiagram(getCurrentProteinLevels());
     updateCharts();
     updateDiseaseCards(currentValues);
     updateContributionChart();
     updateSimulationTimeDisplay();
     
     // Check if simulation should stop
-    if (state.simulation.currentTime >= SIMULATION_CONFIG.maxTime) {
+    if (state.simulation.currentTime >= state.simulationSettings.maxTime - 1e-9) {
         stopSimulation();
         analyzeParameterImpact();
     }
 }
 
-
 /**
- * Detect which scenario is currently applied based on parameters and gene selections
+ * The shared simulation worker, created on first use (null where workers are unavailable)
  */
-function detectAppliedScenario() {
-    // Check if DETAILED_SCENARIOS exists
-    if (typeof DETAILED_SCENARIOS === 'undefined') {
-        return null;
+function getSimulationWorker() {
+    if (state.worker.instance || state.worker.unavailable) {
+        return state.worker.instance;
     }
     
-    for (const [key, scenario] of Object.entries(DETAILED_SCENARIOS)) {
-        // Check if genes match (allow for some flexibility)
-        const selectedSymbols = state.selectedGenes.map(g => g.symbol).sort();
-        const scenarioSymbols = scenario.selectedGenes.sort();
-        
-        const genesMatch = selectedSymbols.length === scenarioSymbols.length &&
-            selectedSymbols.every((symbol, index) => symbol === scenarioSymbols[index]);
-        
-        // Check if key parameters are close (within 10% tolerance)
-        const tfMatch = Math.abs(state.params.tfConcentration - scenario.params.tfConcentration) < 50;
-        const mutationMatch = Math.abs(state.params.mutationSeverity - scenario.params.mutationSeverity) < 0.15;
-        const methylationMatch = Math.abs(state.params.methylationFactor - scenario.params.methylationFactor) < 0.15;
-        
-        const paramsMatch = tfMatch && mutationMatch && methylationMatch;
-        
-        // If both genes and key parameters match, return this scenario
-        if (genesMatch && paramsMatch) {
-            return scenario;
-        }
+    try {
+        state.worker.instance = new Worker('simulation-worker.js');
+        state.worker.instance.onmessage = (event) => handleWorkerMessage(event.data);
+        state.worker.instance.onerror = handleWorkerError;
+    } catch (error) {
+        console.warn('Simulation worker unavailable, running jobs on the page:', error.message);
+        state.worker.unavailable = true;
     }
-    
-    return null;
+    return state.worker.instance;
 }
 
-
+/**
+ * In-page job runner (same jobs as the worker, time-sliced on the main thread)
+ */
+function getLocalJobRunner() {
+    if (!state.worker.localRunner) {
+        state.worker.localRunner = SimulationJobs.createJobRunner(handleWorkerMessage);
+    }
+    return state.worker.localRunner;
+}
 
 /**
- * Export comprehensive HTML report with all simulation results
+ * Deliver a message to the worker, or to the in-page runner without one
  */
-async function exportHTMLReport() {
-    // Validate that there's data to export
-    if (state.selectedGenes.length === 0) {
-        alert('Please select at least one gene before exporting the report.');
-        return;
+function postWorkerMessage(message) {
+    const worker = getSimulationWorker();
+    if (worker) {
+        worker.postMessage(message);
+    } else {
+        getLocalJobRunner().handle(message);
     }
+}
+
+/**
+ * Start a job (see simulation-worker.js); `onMessage` receives its progress, chunk, done
+ * and error messages. Returns the job id used to cancel it.
+ */
+function startWorkerJob(type, options, onMessage) {
+    const id = state.worker.nextJobId++;
+    state.worker.jobs[id] = { type, options, onMessage, answered: false };
+    postWorkerMessage({ id, type, options });
+    return id;
+}
+
+/**
+ * Cancel an in-flight job; anything it still sends is ignored
+ */
+function cancelWorkerJob(id) {
+    if (!state.worker.jobs[id]) return;
     
-    if (state.simulation.timeSeriesData.time.length === 0) {
-        alert('Please run a simulation before exporting the report.');
-        return;
-    }
+    delete state.worker.jobs[id];
+    postWorkerMessage({ id, type: 'cancel' });
+}
+
+/**
+ * Route a worker message to the job that asked for it
+ */
+function handleWorkerMessage(message) {
+    const job = state.worker.jobs[message.id];
+    if (!job) return;
+    
+    job.answered = true;
+    if (message.type === 'done' || message.type === 'error') {
+        delete state.worker.jobs[message.id];
+    }
+    job.onMessage(message);
+}
+
+/**
+ * A worker that fails before answering anything (e.g. blocked on file:// pages) is
+ * replaced by the in-page runner and its jobs are started again there
+ */
+function handleWorkerError(event) {
+    event.preventDefault();
+    console.error('Simulation worker error:', event.message);
+    
+    const pending = Object.entries(state.worker.jobs);
+    state.worker.instance.terminate();
+    state.worker.instance = null;
+    
+    if (pending.every(([, job]) => !job.answered)) {
+        state.worker.unavailable = true;
+        pending.forEach(([id, job]) => getLocalJobRunner().handle({ id: Number(id), type: job.type, options: job.options }));
+    } else {
+        pending.forEach(([id]) => handleWorkerMessage({ id: Number(id), type: 'error', message: event.message || 'Simulation worker stopped' }));
+    }
+}
+
+/**
+ * Run the time course in the simulation worker
+ * Fast mode draws the finished run at once; playback mode reveals the streamed points
+ * at the live update rate, and pausing only pauses the reveal.
+ */
+function startWorkerSimulation() {
+    // A new worker run always starts from t = 0
+    if (!state.simulation.buffer) {
+        if (state.simulation.currentTime > 0) {
+            resetSimulation();
+        }
+        initializeSimulation();
+        
+        state.simulation.buffer = { time: [], genes: {}, risks: {}, values: [], cursor: 0, result: null };
+        state.simulation.jobId = startWorkerJob('simulate', buildSimulationConfig(), handleSimulationMessage);
+    }
+    
+    state.simulation.running = true;
+    state.simulation.paused = false;
+    
+    // Update UI
+    document.getElementById('run-simulation-btn').classList.add('hidden');
+    document.getElementById('pause-simulation-btn').classList.remove('hidden');
+    
+    if (state.executionMode === 'playback') {
+        state.simulation.intervalId = setInterval(() => revealBufferedPoints(1), state.simulationSettings.updateInterval);
+    } else if (state.simulation.buffer.result) {
+        revealBufferedPoints(Infinity);
+    }
+}
+
+/**
+ * Collect the points streamed by a worker run
+ */
+function handleSimulationMessage(message) {
+    const buffer = state.simulation.buffer;
+    
+    if (message.type === 'error') {
+        state.simulation.jobId = null;
+        stopSimulation();
+        alert(`Simulation failed: ${message.message}`);
+        return;
+    }
+    
+    if (message.type === 'chunk') {
+        buffer.time.push(...message.time);
+        buffer.values.push(...message.values);
+        for (const [symbol, series] of Object.entries(message.genes)) {
+            buffer.genes[symbol] = buffer.genes[symbol] || { mrna: [], protein: [] };
+            buffer.genes[symbol].mrna.push(...series.mrna);
+            buffer.genes[symbol].protein.push(...series.protein);
+        }
+        for (const [name, risks] of Object.entries(message.risks)) {
+            buffer.risks[name] = buffer.risks[name] || [];
+            buffer.risks[name].push(...risks);
+        }
+        return;
+    }
+    
+    buffer.result = message.result;
+    state.simulation.jobId = null;
+    if (state.simulation.running && state.executionMode === 'fast') {
+        revealBufferedPoints(Infinity);
+    }
+}
+
+/**
+ * Move up to `count` buffered points into the displayed run and redraw;
+ * the run finishes once the worker is done and every point is shown
+ */
+function revealBufferedPoints(count) {
+    const buffer = state.simulation.buffer;
+    const data = state.simulation.timeSeriesData;
+    const end = Math.min(buffer.time.length, buffer.cursor + count);
+    
+    if (end > buffer.cursor) {
+        for (let i = buffer.cursor; i < end; i++) {
+            data.time.push(buffer.time[i]);
+            for (const [symbol, series] of Object.entries(buffer.genes)) {
+                data.genes[symbol].mrna.push(series.mrna[i]);
+                data.genes[symbol].protein.push(series.protein[i]);
+            }
+            for (const [name, risks] of Object.entries(buffer.risks)) {
+                (data.risks[name] = data.risks[name] || []).push(risks[i]);
+            }
+        }
+        buffer.cursor = end;
+        
+        // Gene states as of the last shown point drive the network diagram
+        for (const [symbol, series] of Object.entries(buffer.genes)) {
+            state.simulation.geneStates[symbol] = { mrna: series.mrna[end - 1], protein: series.protein[end - 1] };
+        }
+        state.simulation.currentTime = buffer.time[end - 1];
+        
+        // Update visualizations
+        const currentValues = buffer.values[end - 1];
+        updateFlowDiagram(currentValues);
+        renderNetworkDiagram(getCurrentProteinLevels());
+        updateCharts();
+        updateDiseaseCards(currentValues);
+        updateContributionChart();
+        updateSimulationTimeDisplay();
+    }
+    
+    if (buffer.result && buffer.cursor >= buffer.time.length) {
+        stopSimulation();
+        analyzeParameterImpact();
+    }
+}
+
+
+/**
+ * Detect which scenario is currently applied based on parameters and gene selections
+ */
+function detectAppliedScenario() {
+    // Check if DETAILED_SCENARIOS exists
+    if (typeof DETAILED_SCENARIOS === 'undefined') {
+        return null;
+    }
+    
+    for (const [key, scenario] of Object.entries(DETAILED_SCENARIOS)) {
+        // Check if genes match (allow for some flexibility)
+        const selectedSymbols = state.selectedGenes.map(g => g.symbol).sort();
+        const scenarioSymbols = scenario.selectedGenes.sort();
+        
+        const genesMatch = selectedSymbols.length === scenarioSymbols.length &&
+            selectedSymbols.every((symbol, index) => symbol === scenarioSymbols[index]);
+        
+        // Check if key parameters are close (within 10% tolerance)
+        const tfMatch = Math.abs(state.params.tfConcentration - scenario.params.tfConcentration) < 50;
+        const mutationMatch = Math.abs(state.params.mutationSeverity - scenario.params.mutationSeverity) < 0.15;
+        const methylationMatch = Math.abs(state.params.methylationFactor - scenario.params.methylationFactor) < 0.15;
+        
+        const paramsMatch = tfMatch && mutationMatch && methylationMatch;
+        
+        // If both genes and key parameters match, return this scenario
+        if (genesMatch && paramsMatch) {
+            return scenario;
+        }
+    }
+    
+    return null;
+}
+
+
+
+/**
+ * Export comprehensive HTML report with all simulation results
+ */
+async function exportHTMLReport() {
+    // Validate that there's data to export
+    if (state.selectedGenes.length === 0) {
+        alert('Please select at least one gene before exporting the report.');
+        return;
+    }
+    
+    if (state.simulation.timeSeriesData.time.length === 0) {
+        alert('Please run a simulation before exporting the report.');
+        return;
+    }
     
     // Show loading message
     const loadingMsg = document.createElement('div');
@@ -1083,12 +1265,24 @@ async function exportHTMLReport() {
             chartImages.protein = proteinCanvas.toDataURL('image/png');
         }
         
+        // Capture risk trajectory chart
+        const riskTrajectoryCanvas = document.getElementById('risk-trajectory-chart');
+        if (riskTrajectoryCanvas) {
+            chartImages.riskTrajectory = riskTrajectoryCanvas.toDataURL('image/png');
+        }
+        
         // Capture contribution chart
         const contributionCanvas = document.getElementById('contribution-chart');
         if (contributionCanvas) {
             chartImages.contribution = contributionCanvas.toDataURL('image/png');
         }
         
+        // Capture scenario comparison charts (only when a comparison has been run)
+        if (state.comparison.runs.length > 0) {
+            chartImages.comparisonMrna = document.getElementById('comparison-mrna-chart')?.toDataURL('image/png');
+            chartImages.comparisonProtein = document.getElementById('comparison-protein-chart')?.toDataURL('image/png');
+        }
+
         // Generate HTML content
         const htmlContent = generateHTMLReport(chartImages);
         
@@ -1135,16 +1329,11 @@ function generateHTMLReport(chartImages) {
     
     // Calculate current disease risks
     const currentValues = {};
+    const proteinLevels = getCurrentProteinLevels();
+    const random = createSeededRandom(deriveSeed(state.seed, 1));
     for (const gene of state.selectedGenes) {
-        const E_gene = calculateGeneExpression(
-            state.params.tfConcentration,
-            state.params.bindingAffinity,
-            state.params.hillCoefficient,
-            gene.Vmax,
-            state.params.methylationFactor,
-            state.params.mutationSeverity
-        );
-        const T = addExpressionNoise(E_gene, state.params.expressionNoise);
+        const E_gene = calculateGeneExpressionFor(gene, proteinLevels);
+        const T = addExpressionNoise(E_gene, state.params.expressionNoise, random);
         const proteinData = state.simulation.timeSeriesData.genes[gene.symbol]?.protein;
         const P = proteinData && proteinData.length > 0 ? proteinData[proteinData.length - 1] : gene.baselineProtein;
         
@@ -1168,7 +1357,7 @@ function generateHTMLReport(chartImages) {
         diseaseRisks.push({
             name: disease.name,
             risk: result.risk,
-            riskClass: result.risk >= 70 ? 'high' : result.risk >= 40 ? 'moderate' : 'low',
+            riskClass: result.risk >= RISK_THRESHOLDS.high ? 'high' : result.risk >= RISK_THRESHOLDS.moderate ? 'moderate' : 'low',
             contributions: result.contributions
         });
     }
@@ -1180,8 +1369,8 @@ function generateHTMLReport(chartImages) {
         const rowClass = index % 2 === 0 ? 'even-row' : 'odd-row';
         genesSummaryHTML += `
             <tr class="${rowClass}">
-                <td><strong style="color: #3498db;">${gene.symbol}</strong></td>
-                <td>${gene.name}</td>
+                <td><strong style="color: #3498db;">${escapeHTML(gene.symbol)}</strong></td>
+                <td>${escapeHTML(gene.name)}</td>
                 <td><span class="value-badge">${values.genomic.toFixed(2)}</span></td>
                 <td><span class="value-badge">${values.transcriptomic.toFixed(2)}</span></td>
                 <td><span class="value-badge">${values.proteomic.toFixed(2)}</span></td>
@@ -1224,6 +1413,21 @@ function generateHTMLReport(chartImages) {
         `;
     });
     
+    // Generate per-gene regulatory parameter table (overrides highlighted)
+    let geneParamsHTML = '';
+    state.selectedGenes.forEach((gene, index) => {
+        const params = getGeneParams(gene);
+        const overrides = state.geneOverrides[gene.symbol] || {};
+        const rowClass = index % 2 === 0 ? 'even-row' : 'odd-row';
+        geneParamsHTML += `
+            <tr class="${rowClass}">
+                <td><strong style="color: #3498db;">${escapeHTML(gene.symbol)}</strong></td>
+                ${GENE_PARAMETER_KEYS.map(key => `
+                <td><span class="value-badge ${key in overrides ? 'override-badge' : ''}">${params[key]}</span></td>`).join('')}
+            </tr>
+        `;
+    });
+    
     // Generate normalized weights
     const normalized = normalizeWeights(
         state.params.weightGenomics,
@@ -1563,6 +1767,12 @@ function generateHTMLReport(chartImages) {
             font-size: 0.95em;
         }
         
+        .override-badge {
+            background: linear-gradient(135deg, #e74c3c20, #f39c1220);
+            color: #e74c3c;
+            font-weight: 700;
+        }
+        
         .risk-badge {
             display: inline-block;
             padding: 8px 20px;
@@ -1875,6 +2085,10 @@ function generateHTMLReport(chartImages) {
                         <div class="info-card-title">Data Points</div>
                         <div class="info-card-value">${state.simulation.timeSeriesData.time.length}</div>
                     </div>
+                    <div class="info-card">
+                        <div class="info-card-title">Random Seed</div>
+                        <div class="info-card-value">${state.simulation.seed ?? state.seed}</div>
+                    </div>
                 </div>
                 
                 <div class="highlight-box">
@@ -1963,6 +2177,16 @@ function generateHTMLReport(chartImages) {
                 </div>
                 ` : ''}
                 
+                ${chartImages.riskTrajectory && state.selectedDiseases.length > 0 ? `
+                <div class="chart-container">
+                    <div class="chart-title">📉 Disease Risk Trajectory</div>
+                    <img src="${chartImages.riskTrajectory}" alt="Disease Risk Trajectory">
+                    <p style="margin-top: 15px; color: #7f8c8d; font-size: 0.9em;">
+                        Disease risk over the course of the run${state.drugs.length > 0 ? ', with the plasma concentration of each drug regimen (dashed, right axis)' : ''}
+                    </p>
+                </div>
+                ` : ''}
+                
                 ${chartImages.contribution ? `
                 <div class="chart-container">
                     <div class="chart-title">📊 Per-Gene Contribution to Disease Risk</div>
@@ -1974,6 +2198,10 @@ function generateHTMLReport(chartImages) {
                 ` : ''}
             </div>
             
+            ${generateSteadyStateReportHTML()}
+            
+            ${generateComparisonReportHTML(chartImages)}
+
             <!-- Simulation Parameters -->
             <div class="section">
                 <h2 class="section-title">
@@ -2040,6 +2268,22 @@ function generateHTMLReport(chartImages) {
                         <span class="parameter-value">${normalized.w3.toFixed(2)}</span>
                     </div>
                 </div>
+                
+                <h3 class="parameter-group-title">🧬 Per-Gene Regulatory Parameters</h3>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Gene</th>
+                            ${GENE_PARAMETER_KEYS.map(key => `<th>${PARAMETER_DEFINITIONS[key].label}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${geneParamsHTML}
+                    </tbody>
+                </table>
+                <p style="color: #7f8c8d; font-size: 0.9em;">
+                    Highlighted values are per-gene overrides; all other values inherit the global parameters above.
+                </p>
             </div>
             
             <!-- Mathematical Models -->
@@ -2069,16 +2313,39 @@ function generateHTMLReport(chartImages) {
                     </p>
                 </div>
                 
+                <div class="math-box">
+                    <h4>🧵 mRNA Dynamics (Differential Equation)</h4>
+                    <div class="formula">
+                        dM/dt = δ<sub>m</sub> × E<sub>gene</sub> × (1 + ε) - δ<sub>m</sub> × M, δ<sub>m</sub> = ln 2 / t<sub>½</sub>
+                    </div>
+                    <p style="margin-top: 12px; color: #555; line-height: 1.7;">
+                        Transcripts accumulate towards the expression level with a gene-specific half-life
+                        (${state.selectedGenes.map(g => `${g.symbol}: ${g.mrnaHalfLife || SIMULATION_CONFIG.defaultMrnaHalfLife} h`).join(', ')}).
+                    </p>
+                </div>
+                
                 <div class="math-box">
                     <h4>🔬 Protein Dynamics (Differential Equation)</h4>
                     <div class="formula">
-                        dP/dt = η × T - δ × P
+                        dP/dt = η × M - δ × P
                     </div>
                     <p style="margin-top: 12px; color: #555; line-height: 1.7;">
                         Models protein synthesis (translation) and degradation using first-order kinetics, where η = translation efficiency and δ = degradation rate.
                     </p>
                 </div>
                 
+                ${state.networkEnabled ? `
+                <div class="math-box">
+                    <h4>🕸️ Gene Regulatory Network</h4>
+                    <div class="formula">
+                        E<sub>target</sub> = E<sub>gene</sub> × f(x<sub>1</sub>, …, x<sub>k</sub>) / f(x<sub>baseline</sub>), x = P<sub>R</sub><sup>n</sup> / (K<sub>d</sub><sup>n</sup> + P<sub>R</sub><sup>n</sup>)
+                    </div>
+                    <p style="margin-top: 12px; color: #555; line-height: 1.7;">
+                        Regulator proteins activate or repress target genes (${GENE_REGULATORY_NETWORK.edges.map(e => `${e.source} ${e.type === 'repression' ? '⊣' : '→'} ${e.target}`).join(', ')}), combined with AND/OR/additive logic per target.
+                    </p>
+                </div>
+                ` : ''}
+                
                 <div class="math-box">
                     <h4>⚕️ Disease Risk (Sigmoid Integration)</h4>
                     <div class="formula">
@@ -2129,6 +2396,27 @@ function generateHTMLReport(chartImages) {
                         </p>
                     </div>
                     
+                    <div style="background: white; padding: 25px; border-radius: 15px; margin: 20px 0; border-left: 5px solid #f39c12;">
+                        <h4 style="color: #f39c12; margin-bottom: 12px;">4. ⚙️ Numerical Methods</h4>
+                        <p>
+                            <strong>Engine:</strong> ${SIMULATION_ENGINES[state.engine]}<br>
+                            <strong>Method:</strong> ${describeNumericalMethod()}<br>
+                            <strong>Duration:</strong> ${state.simulationSettings.maxTime} h &nbsp;|&nbsp; <strong>Output interval:</strong> ${state.simulationSettings.timeStep} h &nbsp;|&nbsp; <strong>Random seed:</strong> ${state.simulation.seed ?? state.seed}
+                        </p>
+                        ${state.interventions.length > 0 ? `
+                            <p style="margin-top: 12px;"><strong>Scheduled interventions</strong> (applied in this order on top of the parameter values above):</p>
+                            <ul style="margin: 8px 0 0 20px;">
+                                ${state.interventions.map(intervention => `<li>${escapeHTML(describeIntervention(intervention))}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                        ${state.drugs.length > 0 ? `
+                            <p style="margin-top: 12px;"><strong>Drug regimens</strong> (plasma concentration by dose superposition; Emax/Hill effect on the target):</p>
+                            <ul style="margin: 8px 0 0 20px;">
+                                ${state.drugs.map(drug => `<li>${escapeHTML(describeDrug(drug))}</li>`).join('')}
+                            </ul>
+                        ` : ''}
+                    </div>
+                    
                     <p style="margin-top: 25px;">
                         <strong>Disease Risk Prediction:</strong> Risk scores were calculated by integrating normalized values from all three omics layers using 
                         disease-specific gene association weights derived from clinical and experimental literature. The weighted linear combination was transformed 
@@ -2187,360 +2475,1761 @@ function generateHTMLReport(chartImages) {
 
 
 /**
- * Start simulation
+ * Set the seed used by the next run
  */
-function startSimulation() {
+function setSeed(seed) {
+    state.seed = Math.min(4294967295, Math.max(0, Math.floor(Number(seed)) || 0));
+    state.parameterRandom = null;
+    document.getElementById('sim-seed').value = state.seed;
+}
+
+/**
+ * Reset and replay the last run with the same seed (bit-for-bit identical trajectory)
+ */
+function rerunWithSameSeed() {
+    if (state.simulation.seed !== null) {
+        setSeed(state.simulation.seed);
+    }
+    resetSimulation();
+    startSimulation();
+}
+
+/**
+ * Run N replicates of the current configuration (different seeds) in the simulation worker
+ * Clicking again while it runs cancels the ensemble.
+ */
+function startEnsemble() {
+    if (state.ensemble.running) {
+        cancelWorkerJob(state.ensemble.jobId);
+        state.ensemble.running = false;
+        updateEnsembleControls('Ensemble cancelled.');
+        return;
+    }
     if (state.selectedGenes.length === 0) {
-        alert('Please select at least one gene before running the simulation.');
+        alert('Please select at least one gene before running an ensemble.');
         return;
     }
     
-    // Initialize if starting fresh
-    if (state.simulation.currentTime === 0) {
-        initializeSimulation();
+    const replicates = parseInt(document.getElementById('ensemble-replicates').value, 10);
+    if (!Number.isInteger(replicates) || replicates < 2 || replicates > 500) {
+        alert('Number of replicates must be between 2 and 500.');
+        return;
     }
     
-    state.simulation.running = true;
-    state.simulation.paused = false;
+    stopSimulation();
+    const config = buildSimulationConfig();
     
-    // Update UI
-    document.getElementById('run-simulation-btn').classList.add('hidden');
-    document.getElementById('pause-simulation-btn').classList.remove('hidden');
+    state.ensemble.running = true;
+    updateEnsembleControls(`Running replicate 1 / ${replicates}...`);
     
-    // Start simulation loop
-    state.simulation.intervalId = setInterval(simulationStep, SIMULATION_CONFIG.updateInterval);
+    state.ensemble.jobId = startWorkerJob('ensemble', { ...config, replicates }, message => {
+        if (message.type === 'progress') {
+            updateEnsembleControls(`Running replicate ${Math.min(message.completed + 1, replicates)} / ${replicates}...`);
+            return;
+        }
+        
+        state.ensemble.running = false;
+        if (message.type === 'error') {
+            updateEnsembleControls(`Ensemble failed: ${message.message}`);
+            return;
+        }
+        
+        state.ensemble.results = {
+            runs: message.result.runs,
+            summary: message.result.summary,
+            seed: config.seed,
+            engine: config.engine,
+            integrator: { ...config.integrator },
+            params: { ...config.params }
+        };
+        updateEnsembleControls(`${replicates} replicates from seed ${config.seed} (${SIMULATION_ENGINES[config.engine]}).`);
+        updateCharts();
+        updateDiseaseCards({});
+    });
 }
 
 /**
- * Pause simulation
+ * Sync the ensemble buttons and status line with the ensemble state
  */
-function pauseSimulation() {
-    state.simulation.running = false;
-    state.simulation.paused = true;
-    
-    if (state.simulation.intervalId) {
-        clearInterval(state.simulation.intervalId);
-        state.simulation.intervalId = null;
+function updateEnsembleControls(message) {
+    document.getElementById('run-ensemble-btn').innerHTML = state.ensemble.running ? '⏹️ Cancel Ensemble' : '🎲 Run Ensemble';
+    document.getElementById('clear-ensemble-btn').classList.toggle('hidden', !state.ensemble.results);
+    document.getElementById('export-ensemble-btn').classList.toggle('hidden', !state.ensemble.results);
+    if (message !== undefined) {
+        document.getElementById('ensemble-status').textContent = message;
     }
-    
-    // Update UI
-    document.getElementById('run-simulation-btn').classList.remove('hidden');
-    document.getElementById('pause-simulation-btn').classList.add('hidden');
-    document.getElementById('run-simulation-btn').innerHTML = '▶️ Resume';
 }
 
 /**
- * Stop simulation
+ * Leave ensemble view and go back to a single live trajectory
  */
-function stopSimulation() {
-    state.simulation.running = false;
-    state.simulation.paused = false;
-    
-    if (state.simulation.intervalId) {
-        clearInterval(state.simulation.intervalId);
-        state.simulation.intervalId = null;
-    }
-    
-    // Update UI
-    document.getElementById('run-simulation-btn').classList.remove('hidden');
-    document.getElementById('pause-simulation-btn').classList.add('hidden');
-    document.getElementById('run-simulation-btn').innerHTML = '▶️ Run Simulation';
+function clearEnsemble() {
+    resetSimulation();
 }
 
 /**
- * Reset simulation
+ * Draw ensemble bands (mean ± SD or 5–95%) with the mean or median line on the main charts
  */
-function resetSimulation() {
-    stopSimulation();
-    initializeSimulation();
-    
-    // Reset charts
-    if (state.charts.mrna) {
-        state.charts.mrna.data.labels = [];
-        state.charts.mrna.data.datasets.forEach(dataset => {
-            dataset.data = [];
+function updateEnsembleCharts() {
+    const summary = state.ensemble.results.summary;
+    const percentile = document.getElementById('ensemble-band').value === 'percentile';
+    
+    [['mrna', state.charts.mrna], ['protein', state.charts.protein]].forEach(([series, chart]) => {
+        const datasets = [];
+        const centres = state.selectedGenes
+            .map(gene => summary.genes[gene.symbol]?.[series])
+            .filter(Boolean)
+            .map(stats => (percentile ? stats.median : stats.mean));
+        const indices = getChartIndices(summary.time, centres);
+        const pick = values => indices.map(i => values[i]);
+        
+        state.selectedGenes.forEach((gene, index) => {
+            const stats = summary.genes[gene.symbol]?.[series];
+            if (!stats) return;
+            
+            const color = CHART_COLORS[index % CHART_COLORS.length];
+            const centre = percentile ? stats.median : stats.mean;
+            const lower = percentile ? stats.p5 : stats.mean.map((m, i) => Math.max(0, m - stats.sd[i]));
+            const upper = percentile ? stats.p95 : stats.mean.map((m, i) => m + stats.sd[i]);
+            const band = {
+                borderWidth: 0,
+                pointRadius: 0,
+                pointHoverRadius: 0,
+                tension: 0.4,
+                ensembleBand: true
+            };
+            
+            datasets.push(
+                { ...band, label: `${gene.symbol} ${percentile ? '5%' : '− SD'}`, data: pick(lower), fill: false },
+                { ...band, label: `${gene.symbol} ${percentile ? '95%' : '+ SD'}`, data: pick(upper), fill: '-1', backgroundColor: color + '30' },
+                {
+                    label: `${gene.symbol} (${percentile ? 'median' : 'mean'})`,
+                    data: pick(centre),
+                    borderColor: color,
+                    backgroundColor: color + '20',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5
+                }
+            );
         });
-        state.charts.mrna.update();
-    }
+        
+        if (series === 'protein') {
+            datasets.push(...getSteadyStateDatasets(indices.length));
+        }
+        datasets.push(...getObservedDatasets(series, summary.time[summary.time.length - 1]));
+        
+        chart.data.labels = pick(summary.time);
+        chart.data.datasets = datasets;
+        chart.update('none');
+    });
+}
+
+/**
+ * Disease cards for an ensemble: median risk with its 5–95% interval
+ */
+function updateEnsembleDiseaseCards() {
+    const container = document.getElementById('disease-cards-container');
+    const summary = state.ensemble.results.summary;
     
-    if (state.charts.protein) {
-        state.charts.protein.data.labels = [];
-        state.charts.protein.data.datasets.forEach(dataset => {
-            dataset.data = [];
-        });
-        state.charts.protein.update();
-    }
-    
-    // Reset flow diagram
-    updateFlowDiagram({});
-    updateDiseaseCards({});
+    container.innerHTML = '';
     
-    document.getElementById('sim-time-display').textContent = '0.0';
+    for (const disease of state.selectedDiseases) {
+        const risk = summary.risks[disease.name];
+        const card = document.createElement('div');
+        
+        if (!risk) {
+            card.className = 'disease-card';
+            card.innerHTML = `
+                <div class="disease-card-header">
+                    <div class="disease-card-title">${disease.name}</div>
+                </div>
+                <div class="disease-card-label">Not part of this ensemble — run it again to include this disease</div>
+            `;
+            container.appendChild(card);
+            continue;
+        }
+        
+        let riskClass = 'risk-low';
+        let riskLabel = 'Low Risk';
+        
+        if (risk.median >= RISK_THRESHOLDS.high) {
+            riskClass = 'risk-high';
+            riskLabel = 'High Risk';
+        } else if (risk.median >= RISK_THRESHOLDS.moderate) {
+            riskClass = 'risk-moderate';
+            riskLabel = 'Moderate Risk';
+        }
+        
+        card.className = `disease-card ${riskClass}`;
+        card.innerHTML = `
+            <div class="disease-card-header">
+                <div class="disease-card-title">${disease.name}</div>
+            </div>
+            <div class="disease-card-risk">${risk.median.toFixed(1)}%</div>
+            <div class="disease-card-label">${riskLabel} · median of ${summary.replicates}</div>
+            <div class="disease-card-interval-text">5–95%: ${risk.p5.toFixed(1)}% – ${risk.p95.toFixed(1)}%</div>
+            <div class="disease-card-progress">
+                <div class="disease-card-progress-bar" style="width: ${risk.median}%"></div>
+                <div class="disease-card-interval" style="left: ${risk.p5}%; width: ${Math.max(0.5, risk.p95 - risk.p5)}%"></div>
+            </div>
+        `;
+        
+        container.appendChild(card);
+    }
 }
 
-// =============================================================================
-// 5. UI RENDERING FUNCTIONS
-// =============================================================================
-
 /**
- * Render gene list
+ * Export every replicate trajectory (long format) with the ensemble summary as CSV
  */
-function renderGeneList() {
-    const geneList = document.getElementById('gene-list');
-    const searchTerm = document.getElementById('gene-search').value.toLowerCase();
-    
-    geneList.innerHTML = '';
+function exportEnsembleCSV() {
+    const ensemble = state.ensemble.results;
+    if (!ensemble) {
+        alert('No ensemble to export. Please run one first.');
+        return;
+    }
     
-    const filteredGenes = GENE_DATABASE.filter(gene => 
-        gene.symbol.toLowerCase().includes(searchTerm) ||
-        gene.name.toLowerCase().includes(searchTerm) ||
-        gene.description.toLowerCase().includes(searchTerm)
-    );
+    const genes = ensemble.runs[0].config.genes.map(g => g.symbol);
+    const diseases = Object.keys(ensemble.summary.risks);
     
-    filteredGenes.forEach(gene => {
-        const isSelected = state.selectedGenes.some(g => g.symbol === gene.symbol);
-        
-        const geneItem = document.createElement('div');
-        geneItem.className = `gene-item ${isSelected ? 'selected' : ''}`;
-        geneItem.innerHTML = `
-            <div class="gene-checkbox"></div>
-            <div class="gene-info">
-                <div class="gene-name">${gene.symbol} - ${gene.name}</div>
-                <div class="gene-description">${gene.description}</div>
-                <div class="gene-baseline">Baseline: ${gene.baselineTPM.toFixed(1)} TPM | Protein: ${gene.baselineProtein.toFixed(1)} AU</div>
-            </div>
-        `;
-        
-        geneItem.addEventListener('click', () => toggleGeneSelection(gene));
-        geneList.appendChild(geneItem);
+    let csv = `# Ensemble: ${ensemble.summary.replicates} replicates, base seed ${ensemble.seed}, engine ${ensemble.engine}\n`;
+    csv += `# Parameters: ${Object.entries(ensemble.params).map(([key, value]) => `${key}=${value}`).join('; ')}\n`;
+    diseases.forEach(name => {
+        const risk = ensemble.summary.risks[name];
+        csv += `# ${name} final risk: median ${risk.median.toFixed(2)}%, 5-95% ${risk.p5.toFixed(2)}-${risk.p95.toFixed(2)}%, mean ${risk.mean.toFixed(2)} ± ${risk.sd.toFixed(2)}\n`;
+    });
+    csv += [
+        'Replicate',
+        'Seed',
+        'Time',
+        ...genes.flatMap(symbol => [`${symbol}_mRNA`, `${symbol}_Protein`]),
+        ...diseases.map(name => `"${name}_Risk"`)
+    ].join(',') + '\n';
+    
+    ensemble.runs.forEach((run, replicate) => {
+        run.timeSeriesData.time.forEach((t, i) => {
+            csv += [
+                replicate + 1,
+                run.seed,
+                t.toFixed(2),
+                ...genes.flatMap(symbol => [
+                    run.timeSeriesData.genes[symbol].mrna[i].toFixed(4),
+                    run.timeSeriesData.genes[symbol].protein[i].toFixed(4)
+                ]),
+                ...diseases.map(name => run.riskTimeSeries[name][i].toFixed(3))
+            ].join(',') + '\n';
+        });
     });
     
-    updateSelectedGeneCount();
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `multiomics_ensemble_${ensemble.summary.replicates}x_${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
 }
 
 /**
- * Toggle gene selection
+ * Switch the simulation engine (restarts the time course)
  */
-function toggleGeneSelection(gene) {
-    const index = state.selectedGenes.findIndex(g => g.symbol === gene.symbol);
-    
-    if (index >= 0) {
-        state.selectedGenes.splice(index, 1);
+function setSimulationEngine(engine) {
+    if (!SIMULATION_ENGINES[engine]) return;
+    state.engine = engine;
+    document.getElementById('sim-engine').value = engine;
+    updateIntegratorControls();
+    resetSimulation();
+}
+
+/**
+ * Choose how time courses run: 'playback' and 'fast' compute in the simulation worker,
+ * 'live' steps on the page so slider changes apply mid-run (restarts the time course)
+ */
+function setExecutionMode(mode) {
+    if (!['playback', 'fast', 'live'].includes(mode)) return;
+    state.executionMode = mode;
+    document.getElementById('sim-mode').value = mode;
+    resetSimulation();
+}
+
+/**
+ * Update one integrator setting from the simulation controls (restarts the time course)
+ */
+function setIntegratorSetting(key, raw) {
+    if (key === 'method') {
+        if (!ODE_INTEGRATORS[raw]) return;
+        state.integrator.method = raw;
     } else {
-        state.selectedGenes.push(gene);
+        const value = parseFloat(raw);
+        const limits = key === 'stepSize' ? [0.001, 1] : [1e-10, 0.1];
+        if (!Number.isFinite(value)) {
+            updateIntegratorControls();
+            return;
+        }
+        state.integrator[key] = Math.min(limits[1], Math.max(limits[0], value));
     }
     
-    renderGeneList();
+    updateIntegratorControls();
     resetSimulation();
-    updateCharts();
-    updateContributionChart();
 }
 
 /**
- * Update selected gene count
+ * Sync the integrator controls (only the deterministic engine integrates ODEs)
  */
-function updateSelectedGeneCount() {
-    document.getElementById('selected-gene-count').textContent = state.selectedGenes.length;
+function updateIntegratorControls() {
+    document.getElementById('integrator-settings').classList.toggle('hidden', state.engine !== 'deterministic');
+    document.getElementById('sim-integrator').value = state.integrator.method;
+    document.getElementById('sim-step-size').value = state.integrator.stepSize;
+    document.getElementById('sim-tolerance').value = state.integrator.tolerance;
+    document.getElementById('sim-tolerance').disabled = !ODE_INTEGRATORS[state.integrator.method].adaptive;
 }
 
 /**
- * Render disease list
+ * Human-readable description of the numerical method used for a run
  */
-function renderDiseaseList() {
-    const diseaseList = document.getElementById('disease-list');
-    diseaseList.innerHTML = '';
-    
-    DISEASE_DATABASE.forEach(disease => {
-        const isSelected = state.selectedDiseases.some(d => d.name === disease.name);
-        
-        const diseaseItem = document.createElement('div');
-        diseaseItem.className = `disease-item ${isSelected ? 'selected' : ''}`;
-        diseaseItem.innerHTML = `
-            <div class="disease-checkbox"></div>
-            <div class="disease-name">${disease.name}</div>
-        `;
-        
-        diseaseItem.addEventListener('click', () => toggleDiseaseSelection(disease));
-        diseaseList.appendChild(diseaseItem);
-    });
-    
-    updateSelectedDiseaseCount();
+function describeNumericalMethod() {
+    if (state.engine !== 'deterministic') {
+        return SIMULATION_ENGINES[state.engine];
+    }
+    const { method, stepSize, tolerance } = state.integrator;
+    return ODE_INTEGRATORS[method].adaptive
+        ? `${ODE_INTEGRATORS[method].label}, initial step ${stepSize} h, tolerance ${tolerance}`
+        : `${ODE_INTEGRATORS[method].label}, step ${stepSize} h`;
 }
 
 /**
- * Toggle disease selection
+ * Clamp a simulation setting to its allowed range (NaN for non-numbers)
  */
-function toggleDiseaseSelection(disease) {
-    const index = state.selectedDiseases.findIndex(d => d.name === disease.name);
-    
-    if (index >= 0) {
-        state.selectedDiseases.splice(index, 1);
-    } else {
-        state.selectedDiseases.push(disease);
-    }
-    
-    renderDiseaseList();
-    updateDiseaseCards({});
-    updateContributionChart();
+function clampSimulationSetting(key, value) {
+    const { min, max, integer } = SIMULATION_SETTINGS[key];
+    const number = integer ? Math.round(Number(value)) : Number(value);
+    return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : NaN;
 }
 
 /**
- * Update selected disease count
+ * Number of steps a run with the given duration and time step takes
  */
-function updateSelectedDiseaseCount() {
-    document.getElementById('selected-disease-count').textContent = state.selectedDiseases.length;
+function countSimulationSteps(settings) {
+    return Math.ceil(settings.maxTime / settings.timeStep - 1e-9);
 }
 
 /**
- * Update flow diagram
+ * Update one simulation setting from the settings controls
+ * Duration and time step restart the time course; playback speed applies from the next
+ * start or resume, and the chart budget only redraws the charts.
  */
-function updateFlowDiagram(currentValues) {
-    if (state.selectedGenes.length === 0) {
-        document.querySelector('#flow-genomics .flow-value').textContent = '0.0';
-        document.querySelector('#flow-transcriptomics .flow-value').textContent = '0.0';
-        document.querySelector('#flow-proteomics .flow-value').textContent = '0.0';
-        document.querySelector('#flow-disease .flow-value').textContent = '0%';
+function setSimulationSetting(key, raw) {
+    const value = clampSimulationSetting(key, raw);
+    const settings = { ...state.simulationSettings, [key]: value };
+    
+    if (Number.isNaN(value)) {
+        updateSimulationSettingsControls();
         return;
     }
-    
-    // Calculate averages across all selected genes
-    let avgG = 0, avgT = 0, avgP = 0;
-    
-    for (const gene of state.selectedGenes) {
-        const values = currentValues[gene.symbol];
-        if (values) {
-            avgG += values.genomic;
-            avgT += values.transcriptomic;
-            avgP += values.proteomic;
-        }
+    if (countSimulationSteps(settings) > SIMULATION_CONFIG.maxSimulationSteps) {
+        alert(`A ${settings.maxTime} h run with a ${settings.timeStep} h time step would take more than ${SIMULATION_CONFIG.maxSimulationSteps.toLocaleString()} steps. Increase the time step or shorten the duration.`);
+        updateSimulationSettingsControls();
+        return;
     }
     
-    avgG /= state.selectedGenes.length;
-    avgT /= state.selectedGenes.length;
-    avgP /= state.selectedGenes.length;
-    
-    document.querySelector('#flow-genomics .flow-value').textContent = avgG.toFixed(1);
-    document.querySelector('#flow-transcriptomics .flow-value').textContent = avgT.toFixed(1);
-    document.querySelector('#flow-proteomics .flow-value').textContent = avgP.toFixed(1);
+    state.simulationSettings = settings;
+    updateSimulationSettingsControls();
     
-    // Calculate average disease risk
-    if (state.selectedDiseases.length > 0) {
-        let avgRisk = 0;
-        for (const disease of state.selectedDiseases) {
-            const result = calculateDiseaseRisk(
-                currentValues,
-                disease,
-                state.params.weightGenomics,
-                state.params.weightTranscriptomics,
-                state.params.weightProteomics
-            );
-            avgRisk += result.risk;
-        }
-        avgRisk /= state.selectedDiseases.length;
-        document.querySelector('#flow-disease .flow-value').textContent = avgRisk.toFixed(1) + '%';
-    } else {
-        document.querySelector('#flow-disease .flow-value').textContent = '0%';
+    if (key === 'chartMaxPoints') {
+        updateCharts();
+        updateComparisonCharts();
+    } else if (key === 'timeStep' || key === 'maxTime') {
+        resetSimulation();
     }
 }
 
 /**
- * Update disease risk cards
+ * Apply saved simulation settings (e.g. from a scenario); invalid values keep the defaults
  */
-function updateDiseaseCards(currentValues) {
-    const container = document.getElementById('disease-cards-container');
-    
-    if (state.selectedDiseases.length === 0 || state.selectedGenes.length === 0) {
-        container.innerHTML = '<div class="empty-state"><p>Select genes and diseases to view risk predictions</p></div>';
-        return;
+function applySimulationSettings(saved) {
+    const settings = {};
+    for (const key of Object.keys(SIMULATION_SETTINGS)) {
+        const value = clampSimulationSetting(key, saved[key]);
+        settings[key] = Number.isNaN(value) ? SIMULATION_CONFIG[key] : value;
     }
-    
-    container.innerHTML = '';
-    
-    for (const disease of state.selectedDiseases) {
-        const result = calculateDiseaseRisk(
-            currentValues,
-            disease,
-            state.params.weightGenomics,
-            state.params.weightTranscriptomics,
-            state.params.weightProteomics
-        );
-        
-        let riskClass = 'risk-low';
-        let riskLabel = 'Low Risk';
-        
-        if (result.risk >= 70) {
-            riskClass = 'risk-high';
-            riskLabel = 'High Risk';
-        } else if (result.risk >= 40) {
-            riskClass = 'risk-moderate';
-            riskLabel = 'Moderate Risk';
-        }
-        
-        const card = document.createElement('div');
-        card.className = `disease-card ${riskClass}`;
-        card.innerHTML = `
-            <div class="disease-card-header">
-                <div class="disease-card-title">${disease.name}</div>
-            </div>
-            <div class="disease-card-risk">${result.risk.toFixed(1)}%</div>
-            <div class="disease-card-label">${riskLabel}</div>
-            <div class="disease-card-progress">
-                <div class="disease-card-progress-bar" style="width: ${result.risk}%"></div>
-            </div>
-        `;
-        
-        container.appendChild(card);
+    if (countSimulationSteps(settings) > SIMULATION_CONFIG.maxSimulationSteps) {
+        settings.timeStep = SIMULATION_CONFIG.timeStep;
+        settings.maxTime = SIMULATION_CONFIG.maxTime;
     }
+    
+    state.simulationSettings = settings;
+    updateSimulationSettingsControls();
 }
 
 /**
- * Update simulation time display
+ * Sync the simulation settings controls with the state
  */
-function updateSimulationTimeDisplay() {
-    document.getElementById('sim-time-display').textContent = state.simulation.currentTime.toFixed(1);
+function updateSimulationSettingsControls() {
+    document.getElementById('sim-duration').value = state.simulationSettings.maxTime;
+    document.getElementById('sim-time-step').value = state.simulationSettings.timeStep;
+    document.getElementById('sim-update-interval').value = state.simulationSettings.updateInterval;
+    document.getElementById('sim-chart-points').value = state.simulationSettings.chartMaxPoints;
+    document.getElementById('sim-step-count').textContent =
+        `${countSimulationSteps(state.simulationSettings).toLocaleString()} steps per run; charts show at most ${state.simulationSettings.chartMaxPoints} points per series (exports keep every step).`;
+    
+    // The loaded time courses may now fit inside the run, or no longer
+    renderFitDataSummary();
 }
 
 /**
- * Update normalized weights display
+ * Fill the intervention form's parameter and type selectors
  */
-function updateNormalizedWeights() {
-    const normalized = normalizeWeights(
-        state.params.weightGenomics,
-        state.params.weightTranscriptomics,
-        state.params.weightProteomics
-    );
-    
-    document.getElementById('norm-w1').textContent = normalized.w1.toFixed(2);
-    document.getElementById('norm-w2').textContent = normalized.w2.toFixed(2);
-    document.getElementById('norm-w3').textContent = normalized.w3.toFixed(2);
+function renderInterventionControls() {
+    document.getElementById('iv-parameter').innerHTML = Object.entries(PARAMETER_DEFINITIONS)
+        .map(([key, def]) => `<option value="${key}">${def.label}</option>`)
+        .join('');
+    document.getElementById('iv-type').innerHTML = Object.entries(INTERVENTION_TYPES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`)
+        .join('');
+    document.getElementById('iv-parameter').value = 'translationEfficiency';
+    updateInterventionForm();
+    renderInterventionList();
 }
 
-// =============================================================================
-// 6. CHART MANAGEMENT
-// =============================================================================
-
 /**
- * Initialize all charts
+ * Show the form fields used by the chosen intervention type
  */
-function initializeCharts() {
-    initializeMRNAChart();
-    initializeProteinChart();
-    initializeContributionChart();
+function updateInterventionForm() {
+    const type = document.getElementById('iv-type').value;
+    const def = PARAMETER_DEFINITIONS[document.getElementById('iv-parameter').value];
+    const value = document.getElementById('iv-value');
+    
+    document.getElementById('iv-end-field').classList.toggle('hidden', type === 'step');
+    document.getElementById('iv-end-label').textContent = type === 'pulse' ? 'Until (h, optional)' : 'End (h)';
+    document.getElementById('iv-duration-field').classList.toggle('hidden', type !== 'pulse');
+    document.getElementById('iv-period-field').classList.toggle('hidden', type !== 'pulse');
+    
+    value.min = def.min;
+    value.max = def.max;
+    value.step = def.step;
+    document.getElementById('iv-value-label').textContent = `Value${def.unit ? ` (${def.unit})` : ''}`;
 }
 
 /**
- * Initialize mRNA chart
+ * Validate an intervention (from the form or a saved scenario)
+ * Times are in hours; `end` is required for ramps and optional for pulses.
  */
-function initializeMRNAChart() {
-    const ctx = document.getElementById('mrna-chart');
+function validateIntervention(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { record: null, errors: ['Intervention is not an object'] };
+    }
     
-    if (!ctx) {
-        console.error('Canvas element mrna-chart not found');
-        return;
+    const def = PARAMETER_DEFINITIONS[raw.parameter];
+    if (!def || !INTERVENTION_TYPES[raw.type]) {
+        return { record: null, errors: [`Unknown intervention "${raw.type}" of "${raw.parameter}"`] };
     }
     
-    state.charts.mrna = new Chart(ctx, {
+    const number = field => (raw[field] === undefined || raw[field] === null || String(raw[field]).trim() === ''
+        ? undefined
+        : Number(raw[field]));
+    const errors = [];
+    const record = { parameter: raw.parameter, type: raw.type, start: number('start'), value: number('value') };
+    
+    if (!Number.isFinite(record.start) || record.start < 0) {
+        errors.push('Start time must be 0 h or later');
+    }
+    if (!Number.isFinite(record.value) || record.value < def.min || record.value > def.max) {
+        errors.push(`${def.label} must be between ${def.min} and ${def.max}`);
+    }
+    if (raw.type === 'ramp' || (raw.type === 'pulse' && number('end') !== undefined)) {
+        record.end = number('end');
+        if (!Number.isFinite(record.end) || !(record.end > record.start)) {
+            errors.push('End time must be after the start time');
+        }
+    }
+    if (raw.type === 'pulse') {
+        record.duration = number('duration');
+        record.period = number('period') ?? 0;
+        if (!Number.isFinite(record.duration) || record.duration <= 0) {
+            errors.push('Pulse duration must be greater than 0 h');
+        }
+        if (!Number.isFinite(record.period) || (record.period !== 0 && record.period < record.duration)) {
+            errors.push('Pulse period must be 0 (single pulse) or at least the pulse duration');
+        }
+    }
+    
+    return { record: errors.length === 0 ? record : null, errors };
+}
+
+/**
+ * Human-readable summary of an intervention
+ */
+function describeIntervention(intervention) {
+    const def = PARAMETER_DEFINITIONS[intervention.parameter];
+    const value = `${intervention.value}${def.unit ? ` ${def.unit}` : ''}`;
+    
+    if (intervention.type === 'step') {
+        return `${def.label} → ${value} at ${intervention.start} h`;
+    }
+    if (intervention.type === 'ramp') {
+        return `${def.label} ramps to ${value} over ${intervention.start}–${intervention.end} h`;
+    }
+    const repeat = intervention.period > 0 ? ` every ${intervention.period} h` : '';
+    const until = intervention.end !== undefined ? ` until ${intervention.end} h` : '';
+    return `${def.label} = ${value} for ${intervention.duration} h${repeat} from ${intervention.start} h${until}`;
+}
+
+/**
+ * Add the intervention described by the form to the timeline
+ */
+function addIntervention() {
+    const { record, errors } = validateIntervention({
+        parameter: document.getElementById('iv-parameter').value,
+        type: document.getElementById('iv-type').value,
+        start: document.getElementById('iv-start').value,
+        end: document.getElementById('iv-type').value === 'step' ? undefined : document.getElementById('iv-end').value,
+        value: document.getElementById('iv-value').value,
+        duration: document.getElementById('iv-duration').value,
+        period: document.getElementById('iv-period').value
+    });
+    
+    if (!record) {
+        alert(`Cannot add intervention:\n${errors.join('\n')}`);
+        return;
+    }
+    
+    state.interventions.push(record);
+    state.interventions.sort((a, b) => a.start - b.start);
+    renderInterventionList();
+}
+
+/**
+ * Remove one intervention from the timeline
+ */
+function removeIntervention(index) {
+    state.interventions.splice(index, 1);
+    renderInterventionList();
+}
+
+/**
+ * Remove every intervention
+ */
+function clearInterventions() {
+    if (state.interventions.length === 0) return;
+    if (!confirm('Remove all scheduled interventions?')) return;
+    
+    state.interventions = [];
+    renderInterventionList();
+}
+
+/**
+ * Render the intervention timeline and redraw the chart annotations
+ * Live runs pick up changes immediately; worker runs from their next start.
+ */
+function renderInterventionList() {
+    const list = document.getElementById('intervention-list');
+    
+    list.innerHTML = state.interventions.length === 0
+        ? '<p class="help-text small">No interventions scheduled: parameters stay at their slider values for the whole run.</p>'
+        : state.interventions.map((intervention, index) => `
+            <div class="intervention-item">
+                <span class="intervention-type">${INTERVENTION_TYPES[intervention.type]}</span>
+                <span class="intervention-summary">${escapeHTML(describeIntervention(intervention))}</span>
+                <button class="btn btn-sm btn-outline" data-index="${index}" title="Remove intervention" aria-label="Remove intervention">✕</button>
+            </div>
+        `).join('');
+    
+    list.querySelectorAll('button[data-index]').forEach(button => {
+        button.addEventListener('click', () => removeIntervention(Number(button.dataset.index)));
+    });
+    
+    [state.charts.mrna, state.charts.protein, state.charts.riskTrajectory].forEach(chart => chart && chart.update('none'));
+}
+
+/**
+ * Parameters a drug can target (the risk weights are not biological quantities)
+ */
+function getDrugTargetParameters() {
+    return Object.keys(PARAMETER_DEFINITIONS).filter(key => !key.startsWith('weight'));
+}
+
+/**
+ * Fill the drug template and target selectors and load the first template
+ */
+function renderDrugControls() {
+    document.getElementById('drug-template').innerHTML = Object.entries(DRUG_TEMPLATES)
+        .map(([key, template]) => `<option value="${key}">${template.label}</option>`)
+        .join('');
+    renderDrugTargetOptions();
+    applyDrugTemplate(Object.keys(DRUG_TEMPLATES)[0]);
+    renderDrugList();
+}
+
+/**
+ * Fill the drug target selector: regulatory parameters, then the genes of the database
+ */
+function renderDrugTargetOptions() {
+    const select = document.getElementById('drug-target');
+    const current = select.value;
+    
+    select.innerHTML = `
+        <optgroup label="Parameter">
+            ${getDrugTargetParameters().map(key => `<option value="parameter:${key}">${PARAMETER_DEFINITIONS[key].label}</option>`).join('')}
+        </optgroup>
+        <optgroup label="Gene expression">
+            ${GENE_DATABASE.map(gene => `<option value="gene:${escapeHTML(gene.symbol)}">${escapeHTML(gene.symbol)}</option>`).join('')}
+        </optgroup>
+    `;
+    if (current && [...select.options].some(option => option.value === current)) {
+        select.value = current;
+    }
+}
+
+/**
+ * Copy a drug template into the form
+ */
+function applyDrugTemplate(key) {
+    const template = DRUG_TEMPLATES[key];
+    if (!template) return;
+    
+    document.querySelectorAll('#drug-form [data-drug-field]').forEach(input => {
+        input.value = template.drug[input.dataset.drugField];
+    });
+    document.getElementById('drug-target').value = `${template.drug.targetType}:${template.drug.target}`;
+    updateDrugForm();
+}
+
+/**
+ * Show the absorption fields for oral dosing and the distribution rates for two compartments
+ */
+function updateDrugForm() {
+    const form = document.getElementById('drug-form');
+    const oral = form.querySelector('[data-drug-field="route"]').value === 'oral';
+    const twoCompartment = form.querySelector('[data-drug-field="compartments"]').value === '2';
+    
+    form.querySelectorAll('.drug-oral-field').forEach(field => field.classList.toggle('hidden', !oral));
+    form.querySelectorAll('.drug-peripheral-field').forEach(field => field.classList.toggle('hidden', !twoCompartment));
+}
+
+/**
+ * Validate a drug regimen (from the form or a saved scenario)
+ * Numbers are checked against DRUG_FIELDS; an IV bolus always has F = 1.
+ */
+function validateDrug(raw) {
+    if (!raw || typeof raw !== 'object') {
+        return { record: null, errors: ['Drug is not an object'] };
+    }
+    
+    const errors = [];
+    const record = {
+        name: String(raw.name ?? '').trim(),
+        compartments: Number(raw.compartments) === 2 ? 2 : 1,
+        route: raw.route === 'iv' ? 'iv' : 'oral',
+        targetType: raw.targetType === 'gene' ? 'gene' : 'parameter',
+        target: String(raw.target ?? ''),
+        action: raw.action === 'stimulate' ? 'stimulate' : 'inhibit'
+    };
+    
+    if (!record.name) {
+        errors.push('Drug name is required');
+    } else if (record.name.includes('"')) {
+        errors.push('Drug name must not contain double quotes (it is written into CSV comment lines)');
+    }
+    if (record.targetType === 'gene'
+        ? !GENE_DATABASE.some(gene => gene.symbol === record.target)
+        : !getDrugTargetParameters().includes(record.target)) {
+        errors.push(`Unknown ${record.targetType} target "${record.target}"`);
+    }
+    
+    for (const [field, rule] of Object.entries(DRUG_FIELDS)) {
+        const value = raw[field] === undefined || raw[field] === null || String(raw[field]).trim() === ''
+            ? NaN
+            : Number(raw[field]);
+        
+        if (!Number.isFinite(value) || value < rule.min || value > rule.max || (rule.exclusiveMin && value === rule.min)) {
+            errors.push(`${rule.label} must be ${rule.exclusiveMin ? 'above' : 'at least'} ${rule.min} and at most ${rule.max}`);
+        } else if (rule.integer && !Number.isInteger(value)) {
+            errors.push(`${rule.label} must be a whole number`);
+        }
+        record[field] = value;
+    }
+    
+    if (record.route === 'iv') {
+        record.bioavailability = 1;
+    }
+    if (record.action === 'inhibit' && record.emax > 1) {
+        errors.push('Emax of an inhibitor cannot exceed 1 (complete inhibition)');
+    }
+    
+    return { record: errors.length === 0 ? record : null, errors };
+}
+
+/**
+ * Human-readable summary of a drug regimen
+ */
+function describeDrug(drug) {
+    const target = drug.targetType === 'gene'
+        ? `${drug.target} expression`
+        : PARAMETER_DEFINITIONS[drug.target].label;
+    const route = drug.route === 'oral' ? `orally (F ${drug.bioavailability}, ka ${drug.absorptionRate} h⁻¹)` : 'IV';
+    const distribution = drug.compartments === 2 ? `two-compartment, k12 ${drug.k12}, k21 ${drug.k21} h⁻¹` : 'one-compartment';
+    
+    return `${drug.name}: ${drug.dose} mg ${route} every ${drug.interval} h × ${drug.doses} from ${drug.start} h ` +
+        `(t½ ${drug.halfLife} h, V ${drug.volume} L, ${distribution}); ` +
+        `${drug.action === 'inhibit' ? 'inhibits' : 'stimulates'} ${target} (Emax ${drug.emax}, EC50 ${drug.ec50} mg/L, n ${drug.hill})`;
+}
+
+/**
+ * Add the drug regimen described by the form
+ */
+function addDrug() {
+    const raw = {};
+    document.querySelectorAll('#drug-form [data-drug-field]').forEach(input => {
+        raw[input.dataset.drugField] = input.value;
+    });
+    const [targetType, target] = document.getElementById('drug-target').value.split(/:(.*)/);
+    
+    const { record, errors } = validateDrug({ ...raw, targetType, target });
+    if (!record) {
+        alert(`Cannot add drug:\n${errors.join('\n')}`);
+        return;
+    }
+    
+    state.drugs.push(record);
+    renderDrugList();
+}
+
+/**
+ * Remove one drug regimen
+ */
+function removeDrug(index) {
+    state.drugs.splice(index, 1);
+    renderDrugList();
+}
+
+/**
+ * Remove every drug regimen
+ */
+function clearDrugs() {
+    if (state.drugs.length === 0) return;
+    if (!confirm('Remove all drug regimens?')) return;
+    
+    state.drugs = [];
+    renderDrugList();
+}
+
+/**
+ * Render the drug regimens and redraw their concentration curves
+ * Live runs pick up changes immediately; worker runs from their next start.
+ */
+function renderDrugList() {
+    const list = document.getElementById('drug-list');
+    
+    list.innerHTML = state.drugs.length === 0
+        ? '<p class="help-text small">No drugs given.</p>'
+        : state.drugs.map((drug, index) => `
+            <div class="intervention-item drug-item">
+                <span class="intervention-type">💊</span>
+                <span class="intervention-summary">${escapeHTML(describeDrug(drug))}</span>
+                <button class="btn btn-sm btn-outline" data-index="${index}" title="Remove drug" aria-label="Remove drug">✕</button>
+            </div>
+        `).join('');
+    
+    list.querySelectorAll('button[data-index]').forEach(button => {
+        button.addEventListener('click', () => removeDrug(Number(button.dataset.index)));
+    });
+    
+    updateRiskTrajectoryChart();
+}
+
+/**
+ * Start simulation
+ */
+function startSimulation() {
+    if (state.selectedGenes.length === 0) {
+        alert('Please select at least one gene before running the simulation.');
+        return;
+    }
+    
+    // A new run replaces the ensemble view
+    if (state.ensemble.results) {
+        resetSimulation();
+    }
+    
+    if (state.executionMode !== 'live') {
+        startWorkerSimulation();
+        return;
+    }
+    
+    // Initialize if starting fresh
+    if (state.simulation.currentTime === 0) {
+        initializeSimulation();
+    }
+    
+    state.simulation.running = true;
+    state.simulation.paused = false;
+    
+    // Update UI
+    document.getElementById('run-simulation-btn').classList.add('hidden');
+    document.getElementById('pause-simulation-btn').classList.remove('hidden');
+    
+    // Start simulation loop
+    state.simulation.intervalId = setInterval(simulationStep, state.simulationSettings.updateInterval);
+}
+
+/**
+ * Pause simulation
+ */
+function pauseSimulation() {
+    state.simulation.running = false;
+    state.simulation.paused = true;
+    
+    if (state.simulation.intervalId) {
+        clearInterval(state.simulation.intervalId);
+        state.simulation.intervalId = null;
+    }
+    
+    // Update UI
+    document.getElementById('run-simulation-btn').classList.remove('hidden');
+    document.getElementById('pause-simulation-btn').classList.add('hidden');
+    document.getElementById('run-simulation-btn').innerHTML = '▶️ Resume';
+}
+
+/**
+ * Stop simulation
+ */
+function stopSimulation() {
+    state.simulation.running = false;
+    state.simulation.paused = false;
+    
+    if (state.simulation.intervalId) {
+        clearInterval(state.simulation.intervalId);
+        state.simulation.intervalId = null;
+    }
+    
+    // A stopped worker run cannot be resumed
+    if (state.simulation.jobId !== null) {
+        cancelWorkerJob(state.simulation.jobId);
+        state.simulation.jobId = null;
+    }
+    state.simulation.buffer = null;
+    
+    // Update UI
+    document.getElementById('run-simulation-btn').classList.remove('hidden');
+    document.getElementById('pause-simulation-btn').classList.add('hidden');
+    document.getElementById('run-simulation-btn').innerHTML = '▶️ Run Simulation';
+}
+
+/**
+ * Reset simulation
+ */
+function resetSimulation() {
+    stopSimulation();
+    initializeSimulation();
+    
+    // An ensemble belongs to the configuration it was run with, so a reset drops it
+    if (state.ensemble.results) {
+        state.ensemble.results = null;
+        updateEnsembleControls('');
+    }
+
+    // Reset charts
+    if (state.charts.mrna) {
+        state.charts.mrna.data.labels = [];
+        state.charts.mrna.data.datasets.forEach(dataset => {
+            dataset.data = [];
+        });
+        state.charts.mrna.update();
+    }
+    
+    if (state.charts.protein) {
+        state.charts.protein.data.labels = [];
+        state.charts.protein.data.datasets.forEach(dataset => {
+            dataset.data = [];
+        });
+        state.charts.protein.update();
+    }
+    updateRiskTrajectoryChart();
+    refreshSteadyStateAnalysis();
+    
+    // Reset flow diagram
+    updateFlowDiagram({});
+    renderNetworkDiagram({});
+    updateDiseaseCards({});
+    
+    document.getElementById('sim-time-display').textContent = '0.0';
+}
+
+// =============================================================================
+// 5. UI RENDERING FUNCTIONS
+// =============================================================================
+
+/**
+ * Render gene list
+ */
+function renderGeneList() {
+    const geneList = document.getElementById('gene-list');
+    const searchTerm = document.getElementById('gene-search').value.toLowerCase();
+    
+    geneList.innerHTML = '';
+    
+    const filteredGenes = GENE_DATABASE.filter(gene => 
+        gene.symbol.toLowerCase().includes(searchTerm) ||
+        gene.name.toLowerCase().includes(searchTerm) ||
+        gene.description.toLowerCase().includes(searchTerm)
+    );
+    
+    filteredGenes.forEach(gene => {
+        const isSelected = state.selectedGenes.some(g => g.symbol === gene.symbol);
+        const overrides = state.geneOverrides[gene.symbol] || {};
+        const overrideKeys = Object.keys(overrides);
+
+        const overrideSummary = overrideKeys.length > 0 ? `
+                <div class="gene-override-summary">
+                    Overrides: ${overrideKeys.map(key => `${PARAMETER_DEFINITIONS[key].label} ${overrides[key]}`).join(' | ')}
+                </div>` : '';
+
+        const geneItem = document.createElement('div');
+        geneItem.className = `gene-item ${isSelected ? 'selected' : ''}`;
+        geneItem.innerHTML = `
+            <div class="gene-checkbox"></div>
+            <div class="gene-info">
+                <div class="gene-name">${escapeHTML(gene.symbol)} - ${escapeHTML(gene.name)}</div>
+                <div class="gene-description">${escapeHTML(gene.description)}</div>
+                <div class="gene-baseline">Baseline: ${gene.baselineTPM.toFixed(1)} TPM | Protein: ${gene.baselineProtein.toFixed(1)} AU</div>
+                ${overrideSummary}
+            </div>
+            ${isSelected ? `<button class="gene-params-toggle" title="Override regulatory parameters for ${escapeHTML(gene.symbol)}">⚙️</button>` : ''}
+        `;
+
+        geneItem.addEventListener('click', () => toggleGeneSelection(gene));
+
+        const toggleBtn = geneItem.querySelector('.gene-params-toggle');
+        if (toggleBtn) {
+            toggleBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                state.openGeneEditor = state.openGeneEditor === gene.symbol ? null : gene.symbol;
+                renderGeneList();
+            });
+        }
+
+        if (isSelected && state.openGeneEditor === gene.symbol) {
+            geneItem.querySelector('.gene-info').appendChild(createGeneParamEditor(gene));
+        }
+
+        geneList.appendChild(geneItem);
+    });
+
+    updateSelectedGeneCount();
+}
+
+/**
+ * Create the per-gene parameter override editor
+ * Empty fields inherit the global slider value.
+ */
+function createGeneParamEditor(gene) {
+    const overrides = state.geneOverrides[gene.symbol] || {};
+
+    const editor = document.createElement('div');
+    editor.className = 'gene-param-editor';
+    editor.innerHTML = `
+        <div class="gene-param-editor-title">Regulatory parameters for ${gene.symbol} <small>(blank = global value)</small></div>
+        ${GENE_PARAMETER_KEYS.map(key => {
+            const def = PARAMETER_DEFINITIONS[key];
+            const value = overrides[key] !== undefined ? overrides[key] : '';
+            return `
+            <label class="gene-param-row">
+                <span>${def.label}${def.unit ? ` (${def.unit})` : ''}</span>
+                <input type="number" data-param="${key}" min="${def.min}" max="${def.max}" step="${def.step}"
+                       value="${value}" placeholder="${state.params[key]}">
+            </label>`;
+        }).join('')}
+        <button class="btn btn-sm btn-outline gene-param-reset">Reset to Global</button>
+    `;
+
+    // Keep clicks inside the editor from toggling gene selection
+    editor.addEventListener('click', (e) => e.stopPropagation());
+
+    editor.querySelectorAll('input[data-param]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            setGeneOverride(gene.symbol, e.target.dataset.param, e.target.value);
+        });
+    });
+
+    editor.querySelector('.gene-param-reset').addEventListener('click', () => {
+        delete state.geneOverrides[gene.symbol];
+        renderGeneList();
+        updateContributionChart();
+    });
+
+    return editor;
+}
+
+/**
+ * Set (or clear, when the value is blank) a per-gene parameter override
+ */
+function setGeneOverride(symbol, paramKey, rawValue) {
+    const def = PARAMETER_DEFINITIONS[paramKey];
+    const value = parseFloat(rawValue);
+
+    if (rawValue === '' || isNaN(value)) {
+        if (state.geneOverrides[symbol]) {
+            delete state.geneOverrides[symbol][paramKey];
+            if (Object.keys(state.geneOverrides[symbol]).length === 0) {
+                delete state.geneOverrides[symbol];
+            }
+        }
+    } else {
+        state.geneOverrides[symbol] = state.geneOverrides[symbol] || {};
+        state.geneOverrides[symbol][paramKey] = Math.min(def.max, Math.max(def.min, value));
+    }
+
+    renderGeneList();
+    updateContributionChart();
+    updateSteadyStateAnalysis();
+}
+
+/**
+ * Toggle gene selection
+ */
+function toggleGeneSelection(gene) {
+    const index = state.selectedGenes.findIndex(g => g.symbol === gene.symbol);
+    
+    if (index >= 0) {
+        state.selectedGenes.splice(index, 1);
+    } else {
+        state.selectedGenes.push(gene);
+    }
+    
+    renderGeneList();
+    resetSimulation();
+    updateCharts();
+    updateContributionChart();
+}
+
+/**
+ * Update selected gene count
+ */
+function updateSelectedGeneCount() {
+    document.getElementById('selected-gene-count').textContent = state.selectedGenes.length;
+}
+
+/**
+ * Render disease list
+ */
+function renderDiseaseList() {
+    const diseaseList = document.getElementById('disease-list');
+    diseaseList.innerHTML = '';
+    
+    const customNames = getStoredCustomDiseases().map(d => d.name);
+    
+    DISEASE_DATABASE.forEach(disease => {
+        const isSelected = state.selectedDiseases.some(d => d.name === disease.name);
+        const isCustom = customNames.includes(disease.name);
+        
+        const diseaseItem = document.createElement('div');
+        diseaseItem.className = `disease-item ${isSelected ? 'selected' : ''}`;
+        diseaseItem.innerHTML = `
+            <div class="disease-checkbox"></div>
+            <div class="disease-name">${escapeHTML(disease.name)}${isCustom ? ' <span class="custom-tag">Custom</span>' : ''}</div>
+            <button class="library-icon-btn" data-action="edit" title="Edit disease model">✏️</button>
+            ${isCustom ? '<button class="library-icon-btn" data-action="delete" title="Delete custom disease model">🗑️</button>' : ''}
+        `;
+        
+        diseaseItem.addEventListener('click', () => toggleDiseaseSelection(disease));
+        
+        diseaseItem.querySelector('[data-action="edit"]').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showDiseaseEditor(disease.name);
+        });
+        
+        diseaseItem.querySelector('[data-action="delete"]')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteCustomDisease(disease.name);
+        });
+        
+        diseaseList.appendChild(diseaseItem);
+    });
+    
+    updateSelectedDiseaseCount();
+}
+
+/**
+ * Toggle disease selection
+ */
+function toggleDiseaseSelection(disease) {
+    const index = state.selectedDiseases.findIndex(d => d.name === disease.name);
+    
+    if (index >= 0) {
+        state.selectedDiseases.splice(index, 1);
+    } else {
+        state.selectedDiseases.push(disease);
+    }
+    
+    renderDiseaseList();
+    updateDiseaseCards({});
+    updateContributionChart();
+}
+
+/**
+ * Update selected disease count
+ */
+function updateSelectedDiseaseCount() {
+    document.getElementById('selected-disease-count').textContent = state.selectedDiseases.length;
+}
+
+/**
+ * Update flow diagram
+ */
+function updateFlowDiagram(currentValues) {
+    if (state.selectedGenes.length === 0) {
+        document.querySelector('#flow-genomics .flow-value').textContent = '0.0';
+        document.querySelector('#flow-transcriptomics .flow-value').textContent = '0.0';
+        document.querySelector('#flow-proteomics .flow-value').textContent = '0.0';
+        document.querySelector('#flow-disease .flow-value').textContent = '0%';
+        return;
+    }
+    
+    // Calculate averages across all selected genes
+    let avgG = 0, avgT = 0, avgP = 0;
+    
+    for (const gene of state.selectedGenes) {
+        const values = currentValues[gene.symbol];
+        if (values) {
+            avgG += values.genomic;
+            avgT += values.transcriptomic;
+            avgP += values.proteomic;
+        }
+    }
+    
+    avgG /= state.selectedGenes.length;
+    avgT /= state.selectedGenes.length;
+    avgP /= state.selectedGenes.length;
+    
+    document.querySelector('#flow-genomics .flow-value').textContent = avgG.toFixed(1);
+    document.querySelector('#flow-transcriptomics .flow-value').textContent = avgT.toFixed(1);
+    document.querySelector('#flow-proteomics .flow-value').textContent = avgP.toFixed(1);
+    
+    // Calculate average disease risk
+    if (state.selectedDiseases.length > 0) {
+        let avgRisk = 0;
+        for (const disease of state.selectedDiseases) {
+            const result = calculateDiseaseRisk(
+                currentValues,
+                disease,
+                state.params.weightGenomics,
+                state.params.weightTranscriptomics,
+                state.params.weightProteomics
+            );
+            avgRisk += result.risk;
+        }
+        avgRisk /= state.selectedDiseases.length;
+        document.querySelector('#flow-disease .flow-value').textContent = avgRisk.toFixed(1) + '%';
+    } else {
+        document.querySelector('#flow-disease .flow-value').textContent = '0%';
+    }
+}
+
+/**
+ * Render the gene regulatory network as a node-edge diagram (SVG)
+ * Node colour shows protein level relative to baseline for simulated genes;
+ * genes that are not selected are drawn faded because they are held at baseline.
+ */
+function renderNetworkDiagram(proteinLevels) {
+    const container = document.getElementById('grn-diagram');
+    if (!container) return;
+
+    const edges = GENE_REGULATORY_NETWORK.edges;
+    const symbols = [];
+    edges.forEach(edge => {
+        [edge.source, edge.target].forEach(symbol => {
+            if (!symbols.includes(symbol) && GENE_DATABASE.some(g => g.symbol === symbol)) {
+                symbols.push(symbol);
+            }
+        });
+    });
+
+    const width = 520;
+    const height = 340;
+    const radius = 30;
+    const layoutRadius = Math.min(width, height) / 2 - radius - 20;
+
+    // Circular layout
+    const positions = {};
+    symbols.forEach((symbol, index) => {
+        const angle = (2 * Math.PI * index) / symbols.length - Math.PI / 2;
+        positions[symbol] = {
+            x: width / 2 + layoutRadius * Math.cos(angle),
+            y: height / 2 + layoutRadius * Math.sin(angle)
+        };
+    });
+
+    const edgesSVG = edges.filter(edge => positions[edge.source] && positions[edge.target]).map(edge => {
+        const from = positions[edge.source];
+        const to = positions[edge.target];
+        const length = Math.hypot(to.x - from.x, to.y - from.y);
+        const ux = (to.x - from.x) / length;
+        const uy = (to.y - from.y) / length;
+        const isRepression = edge.type === 'repression';
+        return `
+            <line class="grn-edge ${edge.type}" x1="${from.x + ux * radius}" y1="${from.y + uy * radius}"
+                  x2="${to.x - ux * (radius + 4)}" y2="${to.y - uy * (radius + 4)}"
+                  marker-end="url(#${isRepression ? 'grn-repression' : 'grn-activation'})">
+                <title>${edge.source} ${isRepression ? '⊣' : '→'} ${edge.target} (Kd = ${edge.Kd} AU, n = ${edge.n})</title>
+            </line>`;
+    }).join('');
+
+    const nodesSVG = symbols.map(symbol => {
+        const gene = GENE_DATABASE.find(g => g.symbol === symbol);
+        const pos = positions[symbol];
+        const isSimulated = proteinLevels[symbol] !== undefined;
+        const fold = isSimulated ? proteinLevels[symbol] / gene.baselineProtein : 1;
+        const logic = GENE_REGULATORY_NETWORK.logic[symbol];
+        const hasInputs = edges.some(edge => edge.target === symbol);
+
+        // Blue (below baseline) -> white (baseline) -> red (above baseline)
+        const intensity = Math.min(1, Math.abs(Math.log2(Math.max(fold, 1e-3))) / 3);
+        const fill = fold >= 1
+            ? `rgba(231, 76, 60, ${0.15 + 0.7 * intensity})`
+            : `rgba(52, 152, 219, ${0.15 + 0.7 * intensity})`;
+
+        return `
+            <g class="grn-node ${state.networkEnabled ? '' : 'disabled'} ${isSimulated ? 'simulated' : 'baseline'}">
+                <circle cx="${pos.x}" cy="${pos.y}" r="${radius}" fill="${fill}"></circle>
+                <text x="${pos.x}" y="${pos.y - 2}" class="grn-node-label">${symbol}</text>
+                <text x="${pos.x}" y="${pos.y + 12}" class="grn-node-value">${isSimulated ? fold.toFixed(2) + '×' : 'baseline'}</text>
+                ${hasInputs && logic ? `<text x="${pos.x}" y="${pos.y + radius + 14}" class="grn-node-logic">${logic}</text>` : ''}
+                <title>${escapeHTML(gene.name)}</title>
+            </g>`;
+    }).join('');
+
+    container.innerHTML = `
+        <svg viewBox="0 0 ${width} ${height}" class="grn-svg ${state.networkEnabled ? '' : 'disabled'}" role="img" aria-label="Gene regulatory network diagram">
+            <defs>
+                <marker id="grn-activation" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+                    <path d="M 0 0 L 10 5 L 0 10 z" fill="#27ae60"></path>
+                </marker>
+                <marker id="grn-repression" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="7" markerHeight="7" orient="auto">
+                    <rect x="4" y="0" width="2.5" height="10" fill="#e74c3c"></rect>
+                </marker>
+            </defs>
+            ${edgesSVG}
+            ${nodesSVG}
+        </svg>
+    `;
+}
+
+/**
+ * Update disease risk cards
+ */
+function updateDiseaseCards(currentValues) {
+    const container = document.getElementById('disease-cards-container');
+    
+    if (state.selectedDiseases.length === 0 || state.selectedGenes.length === 0) {
+        container.innerHTML = '<div class="empty-state"><p>Select genes and diseases to view risk predictions</p></div>';
+        return;
+    }
+    
+    if (state.ensemble.results) {
+        updateEnsembleDiseaseCards();
+        return;
+    }
+    
+    container.innerHTML = '';
+    const params = getEffectiveParams();
+    
+    for (const disease of state.selectedDiseases) {
+        const result = calculateDiseaseRisk(
+            currentValues,
+            disease,
+            params.weightGenomics,
+            params.weightTranscriptomics,
+            params.weightProteomics
+        );
+        
+        let riskClass = 'risk-low';
+        let riskLabel = 'Low Risk';
+        
+        if (result.risk >= RISK_THRESHOLDS.high) {
+            riskClass = 'risk-high';
+            riskLabel = 'High Risk';
+        } else if (result.risk >= RISK_THRESHOLDS.moderate) {
+            riskClass = 'risk-moderate';
+            riskLabel = 'Moderate Risk';
+        }
+        
+        const card = document.createElement('div');
+        card.className = `disease-card ${riskClass}`;
+        card.innerHTML = `
+            <div class="disease-card-header">
+                <div class="disease-card-title">${disease.name}</div>
+            </div>
+            <div class="disease-card-risk">${result.risk.toFixed(1)}%</div>
+            <div class="disease-card-label">${riskLabel}</div>
+            <div class="disease-card-progress">
+                <div class="disease-card-progress-bar" style="width: ${result.risk}%"></div>
+            </div>
+        `;
+        
+        container.appendChild(card);
+    }
+}
+
+/**
+ * Update simulation time display
+ */
+function updateSimulationTimeDisplay() {
+    document.getElementById('sim-time-display').textContent = state.simulation.currentTime.toFixed(1);
+}
+
+/**
+ * Update normalized weights display
+ */
+function updateNormalizedWeights() {
+    const normalized = normalizeWeights(
+        state.params.weightGenomics,
+        state.params.weightTranscriptomics,
+        state.params.weightProteomics
+    );
+    
+    document.getElementById('norm-w1').textContent = normalized.w1.toFixed(2);
+    document.getElementById('norm-w2').textContent = normalized.w2.toFixed(2);
+    document.getElementById('norm-w3').textContent = normalized.w3.toFixed(2);
+}
+
+// =============================================================================
+// 6. CHART MANAGEMENT
+// =============================================================================
+
+/**
+ * Time spans of an intervention within a run (a step is a zero-length span at its start)
+ */
+function getInterventionSpans(intervention, maxTime) {
+    if (intervention.type === 'step') {
+        return [{ from: intervention.start, to: intervention.start }];
+    }
+    if (intervention.type === 'ramp') {
+        return [{ from: intervention.start, to: intervention.end }];
+    }
+    
+    const limit = Math.min(intervention.end ?? maxTime, maxTime);
+    const spans = [];
+    for (let t = intervention.start; t < limit && spans.length < 500; t += intervention.period) {
+        spans.push({ from: t, to: Math.min(t + intervention.duration, limit) });
+        if (!(intervention.period > 0)) break;
+    }
+    return spans;
+}
+
+/**
+ * Chart.js plugin for the time-course charts: a dashed line where each intervention
+ * starts and shading over ramps and pulses, up to the last time shown
+ */
+const interventionAnnotationPlugin = {
+    id: 'interventionAnnotations',
+    afterDatasetsDraw(chart) {
+        const labels = chart.data.labels;
+        if (state.interventions.length === 0 || labels.length < 2) return;
+        
+        const { ctx, chartArea, scales } = chart;
+        const lastTime = labels[labels.length - 1];
+        
+        ctx.save();
+        ctx.font = '10px Poppins, sans-serif';
+        ctx.textBaseline = 'top';
+        
+        state.interventions.forEach((intervention, index) => {
+            const spans = getInterventionSpans(intervention, state.simulationSettings.maxTime)
+                .filter(span => span.from <= lastTime);
+            if (spans.length === 0) return;
+            
+            spans.forEach(span => {
+                const x1 = scales.x.getPixelForValue(span.from);
+                const x2 = scales.x.getPixelForValue(Math.min(span.to, lastTime));
+                if (x2 > x1) {
+                    ctx.fillStyle = 'rgba(231, 76, 60, 0.08)';
+                    ctx.fillRect(x1, chartArea.top, x2 - x1, chartArea.bottom - chartArea.top);
+                }
+                ctx.strokeStyle = 'rgba(231, 76, 60, 0.7)';
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(x1, chartArea.top);
+                ctx.lineTo(x1, chartArea.bottom);
+                ctx.stroke();
+            });
+            
+            ctx.fillStyle = 'rgba(192, 57, 43, 0.9)';
+            ctx.fillText(PARAMETER_DEFINITIONS[intervention.parameter].label, scales.x.getPixelForValue(spans[0].from) + 3, chartArea.top + 2 + (index % 3) * 12);
+        });
+        
+        ctx.restore();
+    }
+};
+
+/**
+ * Initialize all charts
+ */
+function initializeCharts() {
+    if (typeof Chart === 'undefined') return;
+    
+    initializeMRNAChart();
+    initializeProteinChart();
+    initializeRiskTrajectoryChart();
+    initializeContributionChart();
+    initializeSensitivityChart();
+    initializeSweepCharts();
+    initializeHysteresisChart();
+    initializeMcmcCharts();
+    initializeComparisonCharts();
+}
+
+/**
+ * Initialize sensitivity analysis chart (horizontal ranked bars)
+ */
+function initializeSensitivityChart() {
+    const ctx = document.getElementById('sensitivity-chart');
+    
+    if (!ctx) {
+        console.error('Canvas element sensitivity-chart not found');
+        return;
+    }
+    
+    state.charts.sensitivity = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        font: {
+                            family: 'Poppins',
+                            size: 11
+                        }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(44, 62, 80, 0.9)',
+                    padding: 12,
+                    cornerRadius: 8
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: '',
+                        font: {
+                            family: 'Poppins',
+                            size: 13,
+                            weight: '600'
+                        }
+                    },
+                    grid: {
+                        color: 'rgba(0, 0, 0, 0.05)'
+                    }
+                },
+                y: {
+                    grid: {
+                        display: false
+                    },
+                    ticks: {
+                        font: {
+                            family: 'Poppins',
+                            size: 11
+                        }
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Shared options for the sweep charts (x is numeric so it can switch to a log axis)
+ */
+function buildSweepChartOptions(yTitle) {
+    const axisTitle = text => ({
+        display: true,
+        text,
+        font: {
+            family: 'Poppins',
+            size: 13,
+            weight: '600'
+        }
+    });
+    
+    return {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            mode: 'nearest',
+            axis: 'x',
+            intersect: false
+        },
+        plugins: {
+            legend: {
+                display: true,
+                position: 'top',
+                labels: {
+                    font: {
+                        family: 'Poppins',
+                        size: 11
+                    },
+                    usePointStyle: true,
+                    padding: 15
+                }
+            },
+            tooltip: {
+                backgroundColor: 'rgba(44, 62, 80, 0.9)',
+                padding: 12,
+                cornerRadius: 8
+            }
+        },
+        scales: {
+            x: {
+                type: 'linear',
+                title: axisTitle('Parameter value'),
+                grid: {
+                    color: 'rgba(0, 0, 0, 0.05)'
+                }
+            },
+            y: {
+                title: axisTitle(yTitle),
+                grid: {
+                    color: 'rgba(0, 0, 0, 0.05)'
+                }
+            }
+        },
+        animation: {
+            duration: 0
+        }
+    };
+}
+
+/**
+ * Initialize parameter sweep charts (steady-state expression and disease risk)
+ */
+function initializeSweepCharts() {
+    const expressionCtx = document.getElementById('sweep-expression-chart');
+    const riskCtx = document.getElementById('sweep-risk-chart');
+    
+    if (!expressionCtx || !riskCtx) {
+        console.error('Canvas elements for the parameter sweep not found');
+        return;
+    }
+    
+    const expressionOptions = buildSweepChartOptions('mRNA (TPM, dashed)');
+    expressionOptions.scales.y1 = {
+        position: 'right',
+        title: { ...expressionOptions.scales.y.title, text: 'Protein (a.u., solid)' },
+        grid: {
+            drawOnChartArea: false
+        }
+    };
+    
+    state.charts.sweepExpression = new Chart(expressionCtx, {
+        type: 'line',
+        data: {
+            datasets: []
+        },
+        options: expressionOptions
+    });
+    
+    const riskOptions = buildSweepChartOptions('Disease Risk (%)');
+    riskOptions.scales.y.min = 0;
+    riskOptions.scales.y.max = 100;
+    
+    state.charts.sweepRisk = new Chart(riskCtx, {
+        type: 'line',
+        data: {
+            datasets: []
+        },
+        options: riskOptions
+    });
+}
+
+/**
+ * Initialize hysteresis chart (steady-state branches, up/down sweeps and saddle-node points)
+ */
+function initializeHysteresisChart() {
+    const ctx = document.getElementById('hysteresis-chart');
+    
+    if (!ctx) {
+        console.error('Canvas element hysteresis-chart not found');
+        return;
+    }
+    
+    const options = buildSweepChartOptions('Steady-state protein (AU)');
+    options.scales.x.title.text = 'TF Concentration (nM)';
+    options.scales.y.beginAtZero = true;
+    
+    // Branches share a label, so list each label once
+    options.plugins.legend.labels.filter = (item, data) =>
+        data.datasets.findIndex(dataset => dataset.label === item.text) === item.datasetIndex;
+    
+    state.charts.hysteresis = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: []
+        },
+        options
+    });
+}
+
+/**
+ * Initialize MCMC charts (trace per iteration, marginal histogram and pairwise scatter)
+ */
+function initializeMcmcCharts() {
+    const canvases = ['mcmc-trace-chart', 'mcmc-histogram-chart', 'mcmc-pairs-chart'].map(id => document.getElementById(id));
+    
+    if (canvases.some(ctx => !ctx)) {
+        console.error('Canvas elements for the MCMC charts not found');
+        return;
+    }
+    
+    const traceOptions = buildSweepChartOptions('Parameter value');
+    traceOptions.scales.x.title.text = 'Iteration';
+    state.charts.mcmcTrace = new Chart(canvases[0], {
+        type: 'line',
+        data: {
+            datasets: []
+        },
+        options: traceOptions
+    });
+    
+    const histogramOptions = buildSweepChartOptions('Fraction of samples');
+    histogramOptions.plugins.legend.display = false;
+    histogramOptions.scales.x.offset = false;
+    histogramOptions.scales.y.beginAtZero = true;
+    state.charts.mcmcHistogram = new Chart(canvases[1], {
+        type: 'bar',
+        data: {
+            datasets: []
+        },
+        options: histogramOptions
+    });
+    
+    const pairOptions = buildSweepChartOptions('Parameter value');
+    pairOptions.interaction = {
+        mode: 'nearest',
+        intersect: true
+    };
+    pairOptions.plugins.legend.display = false;
+    state.charts.mcmcPairs = new Chart(canvases[2], {
+        type: 'scatter',
+        data: {
+            datasets: []
+        },
+        options: pairOptions
+    });
+}
+
+/**
+ * Initialize scenario comparison charts (overlaid mRNA and protein trajectories)
+ */
+function initializeComparisonCharts() {
+    const createOptions = (yTitle) => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+            mode: 'index',
+            intersect: false
+        },
+        plugins: {
+            legend: {
+                display: true,
+                position: 'top',
+                labels: {
+                    font: {
+                        family: 'Poppins',
+                        size: 11
+                    },
+                    boxWidth: 24,
+                    padding: 10
+                }
+            },
+            tooltip: {
+                backgroundColor: 'rgba(44, 62, 80, 0.9)',
+                padding: 12,
+                cornerRadius: 8
+            }
+        },
+        scales: {
+            x: {
+                title: {
+                    display: true,
+                    text: 'Time (hours)',
+                    font: {
+                        family: 'Poppins',
+                        size: 13,
+                        weight: '600'
+                    }
+                },
+                grid: {
+                    color: 'rgba(0, 0, 0, 0.05)'
+                }
+            },
+            y: {
+                title: {
+                    display: true,
+                    text: yTitle,
+                    font: {
+                        family: 'Poppins',
+                        size: 13,
+                        weight: '600'
+                    }
+                },
+                beginAtZero: true,
+                grid: {
+                    color: 'rgba(0, 0, 0, 0.05)'
+                }
+            }
+        },
+        animation: {
+            duration: 0
+        }
+    });
+    
+    [['comparisonMrna', 'comparison-mrna-chart', 'mRNA Expression (TPM)'],
+     ['comparisonProtein', 'comparison-protein-chart', 'Protein Level (AU)']].forEach(([chartKey, canvasId, yTitle]) => {
+        const ctx = document.getElementById(canvasId);
+        
+        if (!ctx) {
+            console.error(`Canvas element ${canvasId} not found`);
+            return;
+        }
+        
+        state.charts[chartKey] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: []
+            },
+            options: createOptions(yTitle)
+        });
+    });
+}
+
+/**
+ * Initialize mRNA chart
+ */
+function initializeMRNAChart() {
+    const ctx = document.getElementById('mrna-chart');
+    
+    if (!ctx) {
+        console.error('Canvas element mrna-chart not found');
+        return;
+    }
+    
+    state.charts.mrna = new Chart(ctx, {
         type: 'line',
+        plugins: [interventionAnnotationPlugin],
         data: {
             labels: [],
             datasets: []
@@ -2549,7 +4238,8 @@ function initializeMRNAChart() {
             responsive: true,
             maintainAspectRatio: false,
             interaction: {
-                mode: 'index',
+                mode: 'nearest',
+                axis: 'x',
                 intersect: false
             },
             plugins: {
@@ -2562,6 +4252,7 @@ function initializeMRNAChart() {
                             size: 11 
                         },
                         usePointStyle: true,
+                        filter: (item, data) => !data.datasets[item.datasetIndex].ensembleBand,
                         padding: 15
                     }
                 },
@@ -2581,6 +4272,7 @@ function initializeMRNAChart() {
             },
             scales: {
                 x: {
+                    type: 'linear',
                     title: {
                         display: true,
                         text: 'Time (hours)',
@@ -2609,683 +4301,4509 @@ function initializeMRNAChart() {
                         color: 'rgba(0, 0, 0, 0.05)' 
                     }
                 }
-            },
-            animation: {
-                duration: 0  // Disable for real-time updates
+            },
+            animation: {
+                duration: 0  // Disable for real-time updates
+            }
+        }
+    });
+}
+
+
+/**
+ * Initialize protein chart
+ */
+function initializeProteinChart() {
+    const ctx = document.getElementById('protein-chart');
+    
+    if (!ctx) {
+        console.error('Canvas element protein-chart not found');
+        return;
+    }
+    
+    state.charts.protein = new Chart(ctx, {
+        type: 'line',
+        plugins: [interventionAnnotationPlugin],
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'nearest',
+                axis: 'x',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        font: { 
+                            family: 'Poppins', 
+                            size: 11 
+                        },
+                        usePointStyle: true,
+                        filter: (item, data) => !data.datasets[item.datasetIndex].ensembleBand && !data.datasets[item.datasetIndex].referenceLine,
+                        padding: 15
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(44, 62, 80, 0.9)',
+                    titleFont: { 
+                        family: 'Poppins', 
+                        size: 13 
+                    },
+                    bodyFont: { 
+                        family: 'Poppins', 
+                        size: 12 
+                    },
+                    padding: 12,
+                    cornerRadius: 8
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    title: {
+                        display: true,
+                        text: 'Time (hours)',
+                        font: { 
+                            family: 'Poppins', 
+                            size: 13, 
+                            weight: '600' 
+                        }
+                    },
+                    grid: { 
+                        color: 'rgba(0, 0, 0, 0.05)' 
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Protein Abundance (AU)',
+                        font: { 
+                            family: 'Poppins', 
+                            size: 13, 
+                            weight: '600' 
+                        }
+                    },
+                    beginAtZero: true,
+                    grid: { 
+                        color: 'rgba(0, 0, 0, 0.05)' 
+                    }
+                }
+            },
+            animation: {
+                duration: 0
+            }
+        }
+    });
+}
+
+
+/**
+ * Initialize disease risk trajectory chart (risk per disease, drug concentrations on a second axis)
+ */
+function initializeRiskTrajectoryChart() {
+    const ctx = document.getElementById('risk-trajectory-chart');
+    
+    if (!ctx) {
+        console.error('Canvas element risk-trajectory-chart not found');
+        return;
+    }
+    
+    const options = buildSweepChartOptions('Disease Risk (%)');
+    options.interaction = {
+        mode: 'index',
+        intersect: false
+    };
+    options.scales.x = {
+        title: { ...options.scales.y.title, text: 'Time (hours)' },
+        grid: {
+            color: 'rgba(0, 0, 0, 0.05)'
+        }
+    };
+    options.scales.y.min = 0;
+    options.scales.y.max = 100;
+    options.scales.y1 = {
+        display: false,
+        position: 'right',
+        beginAtZero: true,
+        title: { ...options.scales.y.title, text: 'Drug concentration (mg/L, dashed)' },
+        grid: {
+            drawOnChartArea: false
+        }
+    };
+    
+    state.charts.riskTrajectory = new Chart(ctx, {
+        type: 'line',
+        plugins: [interventionAnnotationPlugin],
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options
+    });
+}
+
+
+/**
+ * Initialize contribution chart
+ */
+function initializeContributionChart() {
+    const ctx = document.getElementById('contribution-chart');
+    
+    if (!ctx) {
+        console.error('Canvas element contribution-chart not found');
+        return;
+    }
+    
+    state.charts.contribution = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: true,
+                    position: 'top',
+                    labels: {
+                        font: { 
+                            family: 'Poppins', 
+                            size: 11 
+                        }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(44, 62, 80, 0.9)',
+                    titleFont: { 
+                        family: 'Poppins', 
+                        size: 13 
+                    },
+                    bodyFont: { 
+                        family: 'Poppins', 
+                        size: 12 
+                    },
+                    padding: 12,
+                    cornerRadius: 8
+                }
+            },
+            scales: {
+                x: {
+                    stacked: true,
+                    grid: { 
+                        display: false 
+                    },
+                    ticks: {
+                        font: { 
+                            family: 'Poppins', 
+                            size: 11 
+                        }
+                    }
+                },
+                y: {
+                    stacked: true,
+                    title: {
+                        display: true,
+                        text: 'Contribution to Disease Risk',
+                        font: { 
+                            family: 'Poppins', 
+                            size: 13, 
+                            weight: '600' 
+                        }
+                    },
+                    beginAtZero: true,
+                    grid: { 
+                        color: 'rgba(0, 0, 0, 0.05)' 
+                    }
+                }
+            }
+        }
+    });
+}
+
+
+
+/**
+ * Update time-series charts
+ */
+function updateCharts() {
+    if (!state.charts.mrna || !state.charts.protein) return;
+    
+    updateRiskTrajectoryChart();
+    
+    if (state.ensemble.results) {
+        updateEnsembleCharts();
+        return;
+    }
+
+    // Update datasets for each selected gene
+    const mrnaDatasets = [];
+    const proteinDatasets = [];
+    const time = state.simulation.timeSeriesData.time;
+    const series = state.selectedGenes
+        .map(gene => state.simulation.timeSeriesData.genes[gene.symbol])
+        .filter(Boolean);
+    const mrnaIndices = getChartIndices(time, series.map(data => data.mrna));
+    const proteinIndices = getChartIndices(time, series.map(data => data.protein));
+    
+    state.selectedGenes.forEach((gene, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        const data = state.simulation.timeSeriesData.genes[gene.symbol];
+        
+        if (data) {
+            mrnaDatasets.push({
+                label: gene.symbol,
+                data: mrnaIndices.map(i => data.mrna[i]),
+                borderColor: color,
+                backgroundColor: color + '20',
+                borderWidth: 2,
+                fill: false,
+                tension: 0.4,
+                pointRadius: 0,
+                pointHoverRadius: 5
+            });
+            
+            proteinDatasets.push({
+                label: gene.symbol,
+                data: proteinIndices.map(i => data.protein[i]),
+                borderColor: color,
+                backgroundColor: color + '20',
+                borderWidth: 2,
+                fill: false,
+                tension: 0.4,
+                pointRadius: 0,
+                pointHoverRadius: 5
+            });
+        }
+    });
+    
+    // Posterior-predictive bands and the measured time courses they were conditioned on
+    mrnaDatasets.push(...getPosteriorBandDatasets('mrna', mrnaIndices.map(i => time[i])));
+    proteinDatasets.push(...getPosteriorBandDatasets('protein', proteinIndices.map(i => time[i])));
+    mrnaDatasets.push(...getObservedDatasets('mrna', time[mrnaIndices[mrnaIndices.length - 1]]));
+    proteinDatasets.push(...getObservedDatasets('protein', time[proteinIndices[proteinIndices.length - 1]]));
+    
+    // Update mRNA chart
+    state.charts.mrna.data.labels = mrnaIndices.map(i => time[i]);
+    state.charts.mrna.data.datasets = mrnaDatasets;
+    state.charts.mrna.update('none');
+    
+    // Dashed steady-state levels of the current parameters
+    proteinDatasets.push(...getSteadyStateDatasets(proteinIndices.length));
+    
+    // Update protein chart
+    state.charts.protein.data.labels = proteinIndices.map(i => time[i]);
+    state.charts.protein.data.datasets = proteinDatasets;
+    state.charts.protein.update('none');
+}
+
+/**
+ * Update disease risk trajectory chart with the plasma concentration of every drug at the drawn times
+ * (single runs only: ensembles summarize final risks, not trajectories)
+ */
+function updateRiskTrajectoryChart() {
+    const chart = state.charts.riskTrajectory;
+    if (!chart) return;
+    
+    const time = state.simulation.timeSeriesData.time;
+    const risks = state.ensemble.results ? {} : state.simulation.timeSeriesData.risks || {};
+    const diseases = state.selectedDiseases.filter(disease => risks[disease.name]);
+    const indices = diseases.length > 0 ? getChartIndices(time, diseases.map(disease => risks[disease.name])) : [];
+    const labels = indices.map(i => time[i]);
+    
+    const datasets = diseases.map((disease, index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        return {
+            label: disease.name,
+            data: indices.map(i => risks[disease.name][i]),
+            borderColor: color,
+            backgroundColor: color + '20',
+            borderWidth: 2,
+            fill: false,
+            tension: 0.4,
+            pointRadius: 0,
+            pointHoverRadius: 5,
+            yAxisID: 'y'
+        };
+    });
+    
+    if (labels.length > 0) {
+        state.drugs.forEach((drug, index) => {
+            const color = CHART_COLORS[(diseases.length + index) % CHART_COLORS.length];
+            datasets.push({
+                label: `${drug.name} (mg/L)`,
+                data: labels.map(t => SimulationCore.getDrugConcentration(drug, t)),
+                borderColor: color,
+                backgroundColor: color + '20',
+                borderWidth: 1.5,
+                borderDash: [6, 4],
+                fill: false,
+                tension: 0,
+                pointRadius: 0,
+                pointHoverRadius: 4,
+                yAxisID: 'y1'
+            });
+        });
+    }
+    
+    chart.options.scales.y1.display = state.drugs.length > 0 && labels.length > 0;
+    chart.data.labels = labels;
+    chart.data.datasets = datasets;
+    chart.update('none');
+}
+
+/**
+ * Indices of the points to draw for series sharing a time axis (LTTB within the chart point budget)
+ */
+function getChartIndices(time, series) {
+    return SimulationCore.downsampleLTTB(time, series, state.simulationSettings.chartMaxPoints);
+}
+
+
+/**
+ * Update contribution chart
+ */
+function updateContributionChart() {
+    if (!state.charts.contribution) {
+        console.warn('Contribution chart not initialized yet');
+        return;
+    }
+    
+    if (state.selectedGenes.length === 0 || state.selectedDiseases.length === 0) {
+        state.charts.contribution.data.labels = [];
+        state.charts.contribution.data.datasets = [];
+        state.charts.contribution.update();
+        return;
+    }
+    
+    // Calculate current values for all selected genes
+    const currentValues = {};
+    const proteinLevels = getCurrentProteinLevels();
+    const random = createSeededRandom(deriveSeed(state.seed, 1));
+    
+    for (const gene of state.selectedGenes) {
+        // Calculate gene expression using current (per-gene) parameters
+        const E_gene = calculateGeneExpressionFor(gene, proteinLevels);
+        
+        // Add noise to get transcriptomics
+        const T = addExpressionNoise(E_gene, state.params.expressionNoise, random);
+        
+        // Get current protein level from simulation or use baseline
+        let P = gene.baselineProtein;
+        if (state.simulation.timeSeriesData.genes[gene.symbol] && 
+            state.simulation.timeSeriesData.genes[gene.symbol].protein.length > 0) {
+            const proteinData = state.simulation.timeSeriesData.genes[gene.symbol].protein;
+            P = proteinData[proteinData.length - 1];
+        }
+        
+        currentValues[gene.symbol] = {
+            genomic: E_gene,
+            transcriptomic: T,
+            proteomic: P
+        };
+    }
+    
+    // Prepare data for each disease
+    const diseaseLabels = state.selectedDiseases.map(d => d.name);
+    
+    // Calculate contributions per gene for each disease
+    const geneContributions = {};
+    
+    state.selectedGenes.forEach((gene, index) => {
+        geneContributions[gene.symbol] = {
+            data: [],
+            backgroundColor: CHART_COLORS[index % CHART_COLORS.length] + 'CC',
+            borderColor: CHART_COLORS[index % CHART_COLORS.length],
+            borderWidth: 2,
+            label: gene.symbol
+        };
+    });
+    
+    // Calculate contribution for each disease
+    for (const disease of state.selectedDiseases) {
+        for (const gene of state.selectedGenes) {
+            const weight = disease.geneWeights[gene.symbol] || 0;
+            const values = currentValues[gene.symbol];
+            
+            if (values) {
+                // Normalize values by baseline
+                const normG = values.genomic / gene.Vmax;
+                const normT = values.transcriptomic / gene.Vmax;
+                const normP = values.proteomic / gene.baselineProtein;
+                
+                // Get normalized weights
+                const normalized = normalizeWeights(
+                    state.params.weightGenomics,
+                    state.params.weightTranscriptomics,
+                    state.params.weightProteomics
+                );
+                
+                // Calculate combined contribution
+                const contribution = Math.abs(weight) * (
+                    normalized.w1 * normG +
+                    normalized.w2 * normT +
+                    normalized.w3 * normP
+                ) * 100;
+                
+                geneContributions[gene.symbol].data.push(contribution);
+            } else {
+                geneContributions[gene.symbol].data.push(0);
+            }
+        }
+    }
+    
+    // Convert to datasets array
+    const datasets = Object.values(geneContributions);
+    
+    // Update chart
+    state.charts.contribution.data.labels = diseaseLabels;
+    state.charts.contribution.data.datasets = datasets;
+    state.charts.contribution.update();
+    
+    console.log('✓ Contribution chart updated with', datasets.length, 'genes and', diseaseLabels.length, 'diseases');
+}
+
+
+
+
+
+// =============================================================================
+// 7. PARAMETER CHANGE DETECTION & IMPACT ANALYSIS
+// =============================================================================
+
+
+/**
+ * Detect and track parameter changes
+ * The baseline (state.previousParams) only advances once a change is recorded,
+ * so a burst of slider moves becomes a single history entry.
+ */
+function detectParameterChange(paramKey) {
+    // Initialize previous params if not set
+    if (!state.previousParams) {
+        state.previousParams = { ...state.params };
+        return;
+    }
+    
+    // Calculate the change
+    const oldValue = state.previousParams[paramKey];
+    const newValue = state.params[paramKey];
+    
+    if (Math.abs(newValue - oldValue) > 0.001) {
+        console.log(`Parameter changed: ${paramKey} from ${oldValue.toFixed(3)} to ${newValue.toFixed(3)}`);
+        
+        // Record the change after a short delay (debounce)
+        clearTimeout(window.paramChangeTimeout);
+        window.paramChangeTimeout = setTimeout(() => {
+            analyzeParameterImpact();
+        }, 500);
+    }
+}
+
+/**
+ * Steady-state risk (%) of each selected disease under a parameter set
+ */
+function calculateRisksForParams(params) {
+    const config = { ...buildSimulationConfig(), params: { ...params } };
+    const { values } = SimulationCore.findSteadyState(config);
+    const risks = {};
+    
+    state.selectedDiseases.forEach(disease => {
+        risks[disease.name] = calculateDiseaseRisk(
+            values,
+            disease,
+            params.weightGenomics,
+            params.weightTranscriptomics,
+            params.weightProteomics
+        ).risk;
+    });
+    
+    return risks;
+}
+
+/**
+ * Compare the current parameters with the last recorded baseline and, if any changed,
+ * add a history entry with before/after disease risk and a per-parameter attribution.
+ * Attribution is one-at-a-time: each changed parameter is substituted alone into the
+ * previous set; whatever the individual effects do not explain is reported as interaction.
+ */
+function analyzeParameterImpact(source = 'Parameter adjustment') {
+    if (!state.previousParams) return;
+    
+    const baseline = state.previousParams;
+    const changes = [];
+    
+    // Detect changes
+    for (const key in state.params) {
+        if (Math.abs(state.params[key] - baseline[key]) > 0.001) {
+            const delta = state.params[key] - baseline[key];
+            
+            changes.push({
+                key,
+                param: PARAMETER_DEFINITIONS[key].label,
+                from: baseline[key],
+                to: state.params[key],
+                delta: delta,
+                percentChange: baseline[key] !== 0 ? Math.abs(delta / baseline[key]) * 100 : 100
+            });
+        }
+    }
+    
+    if (changes.length === 0) {
+        displayParameterImpact();
+        return;
+    }
+    
+    // Before/after risk and one-at-a-time attribution
+    const riskBefore = calculateRisksForParams(baseline);
+    const riskAfter = calculateRisksForParams(state.params);
+    const diseaseNames = Object.keys(riskBefore);
+    
+    changes.forEach(change => {
+        const substituted = calculateRisksForParams({ ...baseline, [change.key]: change.to });
+        change.riskDeltas = {};
+        diseaseNames.forEach(name => {
+            change.riskDeltas[name] = substituted[name] - riskBefore[name];
+        });
+        change.maxRiskDelta = Math.max(0, ...Object.values(change.riskDeltas).map(Math.abs));
+        
+        // Rate by risk moved (percentage points); fall back to relative change without diseases
+        change.impact = diseaseNames.length > 0
+            ? (change.maxRiskDelta > 5 ? 'high' : change.maxRiskDelta > 1 ? 'medium' : 'low')
+            : (change.percentChange > 50 ? 'high' : change.percentChange > 20 ? 'medium' : 'low');
+    });
+    
+    // Sort by impact
+    changes.sort((a, b) => b.maxRiskDelta - a.maxRiskDelta || b.percentChange - a.percentChange);
+    
+    const risks = diseaseNames.map(name => {
+        const delta = riskAfter[name] - riskBefore[name];
+        const attributed = changes.reduce((sum, change) => sum + change.riskDeltas[name], 0);
+        return { disease: name, before: riskBefore[name], after: riskAfter[name], delta, interaction: delta - attributed };
+    });
+    
+    state.changeHistory.unshift({ timestamp: new Date().toISOString(), source, changes, risks });
+    state.changeHistory.splice(SIMULATION_CONFIG.changeHistoryLimit);
+    
+    // The current set becomes the baseline for the next change
+    state.previousParams = { ...state.params };
+    
+    // Display results
+    displayParameterImpact();
+}
+
+/**
+ * Clear the parameter change history
+ */
+function clearChangeHistory() {
+    state.changeHistory = [];
+    state.previousParams = { ...state.params };
+    displayParameterImpact();
+}
+
+/**
+ * Format a risk change in percentage points
+ */
+function formatRiskDelta(delta) {
+    if (Math.abs(delta) < 0.05) return '±0.0 pts';
+    return `${delta > 0 ? '+' : ''}${delta.toFixed(1)} pts`;
+}
+
+/**
+ * Display the parameter change history (newest first)
+ */
+function displayParameterImpact() {
+    const container = document.getElementById('what-changed-content');
+    
+    if (!container) {
+        console.error('what-changed-content element not found');
+        return;
+    }
+    
+    document.getElementById('change-history-count').textContent = state.changeHistory.length > 0
+        ? `${state.changeHistory.length} recorded change(s) this session`
+        : '';
+    
+    if (state.changeHistory.length === 0) {
+        container.innerHTML = '<p class="empty-state">Adjust parameters to see impact analysis. Changes will appear here after you modify sliders.</p>';
+        return;
+    }
+    
+    container.innerHTML = state.changeHistory.map(entry => `
+        <div class="change-entry">
+            <div class="change-entry-header">
+                <span class="change-entry-source">${escapeHTML(entry.source)}</span>
+                <span class="change-entry-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+            </div>
+            ${entry.risks.length > 0 ? `
+                <div class="change-risks">
+                    ${entry.risks.map(risk => `
+                        <div class="change-risk-row">
+                            <span class="change-risk-disease">${escapeHTML(risk.disease)}</span>
+                            <span class="change-risk-values">${risk.before.toFixed(1)}% → ${risk.after.toFixed(1)}%</span>
+                            <span class="change-risk-delta ${risk.delta > 0.05 ? 'up' : risk.delta < -0.05 ? 'down' : ''}">${formatRiskDelta(risk.delta)}</span>
+                        </div>
+                        ${Math.abs(risk.interaction) > 0.05 ? `<div class="change-interaction">Interaction between changes: ${formatRiskDelta(risk.interaction)}</div>` : ''}
+                    `).join('')}
+                </div>
+            ` : '<p class="help-text small">Select diseases to see the effect on risk.</p>'}
+            ${entry.changes.map(change => {
+                const icon = change.impact === 'high' ? '🔴' : change.impact === 'medium' ? '🟡' : '🟢';
+                const impactText = change.impact === 'high' ? 'High Impact' :
+                                  change.impact === 'medium' ? 'Medium Impact' : 'Low Impact';
+                const attribution = Object.entries(change.riskDeltas)
+                    .map(([name, delta]) => `${escapeHTML(name)} ${formatRiskDelta(delta)}`)
+                    .join(' · ');
+                
+                return `
+                    <div class="change-item">
+                        <div class="change-icon">${icon}</div>
+                        <div class="change-details">
+                            <div class="change-parameter">${change.param}</div>
+                            <div class="change-delta">${change.from.toFixed(3)} → ${change.to.toFixed(3)} (${change.delta > 0 ? '+' : ''}${change.delta.toFixed(3)}, ${change.percentChange.toFixed(1)}% change)</div>
+                            ${attribution ? `<div class="change-attribution">Risk: ${attribution}</div>` : ''}
+                        </div>
+                        <div class="change-impact ${change.impact}">${impactText}</div>
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Steady-state analysis of the current slider parameters (interventions and drugs not applied)
+ * Recomputed only when the model inputs change; the panel is re-rendered with it.
+ */
+function refreshSteadyStateAnalysis() {
+    const config = buildSimulationConfig();
+    const key = JSON.stringify([config.params, config.geneOverrides, config.networkEnabled, config.genes]);
+    
+    if (key !== state.steadyState.key) {
+        state.steadyState.key = key;
+        try {
+            state.steadyState.analysis = SimulationCore.analyzeSteadyState(config);
+        } catch (error) {
+            console.error('Steady-state analysis failed:', error);
+            state.steadyState.analysis = null;
+        }
+        renderSteadyStateAnalysis();
+    }
+    return state.steadyState.analysis;
+}
+
+/**
+ * Dashed P* reference lines for the protein chart (`count` points, matching its labels)
+ */
+function getSteadyStateDatasets(count) {
+    const analysis = refreshSteadyStateAnalysis();
+    if (!state.steadyState.showLines || !analysis || count === 0) return [];
+    
+    return analysis.genes.map(result => {
+        const index = state.selectedGenes.findIndex(gene => gene.symbol === result.symbol);
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        return {
+            label: `${result.symbol} steady state (P*)`,
+            data: new Array(count).fill(result.protein),
+            borderColor: color,
+            borderWidth: 1,
+            borderDash: [6, 4],
+            fill: false,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            referenceLine: true
+        };
+    });
+}
+
+/**
+ * Format a time or rate for the steady-state tables (∞ when there is none)
+ */
+function formatSteadyStateValue(value) {
+    return Number.isFinite(value) ? formatAxisValue(value) : '∞';
+}
+
+/**
+ * Format an eigenvalue as a ± bi
+ */
+function formatEigenvalue(eigenvalue) {
+    const re = formatSteadyStateValue(eigenvalue.re);
+    return Math.abs(eigenvalue.im) > 1e-9 ? `${re} ± ${formatSteadyStateValue(Math.abs(eigenvalue.im))}i` : re;
+}
+
+/**
+ * One-sentence summary of the fixed points found
+ */
+function describeFixedPoints(analysis) {
+    const total = analysis.fixedPoints.length;
+    const stable = analysis.fixedPoints.filter(point => point.stable).length;
+    let text = `${total} fixed point${total === 1 ? '' : 's'} found (${stable} stable)`;
+    
+    text += stable > 1
+        ? ': the network is multistable, so where a run settles depends on where it starts.'
+        : '.';
+    if (analysis.reference && !analysis.reference.stable) {
+        text += ' The steady state reached from the baseline levels (★) is unstable, so noise drives runs away from it.';
+    }
+    return text;
+}
+
+/**
+ * Render the steady-state and stability tables
+ */
+function renderSteadyStateAnalysis() {
+    const container = document.getElementById('steady-state-content');
+    const analysis = state.steadyState.analysis;
+    
+    if (state.selectedGenes.length === 0) {
+        container.innerHTML = '<p class="empty-state">Select genes to see their steady states.</p>';
+        return;
+    }
+    if (!analysis) {
+        container.innerHTML = '<p class="help-text small">The steady-state analysis failed for these parameters.</p>';
+        return;
+    }
+    if (!analysis.bounded) {
+        container.innerHTML = '<p class="help-text small">Protein degradation is 0, so protein levels grow without bound and there is no steady state.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="analysis-range-table steady-state-table">
+            <thead>
+                <tr><th>Gene</th><th>M* (TPM)</th><th>P* (AU)</th><th>Relaxation 1/δp (h)</th><th>90% settling (h)</th></tr>
+            </thead>
+            <tbody>
+                ${analysis.genes.map(result => `
+                    <tr>
+                        <td>${escapeHTML(result.symbol)}</td>
+                        <td>${formatSteadyStateValue(result.mrna)}</td>
+                        <td>${formatSteadyStateValue(result.protein)}</td>
+                        <td>${formatSteadyStateValue(result.relaxationTime)}</td>
+                        <td>${formatSteadyStateValue(result.settlingTime)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <p class="help-text small">${describeFixedPoints(analysis)}</p>
+        <table class="analysis-range-table steady-state-table">
+            <thead>
+                <tr><th>#</th><th>Stability</th><th>Leading eigenvalue (h⁻¹)</th><th>Relaxation (h)</th><th>Protein levels (AU)</th></tr>
+            </thead>
+            <tbody>
+                ${analysis.fixedPoints.map((point, index) => `
+                    <tr class="${point.stable ? '' : 'steady-state-unstable'}">
+                        <td>${index + 1}${point.reference ? ' ★' : ''}</td>
+                        <td>${point.type}</td>
+                        <td>${formatEigenvalue(point.eigenvalues[0])}</td>
+                        <td>${point.stable ? formatSteadyStateValue(point.relaxationTime) : '—'}</td>
+                        <td>${Object.entries(point.proteinLevels).map(([symbol, level]) => `${escapeHTML(symbol)} ${formatSteadyStateValue(level)}`).join(', ')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Steady-state section of the HTML report
+ */
+function generateSteadyStateReportHTML() {
+    const analysis = refreshSteadyStateAnalysis();
+    if (!analysis || !analysis.bounded || analysis.genes.length === 0) return '';
+    
+    return `
+        <div class="section">
+            <h2 class="section-title">
+                <span class="section-icon">⚓</span>
+                Steady-State & Stability Analysis
+            </h2>
+            
+            <p style="margin-bottom: 20px; color: #7f8c8d;">
+                Noise-free model under the parameter values above (scheduled interventions and drugs not applied).
+                P* = η·M* / δp is the protein level each gene settles to from the baseline levels; the 90% settling time is
+                measured from the start of a run, with transcription held at its steady-state rate.
+            </p>
+            
+            <table>
+                <thead>
+                    <tr>
+                        <th>Gene</th>
+                        <th>M* (TPM)</th>
+                        <th>P* (AU)</th>
+                        <th>Relaxation 1/δp (h)</th>
+                        <th>90% Settling (h)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${analysis.genes.map(result => `
+                    <tr>
+                        <td><strong>${escapeHTML(result.symbol)}</strong></td>
+                        <td>${formatSteadyStateValue(result.mrna)}</td>
+                        <td>${formatSteadyStateValue(result.protein)}</td>
+                        <td>${formatSteadyStateValue(result.relaxationTime)}</td>
+                        <td>${formatSteadyStateValue(result.settlingTime)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            
+            <h3 style="margin: 30px 0 15px 0; color: #2c3e50;">Fixed Points</h3>
+            <p style="margin-bottom: 15px; color: #7f8c8d;">
+                ${describeFixedPoints(analysis)} Stability follows from the eigenvalues of the Jacobian of the
+                mRNA/protein system: all real parts negative means perturbations decay.
+            </p>
+            <table>
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Stability</th>
+                        <th>Eigenvalues (h⁻¹)</th>
+                        <th>Protein Levels (AU)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${analysis.fixedPoints.map((point, index) => `
+                    <tr>
+                        <td>${index + 1}${point.reference ? ' ★' : ''}</td>
+                        <td style="font-weight: bold; color: ${point.stable ? '#27ae60' : '#e74c3c'};">${point.type}</td>
+                        <td>${point.eigenvalues.filter(e => e.im >= 0).map(formatEigenvalue).join(', ')}</td>
+                        <td>${Object.entries(point.proteinLevels).map(([symbol, level]) => `${escapeHTML(symbol)} ${formatSteadyStateValue(level)}`).join(', ')}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Recompute the steady state after a model input changed and redraw the reference lines
+ */
+function updateSteadyStateAnalysis() {
+    const key = state.steadyState.key;
+    refreshSteadyStateAnalysis();
+    if (state.steadyState.key !== key) {
+        updateCharts();
+    }
+}
+
+/**
+ * Default sensitivity ranges: each parameter's slider range (degradation kept above 0)
+ */
+function getDefaultSensitivityRanges() {
+    const ranges = {};
+    for (const [key, def] of Object.entries(PARAMETER_DEFINITIONS)) {
+        ranges[key] = [key === 'proteinDegradation' ? Math.max(def.min, def.step) : def.min, def.max];
+    }
+    return ranges;
+}
+
+/**
+ * Render the parameter range table of the sensitivity analysis panel
+ */
+function renderSensitivityRanges() {
+    const container = document.getElementById('sa-ranges');
+    const ranges = getDefaultSensitivityRanges();
+    
+    container.innerHTML = `
+        <table class="analysis-range-table">
+            <thead>
+                <tr><th>Vary</th><th>Parameter</th><th>Min</th><th>Max</th></tr>
+            </thead>
+            <tbody>
+                ${Object.entries(PARAMETER_DEFINITIONS).map(([key, def]) => `
+                    <tr data-key="${key}">
+                        <td><input type="checkbox" class="sa-include" checked aria-label="Vary ${def.label}"></td>
+                        <td>${def.label}${def.unit ? ` <span class="unit-label">(${def.unit})</span>` : ''}</td>
+                        <td><input type="number" class="sa-min" value="${ranges[key][0]}" min="${def.min}" max="${def.max}" step="${def.step}"></td>
+                        <td><input type="number" class="sa-max" value="${ranges[key][1]}" min="${def.min}" max="${def.max}" step="${def.step}"></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    container.querySelectorAll('input').forEach(input => input.addEventListener('change', updateSensitivityCost));
+    updateSensitivityCost();
+}
+
+/**
+ * Read the ranges of the parameters to vary (null after alerting if one is invalid)
+ */
+function readSensitivityRanges() {
+    const ranges = {};
+    
+    for (const row of document.querySelectorAll('#sa-ranges tr[data-key]')) {
+        if (!row.querySelector('.sa-include').checked) continue;
+        
+        const key = row.dataset.key;
+        const min = parseFloat(row.querySelector('.sa-min').value);
+        const max = parseFloat(row.querySelector('.sa-max').value);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+            alert(`Invalid range for ${PARAMETER_DEFINITIONS[key].label}: min must be below max.`);
+            return null;
+        }
+        ranges[key] = [min, max];
+    }
+    
+    if (Object.keys(ranges).length === 0) {
+        alert('Select at least one parameter to vary.');
+        return null;
+    }
+    return ranges;
+}
+
+/**
+ * Show how many model evaluations the chosen design needs
+ */
+function updateSensitivityCost() {
+    const method = document.getElementById('sa-method').value;
+    const samples = parseInt(document.getElementById('sa-samples').value, 10) || 0;
+    const k = document.querySelectorAll('#sa-ranges .sa-include:checked').length;
+    const evaluations = method === 'sobol' ? samples * (k + 2) : samples * (k + 1);
+    
+    document.getElementById('sa-samples-label').textContent = method === 'sobol' ? 'Base samples (N)' : 'Trajectories (r)';
+    document.getElementById('sa-cost').textContent = `${k} parameter(s), ${evaluations} model evaluations`;
+}
+
+/**
+ * Run the sensitivity analysis in the simulation worker so the page stays responsive
+ * Clicking again while it runs cancels the analysis.
+ */
+function startSensitivityAnalysis() {
+    if (state.sensitivity.running) {
+        cancelWorkerJob(state.sensitivity.jobId);
+        state.sensitivity.running = false;
+        setSensitivityProgress(null, 'Analysis cancelled.');
+        return;
+    }
+    if (state.selectedGenes.length === 0 || state.selectedDiseases.length === 0) {
+        alert('Please select at least one gene and one disease before running a sensitivity analysis.');
+        return;
+    }
+    
+    const ranges = readSensitivityRanges();
+    if (!ranges) return;
+    
+    const method = document.getElementById('sa-method').value;
+    const output = document.getElementById('sa-output').value;
+    const samples = Math.max(2, Math.min(2000, parseInt(document.getElementById('sa-samples').value, 10) || 0));
+    const keys = Object.keys(ranges);
+    const config = buildSimulationConfig();
+    const random = createSeededRandom(deriveSeed(config.seed, 3));
+    const design = method === 'sobol'
+        ? SimulationCore.createSobolDesign(keys.length, samples, random)
+        : SimulationCore.createMorrisDesign(keys.length, samples, 4, random);
+    
+    state.sensitivity.running = true;
+    setSensitivityProgress(0, `Evaluating ${design.points.length} parameter sets...`);
+    
+    state.sensitivity.jobId = startWorkerJob('sensitivity', { config, design, keys, ranges, output }, message => {
+        if (message.type === 'progress') {
+            setSensitivityProgress(message.completed / message.total, `Evaluated ${message.completed} / ${message.total} parameter sets...`);
+            return;
+        }
+        
+        state.sensitivity.running = false;
+        if (message.type === 'error') {
+            setSensitivityProgress(null, `Analysis failed: ${message.message}`);
+            return;
+        }
+        
+        const outputs = message.result.outputs;
+        const results = {};
+        for (const disease of config.diseases) {
+            results[disease.name] = SimulationCore.computeSensitivityIndices(design, outputs.map(o => o[disease.name]), keys);
+        }
+        
+        state.sensitivity.running = false;
+        state.sensitivity.results = { method, output, samples, ranges, seed: config.seed, evaluations: design.points.length, results };
+        setSensitivityProgress(null, `Done: ${design.points.length} model evaluations (seed ${config.seed}).`);
+        renderSensitivityResults();
+    });
+}
+
+/**
+ * Update the progress bar (fraction null hides it) and status text
+ */
+function setSensitivityProgress(fraction, message) {
+    const progress = document.getElementById('sa-progress');
+    progress.classList.toggle('hidden', fraction === null);
+    if (fraction !== null) {
+        document.getElementById('sa-progress-bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    document.getElementById('sa-status').textContent = message;
+    document.getElementById('sa-run-btn').innerHTML = state.sensitivity.running ? '⏹️ Cancel' : '▶️ Run Analysis';
+}
+
+/**
+ * Fill the disease selector and draw the ranked indices of the chosen disease
+ */
+function renderSensitivityResults() {
+    const analysis = state.sensitivity.results;
+    const select = document.getElementById('sa-disease');
+    if (!analysis) return;
+    
+    const names = Object.keys(analysis.results);
+    const current = names.includes(select.value) ? select.value : names[0];
+    select.innerHTML = names.map(name => `<option value="${escapeHTML(name)}">${escapeHTML(name)}</option>`).join('');
+    select.value = current;
+    document.getElementById('sa-results').classList.remove('hidden');
+    
+    updateSensitivityChart(current);
+}
+
+/**
+ * Draw ranked sensitivity indices (μ* and σ for Morris, S1 and ST for Sobol) for one disease
+ */
+function updateSensitivityChart(diseaseName) {
+    const analysis = state.sensitivity.results;
+    if (!state.charts.sensitivity || !analysis) return;
+    
+    const isSobol = analysis.method === 'sobol';
+    const indices = [...analysis.results[diseaseName]].sort((a, b) =>
+        isSobol ? b.totalOrder - a.totalOrder : b.muStar - a.muStar
+    );
+    
+    const chart = state.charts.sensitivity;
+    chart.data.labels = indices.map(i => PARAMETER_DEFINITIONS[i.parameter].label);
+    chart.data.datasets = isSobol
+        ? [
+            { label: 'First-order (S1)', data: indices.map(i => i.firstOrder), backgroundColor: CHART_COLORS[0] },
+            { label: 'Total-order (ST)', data: indices.map(i => i.totalOrder), backgroundColor: CHART_COLORS[1] }
+        ]
+        : [
+            { label: 'μ* (mean |elementary effect|)', data: indices.map(i => i.muStar), backgroundColor: CHART_COLORS[0] },
+            { label: 'σ (interactions / non-linearity)', data: indices.map(i => i.sigma), backgroundColor: CHART_COLORS[1] }
+        ];
+    chart.options.scales.x.title.text = isSobol
+        ? 'Fraction of risk variance'
+        : 'Risk change (% points) across the full parameter range';
+    chart.update();
+}
+
+/**
+ * Export the sensitivity indices of every disease as CSV
+ */
+function exportSensitivityCSV() {
+    const analysis = state.sensitivity.results;
+    if (!analysis) {
+        alert('No sensitivity analysis to export. Please run one first.');
+        return;
+    }
+    
+    const isSobol = analysis.method === 'sobol';
+    let csv = `# Method: ${isSobol ? 'Sobol (Saltelli/Jansen estimators)' : 'Morris elementary effects'}\n`;
+    csv += `# Output: ${analysis.output === 'simulation' ? 'risk at end of time course' : 'steady-state risk'}\n`;
+    csv += `# Samples: ${analysis.samples}; evaluations: ${analysis.evaluations}; seed: ${analysis.seed}\n`;
+    for (const [key, [min, max]] of Object.entries(analysis.ranges)) {
+        csv += `# Range ${key}: ${min} to ${max}\n`;
+    }
+    csv += isSobol ? 'Disease,Parameter,S1,ST\n' : 'Disease,Parameter,Mu,MuStar,Sigma\n';
+    
+    for (const [disease, indices] of Object.entries(analysis.results)) {
+        for (const i of indices) {
+            csv += isSobol
+                ? `"${disease}",${i.parameter},${i.firstOrder.toFixed(6)},${i.totalOrder.toFixed(6)}\n`
+                : `"${disease}",${i.parameter},${i.mu.toFixed(6)},${i.muStar.toFixed(6)},${i.sigma.toFixed(6)}\n`;
+        }
+    }
+    
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `multiomics_sensitivity_${analysis.method}_${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Fill the table of fittable parameters (tfConcentration and proteinDegradation ticked by default)
+ */
+function renderFitControls() {
+    const container = document.getElementById('fit-parameters');
+    
+    container.innerHTML = `
+        <table class="analysis-range-table">
+            <thead>
+                <tr><th>Fit</th><th>Parameter</th><th>Min</th><th>Max</th></tr>
+            </thead>
+            <tbody>
+                ${SimulationCore.FITTABLE_PARAMETERS.map(key => {
+                    const def = PARAMETER_DEFINITIONS[key];
+                    return `
+                    <tr data-key="${key}">
+                        <td><input type="checkbox" class="fit-include" ${['tfConcentration', 'proteinDegradation'].includes(key) ? 'checked' : ''} aria-label="Fit ${def.label}"></td>
+                        <td>${def.label}${def.unit ? ` <span class="unit-label">(${def.unit})</span>` : ''}</td>
+                        <td><input type="number" class="fit-min" value="${def.min}" min="${def.min}" max="${def.max}" step="${def.step}"></td>
+                        <td><input type="number" class="fit-max" value="${def.max}" min="${def.min}" max="${def.max}" step="${def.step}"></td>
+                    </tr>
+                `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Read the parameters to fit and their bounds (null after alerting if one is invalid)
+ * The current slider value must lie inside the bounds, since the fit starts from it.
+ */
+function readFitBounds() {
+    const bounds = {};
+    
+    for (const row of document.querySelectorAll('#fit-parameters tr[data-key]')) {
+        if (!row.querySelector('.fit-include').checked) continue;
+        
+        const key = row.dataset.key;
+        const label = PARAMETER_DEFINITIONS[key].label;
+        const min = parseFloat(row.querySelector('.fit-min').value);
+        const max = parseFloat(row.querySelector('.fit-max').value);
+        if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+            alert(`Invalid bounds for ${label}: min must be below max.`);
+            return null;
+        }
+        if (state.params[key] < min || state.params[key] > max) {
+            alert(`The current ${label} (${state.params[key]}) lies outside its bounds; the fit starts from the slider value.`);
+            return null;
+        }
+        bounds[key] = [min, max];
+    }
+    
+    if (Object.keys(bounds).length === 0) {
+        alert('Select at least one parameter to fit.');
+        return null;
+    }
+    return bounds;
+}
+
+/**
+ * Fit the chosen parameters to the loaded time courses in the simulation worker
+ */
+function startParameterFit() {
+    if (state.fit.running) {
+        cancelWorkerJob(state.fit.jobId);
+        state.fit.running = false;
+        setFitProgress(null, 'Fit cancelled.');
+        return;
+    }
+    if (!state.fit.data) {
+        alert('Please load a time-series CSV before running a fit.');
+        return;
+    }
+    
+    const bounds = readFitBounds();
+    if (!bounds) return;
+    
+    const maxIterations = parseInt(document.getElementById('fit-iterations').value, 10);
+    if (!Number.isInteger(maxIterations) || maxIterations < 1 || maxIterations > 5000) {
+        alert('Max iterations must be between 1 and 5000.');
+        return;
+    }
+    
+    const method = document.getElementById('fit-method').value;
+    const options = {
+        ...buildSimulationConfig(),
+        data: state.fit.data,
+        parameters: Object.keys(bounds),
+        bounds,
+        method,
+        maxIterations
+    };
+    
+    state.fit.running = true;
+    state.fit.results = null;
+    document.getElementById('fit-results').classList.add('hidden');
+    document.getElementById('fit-apply-btn').disabled = true;
+    setFitProgress(0, `Fitting ${options.parameters.length} parameter(s) with ${SimulationCore.FIT_METHODS[method]}...`);
+    
+    state.fit.jobId = startWorkerJob('fit', options, message => {
+        if (message.type === 'progress') {
+            setFitProgress(message.completed / message.total, `Iteration ${message.completed}: scaled sum of squares ${formatFitValue(message.value)}`);
+            return;
+        }
+        
+        state.fit.running = false;
+        if (message.type === 'error') {
+            setFitProgress(null, `Fit failed: ${message.message}`);
+            return;
+        }
+        
+        const result = message.result;
+        state.fit.results = result;
+        setFitProgress(null, `${result.converged ? 'Converged' : 'Stopped at the iteration limit'} after ${result.iterations} iterations ` +
+            `(${result.evaluations} model runs).`);
+        renderFitResults();
+    });
+}
+
+/**
+ * Update the fit progress bar (fraction null hides it) and status text
+ */
+function setFitProgress(fraction, message) {
+    const progress = document.getElementById('fit-progress');
+    progress.classList.toggle('hidden', fraction === null);
+    if (fraction !== null) {
+        document.getElementById('fit-progress-bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    document.getElementById('fit-status').textContent = message;
+    document.getElementById('fit-run-btn').innerHTML = state.fit.running ? '⏹️ Cancel' : '▶️ Run Fit';
+}
+
+/**
+ * Format a fitted value or error to four significant digits (∞ when unidentifiable)
+ */
+function formatFitValue(value) {
+    return Number.isFinite(value) ? String(Number(value.toPrecision(4))) : '∞';
+}
+
+/**
+ * Render fitted values with confidence intervals, per-series errors and the residuals
+ */
+function renderFitResults() {
+    const result = state.fit.results;
+    const container = document.getElementById('fit-results');
+    if (!result) return;
+    
+    const kindLabel = kind => (kind === 'mrna' ? 'mRNA (TPM)' : 'Protein (AU)');
+    const flagged = result.parameters.filter(p => p.atBound || !Number.isFinite(p.standardError));
+    
+    container.innerHTML = `
+        <table class="analysis-range-table fit-table">
+            <thead>
+                <tr><th>Parameter</th><th>Start</th><th>Fitted</th><th>Std. error</th><th>95% CI</th></tr>
+            </thead>
+            <tbody>
+                ${result.parameters.map(p => `
+                    <tr class="${p.atBound || !Number.isFinite(p.standardError) ? 'fit-warning' : ''}">
+                        <td>${PARAMETER_DEFINITIONS[p.key].label}${p.atBound ? ' (at bound)' : ''}</td>
+                        <td>${formatFitValue(p.initial)}</td>
+                        <td>${formatFitValue(p.value)}</td>
+                        <td>${formatFitValue(p.standardError)}</td>
+                        <td>${formatFitValue(p.ci[0])} – ${formatFitValue(p.ci[1])}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <p class="help-text small">
+            Intervals are approximate: they linearise the model around the fit (covariance s²·(JᵀJ)⁻¹, Student's t with
+            ${result.degreesOfFreedom} degrees of freedom).
+            ${flagged.length > 0 ? 'Highlighted parameters sit on a bound or are not determined by the data, so their intervals are unreliable.' : ''}
+        </p>
+        <table class="analysis-range-table fit-table">
+            <thead>
+                <tr><th>Gene</th><th>Series</th><th>Points</th><th>RMSE</th></tr>
+            </thead>
+            <tbody>
+                ${result.series.map(s => `
+                    <tr>
+                        <td>${escapeHTML(s.symbol)}</td>
+                        <td>${kindLabel(s.kind)}</td>
+                        <td>${s.points}</td>
+                        <td>${formatFitValue(s.rmse)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <details class="analysis-ranges">
+            <summary>Residuals (${result.observations.length} measurements)</summary>
+            <table class="analysis-range-table fit-table">
+                <thead>
+                    <tr><th>Gene</th><th>Series</th><th>Time (h)</th><th>Observed</th><th>Fitted</th><th>Residual</th></tr>
+                </thead>
+                <tbody>
+                    ${result.observations.map(o => `
+                        <tr>
+                            <td>${escapeHTML(o.symbol)}</td>
+                            <td>${kindLabel(o.kind)}</td>
+                            <td>${formatFitValue(o.time)}</td>
+                            <td>${formatFitValue(o.observed)}</td>
+                            <td>${formatFitValue(o.fitted)}</td>
+                            <td>${formatFitValue(o.residual)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </details>
+    `;
+    
+    container.classList.remove('hidden');
+    document.getElementById('fit-apply-btn').disabled = false;
+}
+
+/**
+ * Copy the fitted values onto the sliders and rerun from the start
+ */
+function applyFittedParameters() {
+    const result = state.fit.results;
+    if (!result) return;
+    
+    state.previousParams = { ...state.params };
+    result.parameters.forEach(p => { state.params[p.key] = p.value; });
+    
+    syncParametersToUI();
+    resetSimulation();
+    updateContributionChart();
+    setTimeout(() => analyzeParameterImpact('Fitted parameters'), 100);
+}
+
+/**
+ * Forget the loaded time courses and any fit to them
+ */
+function clearFitData() {
+    if (state.fit.running) {
+        cancelWorkerJob(state.fit.jobId);
+        state.fit.running = false;
+    }
+    
+    state.fit.data = null;
+    state.fit.results = null;
+    document.getElementById('fit-results').classList.add('hidden');
+    document.getElementById('fit-apply-btn').disabled = true;
+    setFitProgress(null, '');
+    clearMcmcResults();
+    renderFitDataSummary();
+    updateCharts();
+}
+
+/**
+ * Describe the loaded time courses (and whether the run is long enough to show them all)
+ */
+function renderFitDataSummary() {
+    const data = state.fit.data;
+    const summary = document.getElementById('fit-data-summary');
+    
+    if (!data) {
+        summary.textContent = 'No data loaded.';
+        return;
+    }
+    
+    const series = Object.entries(data.genes).flatMap(([symbol, values]) => [
+        ...(values.mrna.some(v => v !== null) ? [`${symbol} mRNA`] : []),
+        ...(values.protein.some(v => v !== null) ? [`${symbol} protein`] : [])
+    ]);
+    const lastTime = Math.max(...data.time);
+    let text = `${data.fileName}: ${data.time.length} rows from ${formatFitValue(Math.min(...data.time))} to ${formatFitValue(lastTime)} h (${series.join(', ')}).`;
+    
+    if (lastTime > state.simulationSettings.maxTime) {
+        text += ` The run lasts ${state.simulationSettings.maxTime} h, so later points are not drawn; the fit still covers them.`;
+    }
+    summary.textContent = text;
+}
+
+/**
+ * Measured points for the mRNA or protein chart as {x, y} pairs at their own times
+ * (every replicate kept), up to the last time drawn
+ */
+function getObservedDatasets(series, lastTime) {
+    const data = state.fit.data;
+    if (!data || lastTime === undefined) return [];
+    
+    const extraColors = Object.keys(data.genes).filter(symbol => !state.selectedGenes.some(gene => gene.symbol === symbol));
+    
+    return Object.entries(data.genes)
+        .filter(([, values]) => values[series].some(v => v !== null))
+        .map(([symbol, values]) => {
+            const selected = state.selectedGenes.findIndex(gene => gene.symbol === symbol);
+            const index = selected >= 0 ? selected : state.selectedGenes.length + extraColors.indexOf(symbol);
+            const color = CHART_COLORS[index % CHART_COLORS.length];
+            const points = data.time
+                .map((t, row) => ({ x: t, y: values[series][row] }))
+                .filter(point => point.y !== null && point.x <= lastTime);
+            
+            return {
+                label: `${symbol} data`,
+                data: points,
+                borderColor: color,
+                backgroundColor: color,
+                showLine: false,
+                pointStyle: 'rectRot',
+                pointRadius: 5,
+                pointHoverRadius: 7
+            };
+        });
+}
+
+/**
+ * Fill the table of priors (tfConcentration and proteinDegradation sampled by default)
+ * Normal priors default to the middle of the slider range with a quarter of it as SD.
+ */
+function renderMcmcControls() {
+    const container = document.getElementById('mcmc-priors');
+    
+    container.innerHTML = `
+        <table class="analysis-range-table">
+            <thead>
+                <tr><th>Sample</th><th>Parameter</th><th>Prior</th><th>Min</th><th>Max</th><th>Mean</th><th>SD</th></tr>
+            </thead>
+            <tbody>
+                ${SimulationCore.FITTABLE_PARAMETERS.map(key => {
+                    const def = PARAMETER_DEFINITIONS[key];
+                    const range = `min="${def.min}" max="${def.max}" step="${def.step}"`;
+                    return `
+                    <tr data-key="${key}">
+                        <td><input type="checkbox" class="mcmc-include" ${['tfConcentration', 'proteinDegradation'].includes(key) ? 'checked' : ''} aria-label="Sample ${def.label}"></td>
+                        <td>${def.label}${def.unit ? ` <span class="unit-label">(${def.unit})</span>` : ''}</td>
+                        <td>
+                            <select class="mcmc-prior-type" aria-label="Prior of ${def.label}">
+                                ${Object.entries(SimulationCore.PRIOR_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                            </select>
+                        </td>
+                        <td><input type="number" class="mcmc-min" value="${def.min}" ${range}></td>
+                        <td><input type="number" class="mcmc-max" value="${def.max}" ${range}></td>
+                        <td><input type="number" class="mcmc-mean" value="${(def.min + def.max) / 2}" ${range} disabled></td>
+                        <td><input type="number" class="mcmc-sd" value="${(def.max - def.min) / 4}" min="0" step="${def.step}" disabled></td>
+                    </tr>
+                `;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+    
+    container.querySelectorAll('.mcmc-prior-type').forEach(select => {
+        select.addEventListener('change', () => {
+            const row = select.closest('tr');
+            row.querySelector('.mcmc-mean').disabled = select.value !== 'normal';
+            row.querySelector('.mcmc-sd').disabled = select.value !== 'normal';
+        });
+    });
+}
+
+/**
+ * Read the priors of the sampled parameters (null after alerting if one is invalid)
+ * Ranges must stay inside the slider range and contain the current value, where the chain starts.
+ */
+function readMcmcPriors() {
+    const priors = {};
+    
+    for (const row of document.querySelectorAll('#mcmc-priors tr[data-key]')) {
+        if (!row.querySelector('.mcmc-include').checked) continue;
+        
+        const key = row.dataset.key;
+        const def = PARAMETER_DEFINITIONS[key];
+        const prior = {
+            type: row.querySelector('.mcmc-prior-type').value,
+            min: parseFloat(row.querySelector('.mcmc-min').value),
+            max: parseFloat(row.querySelector('.mcmc-max').value)
+        };
+        if (!Number.isFinite(prior.min) || !Number.isFinite(prior.max) || prior.min >= prior.max) {
+            alert(`Invalid prior range for ${def.label}: min must be below max.`);
+            return null;
+        }
+        if (prior.min < def.min || prior.max > def.max) {
+            alert(`The prior range of ${def.label} must lie within its slider range (${def.min} to ${def.max}).`);
+            return null;
+        }
+        if (prior.type === 'log-uniform' && prior.min <= 0) {
+            alert(`A log-uniform prior on ${def.label} needs a min above 0.`);
+            return null;
+        }
+        if (prior.type === 'normal') {
+            prior.mean = parseFloat(row.querySelector('.mcmc-mean').value);
+            prior.sd = parseFloat(row.querySelector('.mcmc-sd').value);
+            if (!Number.isFinite(prior.mean) || !(prior.sd > 0)) {
+                alert(`The normal prior on ${def.label} needs a mean and an SD above 0.`);
+                return null;
+            }
+        }
+        if (state.params[key] < prior.min || state.params[key] > prior.max) {
+            alert(`The current ${def.label} (${state.params[key]}) lies outside its prior range; the chain starts from the slider value.`);
+            return null;
+        }
+        priors[key] = prior;
+    }
+    
+    if (Object.keys(priors).length === 0) {
+        alert('Select at least one parameter to sample.');
+        return null;
+    }
+    return priors;
+}
+
+/**
+ * Sample the posterior of the chosen parameters given the loaded time courses in the simulation worker
+ */
+function startMcmc() {
+    if (state.mcmc.running) {
+        cancelWorkerJob(state.mcmc.jobId);
+        state.mcmc.running = false;
+        setMcmcProgress(null, 'Sampling cancelled.');
+        return;
+    }
+    if (!state.fit.data) {
+        alert('Please load a time-series CSV under Parameter Fitting before running the sampler.');
+        return;
+    }
+    
+    const priors = readMcmcPriors();
+    if (!priors) return;
+    
+    const samples = parseInt(document.getElementById('mcmc-samples').value, 10);
+    const burnIn = parseInt(document.getElementById('mcmc-burn-in').value, 10);
+    const thin = parseInt(document.getElementById('mcmc-thin').value, 10);
+    if (!Number.isInteger(samples) || samples < 100 || samples > 50000) {
+        alert('Samples must be between 100 and 50000.');
+        return;
+    }
+    if (!Number.isInteger(burnIn) || burnIn < 0 || burnIn > 50000) {
+        alert('Burn-in must be between 0 and 50000 iterations.');
+        return;
+    }
+    if (!Number.isInteger(thin) || thin < 1 || thin > 100) {
+        alert('Thinning must be between 1 and 100.');
+        return;
+    }
+    
+    const config = buildSimulationConfig();
+    const options = {
+        ...config,
+        data: state.fit.data,
+        priors,
+        samples,
+        burnIn,
+        thin,
+        adaptive: document.getElementById('mcmc-adaptive').checked,
+        seed: deriveSeed(config.seed, 4)
+    };
+    
+    state.mcmc.running = true;
+    state.mcmc.results = null;
+    document.getElementById('mcmc-results').classList.add('hidden');
+    updateCharts();
+    setMcmcProgress(0, `Sampling ${Object.keys(priors).length} parameter(s): ${burnIn + samples * thin} iterations...`);
+    
+    state.mcmc.jobId = startWorkerJob('mcmc', options, message => {
+        if (message.type === 'progress') {
+            const iterations = burnIn + samples * thin;
+            setMcmcProgress(message.completed / message.total, message.completed <= iterations
+                ? `Iteration ${message.completed} / ${iterations}${message.completed <= burnIn ? ' (burn-in)' : ''}...`
+                : `Posterior-predictive run ${message.completed - iterations} / ${message.total - iterations}...`);
+            return;
+        }
+        
+        state.mcmc.running = false;
+        if (message.type === 'error') {
+            setMcmcProgress(null, `Sampling failed: ${message.message}`);
+            return;
+        }
+        
+        const result = { ...message.result, priors };
+        state.mcmc.results = result;
+        setMcmcProgress(null, `Kept ${result.samples.values.length} samples after ${burnIn} burn-in iterations ` +
+            `(acceptance rate ${(result.acceptanceRate * 100).toFixed(1)}%, ${result.evaluations} model runs).`);
+        renderMcmcResults();
+        updateCharts();
+    });
+}
+
+/**
+ * Update the sampler progress bar (fraction null hides it) and status text
+ */
+function setMcmcProgress(fraction, message) {
+    const progress = document.getElementById('mcmc-progress');
+    progress.classList.toggle('hidden', fraction === null);
+    if (fraction !== null) {
+        document.getElementById('mcmc-progress-bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    document.getElementById('mcmc-status').textContent = message;
+    document.getElementById('mcmc-run-btn').innerHTML = state.mcmc.running ? '⏹️ Cancel' : '▶️ Run Sampler';
+}
+
+/**
+ * Forget the posterior (the time courses it was conditioned on changed)
+ */
+function clearMcmcResults() {
+    if (state.mcmc.running) {
+        cancelWorkerJob(state.mcmc.jobId);
+        state.mcmc.running = false;
+    }
+    
+    state.mcmc.results = null;
+    document.getElementById('mcmc-results').classList.add('hidden');
+    setMcmcProgress(null, '');
+}
+
+/**
+ * Render the posterior summary table and fill the parameter pickers of the plots
+ */
+function renderMcmcResults() {
+    const result = state.mcmc.results;
+    if (!result) return;
+    
+    const lowEss = result.summary.filter(s => s.ess < 100);
+    document.getElementById('mcmc-summary').innerHTML = `
+        <table class="analysis-range-table fit-table">
+            <thead>
+                <tr><th>Parameter</th><th>Prior</th><th>Mean</th><th>SD</th><th>Median</th><th>95% credible interval</th><th>ESS</th></tr>
+            </thead>
+            <tbody>
+                ${result.summary.map(s => `
+                    <tr class="${s.ess < 100 ? 'fit-warning' : ''}">
+                        <td>${PARAMETER_DEFINITIONS[s.key].label}</td>
+                        <td>${describePrior(result.priors[s.key])}</td>
+                        <td>${formatFitValue(s.mean)}</td>
+                        <td>${formatFitValue(s.sd)}</td>
+                        <td>${formatFitValue(s.median)}</td>
+                        <td>${formatFitValue(s.ci[0])} – ${formatFitValue(s.ci[1])}</td>
+                        <td>${Math.round(s.ess)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <p class="help-text small">
+            Credible intervals are the 2.5% and 97.5% quantiles of the kept samples. The effective sample size (ESS)
+            counts how many independent draws they are worth.
+            ${lowEss.length > 0 ? 'Highlighted parameters have fewer than 100: run a longer chain (or a longer burn-in) before relying on them.' : ''}
+        </p>
+    `;
+    
+    const options = result.keys
+        .map(key => `<option value="${key}">${PARAMETER_DEFINITIONS[key].label}</option>`)
+        .join('');
+    const param = document.getElementById('mcmc-param');
+    const pair = document.getElementById('mcmc-pair-param');
+    param.innerHTML = options;
+    pair.innerHTML = options;
+    param.value = result.keys[0];
+    pair.value = result.keys[Math.min(1, result.keys.length - 1)];
+    
+    document.getElementById('mcmc-results').classList.remove('hidden');
+    updateMcmcCharts();
+}
+
+/**
+ * Short description of a prior, e.g. "Normal(0.1, 0.05) on [0, 1]"
+ */
+function describePrior(prior) {
+    const range = `[${formatFitValue(prior.min)}, ${formatFitValue(prior.max)}]`;
+    return prior.type === 'normal'
+        ? `Normal(${formatFitValue(prior.mean)}, ${formatFitValue(prior.sd)}) on ${range}`
+        : `${SimulationCore.PRIOR_TYPES[prior.type]} on ${range}`;
+}
+
+/**
+ * Draw the trace, marginal histogram and pairwise scatter of the chosen parameters
+ * At most 2000 points per line are drawn; the histogram uses every kept sample.
+ */
+function updateMcmcCharts() {
+    const result = state.mcmc.results;
+    const charts = state.charts;
+    if (!result || !charts.mcmcTrace || !charts.mcmcHistogram || !charts.mcmcPairs) return;
+    
+    const key = document.getElementById('mcmc-param').value;
+    const pairKey = document.getElementById('mcmc-pair-param').value;
+    const j = result.keys.indexOf(key);
+    const k = result.keys.indexOf(pairKey);
+    const label = PARAMETER_DEFINITIONS[key].label;
+    const color = CHART_COLORS[j % CHART_COLORS.length];
+    const every = (points, max) => points.filter((_, i) => i % Math.ceil(points.length / max) === 0);
+    
+    // Trace: the burn-in ends where the kept samples begin
+    const trace = result.trace.iterations.map((iteration, i) => ({ x: iteration, y: result.trace.values[i][j] }));
+    const line = {
+        borderWidth: 1,
+        fill: false,
+        tension: 0,
+        pointRadius: 0,
+        pointHoverRadius: 3
+    };
+    charts.mcmcTrace.data.datasets = [
+        { ...line, label: 'Burn-in', data: every(trace.filter(p => p.x <= result.burnIn), 2000), borderColor: '#95a5a6', backgroundColor: '#95a5a6' },
+        { ...line, label: 'Kept samples', data: every(trace.filter(p => p.x > result.burnIn), 2000), borderColor: color, backgroundColor: color }
+    ];
+    charts.mcmcTrace.options.scales.y.title.text = label;
+    charts.mcmcTrace.update('none');
+    
+    // Marginal histogram in 30 bins over the sampled range
+    const values = result.samples.values.map(x => x[j]);
+    const min = Math.min(...values);
+    const width = (Math.max(...values) - min) / 30 || 1;
+    const counts = new Array(30).fill(0);
+    values.forEach(v => { counts[Math.min(29, Math.floor((v - min) / width))]++; });
+    charts.mcmcHistogram.data.datasets = [{
+        label: `Posterior of ${label}`,
+        data: counts.map((count, bin) => ({ x: min + (bin + 0.5) * width, y: count / values.length })),
+        backgroundColor: color + '80',
+        borderColor: color,
+        borderWidth: 1,
+        barPercentage: 1,
+        categoryPercentage: 1
+    }];
+    charts.mcmcHistogram.options.scales.x.title.text = label;
+    charts.mcmcHistogram.update('none');
+    
+    // Pairwise scatter of the kept samples
+    const pairColor = CHART_COLORS[k % CHART_COLORS.length];
+    charts.mcmcPairs.data.datasets = [{
+        label: `${label} vs ${PARAMETER_DEFINITIONS[pairKey].label}`,
+        data: every(result.samples.values, 2000).map(x => ({ x: x[k], y: x[j] })),
+        borderColor: pairColor + '80',
+        backgroundColor: pairColor + '40',
+        pointRadius: 2,
+        pointHoverRadius: 4
+    }];
+    charts.mcmcPairs.options.scales.x.title.text = PARAMETER_DEFINITIONS[pairKey].label;
+    charts.mcmcPairs.options.scales.y.title.text = label;
+    charts.mcmcPairs.update('none');
+}
+
+/**
+ * 95% posterior-predictive band of each measured or selected gene, interpolated at the drawn times
+ */
+function getPosteriorBandDatasets(series, labels) {
+    const predictive = state.mcmc.results?.predictive;
+    if (!state.mcmc.showBand || !predictive || labels.length === 0) return [];
+    
+    const band = {
+        borderWidth: 0,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        tension: 0.4,
+        ensembleBand: true
+    };
+    return state.selectedGenes
+        .map((gene, index) => ({ gene, index }))
+        .filter(({ gene }) => predictive.genes[gene.symbol])
+        .flatMap(({ gene, index }) => {
+            const stats = predictive.genes[gene.symbol][series];
+            const at = values => labels.map(t => SimulationCore.interpolateLinear(predictive.times, values, t));
+            return [
+                { ...band, label: `${gene.symbol} posterior 2.5%`, data: at(stats.lower), fill: false },
+                { ...band, label: `${gene.symbol} posterior 97.5%`, data: at(stats.upper), fill: '-1', backgroundColor: CHART_COLORS[index % CHART_COLORS.length] + '30' }
+            ];
+        });
+}
+
+/**
+ * Export the kept posterior samples as CSV
+ */
+function exportMcmcCSV() {
+    const result = state.mcmc.results;
+    if (!result) {
+        alert('No posterior samples to export. Please run the sampler first.');
+        return;
+    }
+    
+    let csv = `# Data: ${state.fit.data ? state.fit.data.fileName : 'unknown'}\n`;
+    csv += `# Sampler: ${result.adaptive ? 'adaptive ' : ''}Metropolis-Hastings; burn-in ${result.burnIn}; thinning ${result.thin}; seed ${result.seed}\n`;
+    csv += `# Acceptance rate: ${result.acceptanceRate.toFixed(4)}; model runs: ${result.evaluations}\n`;
+    for (const key of result.keys) {
+        csv += `# Prior ${key}: ${describePrior(result.priors[key])}\n`;
+    }
+    csv += `Iteration,${result.keys.join(',')},log_posterior\n`;
+    
+    result.samples.iterations.forEach((iteration, i) => {
+        csv += `${iteration},${result.samples.values[i].join(',')},${result.samples.logPosterior[i]}\n`;
+    });
+    
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `multiomics_posterior_samples_${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Fill the disease picker of the risk model calibration
+ */
+function renderCalibrationDiseaseOptions() {
+    const select = document.getElementById('calibration-disease');
+    if (!select) return;
+    
+    const current = select.value;
+    select.innerHTML = DISEASE_DATABASE
+        .map(disease => `<option value="${escapeHTML(disease.name)}">${escapeHTML(disease.name)}</option>`)
+        .join('');
+    if (DISEASE_DATABASE.some(disease => disease.name === current)) {
+        select.value = current;
+    }
+}
+
+/**
+ * Describe the loaded cohort
+ */
+function renderCalibrationDataSummary() {
+    const data = state.calibration.data;
+    const summary = document.getElementById('calibration-data-summary');
+    
+    if (!data) {
+        summary.textContent = 'No cohort loaded.';
+        return;
+    }
+    
+    const cases = data.samples.filter(sample => sample.status === 1).length;
+    let text = `${data.fileName}: ${data.samples.length} samples (${cases} cases, ${data.samples.length - cases} controls), ` +
+        `genes ${data.genes.join(', ')}.`;
+    if (data.skipped > 0) {
+        text += ` ${data.skipped} sample${data.skipped === 1 ? '' : 's'} with missing measurements left out.`;
+    }
+    summary.textContent = text;
+}
+
+/**
+ * Fit the chosen disease's gene weights and bias to the loaded cohort
+ */
+function runRiskCalibration() {
+    const data = state.calibration.data;
+    if (!data) {
+        alert('Please load a cohort CSV before fitting the risk model.');
+        return;
+    }
+    
+    const disease = DISEASE_DATABASE.find(d => d.name === document.getElementById('calibration-disease').value);
+    if (!disease) {
+        alert('Please choose a disease to calibrate.');
+        return;
+    }
+    
+    const penalty = parseFloat(document.getElementById('calibration-penalty').value);
+    if (!Number.isFinite(penalty) || penalty < 0 || penalty > 1000) {
+        alert('The penalty must be between 0 and 1000.');
+        return;
+    }
+    
+    let result;
+    try {
+        result = SimulationCore.fitRiskModel({
+            samples: data.samples,
+            genes: data.genes.map(symbol => GENE_DATABASE.find(gene => gene.symbol === symbol)),
+            params: state.params,
+            penalty
+        });
+    } catch (error) {
+        alert('Risk model fit failed: ' + error.message);
+        return;
+    }
+    
+    state.calibration.results = {
+        ...result,
+        disease: disease.name,
+        omicsWeights: [state.params.weightGenomics, state.params.weightTranscriptomics, state.params.weightProteomics]
+    };
+    document.getElementById('calibration-status').textContent =
+        `${result.converged ? 'Converged' : 'Stopped at the iteration limit'} after ${result.iterations} iterations.`;
+    renderCalibrationResults();
+}
+
+/**
+ * Render the fitted weights next to the current ones, with intervals and goodness of fit
+ * Values beyond the limits of the disease editor (|weight| ≤ 5, |bias| ≤ 10) are highlighted.
+ */
+function renderCalibrationResults() {
+    const result = state.calibration.results;
+    const container = document.getElementById('calibration-results');
+    if (!result) return;
+    
+    const disease = DISEASE_DATABASE.find(d => d.name === result.disease);
+    const current = symbol => (symbol === null ? disease?.bias : disease?.geneWeights[symbol] ?? 0);
+    const outOfRange = c => Math.abs(c.value) > (c.symbol === null ? 10 : 5);
+    const [w1, w2, w3] = result.omicsWeights;
+    
+    container.innerHTML = `
+        <table class="analysis-range-table fit-table">
+            <thead>
+                <tr><th>Term</th><th>Current</th><th>Fitted</th><th>Std. error</th><th>95% CI</th></tr>
+            </thead>
+            <tbody>
+                ${result.coefficients.map(c => `
+                    <tr class="${outOfRange(c) ? 'fit-warning' : ''}">
+                        <td>${c.symbol === null ? 'Bias' : `${escapeHTML(c.symbol)} weight`}</td>
+                        <td>${current(c.symbol) === undefined ? '—' : formatFitValue(current(c.symbol))}</td>
+                        <td>${formatFitValue(c.value)}</td>
+                        <td>${formatFitValue(c.standardError)}</td>
+                        <td>${formatFitValue(c.ci[0])} – ${formatFitValue(c.ci[1])}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        
+        <p class="help-text small">
+            ${escapeHTML(result.disease)}, fitted on ${result.samples} samples (${result.cases} cases, ${result.controls} controls)
+            with ridge penalty λ = ${result.penalty} and omics layer weights G ${w1}, T ${w2}, P ${w3}.
+            AUC ${result.auc.toFixed(3)}, accuracy ${(result.accuracy * 100).toFixed(1)}% at 50% risk,
+            Brier score ${result.brierScore.toFixed(3)}; deviance ${result.deviance.toFixed(1)} against ${result.nullDeviance.toFixed(1)}
+            for the base rate alone. These are measured on the training cohort, so they flatter the model.
+            Intervals are Wald intervals from the penalised fit.
+            ${result.coefficients.some(outOfRange) ? 'Highlighted terms exceed the limits of a disease model (weights within ±5, bias within ±10): the groups are (nearly) separable, so increase the penalty.' : ''}
+        </p>
+    `;
+    
+    container.classList.remove('hidden');
+    document.getElementById('calibration-apply-btn').disabled = false;
+}
+
+/**
+ * Replace the calibrated disease's gene weights and bias with the fitted ones (saved as a custom model)
+ */
+function applyCalibratedWeights() {
+    const result = state.calibration.results;
+    if (!result) return;
+    
+    const disease = DISEASE_DATABASE.find(d => d.name === result.disease);
+    if (!disease) {
+        alert(`The disease "${result.disease}" no longer exists.`);
+        return;
+    }
+    
+    const round = value => Number(value.toFixed(4));
+    const { record, errors } = validateDiseaseRecord({
+        name: disease.name,
+        description: disease.description,
+        geneWeights: Object.fromEntries(Object.entries(result.geneWeights).map(([symbol, weight]) => [symbol, round(weight)])),
+        bias: round(result.bias)
+    });
+    if (!record) {
+        alert(`Cannot apply the fitted model:\n${errors.join('\n')}\n\nIncrease the penalty and fit again.`);
+        return;
+    }
+    
+    const dropped = Object.keys(disease.geneWeights).filter(symbol => !(symbol in record.geneWeights) && disease.geneWeights[symbol] !== 0);
+    if (!confirm(`Replace the gene weights and bias of "${disease.name}" with the fitted ones?` +
+        (dropped.length > 0 ? `\n\n${dropped.join(', ')} are not in the cohort and will no longer contribute.` : ''))) {
+        return;
+    }
+    
+    saveDiseaseModel(record, disease.name);
+    renderCalibrationResults();
+    document.getElementById('calibration-status').textContent = `Applied to ${disease.name}; it is saved with your custom disease models.`;
+}
+
+/**
+ * Forget the loaded cohort and any fit to it
+ */
+function clearCalibrationData() {
+    state.calibration.data = null;
+    state.calibration.results = null;
+    document.getElementById('calibration-results').classList.add('hidden');
+    document.getElementById('calibration-apply-btn').disabled = true;
+    document.getElementById('calibration-status').textContent = '';
+    renderCalibrationDataSummary();
+}
+
+/**
+ * Fill the sweep parameter picker and default range
+ */
+function renderSweepControls() {
+    const select = document.getElementById('sweep-param');
+    select.innerHTML = Object.entries(PARAMETER_DEFINITIONS)
+        .map(([key, def]) => `<option value="${key}">${def.label}</option>`)
+        .join('');
+    select.value = 'tfConcentration';
+    setSweepParameter('tfConcentration');
+}
+
+/**
+ * Reset the sweep range to the chosen parameter's slider range
+ */
+function setSweepParameter(key) {
+    const def = PARAMETER_DEFINITIONS[key];
+    const logScale = document.getElementById('sweep-log-x').checked;
+    
+    // A log axis cannot start at zero, so begin one slider step above it
+    document.getElementById('sweep-min').value = logScale && def.min <= 0 ? def.step : def.min;
+    document.getElementById('sweep-max').value = def.max;
+    document.getElementById('sweep-min').step = def.step;
+    document.getElementById('sweep-max').step = def.step;
+}
+
+/**
+ * Run the model to steady state across the chosen parameter range in the simulation worker
+ * and plot the result. Clicking again while it runs cancels the sweep.
+ */
+function startParameterSweep() {
+    if (state.sweep.running) {
+        cancelWorkerJob(state.sweep.jobId);
+        state.sweep.running = false;
+        setSweepProgress(null, 'Sweep cancelled.');
+        return;
+    }
+    if (state.selectedGenes.length === 0) {
+        alert('Please select at least one gene before running a sweep.');
+        return;
+    }
+    
+    const parameter = document.getElementById('sweep-param').value;
+    const min = parseFloat(document.getElementById('sweep-min').value);
+    const max = parseFloat(document.getElementById('sweep-max').value);
+    const points = parseInt(document.getElementById('sweep-points').value, 10);
+    const logScale = document.getElementById('sweep-log-x').checked;
+    
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+        alert('Invalid sweep range: "From" must be below "To".');
+        return;
+    }
+    if (!Number.isInteger(points) || points < 2 || points > 500) {
+        alert('Number of points must be between 2 and 500.');
+        return;
+    }
+    if (logScale && min <= 0) {
+        alert('A logarithmic sweep needs a positive "From" value.');
+        return;
+    }
+    
+    const values = SimulationCore.createSweepValues(min, max, points, logScale);
+    const overridden = state.selectedGenes.filter(gene => state.geneOverrides[gene.symbol]?.[parameter] !== undefined);
+    
+    state.sweep.running = true;
+    setSweepProgress(0, `Solving ${points} steady states...`);
+    
+    state.sweep.jobId = startWorkerJob('sweep', { ...buildSimulationConfig(), parameter, values }, message => {
+        if (message.type === 'progress') {
+            setSweepProgress(message.completed / message.total, `Solved ${message.completed} / ${message.total} steady states...`);
+            return;
+        }
+        
+        state.sweep.running = false;
+        if (message.type === 'error') {
+            setSweepProgress(null, `Sweep failed: ${message.message}`);
+            return;
+        }
+        
+        state.sweep.results = { ...message.result, logScale };
+        setSweepProgress(null,
+            `${points} steady states of ${PARAMETER_DEFINITIONS[parameter].label} from ${min} to ${max}` +
+            (overridden.length > 0 ? ` (per-gene override kept for ${overridden.map(g => g.symbol).join(', ')})` : ''));
+        updateSweepCharts();
+    });
+}
+
+/**
+ * Update the sweep progress bar (fraction null hides it) and status text
+ */
+function setSweepProgress(fraction, message) {
+    const progress = document.getElementById('sweep-progress');
+    progress.classList.toggle('hidden', fraction === null);
+    if (fraction !== null) {
+        document.getElementById('sweep-progress-bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    document.getElementById('sweep-status').textContent = message;
+    document.getElementById('sweep-run-btn').innerHTML = state.sweep.running ? '⏹️ Cancel' : '▶️ Run Sweep';
+}
+
+/**
+ * Draw the sweep results (mRNA dashed, protein solid; risk in its own chart)
+ */
+function updateSweepCharts() {
+    const sweep = state.sweep.results;
+    if (!sweep || !state.charts.sweepExpression || !state.charts.sweepRisk) return;
+    
+    const def = PARAMETER_DEFINITIONS[sweep.parameter];
+    const axisTitle = def.unit ? `${def.label} (${def.unit})` : def.label;
+    const xType = document.getElementById('sweep-log-x').checked ? 'logarithmic' : 'linear';
+    const yType = document.getElementById('sweep-log-y').checked ? 'logarithmic' : 'linear';
+    const toPoints = series => sweep.values.map((x, i) => ({ x, y: series[i] }));
+    
+    const expressionDatasets = [];
+    Object.entries(sweep.genes).forEach(([symbol, series], index) => {
+        const color = CHART_COLORS[index % CHART_COLORS.length];
+        expressionDatasets.push({
+            label: `${symbol} mRNA`,
+            data: toPoints(series.mrna),
+            borderColor: color,
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            yAxisID: 'y'
+        });
+        expressionDatasets.push({
+            label: `${symbol} protein`,
+            data: toPoints(series.protein),
+            borderColor: color,
+            borderWidth: 2,
+            pointRadius: 0,
+            yAxisID: 'y1'
+        });
+    });
+    
+    const expressionChart = state.charts.sweepExpression;
+    expressionChart.data.datasets = expressionDatasets;
+    expressionChart.options.scales.x.type = xType;
+    expressionChart.options.scales.x.title.text = axisTitle;
+    expressionChart.options.scales.y.type = yType;
+    expressionChart.options.scales.y1.type = yType;
+    expressionChart.update();
+    
+    const riskChart = state.charts.sweepRisk;
+    riskChart.data.datasets = Object.entries(sweep.risks).map(([name, series], index) => ({
+        label: name,
+        data: toPoints(series),
+        borderColor: CHART_COLORS[index % CHART_COLORS.length],
+        borderWidth: 2,
+        pointRadius: 0
+    }));
+    riskChart.options.scales.x.type = xType;
+    riskChart.options.scales.x.title.text = axisTitle;
+    riskChart.update();
+}
+
+/**
+ * Export the sweep as CSV (one row per parameter value)
+ */
+function exportSweepCSV() {
+    const sweep = state.sweep.results;
+    if (!sweep) {
+        alert('No sweep to export. Please run one first.');
+        return;
+    }
+    
+    const genes = Object.keys(sweep.genes);
+    const diseases = Object.keys(sweep.risks);
+    
+    let csv = `# Parameter sweep: ${sweep.parameter} (${sweep.logScale ? 'log' : 'linear'} spacing, ${sweep.values.length} points)\n`;
+    csv += '# Values are deterministic steady states; risk in %\n';
+    csv += [
+        sweep.parameter,
+        ...genes.flatMap(symbol => [`${symbol}_mRNA`, `${symbol}_protein`]),
+        ...diseases.map(name => `"${name} risk"`)
+    ].join(',') + '\n';
+    
+    sweep.values.forEach((value, i) => {
+        csv += [
+            value.toPrecision(6),
+            ...genes.flatMap(symbol => [sweep.genes[symbol].mrna[i].toFixed(4), sweep.genes[symbol].protein[i].toFixed(4)]),
+            ...diseases.map(name => sweep.risks[name][i].toFixed(3))
+        ].join(',') + '\n';
+    });
+    
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `multiomics_sweep_${sweep.parameter}_${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Fill the heatmap parameter pickers (default: methylation × mutation severity)
+ */
+function renderHeatmapControls() {
+    const options = Object.entries(PARAMETER_DEFINITIONS)
+        .map(([key, def]) => `<option value="${key}">${def.label}</option>`)
+        .join('');
+    
+    document.getElementById('heatmap-x-param').innerHTML = options;
+    document.getElementById('heatmap-y-param').innerHTML = options;
+    document.getElementById('heatmap-x-param').value = 'methylationFactor';
+    document.getElementById('heatmap-y-param').value = 'mutationSeverity';
+    setHeatmapAxis('x', 'methylationFactor');
+    setHeatmapAxis('y', 'mutationSeverity');
+    renderHeatmapDiseaseOptions();
+}
+
+/**
+ * List every disease model (built-in and custom) in the heatmap disease picker
+ */
+function renderHeatmapDiseaseOptions() {
+    const select = document.getElementById('heatmap-disease');
+    if (!select) return;
+    
+    const current = select.value;
+    select.innerHTML = DISEASE_DATABASE
+        .map(disease => `<option value="${escapeHTML(disease.name)}">${escapeHTML(disease.name)}</option>`)
+        .join('');
+    if (DISEASE_DATABASE.some(disease => disease.name === current)) {
+        select.value = current;
+    }
+}
+
+/**
+ * Reset one heatmap axis range to the chosen parameter's slider range
+ */
+function setHeatmapAxis(axis, key) {
+    const def = PARAMETER_DEFINITIONS[key];
+    const logScale = document.getElementById(`heatmap-${axis}-log`).checked;
+    
+    document.getElementById(`heatmap-${axis}-min`).value = logScale && def.min <= 0 ? def.step : def.min;
+    document.getElementById(`heatmap-${axis}-max`).value = def.max;
+}
+
+/**
+ * Read one heatmap axis ({ key, min, max, logScale }), or null after alerting
+ */
+function readHeatmapAxis(axis) {
+    const key = document.getElementById(`heatmap-${axis}-param`).value;
+    const min = parseFloat(document.getElementById(`heatmap-${axis}-min`).value);
+    const max = parseFloat(document.getElementById(`heatmap-${axis}-max`).value);
+    const logScale = document.getElementById(`heatmap-${axis}-log`).checked;
+    const label = PARAMETER_DEFINITIONS[key].label;
+    
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min >= max) {
+        alert(`Invalid range for ${label}: min must be below max.`);
+        return null;
+    }
+    if (logScale && min <= 0) {
+        alert(`A logarithmic axis for ${label} needs a positive minimum.`);
+        return null;
+    }
+    return { key, min, max, logScale };
+}
+
+/**
+ * Compute the risk phase diagram of the chosen disease in the simulation worker and draw it
+ * Clicking again while it runs cancels the computation.
+ */
+function runRiskHeatmap() {
+    if (state.heatmap.running) {
+        cancelWorkerJob(state.heatmap.jobId);
+        state.heatmap.running = false;
+        setHeatmapProgress(null, 'Phase diagram cancelled.');
+        return;
+    }
+    if (state.selectedGenes.length === 0) {
+        alert('Please select at least one gene before computing a phase diagram.');
+        return;
+    }
+    
+    const xAxis = readHeatmapAxis('x');
+    const yAxis = xAxis && readHeatmapAxis('y');
+    if (!xAxis || !yAxis) return;
+    
+    if (xAxis.key === yAxis.key) {
+        alert('Choose two different parameters for the axes.');
+        return;
+    }
+    
+    const resolution = parseInt(document.getElementById('heatmap-resolution').value, 10);
+    if (!Number.isInteger(resolution) || resolution < 5 || resolution > 100) {
+        alert('Resolution must be between 5 and 100 points per axis.');
+        return;
+    }
+    
+    const disease = DISEASE_DATABASE.find(d => d.name === document.getElementById('heatmap-disease').value);
+    const options = {
+        ...buildSimulationConfig(),
+        diseases: [disease],
+        xParameter: xAxis.key,
+        xValues: SimulationCore.createSweepValues(xAxis.min, xAxis.max, resolution, xAxis.logScale),
+        yParameter: yAxis.key,
+        yValues: SimulationCore.createSweepValues(yAxis.min, yAxis.max, resolution, yAxis.logScale)
+    };
+    
+    state.heatmap.running = true;
+    setHeatmapProgress(0, `Solving ${resolution * resolution} steady states...`);
+    
+    state.heatmap.jobId = startWorkerJob('grid', options, message => {
+        if (message.type === 'progress') {
+            setHeatmapProgress(message.completed / message.total, `Solved ${message.completed} / ${message.total} steady states...`);
+            return;
+        }
+        
+        state.heatmap.running = false;
+        if (message.type === 'error') {
+            setHeatmapProgress(null, `Phase diagram failed: ${message.message}`);
+            return;
+        }
+        
+        const grid = message.result;
+        const risks = grid.risks[disease.name];
+        state.heatmap.results = {
+            ...grid,
+            disease: disease.name,
+            risks,
+            xLog: xAxis.logScale,
+            yLog: yAxis.logScale,
+            contours: {
+                moderate: SimulationCore.computeContourSegments(risks, RISK_THRESHOLDS.moderate),
+                high: SimulationCore.computeContourSegments(risks, RISK_THRESHOLDS.high)
+            }
+        };
+        
+        const flat = risks.flat();
+        setHeatmapProgress(null,
+            `${disease.name}: risk ${Math.min(...flat).toFixed(1)}% to ${Math.max(...flat).toFixed(1)}% over ${flat.length} steady states. Hover the map to read values.`);
+        drawRiskHeatmap();
+    });
+}
+
+/**
+ * Update the phase-diagram progress bar (fraction null hides it) and readout text
+ */
+function setHeatmapProgress(fraction, message) {
+    const progress = document.getElementById('heatmap-progress');
+    progress.classList.toggle('hidden', fraction === null);
+    if (fraction !== null) {
+        document.getElementById('heatmap-progress-bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    document.getElementById('heatmap-readout').textContent = message;
+    document.getElementById('heatmap-run-btn').innerHTML = state.heatmap.running ? '⏹️ Cancel' : '▶️ Compute Map';
+}
+
+/**
+ * Risk colour: green below the moderate threshold, amber to red above it
+ */
+function getRiskColor(risk) {
+    const stops = [
+        [0, [39, 174, 96]],
+        [RISK_THRESHOLDS.moderate, [243, 156, 18]],
+        [RISK_THRESHOLDS.high, [231, 76, 60]],
+        [100, [146, 43, 33]]
+    ];
+    const r = Math.max(0, Math.min(100, risk));
+    const upper = stops.findIndex(([at]) => at >= r);
+    if (upper <= 0) return `rgb(${stops[0][1].join(',')})`;
+    
+    const [a, colorA] = stops[upper - 1];
+    const [b, colorB] = stops[upper];
+    const t = (r - a) / (b - a);
+    return `rgb(${colorA.map((c, i) => Math.round(c + t * (colorB[i] - c))).join(',')})`;
+}
+
+/**
+ * Parameter value at a fractional position (0-1) along a heatmap axis
+ */
+function heatmapAxisValue(values, f, logScale) {
+    const first = values[0];
+    const last = values[values.length - 1];
+    return logScale ? first * Math.pow(last / first, f) : first + f * (last - first);
+}
+
+/**
+ * Geometry of the heatmap plot area for the current canvas size
+ */
+function getHeatmapLayout(canvas, heatmap) {
+    const plot = { left: 70, top: 20, right: canvas.width - 90, bottom: canvas.height - 55 };
+    return {
+        ...plot,
+        cellWidth: (plot.right - plot.left) / heatmap.xValues.length,
+        cellHeight: (plot.bottom - plot.top) / heatmap.yValues.length
+    };
+}
+
+/**
+ * Draw the heatmap, threshold contours, axes, colour scale and current parameter point
+ */
+function drawRiskHeatmap() {
+    const heatmap = state.heatmap.results;
+    const canvas = document.getElementById('heatmap-canvas');
+    if (!heatmap || !canvas) return;
+    
+    canvas.width = canvas.parentElement.clientWidth || 640;
+    canvas.height = 440;
+    const ctx = canvas.getContext('2d');
+    const layout = getHeatmapLayout(canvas, heatmap);
+    const toPixel = ([i, j]) => [
+        layout.left + (i + 0.5) * layout.cellWidth,
+        layout.bottom - (j + 0.5) * layout.cellHeight
+    ];
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // Cells are centred on the grid points; row 0 is the bottom of the plot
+    heatmap.risks.forEach((row, j) => {
+        row.forEach((risk, i) => {
+            ctx.fillStyle = getRiskColor(risk);
+            ctx.fillRect(
+                layout.left + i * layout.cellWidth,
+                layout.bottom - (j + 1) * layout.cellHeight,
+                layout.cellWidth + 0.5,
+                layout.cellHeight + 0.5
+            );
+        });
+    });
+    
+    // Threshold contours: dashed at moderate, solid at high risk
+    ctx.strokeStyle = 'rgba(44, 62, 80, 0.9)';
+    ctx.lineWidth = 2;
+    [['moderate', [6, 4]], ['high', []]].forEach(([level, dash]) => {
+        ctx.setLineDash(dash);
+        ctx.beginPath();
+        heatmap.contours[level].forEach(([from, to]) => {
+            ctx.moveTo(...toPixel(from));
+            ctx.lineTo(...toPixel(to));
+        });
+        ctx.stroke();
+    });
+    ctx.setLineDash([]);
+    
+    // Axes
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = '11px Poppins, sans-serif';
+    [0, 0.25, 0.5, 0.75, 1].forEach(f => {
+        const [x] = toPixel([f * (heatmap.xValues.length - 1), 0]);
+        const [, y] = toPixel([0, f * (heatmap.yValues.length - 1)]);
+        
+        ctx.textAlign = 'center';
+        ctx.fillText(formatAxisValue(heatmapAxisValue(heatmap.xValues, f, heatmap.xLog)), x, layout.bottom + 16);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatAxisValue(heatmapAxisValue(heatmap.yValues, f, heatmap.yLog)), layout.left - 6, y + 4);
+    });
+    
+    ctx.font = '600 13px Poppins, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(PARAMETER_DEFINITIONS[heatmap.xParameter].label + (heatmap.xLog ? ' (log)' : ''), (layout.left + layout.right) / 2, canvas.height - 12);
+    ctx.save();
+    ctx.translate(16, (layout.top + layout.bottom) / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(PARAMETER_DEFINITIONS[heatmap.yParameter].label + (heatmap.yLog ? ' (log)' : ''), 0, 0);
+    ctx.restore();
+    
+    // Colour scale with threshold ticks
+    const scaleX = layout.right + 25;
+    for (let r = 0; r < 100; r++) {
+        ctx.fillStyle = getRiskColor(r + 0.5);
+        ctx.fillRect(scaleX, layout.bottom - (r + 1) * (layout.bottom - layout.top) / 100, 14, (layout.bottom - layout.top) / 100 + 0.5);
+    }
+    ctx.fillStyle = '#2c3e50';
+    ctx.font = '11px Poppins, sans-serif';
+    ctx.textAlign = 'left';
+    [0, RISK_THRESHOLDS.moderate, RISK_THRESHOLDS.high, 100].forEach(r => {
+        ctx.fillText(`${r}%`, scaleX + 18, layout.bottom - r / 100 * (layout.bottom - layout.top) + 4);
+    });
+    
+    // Current parameter values, when inside the scanned ranges
+    const position = (values, value, logScale) => {
+        const first = values[0];
+        const last = values[values.length - 1];
+        const f = logScale ? Math.log(value / first) / Math.log(last / first) : (value - first) / (last - first);
+        return f * (values.length - 1);
+    };
+    const i = position(heatmap.xValues, state.params[heatmap.xParameter], heatmap.xLog);
+    const j = position(heatmap.yValues, state.params[heatmap.yParameter], heatmap.yLog);
+    if (i >= 0 && i <= heatmap.xValues.length - 1 && j >= 0 && j <= heatmap.yValues.length - 1) {
+        const [x, y] = toPixel([i, j]);
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, 2 * Math.PI);
+        ctx.fillStyle = '#ffffff';
+        ctx.fill();
+        ctx.strokeStyle = '#2c3e50';
+        ctx.stroke();
+    }
+}
+
+/**
+ * Compact tick label for an axis value
+ */
+function formatAxisValue(value) {
+    if (value === 0) return '0';
+    if (Math.abs(value) >= 100) return value.toFixed(0);
+    if (Math.abs(value) >= 1) return value.toFixed(2).replace(/\.?0+$/, '');
+    return value.toPrecision(2);
+}
+
+/**
+ * Show the parameter values and risk under the pointer
+ */
+function handleHeatmapHover(event) {
+    const heatmap = state.heatmap.results;
+    if (!heatmap) return;
+    
+    const canvas = event.target;
+    const layout = getHeatmapLayout(canvas, heatmap);
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * (canvas.width / (rect.width || canvas.width));
+    const y = (event.clientY - rect.top) * (canvas.height / (rect.height || canvas.height));
+    const i = Math.floor((x - layout.left) / layout.cellWidth);
+    const j = Math.floor((layout.bottom - y) / layout.cellHeight);
+    
+    if (i < 0 || j < 0 || i >= heatmap.xValues.length || j >= heatmap.yValues.length) return;
+    
+    const risk = heatmap.risks[j][i];
+    const level = risk >= RISK_THRESHOLDS.high ? 'High Risk' : risk >= RISK_THRESHOLDS.moderate ? 'Moderate Risk' : 'Low Risk';
+    document.getElementById('heatmap-readout').textContent =
+        `${PARAMETER_DEFINITIONS[heatmap.xParameter].label} = ${formatAxisValue(heatmap.xValues[i])}, ` +
+        `${PARAMETER_DEFINITIONS[heatmap.yParameter].label} = ${formatAxisValue(heatmap.yValues[j])} → ` +
+        `${heatmap.disease} risk ${risk.toFixed(1)}% (${level})`;
+}
+
+/**
+ * Fill the hysteresis gene picker (keeps the chosen gene when it still exists)
+ */
+function renderHysteresisGeneOptions() {
+    const select = document.getElementById('hysteresis-gene');
+    if (!select) return;
+    
+    const current = select.value;
+    select.innerHTML = GENE_DATABASE
+        .map(gene => `<option value="${escapeHTML(gene.symbol)}">${escapeHTML(gene.symbol)}</option>`)
+        .join('');
+    if (GENE_DATABASE.some(gene => gene.symbol === current)) {
+        select.value = current;
+    } else {
+        setHysteresisGene(select.value);
+    }
+}
+
+/**
+ * Suggest feedback for a gene that makes it bistable under the current parameters:
+ * strength Vmax and threshold 0.6·η·Vmax / δp (60% of the fully-on protein level)
+ */
+function setHysteresisGene(symbol) {
+    const gene = GENE_DATABASE.find(g => g.symbol === symbol);
+    if (!gene) return;
+    
+    const params = { ...state.params, ...(state.geneOverrides[symbol] || {}) };
+    const level = params.proteinDegradation > 0 ? params.translationEfficiency * gene.Vmax / params.proteinDegradation : gene.baselineProtein;
+    document.getElementById('hysteresis-strength').value = gene.Vmax;
+    document.getElementById('hysteresis-threshold').value = Number((0.6 * level).toPrecision(3));
+}
+
+/**
+ * Scan TF concentration up and down for the chosen self-activating gene in the simulation worker
+ * and plot the loop. Clicking again while it runs cancels the scan.
+ */
+function runHysteresisExplorer() {
+    if (state.hysteresis.running) {
+        cancelWorkerJob(state.hysteresis.jobId);
+        state.hysteresis.running = false;
+        setHysteresisProgress(null, 'Scan cancelled.');
+        return;
+    }
+    
+    const symbol = document.getElementById('hysteresis-gene').value;
+    const feedback = {
+        strength: parseFloat(document.getElementById('hysteresis-strength').value),
+        threshold: parseFloat(document.getElementById('hysteresis-threshold').value),
+        hill: parseFloat(document.getElementById('hysteresis-hill').value)
+    };
+    const min = parseFloat(document.getElementById('hysteresis-min').value);
+    const max = parseFloat(document.getElementById('hysteresis-max').value);
+    const points = parseInt(document.getElementById('hysteresis-points').value, 10);
+    const logScale = document.getElementById('hysteresis-log-x').checked;
+    
+    if (!(feedback.strength >= 0) || !(feedback.threshold > 0) || !(feedback.hill >= 1 && feedback.hill <= 4)) {
+        alert('Feedback strength must be at least 0, the threshold above 0 and the feedback Hill coefficient between 1 and 4.');
+        return;
+    }
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || min >= max) {
+        alert('Invalid TF range: "From" must be at least 0 and below "To".');
+        return;
+    }
+    if (!Number.isInteger(points) || points < 2 || points > 500) {
+        alert('Number of points must be between 2 and 500.');
+        return;
+    }
+    if (logScale && min <= 0) {
+        alert('A logarithmic TF axis needs a positive "From" value.');
+        return;
+    }
+    
+    const options = {
+        ...buildSimulationConfig(),
+        gene: symbol,
+        feedback,
+        tfValues: SimulationCore.createSweepValues(min, max, points, logScale)
+    };
+    
+    state.hysteresis.running = true;
+    setHysteresisProgress(0, `Sweeping ${symbol} up and down over ${points} TF levels...`);
+    
+    state.hysteresis.jobId = startWorkerJob('hysteresis', options, message => {
+        if (message.type === 'progress') {
+            setHysteresisProgress(message.completed / message.total, `Followed ${message.completed} / ${message.total} TF steps...`);
+            return;
+        }
+        
+        state.hysteresis.running = false;
+        if (message.type === 'error') {
+            setHysteresisProgress(null, '');
+            alert(`Cannot run the hysteresis scan:\n${message.message}`);
+            return;
+        }
+        
+        state.hysteresis.results = { ...message.result, logScale };
+        setHysteresisProgress(null, describeHysteresis(state.hysteresis.results));
+        updateHysteresisChart();
+    });
+}
+
+/**
+ * Update the hysteresis progress bar (fraction null hides it) and status text
+ */
+function setHysteresisProgress(fraction, message) {
+    const progress = document.getElementById('hysteresis-progress');
+    progress.classList.toggle('hidden', fraction === null);
+    if (fraction !== null) {
+        document.getElementById('hysteresis-progress-bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    document.getElementById('hysteresis-status').textContent = message;
+    document.getElementById('hysteresis-run-btn').innerHTML = state.hysteresis.running ? '⏹️ Cancel' : '▶️ Run Scan';
+}
+
+/**
+ * Summarize where the gene is bistable and where the sweeps switch it on and off
+ */
+function describeHysteresis(scan) {
+    const range = scan.bistableRange;
+    const format = value => `${formatAxisValue(value)} nM`;
+    
+    if (!range) {
+        return `${scan.gene} is monostable: its steady state rises smoothly with TF, so the up and down sweeps coincide. ` +
+            'Raise the feedback strength or its Hill coefficient to create a switch.';
+    }
+    
+    let text = `${scan.gene} is bistable for TF between ${format(range.from)} and ` +
+        `${Number.isFinite(range.to) ? format(range.to) : 'saturating levels'}. `;
+    text += Number.isFinite(range.to)
+        ? `Sweeping up, it switches on at ${format(range.to)}; `
+        : 'No TF level can switch it on from the low state; ';
+    text += range.from > 0
+        ? `sweeping down, it only switches off at ${format(range.from)}.`
+        : 'once on, it stays on even without TF (an irreversible switch).';
+    
+    const [low, high] = [scan.tfValues[0], scan.tfValues[scan.tfValues.length - 1]];
+    if (range.from < low || range.to > high) {
+        text += ' Part of the bistable range lies outside the scanned TF range.';
+    }
+    return text;
+}
+
+/**
+ * Draw the steady-state branches (unstable dashed), both sweeps and the saddle-node points
+ */
+function updateHysteresisChart() {
+    const scan = state.hysteresis.results;
+    const chart = state.charts.hysteresis;
+    if (!scan || !chart) return;
+    
+    const toPoints = (xs, ys) => xs.map((x, i) => ({ x, y: ys[i] }));
+    const datasets = scan.branches.map(branch => ({
+        label: branch.stable ? 'Stable steady states' : 'Unstable steady states',
+        data: toPoints(branch.tf, branch.protein),
+        borderColor: '#95a5a6',
+        borderWidth: branch.stable ? 4 : 2,
+        borderDash: branch.stable ? [] : [6, 4],
+        pointRadius: 0,
+        pointHoverRadius: 0
+    }));
+    
+    datasets.push({
+        label: 'TF increasing',
+        data: toPoints(scan.tfValues, scan.up),
+        borderColor: CHART_COLORS[0],
+        borderWidth: 2,
+        pointRadius: 0
+    }, {
+        label: 'TF decreasing',
+        data: toPoints(scan.tfValues, scan.down),
+        borderColor: CHART_COLORS[1],
+        borderWidth: 2,
+        pointRadius: 0
+    }, {
+        label: 'Saddle-node bifurcation',
+        data: scan.saddleNodes.map(point => ({ x: point.tf, y: point.protein })),
+        borderColor: '#e74c3c',
+        backgroundColor: '#e74c3c',
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 8,
+        pointHoverRadius: 10
+    });
+    
+    chart.data.datasets = datasets;
+    chart.options.scales.x.type = scan.logScale ? 'logarithmic' : 'linear';
+    chart.options.scales.x.min = scan.tfValues[0];
+    chart.options.scales.x.max = scan.tfValues[scan.tfValues.length - 1];
+    chart.update();
+}
+
+
+
+// =============================================================================
+// 8. PRESET & SCENARIO MANAGEMENT
+// =============================================================================
+
+/**
+ * Load preset scenario
+ */
+function loadPreset(presetName) {
+    const preset = PRESET_SCENARIOS[presetName];
+    if (!preset) return;
+    
+    // Save current state for comparison
+    state.previousParams = { ...state.params };
+    
+    // Load preset parameters
+    Object.assign(state.params, preset.params);
+    
+    // Update UI
+    syncParametersToUI();
+    updateNormalizedWeights();
+    
+    // Reset simulation
+    resetSimulation();
+
+    // Update contribution chart
+    updateContributionChart();
+    
+    // Analyze impact
+    setTimeout(() => analyzeParameterImpact(`Preset: ${preset.name}`), 100);
+}
+
+/**
+ * Randomize parameters
+ */
+function randomizeParameters() {
+    state.previousParams = { ...state.params };
+    
+    // Successive clicks walk one reproducible stream derived from the seed
+    if (!state.parameterRandom) {
+        state.parameterRandom = createSeededRandom(deriveSeed(state.seed, 2));
+    }
+    const random = state.parameterRandom;
+    
+    state.params.tfConcentration = random() * 500 + 10;
+    state.params.bindingAffinity = random() * 10 + 0.1;
+    state.params.hillCoefficient = Math.floor(random() * 3) + 1;
+    state.params.methylationFactor = random() * 0.8;
+    state.params.mutationSeverity = random() * 0.8;
+    state.params.translationEfficiency = random() * 2 + 0.2;
+    state.params.proteinDegradation = random() * 0.5 + 0.05;
+    state.params.expressionNoise = random() * 0.3 + 0.05;
+    
+    // Keep weights reasonable
+    const w1 = random();
+    const w2 = random();
+    const w3 = random();
+    const total = w1 + w2 + w3;
+    state.params.weightGenomics = w1 / total;
+    state.params.weightTranscriptomics = w2 / total;
+    state.params.weightProteomics = w3 / total;
+    
+    syncParametersToUI();
+    updateNormalizedWeights();
+    resetSimulation();
+    
+    setTimeout(() => analyzeParameterImpact('Randomized parameters'), 100);
+}
+
+/**
+ * Reset all parameters to defaults
+ */
+function resetAllParameters() {
+    state.previousParams = { ...state.params };
+    
+    state.params = {
+        tfConcentration: 50,
+        bindingAffinity: 1,
+        hillCoefficient: 2,
+        methylationFactor: 0,
+        mutationSeverity: 0,
+        translationEfficiency: 0.7,
+        proteinDegradation: 0.1,
+        expressionNoise: 0.1,
+        weightGenomics: 0.3,
+        weightTranscriptomics: 0.4,
+        weightProteomics: 0.3
+    };
+    state.geneOverrides = {};
+    
+    syncParametersToUI();
+    updateNormalizedWeights();
+    renderGeneList();
+    resetSimulation();
+    
+    setTimeout(() => analyzeParameterImpact('Reset to defaults'), 100);
+}
+
+/**
+ * Sync parameters to UI inputs
+ */
+function syncParametersToUI() {
+    for (const key in state.params) {
+        const slider = document.getElementById(key.replace(/([A-Z])/g, '-$1').toLowerCase());
+        const numberInput = document.getElementById(key.replace(/([A-Z])/g, '-$1').toLowerCase() + '-num');
+        
+        if (slider && numberInput) {
+            slider.value = state.params[key];
+            numberInput.value = state.params[key];
+        }
+    }
+    
+    document.getElementById('network-enabled').checked = state.networkEnabled;
+    document.getElementById('sim-seed').value = state.seed;
+    document.getElementById('sim-engine').value = state.engine;
+    updateIntegratorControls();
+}
+
+/**
+ * Scenarios available for comparison: the current lab, presets, detailed and saved scenarios
+ * Presets only define parameters, so they use the lab's current genes, diseases and overrides.
+ */
+function getComparisonSources() {
+    const current = captureScenarioSnapshot('Current configuration');
+    
+    return [
+        { id: 'current', group: 'Lab', name: current.name, config: current },
+        ...Object.entries(PRESET_SCENARIOS).map(([key, preset]) => ({
+            id: `preset:${key}`,
+            group: 'Presets',
+            name: preset.name,
+            config: { ...current, name: preset.name, params: { ...state.params, ...preset.params } }
+        })),
+        ...Object.entries(DETAILED_SCENARIOS).map(([key, scenario]) => ({
+            id: `detailed:${key}`,
+            group: 'Detailed Scenarios',
+            name: `${scenario.icon} ${scenario.name}`,
+            config: scenario
+        })),
+        ...getSavedScenarios().map((scenario, index) => ({
+            id: `saved:${index}`,
+            group: 'Saved Scenarios',
+            name: scenario.name,
+            config: scenario
+        }))
+    ];
+}
+
+/**
+ * Render the scenario checklist of the comparison panel (keeps the current ticks)
+ */
+function renderComparisonSources() {
+    const container = document.getElementById('comparison-sources');
+    if (!container) return;
+    
+    const checked = new Set([...container.querySelectorAll('input:checked')].map(input => input.value));
+    const groups = {};
+    getComparisonSources().forEach(source => {
+        (groups[source.group] = groups[source.group] || []).push(source);
+    });
+    
+    container.innerHTML = Object.entries(groups).map(([group, sources]) => `
+        <div class="comparison-source-group">
+            <div class="comparison-source-title">${group}</div>
+            ${sources.map(source => `
+                <label class="toggle-label">
+                    <input type="checkbox" value="${escapeHTML(source.id)}" ${checked.has(source.id) ? 'checked' : ''}>
+                    <span>${escapeHTML(source.name)}</span>
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Simulate every ticked scenario in the simulation worker and show the comparison (the topmost
+ * is the baseline). All runs share the lab's engine, integrator and seed, so differences come
+ * from the scenarios. Clicking again while it runs cancels the comparison.
+ */
+function runScenarioComparison() {
+    if (state.comparison.running) {
+        cancelWorkerJob(state.comparison.jobId);
+        state.comparison.running = false;
+        setComparisonProgress(null, 'Comparison cancelled.');
+        return;
+    }
+    
+    const ids = [...document.querySelectorAll('#comparison-sources input:checked')].map(input => input.value);
+    if (ids.length < 2) {
+        alert('Select at least two scenarios to compare.');
+        return;
+    }
+    
+    const sources = getComparisonSources();
+    const runs = [];
+    const configs = [];
+    
+    for (const id of ids) {
+        const source = sources.find(s => s.id === id);
+        const config = source.config;
+        const genes = GENE_DATABASE.filter(g => (config.selectedGenes || []).includes(g.symbol));
+        const diseases = DISEASE_DATABASE.filter(d => (config.selectedDiseases || []).includes(d.name));
+        
+        if (genes.length === 0) {
+            alert(`"${source.name}" has no available genes to simulate. Select genes in the lab or pick another scenario.`);
+            return;
+        }
+        
+        runs.push({ id, name: source.name });
+        configs.push({
+            genes,
+            diseases,
+            params: { ...config.params },
+            geneOverrides: config.geneOverrides || {},
+            networkEnabled: config.networkEnabled ?? state.networkEnabled,
+            interventions: (config.interventions || []).map(intervention => validateIntervention(intervention).record).filter(Boolean),
+            drugs: (config.drugs || []).map(drug => validateDrug(drug).record).filter(Boolean),
+            geneDatabase: GENE_DATABASE,
+            engine: state.engine,
+            integrator: state.integrator,
+            seed: state.seed,
+            timeStep: state.simulationSettings.timeStep,
+            maxTime: state.simulationSettings.maxTime,
+            tauLeapSubsteps: SIMULATION_CONFIG.tauLeapSubsteps
+        });
+    }
+    
+    state.comparison.running = true;
+    setComparisonProgress(0, `Simulating ${runs.length} scenarios...`);
+    
+    state.comparison.jobId = startWorkerJob('compare', { configs }, message => {
+        if (message.type === 'progress') {
+            setComparisonProgress(message.completed / message.total, `Simulated ${message.completed} / ${message.total} scenarios...`);
+            return;
+        }
+        
+        state.comparison.running = false;
+        if (message.type === 'error') {
+            setComparisonProgress(null, `Comparison failed: ${message.message}`);
+            return;
+        }
+        
+        state.comparison.runs = runs.map((run, index) => ({ ...run, result: message.result.results[index] }));
+        setComparisonProgress(null, '');
+        document.getElementById('comparison-results').classList.remove('hidden');
+        updateComparisonCharts();
+        renderComparisonRisks();
+        renderComparisonDiff();
+    });
+}
+
+/**
+ * Update the comparison progress bar (fraction null hides it) and status text
+ */
+function setComparisonProgress(fraction, message) {
+    const progress = document.getElementById('comparison-progress');
+    progress.classList.toggle('hidden', fraction === null);
+    if (fraction !== null) {
+        document.getElementById('comparison-progress-bar').style.width = `${(fraction * 100).toFixed(1)}%`;
+    }
+    document.getElementById('comparison-status').textContent = message;
+    document.getElementById('comparison-run-btn').innerHTML = state.comparison.running ? '⏹️ Cancel' : '⚖️ Compare Scenarios';
+}
+
+/**
+ * Overlay the trajectories of all compared scenarios (colour = gene, line style = scenario)
+ */
+function updateComparisonCharts() {
+    const runs = state.comparison.runs;
+    if (runs.length === 0 || !state.charts.comparisonMrna || !state.charts.comparisonProtein) return;
+    
+    const dashes = [[], [8, 4], [2, 3], [12, 4, 2, 4]];
+    const symbols = [...new Set(runs.flatMap(run => run.result.config.genes.map(g => g.symbol)))];
+    const datasets = { mrna: [], protein: [] };
+    
+    const time = runs[0].result.timeSeriesData.time;
+    const indices = {};
+    ['mrna', 'protein'].forEach(series => {
+        indices[series] = getChartIndices(time, runs.flatMap(run =>
+            run.result.config.genes.map(gene => run.result.timeSeriesData.genes[gene.symbol][series])
+        ));
+    });
+    
+    runs.forEach((run, runIndex) => {
+        run.result.config.genes.forEach(gene => {
+            const color = CHART_COLORS[symbols.indexOf(gene.symbol) % CHART_COLORS.length];
+            ['mrna', 'protein'].forEach(series => {
+                const values = run.result.timeSeriesData.genes[gene.symbol][series];
+                datasets[series].push({
+                    label: `${gene.symbol} · ${run.name}`,
+                    data: indices[series].map(i => values[i]),
+                    borderColor: color,
+                    borderDash: dashes[runIndex % dashes.length],
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0,
+                    pointHoverRadius: 5
+                });
+            });
+        });
+    });
+    
+    [['comparisonMrna', 'mrna'], ['comparisonProtein', 'protein']].forEach(([chartKey, series]) => {
+        const chart = state.charts[chartKey];
+        chart.data.labels = indices[series].map(i => time[i]);
+        chart.data.datasets = datasets[series];
+        chart.update('none');
+    });
+}
+
+/**
+ * Final disease risks of every scenario with the change against the first (baseline) scenario
+ */
+function getComparisonRiskRows() {
+    const runs = state.comparison.runs;
+    const diseaseNames = [...new Set(runs.flatMap(run => Object.keys(run.result.risks)))];
+    
+    return diseaseNames.map(name => {
+        const baseline = runs[0].result.risks[name]?.risk;
+        return {
+            disease: name,
+            cells: runs.map(run => {
+                const risk = run.result.risks[name]?.risk;
+                return {
+                    risk,
+                    delta: risk !== undefined && baseline !== undefined ? risk - baseline : undefined,
+                    riskClass: risk >= RISK_THRESHOLDS.high ? 'high' : risk >= RISK_THRESHOLDS.moderate ? 'moderate' : 'low'
+                };
+            })
+        };
+    });
+}
+
+/**
+ * Show risk cards side by side, one column per scenario
+ */
+function renderComparisonRisks() {
+    const runs = state.comparison.runs;
+    const rows = getComparisonRiskRows();
+    const container = document.getElementById('comparison-risks');
+    
+    container.style.gridTemplateColumns = `repeat(${runs.length}, minmax(180px, 1fr))`;
+    container.innerHTML = runs.map((run, index) => `
+        <div class="comparison-column">
+            <div class="comparison-column-title">${escapeHTML(run.name)}${index === 0 ? ' <span class="custom-tag">Baseline</span>' : ''}</div>
+            ${rows.map(row => {
+                const cell = row.cells[index];
+                if (cell.risk === undefined) {
+                    return `<div class="comparison-risk empty"><span>${escapeHTML(row.disease)}</span><span>not evaluated</span></div>`;
+                }
+                return `
+                    <div class="comparison-risk risk-${cell.riskClass}">
+                        <span>${escapeHTML(row.disease)}</span>
+                        <strong>${cell.risk.toFixed(1)}%</strong>
+                        ${index > 0 && cell.delta !== undefined ? `<span class="comparison-delta">${formatRiskDelta(cell.delta)}</span>` : ''}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `).join('');
+}
+
+/**
+ * Rows of the scenario configuration diff (label, one display value per scenario, differs?)
+ */
+function getComparisonDiffRows() {
+    const runs = state.comparison.runs;
+    const rows = Object.entries(PARAMETER_DEFINITIONS).map(([key, def]) => ({
+        label: def.label,
+        values: runs.map(run => String(run.result.config.params[key]))
+    }));
+    
+    rows.push(
+        { label: 'Genes', values: runs.map(run => run.result.config.genes.map(g => g.symbol).join(', ')) },
+        { label: 'Diseases', values: runs.map(run => run.result.config.diseases.map(d => d.name).join(', ') || '—') },
+        { label: 'Gene Network', values: runs.map(run => run.result.config.networkEnabled ? 'On' : 'Off') },
+        {
+            label: 'Per-Gene Overrides',
+            values: runs.map(run => Object.entries(run.result.config.geneOverrides)
+                .map(([symbol, overrides]) => `${symbol}: ${Object.entries(overrides).map(([k, v]) => `${k} ${v}`).join(', ')}`)
+                .join('; ') || '—')
+        },
+        {
+            label: 'Interventions',
+            values: runs.map(run => run.result.config.interventions.map(describeIntervention).join('; ') || '—')
+        },
+        {
+            label: 'Drugs',
+            values: runs.map(run => run.result.config.drugs.map(describeDrug).join('; ') || '—')
+        }
+    );
+    
+    return rows.map(row => ({ ...row, differs: new Set(row.values).size > 1 }));
+}
+
+/**
+ * Render the parameter diff table (differing rows highlighted)
+ */
+function renderComparisonDiff() {
+    const runs = state.comparison.runs;
+    
+    document.getElementById('comparison-diff').innerHTML = `
+        <table class="analysis-range-table comparison-diff-table">
+            <thead>
+                <tr><th>Setting</th>${runs.map(run => `<th>${escapeHTML(run.name)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${getComparisonDiffRows().map(row => `
+                    <tr class="${row.differs ? 'diff-row' : ''}">
+                        <td>${row.label}</td>
+                        ${row.values.map(value => `<td>${escapeHTML(value)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Scenario comparison section of the HTML report ('' when nothing has been compared)
+ */
+function generateComparisonReportHTML(chartImages) {
+    const runs = state.comparison.runs;
+    if (runs.length === 0) return '';
+    
+    const riskColor = { high: '#e74c3c', moderate: '#f39c12', low: '#27ae60' };
+    
+    return `
+        <div class="section">
+            <h2 class="section-title">
+                <span class="section-icon">⚖️</span>
+                Scenario Comparison
+            </h2>
+            
+            <p style="margin-bottom: 20px; color: #7f8c8d;">
+                ${runs.length} scenarios simulated with the same engine and seed (${state.seed}).
+                Risk changes are relative to <strong>${escapeHTML(runs[0].name)}</strong>.
+            </p>
+            
+            <table>
+                <thead>
+                    <tr>
+                        <th>Disease</th>
+                        ${runs.map(run => `<th>${escapeHTML(run.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${getComparisonRiskRows().map(row => `
+                    <tr>
+                        <td><strong>${escapeHTML(row.disease)}</strong></td>
+                        ${row.cells.map((cell, index) => `
+                        <td>${cell.risk === undefined ? '—' : `
+                            <span style="font-weight: bold; color: ${riskColor[cell.riskClass]};">${cell.risk.toFixed(1)}%</span>
+                            ${index > 0 && cell.delta !== undefined ? `<div style="font-size: 0.85em; color: #7f8c8d;">${formatRiskDelta(cell.delta)}</div>` : ''}`}
+                        </td>`).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            
+            <h3 style="margin: 30px 0 15px 0; color: #2c3e50;">Configuration Differences</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Setting</th>
+                        ${runs.map(run => `<th>${escapeHTML(run.name)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${getComparisonDiffRows().map(row => `
+                    <tr style="${row.differs ? 'background: #fff8e1; font-weight: 600;' : ''}">
+                        <td>${row.label}</td>
+                        ${row.values.map(value => `<td>${escapeHTML(value)}</td>`).join('')}
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            
+            ${chartImages.comparisonMrna ? `
+            <div class="chart-container">
+                <div class="chart-title">📊 mRNA Trajectories by Scenario</div>
+                <img src="${chartImages.comparisonMrna}" alt="mRNA trajectories of compared scenarios">
+            </div>
+            ` : ''}
+            
+            ${chartImages.comparisonProtein ? `
+            <div class="chart-container">
+                <div class="chart-title">🔬 Protein Trajectories by Scenario</div>
+                <img src="${chartImages.comparisonProtein}" alt="Protein trajectories of compared scenarios">
+            </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// =============================================================================
+// 9. DATA IMPORT/EXPORT
+// =============================================================================
+
+/**
+ * Export simulation data as CSV
+ */
+function exportData() {
+    if (state.simulation.timeSeriesData.time.length === 0) {
+        alert('No simulation data to export. Please run a simulation first.');
+        return;
+    }
+    
+    let csv = `# Seed: ${state.simulation.seed}\n`;
+    csv += `# Engine: ${SIMULATION_ENGINES[state.engine]}\n`;
+    csv += `# Numerical method: ${describeNumericalMethod()}\n`;
+    csv += `# Duration: ${state.simulationSettings.maxTime} h; time step: ${state.simulationSettings.timeStep} h (full resolution)\n`;
+    state.interventions.forEach(intervention => {
+        csv += `# Intervention: ${describeIntervention(intervention)}\n`;
+    });
+    state.drugs.forEach(drug => {
+        csv += `# Drug: ${describeDrug(drug)}\n`;
+    });
+
+    // Metadata: effective regulatory parameters per gene (* = per-gene override)
+    for (const gene of state.selectedGenes) {
+        const params = getGeneParams(gene);
+        const overrides = state.geneOverrides[gene.symbol] || {};
+        const entries = GENE_PARAMETER_KEYS.map(key => `${key}=${params[key]}${key in overrides ? '*' : ''}`);
+        csv += `# ${gene.symbol} parameters: ${entries.join('; ')}\n`;
+    }
+    
+    csv += 'Time';
+    
+    // Headers
+    for (const gene of state.selectedGenes) {
+        csv += `,${gene.symbol}_mRNA,${gene.symbol}_Protein`;
+    }
+    const riskSeries = state.simulation.timeSeriesData.risks || {};
+    const riskDiseases = state.selectedDiseases.filter(disease => riskSeries[disease.name]);
+    for (const disease of riskDiseases) {
+        csv += `,"Risk_${disease.name.replace(/"/g, '""')}"`;
+    }
+    for (const drug of state.drugs) {
+        csv += `,"${drug.name.replace(/"/g, '""')}_mg_per_L"`;
+    }
+    csv += '\n';
+    
+    // Data rows (enough decimals to tell every time step apart)
+    const timeDecimals = Math.max(2, Math.ceil(-Math.log10(state.simulationSettings.timeStep)));
+    for (let i = 0; i < state.simulation.timeSeriesData.time.length; i++) {
+        csv += state.simulation.timeSeriesData.time[i].toFixed(timeDecimals);
+        
+        for (const gene of state.selectedGenes) {
+            const data = state.simulation.timeSeriesData.genes[gene.symbol];
+            const mrna = data.mrna[i] || 0;
+            const protein = data.protein[i] || 0;
+            csv += `,${mrna.toFixed(4)},${protein.toFixed(4)}`;
+        }
+        for (const disease of riskDiseases) {
+            const risk = riskSeries[disease.name][i];
+            csv += `,${risk === null || risk === undefined ? '' : risk.toFixed(3)}`;
+        }
+        for (const drug of state.drugs) {
+            csv += `,${SimulationCore.getDrugConcentration(drug, state.simulation.timeSeriesData.time[i]).toFixed(5)}`;
+        }
+        csv += '\n';
+    }
+    
+    // Download
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `multiomics_simulation_${Date.now()}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Capture the current lab configuration as a saveable scenario
+ */
+function captureScenarioSnapshot(name) {
+    return {
+        name: name,
+        params: { ...state.params },
+        geneOverrides: JSON.parse(JSON.stringify(state.geneOverrides)),
+        networkEnabled: state.networkEnabled,
+        seed: state.seed,
+        engine: state.engine,
+        integrator: { ...state.integrator },
+        simulationSettings: { ...state.simulationSettings },
+        interventions: state.interventions.map(intervention => ({ ...intervention })),
+        drugs: state.drugs.map(drug => ({ ...drug })),
+        selectedGenes: state.selectedGenes.map(g => g.symbol),
+        selectedDiseases: state.selectedDiseases.map(d => d.name),
+        timestamp: Date.now()
+    };
+}
+
+/**
+ * Read saved scenarios from localStorage
+ */
+function getSavedScenarios() {
+    try {
+        const scenarios = JSON.parse(localStorage.getItem(STORAGE_KEYS.scenarios) || '[]');
+        return Array.isArray(scenarios) ? scenarios : [];
+    } catch (error) {
+        console.error('Saved scenarios are corrupted:', error);
+        return [];
+    }
+}
+
+/**
+ * Write saved scenarios to localStorage and refresh the library panel
+ */
+function storeSavedScenarios(scenarios) {
+    localStorage.setItem(STORAGE_KEYS.scenarios, JSON.stringify(scenarios));
+    renderScenarioLibrary();
+    renderComparisonSources();
+}
+
+/**
+ * Save current scenario to localStorage
+ */
+function saveScenario() {
+    const scenarioName = prompt('Enter a name for this scenario:');
+    if (!scenarioName) return;
+    
+    // Get existing scenarios
+    const scenarios = getSavedScenarios();
+    scenarios.push(captureScenarioSnapshot(scenarioName));
+    storeSavedScenarios(scenarios);
+    
+    alert(`Scenario "${scenarioName}" saved successfully!`);
+}
+
+/**
+ * Find genes and diseases referenced by a saved scenario that no longer exist
+ */
+function findMissingScenarioReferences(scenario) {
+    return {
+        genes: (scenario.selectedGenes || []).filter(symbol => !GENE_DATABASE.some(g => g.symbol === symbol)),
+        diseases: (scenario.selectedDiseases || []).filter(name => !DISEASE_DATABASE.some(d => d.name === name))
+    };
+}
+
+/**
+ * Render the saved scenario library panel
+ */
+function renderScenarioLibrary() {
+    const container = document.getElementById('scenario-library-list');
+    if (!container) return;
+    
+    const scenarios = getSavedScenarios();
+    
+    if (scenarios.length === 0) {
+        container.innerHTML = '<p class="library-empty">No saved scenarios yet. Use "Save Scenario" to store the current configuration.</p>';
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    // Newest first
+    scenarios.map((scenario, index) => ({ scenario, index }))
+        .sort((a, b) => (b.scenario.timestamp || 0) - (a.scenario.timestamp || 0))
+        .forEach(({ scenario, index }) => {
+            const missing = findMissingScenarioReferences(scenario);
+            const missingItems = [...missing.genes, ...missing.diseases];
+            const savedAt = scenario.timestamp ? new Date(scenario.timestamp).toLocaleString() : 'Unknown date';
+            
+            const item = document.createElement('div');
+            item.className = `library-item ${missingItems.length > 0 ? 'has-warning' : ''}`;
+            item.innerHTML = `
+                <div class="library-item-info">
+                    <div class="library-item-name">${escapeHTML(scenario.name)}</div>
+                    <div class="library-item-meta">${savedAt} | ${(scenario.selectedGenes || []).length} gene(s), ${(scenario.selectedDiseases || []).length} disease(s)</div>
+                    ${missingItems.length > 0 ? `<div class="library-item-warning">⚠️ Missing: ${missingItems.map(escapeHTML).join(', ')}</div>` : ''}
+                </div>
+                <div class="library-item-actions">
+                    <button class="btn btn-sm btn-primary" data-action="load" title="Load scenario">Load</button>
+                    <button class="library-icon-btn" data-action="rename" title="Rename">✏️</button>
+                    <button class="library-icon-btn" data-action="duplicate" title="Duplicate">📄</button>
+                    <button class="library-icon-btn" data-action="overwrite" title="Overwrite with current configuration">💾</button>
+                    <button class="library-icon-btn" data-action="delete" title="Delete">🗑️</button>
+                </div>
+            `;
+            
+            item.querySelectorAll('[data-action]').forEach(button => {
+                button.addEventListener('click', () => handleScenarioLibraryAction(button.dataset.action, index));
+            });
+            
+            container.appendChild(item);
+        });
+}
+
+/**
+ * Handle a scenario library button (load, rename, duplicate, overwrite, delete)
+ */
+function handleScenarioLibraryAction(action, index) {
+    const scenarios = getSavedScenarios();
+    const scenario = scenarios[index];
+    if (!scenario) return;
+    
+    switch (action) {
+        case 'load':
+            loadSavedScenario(scenario);
+            break;
+            
+        case 'rename': {
+            const newName = prompt('Enter a new name for this scenario:', scenario.name);
+            if (!newName) return;
+            scenario.name = newName;
+            storeSavedScenarios(scenarios);
+            break;
+        }
+        
+        case 'duplicate': {
+            const copy = JSON.parse(JSON.stringify(scenario));
+            copy.name = `${scenario.name} (copy)`;
+            copy.timestamp = Date.now();
+            scenarios.splice(index + 1, 0, copy);
+            storeSavedScenarios(scenarios);
+            break;
+        }
+        
+        case 'overwrite':
+            if (!confirm(`Overwrite "${scenario.name}" with the current parameters, genes and diseases?`)) return;
+            scenarios[index] = captureScenarioSnapshot(scenario.name);
+            storeSavedScenarios(scenarios);
+            break;
+            
+        case 'delete':
+            if (!confirm(`Delete scenario "${scenario.name}"? This cannot be undone.`)) return;
+            scenarios.splice(index, 1);
+            storeSavedScenarios(scenarios);
+            break;
+    }
+}
+
+/**
+ * Load a saved scenario, warning about genes or diseases that no longer exist
+ */
+function loadSavedScenario(scenario) {
+    const missing = findMissingScenarioReferences(scenario);
+    
+    if (missing.genes.length > 0 || missing.diseases.length > 0) {
+        const details = [
+            missing.genes.length > 0 ? `Genes: ${missing.genes.join(', ')}` : '',
+            missing.diseases.length > 0 ? `Diseases: ${missing.diseases.join(', ')}` : ''
+        ].filter(Boolean).join('\n');
+        
+        if (!confirm(`"${scenario.name}" references items that are no longer available and will be skipped:\n\n${details}\n\nLoad anyway?`)) {
+            return;
+        }
+    }
+    
+    restoreConfiguration(scenario);
+    setTimeout(() => analyzeParameterImpact(`Scenario: ${scenario.name}`), 100);
+}
+
+/**
+ * Escape user-provided text before inserting it into HTML
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, escaped quotes (""), commas/newlines inside quotes,
+ * Windows (CRLF) line endings and a leading byte-order mark.
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+    
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+            if (char === '\r' && input[i + 1] === '\n') i++;
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Convert parsed CSV rows into objects keyed by the (trimmed) header row
+ */
+function csvRowsToObjects(rows) {
+    if (rows.length === 0) return [];
+    const headers = rows[0].map(h => h.trim());
+    
+    return rows.slice(1).map(values => {
+        const obj = {};
+        headers.forEach((header, index) => {
+            if (header) obj[header] = values[index] !== undefined ? values[index].trim() : '';
+        });
+        return obj;
+    });
+}
+
+/**
+ * Read an imported file's records (JSON array, JSON object with a list property, or CSV)
+ * Returns { records, labels } where labels identify each record in error messages.
+ */
+function parseImportFile(fileName, text, listProperty) {
+    const lowerName = fileName.toLowerCase();
+    
+    if (lowerName.endsWith('.json')) {
+        const data = JSON.parse(text);
+        const records = Array.isArray(data) ? data : data[listProperty];
+        if (!Array.isArray(records)) {
+            throw new Error(`JSON must be an array or an object with a "${listProperty}" array`);
+        }
+        return { records, labels: records.map((_, i) => `Record ${i + 1}`) };
+    }
+    
+    if (lowerName.endsWith('.csv')) {
+        const records = csvRowsToObjects(parseCSV(text));
+        // Header is line 1, so data rows start at line 2
+        return { records, labels: records.map((_, i) => `Row ${i + 2}`) };
+    }
+    
+    throw new Error('Unsupported file type. Please upload a .json or .csv file.');
+}
+
+/**
+ * Gene record schema used to validate imported gene panels
+ */
+const GENE_SCHEMA = {
+    symbol: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    description: { type: 'string', required: false },
+    baselineTPM: { type: 'number', required: true, min: 0, exclusiveMin: true },
+    Vmax: { type: 'number', required: true, min: 0, exclusiveMin: true },
+    baselineProtein: { type: 'number', required: true, min: 0, exclusiveMin: true },
+    defaultEta: { type: 'number', required: true, min: 0, max: 5, exclusiveMin: true },
+    mrnaHalfLife: { type: 'number', required: false, min: 0, max: 1000, exclusiveMin: true, default: SIMULATION_CONFIG.defaultMrnaHalfLife }
+};
+
+/**
+ * Validate one imported gene record against GENE_SCHEMA
+ * In merge mode, fields missing from a record for an existing symbol are taken
+ * from the existing gene, so partial updates are allowed.
+ */
+function validateGeneRecord(raw, mode) {
+    const errors = [];
+    
+    if (!raw || typeof raw !== 'object') {
+        return { record: null, errors: ['Record is not an object'] };
+    }
+    
+    const symbol = raw.symbol !== undefined ? String(raw.symbol).trim() : '';
+    const existing = GENE_DATABASE.find(g => g.symbol === symbol);
+    const base = mode === 'merge' && existing ? existing : {};
+    const record = {};
+    
+    for (const [field, rule] of Object.entries(GENE_SCHEMA)) {
+        const provided = raw[field] !== undefined && raw[field] !== null && String(raw[field]).trim() !== '';
+        
+        if (!provided) {
+            if (base[field] !== undefined) {
+                record[field] = base[field];
+            } else if (rule.required) {
+                errors.push(`Missing required field "${field}"`);
+            } else {
+                record[field] = rule.default !== undefined ? rule.default : '';
+            }
+            continue;
+        }
+        
+        if (rule.type === 'number') {
+            const value = typeof raw[field] === 'number' ? raw[field] : Number(String(raw[field]).trim());
+            if (!Number.isFinite(value)) {
+                errors.push(`"${field}" must be a number (got "${raw[field]}")`);
+            } else if ((rule.exclusiveMin && value <= rule.min) || value < rule.min) {
+                errors.push(`"${field}" must be greater than ${rule.min} (got ${value})`);
+            } else if (rule.max !== undefined && value > rule.max) {
+                errors.push(`"${field}" must be at most ${rule.max} (got ${value})`);
+            } else {
+                record[field] = value;
             }
+        } else {
+            record[field] = String(raw[field]).trim();
+        }
+    }
+    
+    if (symbol && !/^[A-Za-z0-9._-]+$/.test(symbol)) {
+        errors.push(`"symbol" may only contain letters, digits, ".", "_" or "-" (got "${symbol}")`);
+    }
+    
+    return { record: errors.length === 0 ? record : null, errors, isUpdate: !!existing };
+}
+
+/**
+ * Validate all imported gene records, flagging duplicate symbols within the file
+ */
+function validateGeneImport(records, labels, mode) {
+    const valid = [];
+    const rowErrors = [];
+    const seen = new Set();
+    
+    records.forEach((raw, index) => {
+        const result = validateGeneRecord(raw, mode);
+        
+        if (result.record && seen.has(result.record.symbol)) {
+            result.errors.push(`Duplicate symbol "${result.record.symbol}" (already defined earlier in this file)`);
+            result.record = null;
+        }
+        
+        if (result.record) {
+            seen.add(result.record.symbol);
+            valid.push({ record: result.record, isUpdate: result.isUpdate });
+        } else {
+            rowErrors.push({ label: labels[index], errors: result.errors });
         }
     });
+    
+    return { valid, rowErrors };
+}
+
+/**
+ * Insert or replace gene records in GENE_DATABASE (matched by symbol)
+ */
+function upsertGenes(records) {
+    for (const record of records) {
+        const index = GENE_DATABASE.findIndex(g => g.symbol === record.symbol);
+        if (index >= 0) {
+            GENE_DATABASE[index] = { ...record };
+        } else {
+            GENE_DATABASE.push({ ...record });
+        }
+    }
+    
+    // Keep selected genes pointing at the current records
+    state.selectedGenes = state.selectedGenes
+        .map(gene => GENE_DATABASE.find(g => g.symbol === gene.symbol))
+        .filter(Boolean);
 }
 
+/**
+ * Read the imported gene panel persisted in localStorage
+ */
+function getStoredCustomGenes() {
+    try {
+        const genes = JSON.parse(localStorage.getItem(STORAGE_KEYS.customGenes) || '[]');
+        return Array.isArray(genes) ? genes : [];
+    } catch (error) {
+        console.error('Stored custom genes are corrupted:', error);
+        return [];
+    }
+}
 
 /**
- * Initialize protein chart
+ * Apply the persisted imported gene panel on startup
  */
-function initializeProteinChart() {
-    const ctx = document.getElementById('protein-chart');
+function loadCustomGenes() {
+    const stored = getStoredCustomGenes();
+    const { valid } = validateGeneImport(stored, stored.map((_, i) => `Stored gene ${i + 1}`), 'replace');
+    upsertGenes(valid.map(v => v.record));
     
-    if (!ctx) {
-        console.error('Canvas element protein-chart not found');
+    if (valid.length < stored.length) {
+        console.warn(`Skipped ${stored.length - valid.length} invalid stored custom gene(s)`);
+    }
+}
+
+/**
+ * Merge validated gene records into GENE_DATABASE and persist them
+ */
+function applyGeneImport(records) {
+    upsertGenes(records);
+    
+    const stored = getStoredCustomGenes();
+    for (const record of records) {
+        const index = stored.findIndex(g => g.symbol === record.symbol);
+        if (index >= 0) {
+            stored[index] = record;
+        } else {
+            stored.push(record);
+        }
+    }
+    localStorage.setItem(STORAGE_KEYS.customGenes, JSON.stringify(stored));
+    
+    renderGeneList();
+    renderDrugTargetOptions();
+    renderHysteresisGeneOptions();
+    renderScenarioLibrary();
+    resetSimulation();
+    updateContributionChart();
+}
+
+/**
+ * Remove all imported genes and restore the built-in gene database
+ */
+function removeImportedGenes() {
+    if (getStoredCustomGenes().length === 0) {
+        alert('No imported genes to remove.');
         return;
     }
     
-    state.charts.protein = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: [],
-            datasets: []
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            interaction: {
-                mode: 'index',
-                intersect: false
-            },
-            plugins: {
-                legend: {
-                    display: true,
-                    position: 'top',
-                    labels: {
-                        font: { 
-                            family: 'Poppins', 
-                            size: 11 
-                        },
-                        usePointStyle: true,
-                        padding: 15
-                    }
-                },
-                tooltip: {
-                    backgroundColor: 'rgba(44, 62, 80, 0.9)',
-                    titleFont: { 
-                        family: 'Poppins', 
-                        size: 13 
-                    },
-                    bodyFont: { 
-                        family: 'Poppins', 
-                        size: 12 
-                    },
-                    padding: 12,
-                    cornerRadius: 8
-                }
-            },
-            scales: {
-                x: {
-                    title: {
-                        display: true,
-                        text: 'Time (hours)',
-                        font: { 
-                            family: 'Poppins', 
-                            size: 13, 
-                            weight: '600' 
-                        }
-                    },
-                    grid: { 
-                        color: 'rgba(0, 0, 0, 0.05)' 
-                    }
-                },
-                y: {
-                    title: {
-                        display: true,
-                        text: 'Protein Abundance (AU)',
-                        font: { 
-                            family: 'Poppins', 
-                            size: 13, 
-                            weight: '600' 
-                        }
-                    },
-                    beginAtZero: true,
-                    grid: { 
-                        color: 'rgba(0, 0, 0, 0.05)' 
-                    }
-                }
-            },
-            animation: {
-                duration: 0
+    if (!confirm('Remove all imported genes and restore the built-in gene database?')) return;
+    
+    localStorage.removeItem(STORAGE_KEYS.customGenes);
+    GENE_DATABASE.splice(0, GENE_DATABASE.length, ...BUILTIN_GENES.map(g => ({ ...g })));
+    upsertGenes([]);
+    
+    renderGeneList();
+    renderDrugTargetOptions();
+    renderHysteresisGeneOptions();
+    renderScenarioLibrary();
+    resetSimulation();
+    updateContributionChart();
+}
+
+/**
+ * Import custom gene data
+ */
+function importCustomData(file) {
+    const reader = new FileReader();
+    
+    reader.onload = function(e) {
+        try {
+            const { records, labels } = parseImportFile(file.name, e.target.result, 'genes');
+            
+            if (records.length === 0) {
+                alert('The file does not contain any gene records.');
+                return;
+            }
+            
+            showGeneImportReport(file.name, records, labels, 'merge');
+        } catch (error) {
+            alert('Error parsing file: ' + error.message);
+        }
+    };
+    
+    reader.readAsText(file);
+}
+
+/**
+ * Remove comment lines (starting with #) before the text is split into fields, so a stray
+ * quote in a comment cannot open a quoted field that runs into the data
+ */
+function stripCSVComments(text) {
+    return text
+        .split(/\r\n|\n|\r/)
+        .filter(line => !line.trim().startsWith('#'))
+        .join('\n');
+}
+
+/**
+ * Parse measured time courses from CSV in the layout exportData() writes
+ * Lines starting with # are comments. The header needs a Time column and SYMBOL_mRNA /
+ * SYMBOL_Protein columns for genes in the database (other columns are ignored); empty
+ * cells mean "not measured" and repeated times are replicates.
+ * Returns { time, genes: { SYMBOL: { mrna, protein } } }.
+ */
+function parseTimeSeriesCSV(text) {
+    const rows = parseCSV(stripCSVComments(text));
+    if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one data row');
+    }
+    
+    const header = rows[0].map(h => h.trim());
+    const timeColumn = header.findIndex(h => h.toLowerCase() === 'time');
+    if (timeColumn < 0) {
+        throw new Error('No "Time" column found');
+    }
+    
+    const columns = [];
+    const unknown = [];
+    header.forEach((name, index) => {
+        const match = name.match(/^(.+)_(mRNA|Protein)$/i);
+        if (!match) return;
+        const gene = GENE_DATABASE.find(g => g.symbol.toUpperCase() === match[1].toUpperCase());
+        if (!gene) {
+            unknown.push(match[1]);
+            return;
+        }
+        columns.push({ index, name, symbol: gene.symbol, kind: match[2].toLowerCase() === 'mrna' ? 'mrna' : 'protein' });
+    });
+    if (unknown.length > 0) {
+        throw new Error(`Unknown genes: ${[...new Set(unknown)].join(', ')}. Import them as custom genes first.`);
+    }
+    if (columns.length === 0) {
+        throw new Error('No GENE_mRNA or GENE_Protein columns found');
+    }
+    
+    const data = { time: [], genes: {} };
+    for (const column of columns) {
+        data.genes[column.symbol] = data.genes[column.symbol] || { mrna: [], protein: [] };
+    }
+    
+    rows.slice(1).forEach((row, r) => {
+        const cell = index => (row[index] ?? '').trim();
+        const time = Number(cell(timeColumn));
+        if (cell(timeColumn) === '' || !Number.isFinite(time) || time < 0) {
+            throw new Error(`Data row ${r + 1}: invalid time "${cell(timeColumn)}"`);
+        }
+        data.time.push(time);
+        
+        for (const series of Object.values(data.genes)) {
+            series.mrna.push(null);
+            series.protein.push(null);
+        }
+        for (const column of columns) {
+            if (cell(column.index) === '') continue;
+            const value = Number(cell(column.index));
+            if (!Number.isFinite(value) || value < 0) {
+                throw new Error(`Data row ${r + 1}: invalid ${column.name} value "${cell(column.index)}"`);
             }
+            data.genes[column.symbol][column.kind][r] = value;
         }
     });
+    
+    if (!Object.values(data.genes).some(series => [...series.mrna, ...series.protein].some(v => v !== null))) {
+        throw new Error('The file does not contain any measurements');
+    }
+    return data;
 }
 
+/**
+ * Load measured time courses for parameter fitting and overlay them on the charts
+ */
+function importFitData(file) {
+    const reader = new FileReader();
+    
+    reader.onload = function(e) {
+        try {
+            state.fit.data = { fileName: file.name, ...parseTimeSeriesCSV(e.target.result) };
+        } catch (error) {
+            alert('Error reading time courses: ' + error.message);
+            return;
+        }
+        
+        state.fit.results = null;
+        document.getElementById('fit-results').classList.add('hidden');
+        document.getElementById('fit-apply-btn').disabled = true;
+        setFitProgress(null, '');
+        clearMcmcResults();
+        renderFitDataSummary();
+        updateCharts();
+    };
+    
+    reader.readAsText(file);
+}
 
 /**
- * Initialize contribution chart
+ * Parse a labelled cohort from CSV: one row per sample
+ * Lines starting with # are comments. The header needs a Status column (case/control, 1/0,
+ * yes/no or true/false), optionally a Sample column, and both SYMBOL_mRNA and SYMBOL_Protein
+ * for every gene (in the database) to use; other columns are ignored. Samples with an empty
+ * measurement are left out.
+ * Returns { samples: [{ id, status, values: { SYMBOL: { mrna, protein } } }], genes, skipped }.
  */
-function initializeContributionChart() {
-    const ctx = document.getElementById('contribution-chart');
+function parseCohortCSV(text) {
+    const rows = parseCSV(stripCSVComments(text));
+    if (rows.length < 2) {
+        throw new Error('The file needs a header row and at least one data row');
+    }
     
-    if (!ctx) {
-        console.error('Canvas element contribution-chart not found');
-        return;
+    const header = rows[0].map(h => h.trim());
+    const statusColumn = header.findIndex(h => h.toLowerCase() === 'status');
+    const sampleColumn = header.findIndex(h => h.toLowerCase() === 'sample');
+    if (statusColumn < 0) {
+        throw new Error('No "Status" column found');
     }
     
-    state.charts.contribution = new Chart(ctx, {
-        type: 'bar',
-        data: {
-            labels: [],
-            datasets: []
-        },
-        options: {
-            responsive: true,
-            maintainAspectRatio: false,
-            plugins: {
-                legend: {
-                    display: true,
-                    position: 'top',
-                    labels: {
-                        font: { 
-                            family: 'Poppins', 
-                            size: 11 
-                        }
-                    }
-                },
-                tooltip: {
-                    backgroundColor: 'rgba(44, 62, 80, 0.9)',
-                    titleFont: { 
-                        family: 'Poppins', 
-                        size: 13 
-                    },
-                    bodyFont: { 
-                        family: 'Poppins', 
-                        size: 12 
-                    },
-                    padding: 12,
-                    cornerRadius: 8
-                }
-            },
-            scales: {
-                x: {
-                    stacked: true,
-                    grid: { 
-                        display: false 
-                    },
-                    ticks: {
-                        font: { 
-                            family: 'Poppins', 
-                            size: 11 
-                        }
-                    }
-                },
-                y: {
-                    stacked: true,
-                    title: {
-                        display: true,
-                        text: 'Contribution to Disease Risk',
-                        font: { 
-                            family: 'Poppins', 
-                            size: 13, 
-                            weight: '600' 
-                        }
-                    },
-                    beginAtZero: true,
-                    grid: { 
-                        color: 'rgba(0, 0, 0, 0.05)' 
-                    }
+    const columns = {};
+    const unknown = [];
+    header.forEach((name, index) => {
+        const match = name.match(/^(.+)_(mRNA|Protein)$/i);
+        if (!match) return;
+        const gene = GENE_DATABASE.find(g => g.symbol.toUpperCase() === match[1].toUpperCase());
+        if (!gene) {
+            unknown.push(match[1]);
+            return;
+        }
+        columns[gene.symbol] = columns[gene.symbol] || {};
+        columns[gene.symbol][match[2].toLowerCase() === 'mrna' ? 'mrna' : 'protein'] = { index, name };
+    });
+    if (unknown.length > 0) {
+        throw new Error(`Unknown genes: ${[...new Set(unknown)].join(', ')}. Import them as custom genes first.`);
+    }
+    const incomplete = Object.keys(columns).filter(symbol => !columns[symbol].mrna || !columns[symbol].protein);
+    if (incomplete.length > 0) {
+        throw new Error(`${incomplete.join(', ')}: each gene needs both a _mRNA and a _Protein column`);
+    }
+    const genes = Object.keys(columns);
+    if (genes.length === 0) {
+        throw new Error('No GENE_mRNA / GENE_Protein column pairs found');
+    }
+    
+    const statuses = { case: 1, control: 0, 1: 1, 0: 0, yes: 1, no: 0, true: 1, false: 0 };
+    const samples = [];
+    let skipped = 0;
+    
+    rows.slice(1).forEach((row, r) => {
+        const cell = index => (row[index] ?? '').trim();
+        const status = statuses[cell(statusColumn).toLowerCase()];
+        if (status === undefined) {
+            throw new Error(`Data row ${r + 1}: invalid status "${cell(statusColumn)}" (use case or control)`);
+        }
+        
+        const values = {};
+        let complete = true;
+        for (const symbol of genes) {
+            values[symbol] = {};
+            for (const kind of ['mrna', 'protein']) {
+                const column = columns[symbol][kind];
+                if (cell(column.index) === '') {
+                    complete = false;
+                    continue;
                 }
+                const value = Number(cell(column.index));
+                if (!Number.isFinite(value) || value < 0) {
+                    throw new Error(`Data row ${r + 1}: invalid ${column.name} value "${cell(column.index)}"`);
+                }
+                values[symbol][kind] = value;
             }
         }
+        
+        if (complete) {
+            samples.push({ id: sampleColumn >= 0 && cell(sampleColumn) ? cell(sampleColumn) : `Row ${r + 1}`, status, values });
+        } else {
+            skipped++;
+        }
     });
+    
+    if (samples.length === 0) {
+        throw new Error('No sample has every measurement');
+    }
+    return { samples, genes, skipped };
 }
 
-
+/**
+ * Load a labelled cohort for risk model calibration
+ */
+function importCalibrationData(file) {
+    const reader = new FileReader();
+    
+    reader.onload = function(e) {
+        try {
+            state.calibration.data = { fileName: file.name, ...parseCohortCSV(e.target.result) };
+        } catch (error) {
+            alert('Error reading cohort: ' + error.message);
+            return;
+        }
+        
+        state.calibration.results = null;
+        document.getElementById('calibration-results').classList.add('hidden');
+        document.getElementById('calibration-apply-btn').disabled = true;
+        document.getElementById('calibration-status').textContent = '';
+        renderCalibrationDataSummary();
+    };
+    
+    reader.readAsText(file);
+}
 
 /**
- * Update time-series charts
+ * Show the gene import report with per-row errors and a merge/replace choice
  */
-function updateCharts() {
-    if (!state.charts.mrna || !state.charts.protein) return;
+function showGeneImportReport(fileName, records, labels, mode) {
+    const { valid, rowErrors } = validateGeneImport(records, labels, mode);
+    const modal = document.getElementById('scenario-modal');
+    const modalBody = document.getElementById('scenario-modal-body');
     
-    // Update datasets for each selected gene
-    const mrnaDatasets = [];
-    const proteinDatasets = [];
+    const previewHTML = valid.map(({ record, isUpdate }) => `
+        <tr>
+            <td><strong>${escapeHTML(record.symbol)}</strong></td>
+            <td>${escapeHTML(record.name)}</td>
+            <td>${record.baselineTPM}</td>
+            <td>${record.Vmax}</td>
+            <td>${record.baselineProtein}</td>
+            <td>${record.defaultEta}</td>
+            <td><span class="import-status ${isUpdate ? 'update' : 'new'}">${isUpdate ? (mode === 'merge' ? 'Merge' : 'Replace') : 'New'}</span></td>
+        </tr>
+    `).join('');
+    
+    const errorsHTML = rowErrors.map(row => `
+        <li><strong>${row.label}:</strong> ${row.errors.map(escapeHTML).join('; ')}</li>
+    `).join('');
     
-    state.selectedGenes.forEach((gene, index) => {
-        const color = CHART_COLORS[index % CHART_COLORS.length];
-        const data = state.simulation.timeSeriesData.genes[gene.symbol];
+    modalBody.innerHTML = `
+        <div class="modal-header">
+            <div class="modal-icon">📥</div>
+            <h2 class="modal-title">Import Gene Panel</h2>
+            <div class="modal-risk-badge ${rowErrors.length > 0 ? 'moderate' : 'low'}">
+                ${valid.length} valid / ${rowErrors.length} with errors
+            </div>
+        </div>
         
-        if (data) {
-            mrnaDatasets.push({
-                label: gene.symbol,
-                data: data.mrna,
-                borderColor: color,
-                backgroundColor: color + '20',
-                borderWidth: 2,
-                fill: false,
-                tension: 0.4,
-                pointRadius: 0,
-                pointHoverRadius: 5
-            });
-            
-            proteinDatasets.push({
-                label: gene.symbol,
-                data: data.protein,
-                borderColor: color,
-                backgroundColor: color + '20',
-                borderWidth: 2,
-                fill: false,
-                tension: 0.4,
-                pointRadius: 0,
-                pointHoverRadius: 5
-            });
-        }
+        <div class="modal-description">
+            <strong>📄 File:</strong> ${escapeHTML(fileName)} (${records.length} record(s))
+        </div>
+        
+        <div class="modal-section">
+            <h3 class="modal-section-title">🔀 Existing Symbols</h3>
+            <label class="toggle-label"><input type="radio" name="gene-import-mode" value="merge" ${mode === 'merge' ? 'checked' : ''}> Merge – update only the fields provided in the file</label>
+            <label class="toggle-label"><input type="radio" name="gene-import-mode" value="replace" ${mode === 'replace' ? 'checked' : ''}> Replace – swap the whole gene record</label>
+        </div>
+        
+        ${rowErrors.length > 0 ? `
+        <div class="modal-section">
+            <h3 class="modal-section-title">⚠️ Rows With Errors (skipped)</h3>
+            <ul class="import-error-list">${errorsHTML}</ul>
+        </div>` : ''}
+        
+        ${valid.length > 0 ? `
+        <div class="modal-section">
+            <h3 class="modal-section-title">✅ Genes To Import</h3>
+            <div class="import-preview">
+                <table class="import-table">
+                    <thead>
+                        <tr><th>Symbol</th><th>Name</th><th>TPM</th><th>Vmax</th><th>Protein</th><th>η</th><th>Action</th></tr>
+                    </thead>
+                    <tbody>${previewHTML}</tbody>
+                </table>
+            </div>
+        </div>` : ''}
+        
+        <div class="modal-actions">
+            <button class="btn-try-scenario" id="confirm-gene-import" ${valid.length === 0 ? 'disabled' : ''}>
+                📥 Import ${valid.length} Gene(s)
+            </button>
+            <button class="btn-cancel" onclick="closeScenarioModal()">
+                Cancel
+            </button>
+        </div>
+    `;
+    
+    modalBody.querySelectorAll('input[name="gene-import-mode"]').forEach(radio => {
+        radio.addEventListener('change', (e) => showGeneImportReport(fileName, records, labels, e.target.value));
     });
     
-    // Update mRNA chart
-    state.charts.mrna.data.labels = state.simulation.timeSeriesData.time;
-    state.charts.mrna.data.datasets = mrnaDatasets;
-    state.charts.mrna.update('none');
+    document.getElementById('confirm-gene-import').addEventListener('click', () => {
+        applyGeneImport(valid.map(v => v.record));
+        closeScenarioModal();
+        alert(`✅ Imported ${valid.length} gene(s). ${rowErrors.length > 0 ? `${rowErrors.length} row(s) with errors were skipped.` : ''}`);
+    });
     
-    // Update protein chart
-    state.charts.protein.data.labels = state.simulation.timeSeriesData.time;
-    state.charts.protein.data.datasets = proteinDatasets;
-    state.charts.protein.update('none');
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
 }
 
-
 /**
- * Update contribution chart
+ * Validate one imported disease record
+ * geneWeights must reference genes that exist in GENE_DATABASE (unless allowUnknownGenes,
+ * used for stored models whose imported genes may have been removed since).
  */
-function updateContributionChart() {
-    if (!state.charts.contribution) {
-        console.warn('Contribution chart not initialized yet');
-        return;
-    }
+function validateDiseaseRecord(raw, allowUnknownGenes = false) {
+    const errors = [];
     
-    if (state.selectedGenes.length === 0 || state.selectedDiseases.length === 0) {
-        state.charts.contribution.data.labels = [];
-        state.charts.contribution.data.datasets = [];
-        state.charts.contribution.update();
-        return;
+    if (!raw || typeof raw !== 'object') {
+        return { record: null, errors: ['Record is not an object'] };
     }
     
-    // Calculate current values for all selected genes
-    const currentValues = {};
+    const name = raw.name !== undefined && raw.name !== null ? String(raw.name).trim() : '';
+    if (!name) errors.push('Missing required field "name"');
     
-    for (const gene of state.selectedGenes) {
-        // Calculate gene expression using current parameters
-        const E_gene = calculateGeneExpression(
-            state.params.tfConcentration,
-            state.params.bindingAffinity,
-            state.params.hillCoefficient,
-            gene.Vmax,
-            state.params.methylationFactor,
-            state.params.mutationSeverity
-        );
-        
-        // Add noise to get transcriptomics
-        const T = addExpressionNoise(E_gene, state.params.expressionNoise);
-        
-        // Get current protein level from simulation or use baseline
-        let P = gene.baselineProtein;
-        if (state.simulation.timeSeriesData.genes[gene.symbol] && 
-            state.simulation.timeSeriesData.genes[gene.symbol].protein.length > 0) {
-            const proteinData = state.simulation.timeSeriesData.genes[gene.symbol].protein;
-            P = proteinData[proteinData.length - 1];
-        }
-        
-        currentValues[gene.symbol] = {
-            genomic: E_gene,
-            transcriptomic: T,
-            proteomic: P
-        };
+    const bias = typeof raw.bias === 'number' ? raw.bias : Number(String(raw.bias ?? '').trim());
+    if (raw.bias === undefined || raw.bias === null || String(raw.bias).trim() === '') {
+        errors.push('Missing required field "bias"');
+    } else if (!Number.isFinite(bias)) {
+        errors.push(`"bias" must be a number (got "${raw.bias}")`);
+    } else if (Math.abs(bias) > 10) {
+        errors.push(`"bias" must be between -10 and 10 (got ${bias})`);
     }
     
-    // Prepare data for each disease
-    const diseaseLabels = state.selectedDiseases.map(d => d.name);
-    
-    // Calculate contributions per gene for each disease
-    const geneContributions = {};
-    
-    state.selectedGenes.forEach((gene, index) => {
-        geneContributions[gene.symbol] = {
-            data: [],
-            backgroundColor: CHART_COLORS[index % CHART_COLORS.length] + 'CC',
-            borderColor: CHART_COLORS[index % CHART_COLORS.length],
-            borderWidth: 2,
-            label: gene.symbol
-        };
-    });
-    
-    // Calculate contribution for each disease
-    for (const disease of state.selectedDiseases) {
-        for (const gene of state.selectedGenes) {
-            const weight = disease.geneWeights[gene.symbol] || 0;
-            const values = currentValues[gene.symbol];
+    const geneWeights = {};
+    if (!raw.geneWeights || typeof raw.geneWeights !== 'object' || Array.isArray(raw.geneWeights)) {
+        errors.push('Missing "geneWeights" (an object mapping gene symbols to weights)');
+    } else {
+        for (const [symbol, rawWeight] of Object.entries(raw.geneWeights)) {
+            const weight = typeof rawWeight === 'number' ? rawWeight : Number(String(rawWeight).trim());
             
-            if (values) {
-                // Normalize values by baseline
-                const normG = values.genomic / gene.Vmax;
-                const normT = values.transcriptomic / gene.Vmax;
-                const normP = values.proteomic / gene.baselineProtein;
-                
-                // Get normalized weights
-                const normalized = normalizeWeights(
-                    state.params.weightGenomics,
-                    state.params.weightTranscriptomics,
-                    state.params.weightProteomics
-                );
-                
-                // Calculate combined contribution
-                const contribution = Math.abs(weight) * (
-                    normalized.w1 * normG +
-                    normalized.w2 * normT +
-                    normalized.w3 * normP
-                ) * 100;
-                
-                geneContributions[gene.symbol].data.push(contribution);
+            if (!allowUnknownGenes && !GENE_DATABASE.some(g => g.symbol === symbol)) {
+                errors.push(`Unknown gene symbol "${symbol}"`);
+            } else if (!Number.isFinite(weight)) {
+                errors.push(`Weight for ${symbol} must be a number (got "${rawWeight}")`);
+            } else if (Math.abs(weight) > 5) {
+                errors.push(`Weight for ${symbol} must be between -5 and 5 (got ${weight})`);
             } else {
-                geneContributions[gene.symbol].data.push(0);
+                geneWeights[symbol] = weight;
             }
         }
+        
+        if (Object.keys(raw.geneWeights).length === 0) {
+            errors.push('"geneWeights" must define at least one gene');
+        }
     }
     
-    // Convert to datasets array
-    const datasets = Object.values(geneContributions);
-    
-    // Update chart
-    state.charts.contribution.data.labels = diseaseLabels;
-    state.charts.contribution.data.datasets = datasets;
-    state.charts.contribution.update();
+    const record = {
+        name: name,
+        description: raw.description ? String(raw.description).trim() : '',
+        geneWeights: geneWeights,
+        bias: bias
+    };
     
-    console.log('✓ Contribution chart updated with', datasets.length, 'genes and', diseaseLabels.length, 'diseases');
+    return { record: errors.length === 0 ? record : null, errors };
 }
 
-
-
-
-
-// =============================================================================
-// 7. PARAMETER CHANGE DETECTION & IMPACT ANALYSIS
-// =============================================================================
-
-
 /**
- * Detect and track parameter changes
+ * Convert a wide-format CSV disease row (name, description, bias, one column per gene)
  */
-function detectParameterChange(paramKey) {
-    // Initialize previous params if not set
-    if (!state.previousParams) {
-        state.previousParams = { ...state.params };
-        return;
+function diseaseRowToRecord(row) {
+    const geneWeights = {};
+    for (const [column, value] of Object.entries(row)) {
+        if (['name', 'description', 'bias'].includes(column) || value === '') continue;
+        geneWeights[column] = value;
     }
+    return { name: row.name, description: row.description, bias: row.bias, geneWeights };
+}
+
+/**
+ * Validate all imported disease records, flagging duplicate names within the file
+ */
+function validateDiseaseImport(records, labels, allowUnknownGenes = false) {
+    const valid = [];
+    const rowErrors = [];
+    const seen = new Set();
     
-    // Calculate the change
-    const oldValue = state.previousParams[paramKey];
-    const newValue = state.params[paramKey];
-    
-    if (Math.abs(newValue - oldValue) > 0.001) {
-        console.log(`Parameter changed: ${paramKey} from ${oldValue.toFixed(3)} to ${newValue.toFixed(3)}`);
+    records.forEach((raw, index) => {
+        const result = validateDiseaseRecord(raw, allowUnknownGenes);
         
-        // Update previous params
-        state.previousParams = { ...state.params };
+        if (result.record && seen.has(result.record.name)) {
+            result.errors.push(`Duplicate disease "${result.record.name}" (already defined earlier in this file)`);
+            result.record = null;
+        }
         
-        // Update impact analysis after a short delay (debounce)
-        clearTimeout(window.paramChangeTimeout);
-        window.paramChangeTimeout = setTimeout(() => {
-            analyzeParameterImpact();
-        }, 500);
+        if (result.record) {
+            seen.add(result.record.name);
+            valid.push({ record: result.record, isUpdate: DISEASE_DATABASE.some(d => d.name === result.record.name) });
+        } else {
+            rowErrors.push({ label: labels[index], errors: result.errors });
+        }
+    });
+    
+    return { valid, rowErrors };
+}
+
+/**
+ * Insert or replace disease records in DISEASE_DATABASE (matched by name)
+ */
+function upsertDiseases(records) {
+    for (const record of records) {
+        const disease = { ...record, geneWeights: { ...record.geneWeights } };
+        const index = DISEASE_DATABASE.findIndex(d => d.name === record.name);
+        if (index >= 0) {
+            DISEASE_DATABASE[index] = disease;
+        } else {
+            DISEASE_DATABASE.push(disease);
+        }
     }
+    
+    // Keep selected diseases pointing at the current records
+    state.selectedDiseases = state.selectedDiseases
+        .map(disease => DISEASE_DATABASE.find(d => d.name === disease.name))
+        .filter(Boolean);
 }
 
+/**
+ * Read custom disease models persisted in localStorage
+ */
+function getStoredCustomDiseases() {
+    try {
+        const diseases = JSON.parse(localStorage.getItem(STORAGE_KEYS.customDiseases) || '[]');
+        return Array.isArray(diseases) ? diseases : [];
+    } catch (error) {
+        console.error('Stored custom diseases are corrupted:', error);
+        return [];
+    }
+}
 
+/**
+ * Persist custom disease records (insert or replace by name)
+ */
+function storeCustomDiseases(records) {
+    const stored = getStoredCustomDiseases();
+    for (const record of records) {
+        const index = stored.findIndex(d => d.name === record.name);
+        if (index >= 0) {
+            stored[index] = record;
+        } else {
+            stored.push(record);
+        }
+    }
+    localStorage.setItem(STORAGE_KEYS.customDiseases, JSON.stringify(stored));
+}
 
 /**
- * Detect parameter changes and analyze impact
+ * Apply the persisted custom disease models on startup
  */
-function analyzeParameterImpact() {
-    if (!state.previousParams) return;
+function loadCustomDiseases() {
+    const stored = getStoredCustomDiseases();
+    const { valid } = validateDiseaseImport(stored, stored.map((_, i) => `Stored disease ${i + 1}`), true);
+    upsertDiseases(valid.map(v => v.record));
     
-    const changes = [];
-    const paramNames = {
-        tfConcentration: 'TF Concentration',
-        bindingAffinity: 'Binding Affinity (Kd)',
-        hillCoefficient: 'Hill Coefficient',
-        methylationFactor: 'Methylation Factor',
-        mutationSeverity: 'Mutation Severity',
-        translationEfficiency: 'Translation Efficiency',
-        proteinDegradation: 'Protein Degradation',
-        expressionNoise: 'Expression Noise',
-        weightGenomics: 'Genomics Weight',
-        weightTranscriptomics: 'Transcriptomics Weight',
-        weightProteomics: 'Proteomics Weight'
-    };
+    if (valid.length < stored.length) {
+        console.warn(`Skipped ${stored.length - valid.length} invalid stored disease model(s)`);
+    }
+}
+
+/**
+ * Refresh everything that depends on the disease database
+ */
+function refreshDiseaseViews() {
+    renderDiseaseList();
+    renderHeatmapDiseaseOptions();
+    renderCalibrationDiseaseOptions();
+    renderScenarioLibrary();
+    updateDiseaseCards({});
+    updateContributionChart();
+}
+
+/**
+ * Import disease models from JSON ({ diseases: [...] } or an array) or wide-format CSV
+ */
+function importDiseaseModels(file) {
+    const reader = new FileReader();
     
-    // Detect changes
-    for (const key in state.params) {
-        if (Math.abs(state.params[key] - state.previousParams[key]) > 0.001) {
-            const delta = state.params[key] - state.previousParams[key];
-            const percentChange = Math.abs(delta / state.previousParams[key]) * 100;
+    reader.onload = function(e) {
+        try {
+            const parsed = parseImportFile(file.name, e.target.result, 'diseases');
+            const records = file.name.toLowerCase().endsWith('.csv')
+                ? parsed.records.map(diseaseRowToRecord)
+                : parsed.records;
+            
+            if (records.length === 0) {
+                alert('The file does not contain any disease models.');
+                return;
+            }
             
-            changes.push({
-                param: paramNames[key],
-                delta: delta,
-                percentChange: percentChange,
-                impact: percentChange > 50 ? 'high' : percentChange > 20 ? 'medium' : 'low'
-            });
+            showDiseaseImportReport(file.name, records, parsed.labels);
+        } catch (error) {
+            alert('Error parsing file: ' + error.message);
         }
-    }
-    
-    // Sort by impact
-    changes.sort((a, b) => b.percentChange - a.percentChange);
+    };
     
-    // Display results
-    displayParameterImpact(changes);
+    reader.readAsText(file);
 }
 
-
 /**
- * Display parameter impact analysis
+ * Show the disease import report with per-row errors
  */
-function displayParameterImpact(changes) {
-    const container = document.getElementById('what-changed-content');
-    
-    if (!container) {
-        console.error('what-changed-content element not found');
-        return;
-    }
-    
-    if (changes.length === 0) {
-        container.innerHTML = '<p class="empty-state">Adjust parameters to see impact analysis. Changes will appear here after you modify sliders.</p>';
-        return;
-    }
+function showDiseaseImportReport(fileName, records, labels) {
+    const { valid, rowErrors } = validateDiseaseImport(records, labels);
+    const modal = document.getElementById('scenario-modal');
+    const modalBody = document.getElementById('scenario-modal-body');
     
-    container.innerHTML = '<p style="margin-bottom: 15px; color: #7f8c8d; font-size: 0.9rem;"><strong>Recent parameter changes ranked by impact:</strong></p>';
+    const previewHTML = valid.map(({ record, isUpdate }) => `
+        <tr>
+            <td><strong>${escapeHTML(record.name)}</strong></td>
+            <td>${record.bias}</td>
+            <td>${Object.entries(record.geneWeights).map(([symbol, w]) => `${escapeHTML(symbol)}: ${w}`).join(', ')}</td>
+            <td><span class="import-status ${isUpdate ? 'update' : 'new'}">${isUpdate ? 'Replace' : 'New'}</span></td>
+        </tr>
+    `).join('');
     
-    const topChanges = changes.slice(0, 5);  // Show top 5
+    const errorsHTML = rowErrors.map(row => `
+        <li><strong>${row.label}:</strong> ${row.errors.map(escapeHTML).join('; ')}</li>
+    `).join('');
     
-    topChanges.forEach(change => {
-        const icon = change.impact === 'high' ? '🔴' : change.impact === 'medium' ? '🟡' : '🟢';
-        const impactText = change.impact === 'high' ? 'High Impact' : 
-                          change.impact === 'medium' ? 'Medium Impact' : 'Low Impact';
+    modalBody.innerHTML = `
+        <div class="modal-header">
+            <div class="modal-icon">⚕️</div>
+            <h2 class="modal-title">Import Disease Models</h2>
+            <div class="modal-risk-badge ${rowErrors.length > 0 ? 'moderate' : 'low'}">
+                ${valid.length} valid / ${rowErrors.length} with errors
+            </div>
+        </div>
+        
+        <div class="modal-description">
+            <strong>📄 File:</strong> ${escapeHTML(fileName)} (${records.length} record(s))
+        </div>
         
-        const changeItem = document.createElement('div');
-        changeItem.className = 'change-item';
-        changeItem.innerHTML = `
-            <div class="change-icon">${icon}</div>
-            <div class="change-details">
-                <div class="change-parameter">${change.param}</div>
-                <div class="change-delta">Changed by ${change.delta > 0 ? '+' : ''}${change.delta.toFixed(3)} (${change.percentChange.toFixed(1)}% change)</div>
+        ${rowErrors.length > 0 ? `
+        <div class="modal-section">
+            <h3 class="modal-section-title">⚠️ Records With Errors (skipped)</h3>
+            <ul class="import-error-list">${errorsHTML}</ul>
+        </div>` : ''}
+        
+        ${valid.length > 0 ? `
+        <div class="modal-section">
+            <h3 class="modal-section-title">✅ Disease Models To Import</h3>
+            <div class="import-preview">
+                <table class="import-table">
+                    <thead>
+                        <tr><th>Name</th><th>Bias</th><th>Gene Weights</th><th>Action</th></tr>
+                    </thead>
+                    <tbody>${previewHTML}</tbody>
+                </table>
             </div>
-            <div class="change-impact ${change.impact}">${impactText}</div>
-        `;
+        </div>` : ''}
         
-        container.appendChild(changeItem);
+        <div class="modal-actions">
+            <button class="btn-try-scenario" id="confirm-disease-import" ${valid.length === 0 ? 'disabled' : ''}>
+                📥 Import ${valid.length} Disease(s)
+            </button>
+            <button class="btn-cancel" onclick="closeScenarioModal()">
+                Cancel
+            </button>
+        </div>
+    `;
+    
+    document.getElementById('confirm-disease-import').addEventListener('click', () => {
+        const imported = valid.map(v => v.record);
+        upsertDiseases(imported);
+        storeCustomDiseases(imported);
+        refreshDiseaseViews();
+        closeScenarioModal();
+        alert(`✅ Imported ${imported.length} disease model(s). ${rowErrors.length > 0 ? `${rowErrors.length} record(s) with errors were skipped.` : ''}`);
     });
+    
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
 }
 
-
-
-// =============================================================================
-// 8. PRESET & SCENARIO MANAGEMENT
-// =============================================================================
-
 /**
- * Load preset scenario
+ * Open the disease model editor (new model when diseaseName is omitted)
+ * Editing a built-in disease saves a custom copy that overrides it.
  */
-function loadPreset(presetName) {
-    const preset = PRESET_SCENARIOS[presetName];
-    if (!preset) return;
-    
-    // Save current state for comparison
-    state.previousParams = { ...state.params };
+function showDiseaseEditor(diseaseName) {
+    const disease = DISEASE_DATABASE.find(d => d.name === diseaseName);
+    const modal = document.getElementById('scenario-modal');
+    const modalBody = document.getElementById('scenario-modal-body');
     
-    // Load preset parameters
-    Object.assign(state.params, preset.params);
+    const weightsHTML = GENE_DATABASE.map(gene => {
+        const weight = disease && disease.geneWeights[gene.symbol] !== undefined ? disease.geneWeights[gene.symbol] : '';
+        return `
+            <label class="disease-weight-row">
+                <span>${escapeHTML(gene.symbol)}</span>
+                <input type="number" data-gene="${escapeHTML(gene.symbol)}" min="-5" max="5" step="0.1" value="${weight}" placeholder="0">
+            </label>
+        `;
+    }).join('');
     
-    // Update UI
-    syncParametersToUI();
-    updateNormalizedWeights();
+    modalBody.innerHTML = `
+        <div class="modal-header">
+            <div class="modal-icon">✏️</div>
+            <h2 class="modal-title">${disease ? 'Edit Disease Model' : 'New Disease Model'}</h2>
+        </div>
+        
+        <div class="modal-section">
+            <label class="editor-field">
+                <span>Name</span>
+                <input type="text" id="disease-editor-name" value="${disease ? escapeHTML(disease.name) : ''}">
+            </label>
+            <label class="editor-field">
+                <span>Description</span>
+                <textarea id="disease-editor-description" rows="2">${disease ? escapeHTML(disease.description) : ''}</textarea>
+            </label>
+            <label class="editor-field">
+                <span>Bias (b<sub>D</sub>)</span>
+                <input type="number" id="disease-editor-bias" min="-10" max="10" step="0.1" value="${disease ? disease.bias : -1.5}">
+            </label>
+        </div>
+        
+        <div class="modal-section">
+            <h3 class="modal-section-title">🧬 Gene Weights <small>(blank = 0, negative = protective)</small></h3>
+            <div class="disease-weights-grid">${weightsHTML}</div>
+        </div>
+        
+        <div class="import-error-list" id="disease-editor-errors"></div>
+        
+        <div class="modal-actions">
+            <button class="btn-try-scenario" id="save-disease-model">💾 Save Disease Model</button>
+            <button class="btn-cancel" onclick="closeScenarioModal()">Cancel</button>
+        </div>
+    `;
     
-    // Reset simulation
-    resetSimulation();
-
-    // Update contribution chart
-    updateContributionChart();
+    document.getElementById('save-disease-model').addEventListener('click', () => {
+        const geneWeights = {};
+        modalBody.querySelectorAll('input[data-gene]').forEach(input => {
+            if (input.value.trim() !== '') geneWeights[input.dataset.gene] = input.value;
+        });
+        
+        const { record, errors } = validateDiseaseRecord({
+            name: document.getElementById('disease-editor-name').value,
+            description: document.getElementById('disease-editor-description').value,
+            bias: document.getElementById('disease-editor-bias').value,
+            geneWeights: geneWeights
+        });
+        
+        if (!record) {
+            document.getElementById('disease-editor-errors').innerHTML = errors.map(e => `<div>⚠️ ${escapeHTML(e)}</div>`).join('');
+            return;
+        }
+        
+        if (disease && disease.name !== record.name && !confirm(`Rename "${disease.name}" to "${record.name}"?`)) {
+            return;
+        }
+        
+        saveDiseaseModel(record, disease ? disease.name : null);
+        closeScenarioModal();
+    });
     
-    // Analyze impact
-    setTimeout(() => analyzeParameterImpact(), 100);
+    modal.classList.remove('hidden');
+    document.body.style.overflow = 'hidden';
 }
 
 /**
- * Randomize parameters
+ * Save an edited disease model, handling renames of an existing model
  */
-function randomizeParameters() {
-    state.previousParams = { ...state.params };
-    
-    state.params.tfConcentration = Math.random() * 500 + 10;
-    state.params.bindingAffinity = Math.random() * 10 + 0.1;
-    state.params.hillCoefficient = Math.floor(Math.random() * 3) + 1;
-    state.params.methylationFactor = Math.random() * 0.8;
-    state.params.mutationSeverity = Math.random() * 0.8;
-    state.params.translationEfficiency = Math.random() * 2 + 0.2;
-    state.params.proteinDegradation = Math.random() * 0.5 + 0.05;
-    state.params.expressionNoise = Math.random() * 0.3 + 0.05;
-    
-    // Keep weights reasonable
-    const w1 = Math.random();
-    const w2 = Math.random();
-    const w3 = Math.random();
-    const total = w1 + w2 + w3;
-    state.params.weightGenomics = w1 / total;
-    state.params.weightTranscriptomics = w2 / total;
-    state.params.weightProteomics = w3 / total;
+function saveDiseaseModel(record, originalName) {
+    const wasSelected = originalName && state.selectedDiseases.some(d => d.name === originalName);
     
-    syncParametersToUI();
-    updateNormalizedWeights();
-    resetSimulation();
+    if (originalName && originalName !== record.name) {
+        deleteCustomDisease(originalName, true);
+    }
     
-    setTimeout(() => analyzeParameterImpact(), 100);
-}
-
-/**
- * Reset all parameters to defaults
- */
-function resetAllParameters() {
-    state.previousParams = { ...state.params };
+    upsertDiseases([record]);
+    storeCustomDiseases([record]);
     
-    state.params = {
-        tfConcentration: 50,
-        bindingAffinity: 1,
-        hillCoefficient: 2,
-        methylationFactor: 0,
-        mutationSeverity: 0,
-        translationEfficiency: 0.7,
-        proteinDegradation: 0.1,
-        expressionNoise: 0.1,
-        weightGenomics: 0.3,
-        weightTranscriptomics: 0.4,
-        weightProteomics: 0.3
-    };
+    if (wasSelected && !state.selectedDiseases.some(d => d.name === record.name)) {
+        state.selectedDiseases.push(DISEASE_DATABASE.find(d => d.name === record.name));
+    }
     
-    syncParametersToUI();
-    updateNormalizedWeights();
-    resetSimulation();
+    refreshDiseaseViews();
 }
 
 /**
- * Sync parameters to UI inputs
+ * Delete a custom disease model; a built-in disease it overrode is restored
  */
-function syncParametersToUI() {
-    for (const key in state.params) {
-        const slider = document.getElementById(key.replace(/([A-Z])/g, '-$1').toLowerCase());
-        const numberInput = document.getElementById(key.replace(/([A-Z])/g, '-$1').toLowerCase() + '-num');
-        
-        if (slider && numberInput) {
-            slider.value = state.params[key];
-            numberInput.value = state.params[key];
-        }
+function deleteCustomDisease(name, silent = false) {
+    if (!silent && !confirm(`Delete the custom disease model "${name}"?`)) return;
+    
+    const stored = getStoredCustomDiseases().filter(d => d.name !== name);
+    localStorage.setItem(STORAGE_KEYS.customDiseases, JSON.stringify(stored));
+    
+    const builtin = BUILTIN_DISEASES.find(d => d.name === name);
+    const index = DISEASE_DATABASE.findIndex(d => d.name === name);
+    if (builtin) {
+        upsertDiseases([builtin]);
+    } else if (index >= 0) {
+        DISEASE_DATABASE.splice(index, 1);
+        state.selectedDiseases = state.selectedDiseases.filter(d => d.name !== name);
     }
+    
+    if (!silent) refreshDiseaseViews();
 }
 
-// =============================================================================
-// 9. DATA IMPORT/EXPORT
-// =============================================================================
-
 /**
- * Export simulation data as CSV
+ * Export custom disease models as JSON so they can be shared and re-imported
  */
-function exportData() {
-    if (state.simulation.timeSeriesData.time.length === 0) {
-        alert('No simulation data to export. Please run a simulation first.');
-        return;
-    }
-    
-    let csv = 'Time';
-    
-    // Headers
-    for (const gene of state.selectedGenes) {
-        csv += `,${gene.symbol}_mRNA,${gene.symbol}_Protein`;
-    }
-    csv += '\n';
+function exportDiseaseModels() {
+    const diseases = getStoredCustomDiseases();
     
-    // Data rows
-    for (let i = 0; i < state.simulation.timeSeriesData.time.length; i++) {
-        csv += state.simulation.timeSeriesData.time[i].toFixed(2);
-        
-        for (const gene of state.selectedGenes) {
-            const data = state.simulation.timeSeriesData.genes[gene.symbol];
-            const mrna = data.mrna[i] || 0;
-            const protein = data.protein[i] || 0;
-            csv += `,${mrna.toFixed(4)},${protein.toFixed(4)}`;
-        }
-        csv += '\n';
+    if (diseases.length === 0) {
+        alert('No custom disease models to export. Import or create one first.');
+        return;
     }
     
-    // Download
-    const blob = new Blob([csv], { type: 'text/csv' });
+    const json = JSON.stringify({ diseases: diseases, exported: new Date().toISOString() }, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `multiomics_simulation_${Date.now()}.csv`;
+    a.download = `multiomics_disease_models_${Date.now()}.json`;
     a.click();
     URL.revokeObjectURL(url);
 }
 
-/**
- * Save current scenario to localStorage
- */
-function saveScenario() {
-    const scenarioName = prompt('Enter a name for this scenario:');
-    if (!scenarioName) return;
-    
-    const scenario = {
-        name: scenarioName,
-        params: { ...state.params },
-        selectedGenes: state.selectedGenes.map(g => g.symbol),
-        selectedDiseases: state.selectedDiseases.map(d => d.name),
-        timestamp: Date.now()
-    };
-    
-    // Get existing scenarios
-    const scenarios = JSON.parse(localStorage.getItem('multiomics_scenarios') || '[]');
-    scenarios.push(scenario);
-    localStorage.setItem('multiomics_scenarios', JSON.stringify(scenarios));
-    
-    alert(`Scenario "${scenarioName}" saved successfully!`);
-}
-
-/**
- * Import custom gene data
- */
-function importCustomData(file) {
-    const reader = new FileReader();
-    
-    reader.onload = function(e) {
-        try {
-            let data;
-            
-            if (file.name.endsWith('.json')) {
-                data = JSON.parse(e.target.result);
-            } else if (file.name.endsWith('.csv')) {
-                // Simple CSV parser
-                const lines = e.target.result.split('\n');
-                data = [];
-                const headers = lines[0].split(',');
-                
-                for (let i = 1; i < lines.length; i++) {
-                    if (lines[i].trim()) {
-                        const values = lines[i].split(',');
-                        const obj = {};
-                        headers.forEach((header, index) => {
-                            obj[header.trim()] = values[index]?.trim();
-                        });
-                        data.push(obj);
-                    }
-                }
-            }
-            
-            // Validate and merge with existing gene database
-            if (Array.isArray(data)) {
-                alert(`Successfully imported ${data.length} gene records. (Note: Custom import is for demonstration - in production, implement full validation and merging logic.)`);
-            }
-        } catch (error) {
-            alert('Error parsing file: ' + error.message);
-        }
-    };
-    
-    reader.readAsText(file);
-}
-
 // =============================================================================
 // 10. TUTORIAL SYSTEM
 // =============================================================================
@@ -3453,16 +8971,145 @@ function setupEventListeners() {
                 }
             });
 
+            slider.addEventListener('change', () => {
+                detectParameterChange(key);
+                updateSteadyStateAnalysis();
+            });
             numberInput.addEventListener('change', (e) => {
                 detectParameterChange(key);
+                updateSteadyStateAnalysis();
                 });
         }
     });
     
+    // Gene regulatory network toggle
+    document.getElementById('network-enabled').addEventListener('change', (e) => {
+        state.networkEnabled = e.target.checked;
+        renderNetworkDiagram(getCurrentProteinLevels());
+        updateContributionChart();
+        updateSteadyStateAnalysis();
+    });
+    
+    // Steady-state reference lines
+    document.getElementById('show-steady-state-lines').addEventListener('change', (e) => {
+        state.steadyState.showLines = e.target.checked;
+        updateCharts();
+    });
+    
     // Simulation controls
     document.getElementById('run-simulation-btn').addEventListener('click', startSimulation);
     document.getElementById('pause-simulation-btn').addEventListener('click', pauseSimulation);
     document.getElementById('reset-simulation-btn').addEventListener('click', resetSimulation);
+    document.getElementById('rerun-seed-btn').addEventListener('click', rerunWithSameSeed);
+    document.getElementById('new-seed-btn').addEventListener('click', () => setSeed(generateSeed()));
+    document.getElementById('sim-seed').addEventListener('change', (e) => setSeed(e.target.value));
+    document.getElementById('sim-engine').addEventListener('change', (e) => setSimulationEngine(e.target.value));
+    document.getElementById('sim-mode').addEventListener('change', (e) => setExecutionMode(e.target.value));
+    document.getElementById('sim-duration').addEventListener('change', (e) => setSimulationSetting('maxTime', e.target.value));
+    document.getElementById('sim-time-step').addEventListener('change', (e) => setSimulationSetting('timeStep', e.target.value));
+    document.getElementById('sim-update-interval').addEventListener('change', (e) => setSimulationSetting('updateInterval', e.target.value));
+    document.getElementById('sim-chart-points').addEventListener('change', (e) => setSimulationSetting('chartMaxPoints', e.target.value));
+    
+    // Intervention timeline
+    document.getElementById('iv-parameter').addEventListener('change', updateInterventionForm);
+    document.getElementById('iv-type').addEventListener('change', updateInterventionForm);
+    document.getElementById('add-intervention-btn').addEventListener('click', addIntervention);
+    document.getElementById('clear-interventions-btn').addEventListener('click', clearInterventions);
+    
+    // Drug regimens
+    document.getElementById('drug-template').addEventListener('change', (e) => applyDrugTemplate(e.target.value));
+    document.querySelectorAll('#drug-form select[data-drug-field]').forEach(select => {
+        select.addEventListener('change', updateDrugForm);
+    });
+    document.getElementById('add-drug-btn').addEventListener('click', addDrug);
+    document.getElementById('clear-drugs-btn').addEventListener('click', clearDrugs);
+    
+    document.getElementById('run-ensemble-btn').addEventListener('click', startEnsemble);
+    document.getElementById('clear-ensemble-btn').addEventListener('click', clearEnsemble);
+    document.getElementById('export-ensemble-btn').addEventListener('click', exportEnsembleCSV);
+    document.getElementById('ensemble-band').addEventListener('change', updateCharts);
+
+    // Parameter change history
+    document.getElementById('clear-change-history-btn').addEventListener('click', clearChangeHistory);
+    
+    // Scenario comparison
+    document.getElementById('comparison-run-btn').addEventListener('click', runScenarioComparison);
+    
+    // Parameter sweep
+    document.getElementById('sweep-param').addEventListener('change', (e) => setSweepParameter(e.target.value));
+    document.getElementById('sweep-log-x').addEventListener('change', () => {
+        const min = document.getElementById('sweep-min');
+        if (document.getElementById('sweep-log-x').checked && parseFloat(min.value) <= 0) {
+            setSweepParameter(document.getElementById('sweep-param').value);
+        }
+        updateSweepCharts();
+    });
+    document.getElementById('sweep-log-y').addEventListener('change', updateSweepCharts);
+    document.getElementById('sweep-run-btn').addEventListener('click', startParameterSweep);
+    document.getElementById('sweep-export-btn').addEventListener('click', exportSweepCSV);
+    
+    // Risk phase diagram
+    ['x', 'y'].forEach(axis => {
+        document.getElementById(`heatmap-${axis}-param`).addEventListener('change', (e) => setHeatmapAxis(axis, e.target.value));
+        document.getElementById(`heatmap-${axis}-log`).addEventListener('change', (e) => {
+            if (e.target.checked && parseFloat(document.getElementById(`heatmap-${axis}-min`).value) <= 0) {
+                setHeatmapAxis(axis, document.getElementById(`heatmap-${axis}-param`).value);
+            }
+        });
+    });
+    document.getElementById('heatmap-run-btn').addEventListener('click', runRiskHeatmap);
+    document.getElementById('heatmap-canvas').addEventListener('mousemove', handleHeatmapHover);
+    window.addEventListener('resize', drawRiskHeatmap);
+    
+    // Parameter fitting
+    document.getElementById('fit-data').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importFitData(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('fit-clear-btn').addEventListener('click', clearFitData);
+    document.getElementById('fit-run-btn').addEventListener('click', startParameterFit);
+    document.getElementById('fit-apply-btn').addEventListener('click', applyFittedParameters);
+    
+    // Bayesian inference
+    document.getElementById('mcmc-run-btn').addEventListener('click', startMcmc);
+    document.getElementById('mcmc-export-btn').addEventListener('click', exportMcmcCSV);
+    document.getElementById('mcmc-param').addEventListener('change', updateMcmcCharts);
+    document.getElementById('mcmc-pair-param').addEventListener('change', updateMcmcCharts);
+    document.getElementById('mcmc-show-band').addEventListener('change', (e) => {
+        state.mcmc.showBand = e.target.checked;
+        updateCharts();
+    });
+    
+    // Risk model calibration
+    document.getElementById('calibration-data').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importCalibrationData(e.target.files[0]);
+        }
+        e.target.value = '';
+    });
+    document.getElementById('calibration-clear-btn').addEventListener('click', clearCalibrationData);
+    document.getElementById('calibration-run-btn').addEventListener('click', runRiskCalibration);
+    document.getElementById('calibration-apply-btn').addEventListener('click', applyCalibratedWeights);
+    
+    // Hysteresis explorer
+    document.getElementById('hysteresis-gene').addEventListener('change', (e) => setHysteresisGene(e.target.value));
+    document.getElementById('hysteresis-log-x').addEventListener('change', (e) => {
+        const min = document.getElementById('hysteresis-min');
+        if (e.target.checked && parseFloat(min.value) <= 0) min.value = 1;
+    });
+    document.getElementById('hysteresis-run-btn').addEventListener('click', runHysteresisExplorer);
+    
+    // Sensitivity analysis
+    document.getElementById('sa-method').addEventListener('change', updateSensitivityCost);
+    document.getElementById('sa-samples').addEventListener('change', updateSensitivityCost);
+    document.getElementById('sa-run-btn').addEventListener('click', startSensitivityAnalysis);
+    document.getElementById('sa-export-btn').addEventListener('click', exportSensitivityCSV);
+    document.getElementById('sa-disease').addEventListener('change', (e) => updateSensitivityChart(e.target.value));
+    document.getElementById('sim-integrator').addEventListener('change', (e) => setIntegratorSetting('method', e.target.value));
+    document.getElementById('sim-step-size').addEventListener('change', (e) => setIntegratorSetting('stepSize', e.target.value));
+    document.getElementById('sim-tolerance').addEventListener('change', (e) => setIntegratorSetting('tolerance', e.target.value));
     
     // Data management
     document.getElementById('export-data-btn').addEventListener('click', exportData);
@@ -3471,6 +9118,19 @@ function setupEventListeners() {
         if (e.target.files.length > 0) {
             importCustomData(e.target.files[0]);
         }
+        // Allow re-importing the same file
+        e.target.value = '';
+    });
+    document.getElementById('remove-imported-genes-btn').addEventListener('click', removeImportedGenes);
+    
+    // Disease models
+    document.getElementById('new-disease-btn').addEventListener('click', () => showDiseaseEditor());
+    document.getElementById('export-diseases-btn').addEventListener('click', exportDiseaseModels);
+    document.getElementById('import-diseases').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            importDiseaseModels(e.target.files[0]);
+        }
+        e.target.value = '';
     });
     
     // Header actions
@@ -3499,11 +9159,30 @@ function init() {
 
     // Initialize previous params for change tracking
     state.previousParams = { ...state.params };
+    
+    // Restore imported gene panel and disease models (genes first: diseases reference them)
+    loadCustomGenes();
+    loadCustomDiseases();
 
     // Render UI
     renderGeneList();
     renderDiseaseList();
-    
+    renderNetworkDiagram({});
+    renderScenarioLibrary();
+    document.getElementById('sim-seed').value = state.seed;
+    updateIntegratorControls();
+    updateSimulationSettingsControls();
+    renderInterventionControls();
+    renderDrugControls();
+    renderSensitivityRanges();
+    renderFitControls();
+    renderMcmcControls();
+    renderCalibrationDiseaseOptions();
+    renderSweepControls();
+    renderHeatmapControls();
+    renderHysteresisGeneOptions();
+    renderComparisonSources();
+
     // Initialize charts
     initializeCharts();
     
@@ -3516,9 +9195,9 @@ function init() {
     updateSelectedDiseaseCount();
     
     // Auto-start tutorial on first visit
-    const hasVisited = localStorage.getItem('multiomics_visited');
+    const hasVisited = localStorage.getItem(STORAGE_KEYS.visited);
     if (!hasVisited) {
-        localStorage.setItem('multiomics_visited', 'true');
+        localStorage.setItem(STORAGE_KEYS.visited, 'true');
         setTimeout(startTutorial, 1000);
     }
     
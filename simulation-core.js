@@ -0,0 +1,3442 @@
+/* =============================================================================
+   Virtual Multi-Omics Lab - Simulation Core
+   
+   Description: DOM-free model of gene expression, mRNA/protein dynamics and
+   disease risk. Pure functions take parameters, genes and diseases explicitly,
+   so the same code drives the browser lab (script.js) and headless batch runs.
+   
+   BROWSER:
+   Load before script.js; everything is exposed as the global `SimulationCore`.
+   
+   NODE:
+   const SimulationCore = require('./simulation-core.js');
+   const result = SimulationCore.runSimulation({
+       genes: ['TP53', 'MYC'],              // symbols or gene objects
+       diseases: ['Breast Cancer'],         // names or disease objects
+       params: { tfConcentration: 200 },    // merged over DEFAULT_PARAMS
+       engine: 'deterministic',             // or 'gillespie' / 'tau-leaping'
+       integrator: { method: 'rk4' },
+       seed: 42,
+       maxTime: 50
+   });
+   // result.timeSeriesData -> { time: [...], genes: { TP53: { mrna: [...], protein: [...] } } }
+   // result.risks          -> { 'Breast Cancer': { risk, contributions } }
+   // result.riskTimeSeries -> { 'Breast Cancer': [...] } (aligned with time)
+   
+   Self-check and batch example: `node examples/headless-batch.js [sweep.csv]` exits with
+   status 1 unless seeded runs are reproducible and settle on the analytic steady state.
+   
+   Dosing regimens (see section 11) modulate parameters or gene expression over time:
+   drugs: [{ name: 'Erlotinib', compartments: 1, route: 'oral', dose: 150, interval: 24,
+             doses: 3, start: 0, halfLife: 36, bioavailability: 0.6, volume: 230,
+             absorptionRate: 0.5, targetType: 'gene', target: 'EGFR',
+             action: 'inhibit', emax: 0.9, ec50: 0.5, hill: 1 }]
+   
+   For step-by-step control use createSimulationConfig(), createSimulationState()
+   and stepSimulation().
+   
+   Global sensitivity of disease risk (Morris screening or Sobol indices):
+   SimulationCore.runSensitivityAnalysis({
+       genes: ['TP53', 'MYC'], diseases: ['Breast Cancer'], seed: 42,
+       method: 'sobol', samples: 256,
+       ranges: { tfConcentration: [0, 1000], methylationFactor: [0, 1] }
+   });
+   
+   Steady states, fixed points and their stability (noise-free model):
+   SimulationCore.analyzeSteadyState(SimulationCore.createSimulationConfig({ genes: ['TP53', 'MYC'] }));
+   
+   Hysteresis of a self-activating gene as TF concentration is swept up and down:
+   SimulationCore.runHysteresisScan({
+       gene: 'TP53', feedback: { strength: 100, threshold: 420, hill: 4 },
+       tfValues: SimulationCore.createSweepValues(0, 1000, 200)
+   });
+   
+   Least-squares fit of parameters to measured time courses (null = not measured):
+   SimulationCore.fitParameters({
+       genes: ['TP53'], method: 'levenberg-marquardt',
+       parameters: ['tfConcentration', 'proteinDegradation'],
+       data: { time: [0, 12, 24], genes: { TP53: { mrna: [0.1, 2.3, 3.1], protein: [320, 250, 190] } } }
+   });
+   
+   Posterior samples of the same parameters by adaptive MCMC (priors truncated to [min, max]):
+   SimulationCore.runMcmc({
+       genes: ['TP53'], data, seed: 7, samples: 2000, burnIn: 1000,
+       priors: { tfConcentration: { type: 'uniform', min: 0, max: 1000 },
+                 proteinDegradation: { type: 'normal', min: 0, max: 1, mean: 0.1, sd: 0.05 } }
+   });
+   
+   Disease gene weights and bias from a labelled cohort (ridge-penalised logistic regression):
+   SimulationCore.fitRiskModel({
+       genes: ['TP53', 'MYC'], penalty: 1,
+       samples: [{ id: 'P1', status: 1, values: { TP53: { mrna: 40, protein: 380 }, MYC: { mrna: 90, protein: 700 } } }, ...]
+   });
+
+   ============================================================================= */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SimulationCore = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // =============================================================================
+    // 1. MODEL DATA & DEFAULTS
+    // =============================================================================
+
+    /**
+     * Gene Database - Realistic human genes with baseline expression parameters
+     * (mrnaHalfLife in hours)
+     */
+    const GENE_DATABASE = [
+        {
+            symbol: 'TP53',
+            name: 'Tumor Protein P53',
+            description: 'Tumor suppressor gene; guardian of the genome. Mutated in >50% of human cancers. Regulates cell cycle and apoptosis.',
+            baselineTPM: 45.2,
+            Vmax: 100.0,
+            baselineProtein: 320.5,
+            defaultEta: 0.7,
+            mrnaHalfLife: 6.0
+        },
+        {
+            symbol: 'BRCA1',
+            name: 'Breast Cancer 1',
+            description: 'DNA repair protein; mutations increase breast/ovarian cancer risk. Critical for homologous recombination.',
+            baselineTPM: 12.8,
+            Vmax: 80.0,
+            baselineProtein: 95.3,
+            defaultEta: 0.75,
+            mrnaHalfLife: 4.0
+        },
+        {
+            symbol: 'EGFR',
+            name: 'Epidermal Growth Factor Receptor',
+            description: 'Receptor tyrosine kinase; frequently amplified in cancers. Target of multiple cancer therapies.',
+            baselineTPM: 67.4,
+            Vmax: 150.0,
+            baselineProtein: 485.7,
+            defaultEta: 0.72,
+            mrnaHalfLife: 8.0
+        },
+        {
+            symbol: 'APOE',
+            name: 'Apolipoprotein E',
+            description: 'Lipid metabolism and transport protein. APOE4 variant is major genetic risk factor for Alzheimer\'s disease.',
+            baselineTPM: 234.6,
+            Vmax: 300.0,
+            baselineProtein: 1850.2,
+            defaultEta: 0.79,
+            mrnaHalfLife: 10.0
+        },
+        {
+            symbol: 'INS',
+            name: 'Insulin',
+            description: 'Peptide hormone regulating glucose metabolism. Deficiency/resistance causes diabetes mellitus.',
+            baselineTPM: 8900.5,
+            Vmax: 10000.0,
+            baselineProtein: 65000.0,
+            defaultEta: 0.73,
+            mrnaHalfLife: 24.0
+        },
+        {
+            symbol: 'IL6',
+            name: 'Interleukin 6',
+            description: 'Pro-inflammatory cytokine; elevated in chronic inflammation, autoimmune diseases, and cancer.',
+            baselineTPM: 28.3,
+            Vmax: 120.0,
+            baselineProtein: 215.8,
+            defaultEta: 0.76,
+            mrnaHalfLife: 0.5
+        },
+        {
+            symbol: 'TNF',
+            name: 'Tumor Necrosis Factor Alpha',
+            description: 'Key inflammatory cytokine; mediates immune response. Dysregulation linked to autoimmune diseases.',
+            baselineTPM: 42.7,
+            Vmax: 130.0,
+            baselineProtein: 298.4,
+            defaultEta: 0.70,
+            mrnaHalfLife: 0.5
+        },
+        {
+            symbol: 'GAPDH',
+            name: 'Glyceraldehyde-3-Phosphate Dehydrogenase',
+            description: 'Housekeeping gene; glycolysis enzyme. Commonly used as reference gene in expression studies.',
+            baselineTPM: 1245.8,
+            Vmax: 1500.0,
+            baselineProtein: 9850.3,
+            defaultEta: 0.79,
+            mrnaHalfLife: 8.0
+        },
+        {
+            symbol: 'VEGFA',
+            name: 'Vascular Endothelial Growth Factor A',
+            description: 'Angiogenesis regulator; promotes blood vessel formation. Overexpressed in tumors and cardiovascular disease.',
+            baselineTPM: 87.2,
+            Vmax: 180.0,
+            baselineProtein: 625.9,
+            defaultEta: 0.72,
+            mrnaHalfLife: 1.0
+        },
+        {
+            symbol: 'MYC',
+            name: 'MYC Proto-Oncogene',
+            description: 'Transcription factor controlling cell proliferation. Amplified/overexpressed in many cancers.',
+            baselineTPM: 56.3,
+            Vmax: 140.0,
+            baselineProtein: 412.7,
+            defaultEta: 0.73,
+            mrnaHalfLife: 0.5
+        }
+    ];
+
+    /**
+     * Gene Regulatory Network - gene products acting as transcription factors for other genes
+     * Kd is in protein abundance units (AU). Targets with several inputs combine them using
+     * 'AND' (all inputs required), 'OR' (any input suffices) or 'additive' (average of inputs).
+     */
+    const GENE_REGULATORY_NETWORK = {
+        edges: [
+            { source: 'MYC', target: 'VEGFA', type: 'activation', Kd: 400, n: 2 },
+            { source: 'IL6', target: 'VEGFA', type: 'activation', Kd: 220, n: 1 },
+            { source: 'EGFR', target: 'MYC', type: 'activation', Kd: 480, n: 2 },
+            { source: 'TP53', target: 'MYC', type: 'repression', Kd: 320, n: 2 },
+            { source: 'TNF', target: 'IL6', type: 'activation', Kd: 300, n: 1 },
+            { source: 'BRCA1', target: 'TP53', type: 'activation', Kd: 95, n: 1 }
+        ],
+        logic: {
+            VEGFA: 'OR',
+            MYC: 'AND',
+            IL6: 'additive',
+            TP53: 'additive'
+        }
+    };
+
+    /**
+     * Disease Database - Human diseases with gene association weights
+     */
+    const DISEASE_DATABASE = [
+        {
+            name: 'Breast Cancer',
+            description: 'Malignant tumor of breast tissue. Associated with BRCA1/2 mutations and hormone signaling.',
+            geneWeights: {
+                'TP53': 0.8,
+                'BRCA1': -0.9,
+                'EGFR': 0.7,
+                'APOE': 0.1,
+                'INS': 0.2,
+                'IL6': 0.5,
+                'TNF': 0.4,
+                'GAPDH': 0.0,
+                'VEGFA': 0.6,
+                'MYC': 0.8
+            },
+            bias: -1.5  // CHANGED from -2.5 to -1.5
+        },
+        {
+            name: 'Alzheimer\'s Disease',
+            description: 'Progressive neurodegenerative disorder; characterized by amyloid plaques and neurofibrillary tangles.',
+            geneWeights: {
+                'TP53': 0.3,
+                'BRCA1': 0.1,
+                'EGFR': 0.2,
+                'APOE': 0.9,
+                'INS': -0.4,
+                'IL6': 0.6,
+                'TNF': 0.5,
+                'GAPDH': 0.0,
+                'VEGFA': 0.3,
+                'MYC': 0.1
+            },
+            bias: -1.8  // CHANGED from -3.0 to -1.8
+        },
+        {
+            name: 'Type 2 Diabetes',
+            description: 'Metabolic disorder characterized by insulin resistance and hyperglycemia.',
+            geneWeights: {
+                'TP53': 0.2,
+                'BRCA1': 0.0,
+                'EGFR': 0.3,
+                'APOE': 0.4,
+                'INS': -0.9,
+                'IL6': 0.7,
+                'TNF': 0.7,
+                'GAPDH': 0.0,
+                'VEGFA': 0.4,
+                'MYC': 0.2
+            },
+            bias: -1.6  // CHANGED from -2.8 to -1.6
+        },
+        {
+            name: 'Chronic Inflammation',
+            description: 'Persistent inflammatory state; associated with autoimmune diseases and cancer.',
+            geneWeights: {
+                'TP53': 0.4,
+                'BRCA1': 0.1,
+                'EGFR': 0.5,
+                'APOE': 0.3,
+                'INS': 0.2,
+                'IL6': 0.9,
+                'TNF': 0.9,
+                'GAPDH': 0.0,
+                'VEGFA': 0.5,
+                'MYC': 0.4
+            },
+            bias: -1.2  // CHANGED from -2.2 to -1.2
+        },
+        {
+            name: 'Cardiovascular Disease',
+            description: 'Heart and blood vessel disorders; includes atherosclerosis, heart attack, and stroke.',
+            geneWeights: {
+                'TP53': 0.3,
+                'BRCA1': 0.1,
+                'EGFR': 0.4,
+                'APOE': 0.7,
+                'INS': 0.5,
+                'IL6': 0.6,
+                'TNF': 0.6,
+                'GAPDH': 0.0,
+                'VEGFA': 0.8,
+                'MYC': 0.3
+            },
+            bias: -1.4  // CHANGED from -2.6 to -1.4
+        },
+        {
+            name: 'Lung Cancer',
+            description: 'Malignant lung tumor; often associated with smoking and EGFR mutations.',
+            geneWeights: {
+                'TP53': 0.9,
+                'BRCA1': 0.3,
+                'EGFR': 0.9,
+                'APOE': 0.2,
+                'INS': 0.2,
+                'IL6': 0.5,
+                'TNF': 0.4,
+                'GAPDH': 0.0,
+                'VEGFA': 0.7,
+                'MYC': 0.8
+            },
+            bias: -1.3  // CHANGED from -2.7 to -1.3
+        }
+    ];
+
+    /**
+     * Default model parameters (same as the lab's initial slider values)
+     */
+    const DEFAULT_PARAMS = {
+        tfConcentration: 50,
+        bindingAffinity: 1,
+        hillCoefficient: 2,
+        methylationFactor: 0,
+        mutationSeverity: 0,
+        translationEfficiency: 0.7,
+        proteinDegradation: 0.1,
+        expressionNoise: 0.1,
+        weightGenomics: 0.3,
+        weightTranscriptomics: 0.4,
+        weightProteomics: 0.3
+    };
+
+    /**
+     * Simulation defaults (times in hours)
+     */
+    const SIMULATION_DEFAULTS = {
+        timeStep: 0.1,
+        maxTime: 50.0,
+        defaultMrnaHalfLife: 5,  // hours, for imported genes without an mRNA half-life
+        tauLeapSubsteps: 10      // tau-leaping steps per simulation time step
+    };
+
+    /**
+     * ODE integrators available to the deterministic engine
+     */
+    const ODE_INTEGRATORS = {
+        euler: { label: 'Forward Euler (1st order)', adaptive: false },
+        rk4: { label: 'Runge-Kutta 4 (4th order)', adaptive: false },
+        rk45: { label: 'Dormand-Prince RK45 (adaptive)', adaptive: true }
+    };
+
+    /**
+     * Available simulation engines
+     */
+    const SIMULATION_ENGINES = {
+        deterministic: 'Deterministic + Gaussian noise',
+        gillespie: 'Gillespie SSA (exact stochastic)',
+        'tau-leaping': 'Tau-leaping (approximate stochastic)'
+    };
+    
+    /**
+     * Kinds of scheduled parameter change (see getInterventionValue)
+     */
+    const INTERVENTION_TYPES = {
+        step: 'Step change',
+        ramp: 'Linear ramp',
+        pulse: 'Pulse'
+    };
+    
+    /**
+     * Parameters that are fractions (0-1), capped when a drug stimulates them
+     */
+    const FRACTION_PARAMETERS = ['methylationFactor', 'mutationSeverity'];
+    
+    /**
+     * Steepness of the sigmoid turning a disease's combined score into risk
+     */
+    const RISK_STEEPNESS = 1.5;
+
+    // =============================================================================
+    // 2. RANDOM NUMBERS
+    // =============================================================================
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32) returning numbers in [0, 1)
+     */
+    function createSeededRandom(seed) {
+        let a = seed >>> 0;
+        return function() {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Derive an independent stream seed from the user seed (so e.g. report noise
+     * does not consume values from the running simulation's stream)
+     */
+    function deriveSeed(seed, stream) {
+        return (Math.imul(seed >>> 0, 0x9E3779B1) + Math.imul(stream, 0x85EBCA77)) >>> 0;
+    }
+
+    /**
+     * Pick a fresh 32-bit seed
+     */
+    function generateSeed() {
+        return Math.floor(Math.random() * 4294967296);
+    }
+
+    /**
+     * Generate Gaussian random number using Box-Muller transform
+     */
+    function gaussianRandom(mean = 0, stdev = 1, random = Math.random) {
+        const u1 = 1 - random();  // (0, 1] avoids log(0)
+        const u2 = random();
+        const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+        return mean + z0 * stdev;
+    }
+
+    /**
+     * Sample a Poisson-distributed integer (Knuth for small means, normal approximation otherwise)
+     */
+    function samplePoisson(lambda, random) {
+        if (lambda <= 0) return 0;
+        
+        if (lambda < 30) {
+            const limit = Math.exp(-lambda);
+            let k = 0;
+            let p = random();
+            while (p > limit) {
+                k++;
+                p *= random();
+            }
+            return k;
+        }
+        
+        return Math.max(0, Math.round(gaussianRandom(lambda, Math.sqrt(lambda), random)));
+    }
+
+    // =============================================================================
+    // 3. MATHEMATICAL MODELS
+    // =============================================================================
+
+    /**
+     * Calculate gene expression using Hill equation
+     */
+    function calculateGeneExpression(TF, Kd, n, Vmax, methylation, mutation) {
+        const Kd_nM = Kd * 1000;
+        const numerator = Vmax * Math.pow(TF, n);
+        const denominator = Math.pow(Kd_nM, n) + Math.pow(TF, n);
+        const E_gene = (numerator / denominator) * (1 - methylation) * (1 - mutation);
+        return Math.max(0, E_gene);
+    }
+
+    /**
+     * Get the effective parameters for a gene (global values + per-gene overrides)
+     */
+    function getGeneParams(gene, config) {
+        return { ...config.params, ...(config.geneOverrides[gene.symbol] || {}) };
+    }
+
+    /**
+     * Calculate gene expression using the gene's effective regulatory parameters,
+     * modulated by upstream regulators when the gene regulatory network is enabled
+     */
+    function calculateGeneExpressionFor(gene, proteinLevels, config) {
+        const params = getGeneParams(gene, config);
+        const E_gene = calculateGeneExpression(
+            params.tfConcentration,
+            params.bindingAffinity,
+            params.hillCoefficient,
+            gene.Vmax,
+            params.methylationFactor,
+            params.mutationSeverity
+        );
+
+        // Drugs targeting the gene scale its transcription (see applyDrugEffects)
+        const drugFactor = config.expressionFactors?.[gene.symbol] ?? 1;
+        
+        if (!config.networkEnabled) return E_gene * drugFactor;
+        return E_gene * drugFactor * calculateNetworkFactor(gene.symbol, proteinLevels, config);
+    }
+
+    /**
+     * Hill response of a target gene to one regulator's protein level
+     */
+    function calculateRegulatoryInput(P, edge) {
+        const Pn = Math.pow(Math.max(0, P), edge.n);
+        const Kn = Math.pow(edge.Kd, edge.n);
+        return edge.type === 'repression' ? Kn / (Kn + Pn) : Pn / (Kn + Pn);
+    }
+
+    /**
+     * Combine several regulatory inputs using the target's logic (AND/OR/additive)
+     */
+    function combineRegulatoryInputs(inputs, logic) {
+        if (logic === 'AND') {
+            return inputs.reduce((product, x) => product * x, 1);
+        }
+        if (logic === 'OR') {
+            return 1 - inputs.reduce((product, x) => product * (1 - x), 1);
+        }
+        return inputs.reduce((sum, x) => sum + x, 0) / inputs.length;
+    }
+
+    /**
+     * Calculate the network regulation factor for a target gene
+     * Returns fold-change relative to all regulators sitting at their baseline protein level,
+     * so the network leaves a gene unchanged at baseline. Regulators that are not being
+     * simulated (missing from proteinLevels) are held at baseline.
+     */
+    function calculateNetworkFactor(symbol, proteinLevels, config) {
+        const network = config.network;
+        const edges = network.edges.filter(edge => edge.target === symbol);
+        if (edges.length === 0) return 1;
+
+        const currentInputs = [];
+        const baselineInputs = [];
+
+        for (const edge of edges) {
+            const regulator = config.geneDatabase.find(g => g.symbol === edge.source);
+            if (!regulator) continue;
+
+            const P = proteinLevels[edge.source] !== undefined ? proteinLevels[edge.source] : regulator.baselineProtein;
+            currentInputs.push(calculateRegulatoryInput(P, edge));
+            baselineInputs.push(calculateRegulatoryInput(regulator.baselineProtein, edge));
+        }
+
+        if (currentInputs.length === 0) return 1;
+
+        const logic = network.logic[symbol] || 'additive';
+        const baseline = combineRegulatoryInputs(baselineInputs, logic);
+        return baseline > 0 ? combineRegulatoryInputs(currentInputs, logic) / baseline : 1;
+    }
+
+    /**
+     * Add stochastic noise to gene expression
+     */
+    function addExpressionNoise(E_gene, noiseLevel, random = Math.random) {
+        const noise = gaussianRandom(0, noiseLevel, random);
+        const T = E_gene * (1 + noise);
+        return Math.max(0, T);
+    }
+
+    /**
+     * mRNA degradation rate constant δm = ln 2 / half-life
+     */
+    function getMrnaDegradationRate(gene) {
+        return Math.LN2 / (gene.mrnaHalfLife || SIMULATION_DEFAULTS.defaultMrnaHalfLife);
+    }
+
+    /**
+     * Right-hand side of the two-stage gene model for state y = [M, P]
+     * dM/dt = k_tx - δm * M
+     * dP/dt = eta * M - δp * P
+     */
+    function createGeneODE(transcriptionRate, mrnaDegradation, eta, proteinDegradation) {
+        return (t, y) => [
+            transcriptionRate - mrnaDegradation * y[0],
+            eta * y[0] - proteinDegradation * y[1]
+        ];
+    }
+
+    /**
+     * Calculate disease risk using sigmoid function
+     * `genes` supplies the baselines used to normalise each gene's values.
+     */
+    function calculateDiseaseRisk(geneValues, disease, w1, w2, w3, genes) {
+        // Normalize weights
+        const totalWeight = w1 + w2 + w3;
+        if (totalWeight === 0) return { risk: 0, contributions: { genomic: 0, transcriptomic: 0, proteomic: 0 } };
+        
+        const normW1 = w1 / totalWeight;
+        const normW2 = w2 / totalWeight;
+        const normW3 = w3 / totalWeight;
+        
+        // Calculate weighted contributions for each omics layer
+        let genomicScore = 0;
+        let transcriptomicScore = 0;
+        let proteomicScore = 0;
+        let totalGenes = 0;
+        
+        for (const gene of genes) {
+            const weight = disease.geneWeights[gene.symbol] || 0;
+            const values = geneValues[gene.symbol];
+            
+            if (values) {
+                // Normalize values by baseline - IMPROVED SCALING
+                const normG = (values.genomic / gene.baselineTPM) * 2;  // Scale up for more sensitivity
+                const normT = (values.transcriptomic / gene.baselineTPM) * 2;
+                const normP = (values.proteomic / gene.baselineProtein) * 2;
+                
+                // Apply gene-specific weights
+                genomicScore += weight * normG;
+                transcriptomicScore += weight * normT;
+                proteomicScore += weight * normP;
+                totalGenes++;
+            }
+        }
+        
+        // Average across genes if multiple selected
+        if (totalGenes > 0) {
+            genomicScore /= totalGenes;
+            transcriptomicScore /= totalGenes;
+            proteomicScore /= totalGenes;
+        }
+        
+        // Combine with weights and apply sigmoid
+        const combinedScore = normW1 * genomicScore + normW2 * transcriptomicScore + normW3 * proteomicScore + disease.bias;
+        
+        // Sigmoid with adjusted steepness for better range
+        const risk = (1 / (1 + Math.exp(-RISK_STEEPNESS * combinedScore))) * 100;
+        
+        return {
+            risk: Math.max(0, Math.min(100, risk)),
+            contributions: {
+                genomic: genomicScore,
+                transcriptomic: transcriptomicScore,
+                proteomic: proteomicScore
+            }
+        };
+    }
+
+    /**
+     * Sigmoid function
+     */
+    function sigmoid(x) {
+        return 1 / (1 + Math.exp(-x));
+    }
+
+    /**
+     * Normalize weights to sum = 1
+     */
+    function normalizeWeights(w1, w2, w3) {
+        const total = w1 + w2 + w3;
+        if (total === 0) return { w1: 0.33, w2: 0.33, w3: 0.34 };
+        return {
+            w1: w1 / total,
+            w2: w2 / total,
+            w3: w3 / total
+        };
+    }
+
+    // =============================================================================
+    // 4. ODE INTEGRATORS
+    // =============================================================================
+
+    /**
+     * y + h * Σ coefficients[i] * k[i]
+     */
+    function combineStages(y, h, stages, coefficients) {
+        return y.map((value, i) => {
+            let sum = 0;
+            for (let s = 0; s < coefficients.length; s++) {
+                if (coefficients[s] !== 0) sum += coefficients[s] * stages[s][i];
+            }
+            return value + h * sum;
+        });
+    }
+
+    /**
+     * One forward Euler step
+     */
+    function eulerStep(f, t, y, h) {
+        return combineStages(y, h, [f(t, y)], [1]);
+    }
+
+    /**
+     * One classic 4th-order Runge-Kutta step
+     */
+    function rk4Step(f, t, y, h) {
+        const k1 = f(t, y);
+        const k2 = f(t + h / 2, combineStages(y, h, [k1], [0.5]));
+        const k3 = f(t + h / 2, combineStages(y, h, [k2], [0.5]));
+        const k4 = f(t + h, combineStages(y, h, [k3], [1]));
+        return combineStages(y, h, [k1, k2, k3, k4], [1 / 6, 1 / 3, 1 / 3, 1 / 6]);
+    }
+
+    /**
+     * Dormand-Prince 5(4) Butcher tableau
+     */
+    const DORMAND_PRINCE = {
+        c: [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1],
+        a: [
+            [],
+            [1 / 5],
+            [3 / 40, 9 / 40],
+            [44 / 45, -56 / 15, 32 / 9],
+            [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+            [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+            [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+        ],
+        // 5th-order weights minus embedded 4th-order weights
+        errorWeights: [71 / 57600, 0, -71 / 16695, 71 / 1920, -17253 / 339200, 22 / 525, -1 / 40]
+    };
+
+    /**
+     * One Dormand-Prince step, returning the 5th-order solution and its error estimate
+     */
+    function dormandPrinceStep(f, t, y, h) {
+        const { c, a, errorWeights } = DORMAND_PRINCE;
+        const stages = [f(t, y)];
+        
+        for (let s = 1; s < 7; s++) {
+            stages.push(f(t + c[s] * h, combineStages(y, h, stages, a[s])));
+        }
+        
+        // The 7th stage is evaluated at the 5th-order solution (first-same-as-last)
+        const yNext = combineStages(y, h, stages, a[6]);
+        const error = combineStages(y.map(() => 0), h, stages, errorWeights);
+        return { y: yNext, error };
+    }
+
+    /**
+     * Advance y' = f(t, y) from t to t + dt with the chosen integrator
+     * Fixed-step methods split dt into steps no larger than stepSize; RK45 adapts its
+     * step so the scaled local error stays below tolerance.
+     */
+    function integrateODE(f, t, y, dt, options) {
+        const integrator = ODE_INTEGRATORS[options.method];
+        if (!integrator) {
+            throw new Error(`Unknown ODE integrator: ${options.method}`);
+        }
+        
+        if (!integrator.adaptive) {
+            const steps = Math.max(1, Math.ceil(dt / options.stepSize - 1e-9));
+            const h = dt / steps;
+            const step = options.method === 'rk4' ? rk4Step : eulerStep;
+            
+            for (let i = 0; i < steps; i++) {
+                y = step(f, t + i * h, y, h);
+            }
+            return y;
+        }
+        
+        const end = t + dt;
+        const minStep = dt * 1e-6;
+        let h = Math.min(options.stepSize, dt);
+        
+        while (t < end - 1e-12) {
+            h = Math.min(h, end - t);
+            const { y: yNext, error } = dormandPrinceStep(f, t, y, h);
+            
+            // RMS of the error scaled by absolute + relative tolerance
+            const errorNorm = Math.sqrt(error.reduce((sum, e, i) => {
+                const scale = options.tolerance * (1 + Math.max(Math.abs(y[i]), Math.abs(yNext[i])));
+                return sum + (e / scale) ** 2;
+            }, 0) / y.length);
+            
+            if (errorNorm <= 1 || h <= minStep) {
+                t += h;
+                y = yNext;
+            }
+            
+            h *= Math.min(5, Math.max(0.2, 0.9 * Math.pow(Math.max(errorNorm, 1e-10), -0.2)));
+            h = Math.max(h, minStep);
+        }
+        
+        return y;
+    }
+
+    // =============================================================================
+    // 5. STOCHASTIC ENGINES
+    // =============================================================================
+
+    /**
+     * Reaction rate constants for one gene's stochastic model
+     * Reactions: ∅ → M (δm·E), M → ∅ (δm·M), M → M + P (η·M), P → ∅ (δp·P).
+     * mRNA production is scaled so the mean mRNA level equals the deterministic E_gene.
+     */
+    function getReactionRates(E_gene, mrnaDegradation, params) {
+        return {
+            transcription: mrnaDegradation * E_gene,
+            mrnaDegradation: mrnaDegradation,
+            translation: params.translationEfficiency,
+            proteinDegradation: params.proteinDegradation
+        };
+    }
+
+    /**
+     * Reaction propensities for the current molecule counts
+     */
+    function getReactionPropensities(counts, rates) {
+        return [
+            rates.transcription,
+            rates.mrnaDegradation * counts.mrna,
+            rates.translation * counts.mrna,
+            rates.proteinDegradation * counts.protein
+        ];
+    }
+
+    /**
+     * Apply reaction `index` the given number of times (counts never go negative)
+     */
+    function fireReaction(counts, index, times = 1) {
+        switch (index) {
+            case 0: counts.mrna += times; break;
+            case 1: counts.mrna = Math.max(0, counts.mrna - times); break;
+            case 2: counts.protein += times; break;
+            case 3: counts.protein = Math.max(0, counts.protein - times); break;
+        }
+    }
+
+    /**
+     * Advance molecule counts over `duration` with the Gillespie direct method
+     * Transcription is held constant over the interval (regulators are updated between steps).
+     */
+    function runGillespieInterval(counts, rates, duration, random) {
+        let t = 0;
+        
+        while (true) {
+            const propensities = getReactionPropensities(counts, rates);
+            const total = propensities.reduce((a, b) => a + b, 0);
+            if (total <= 0) return;
+            
+            // Time to next reaction ~ Exp(total)
+            t += -Math.log(1 - random()) / total;
+            if (t > duration) return;
+            
+            // Choose which reaction fires, proportional to its propensity
+            let threshold = random() * total;
+            let index = 0;
+            while (index < propensities.length - 1 && threshold >= propensities[index]) {
+                threshold -= propensities[index];
+                index++;
+            }
+            fireReaction(counts, index);
+        }
+    }
+
+    /**
+     * Advance molecule counts over `duration` with fixed-step tau-leaping
+     */
+    function runTauLeapInterval(counts, rates, duration, substeps, random) {
+        const tau = duration / substeps;
+        
+        for (let step = 0; step < substeps; step++) {
+            const propensities = getReactionPropensities(counts, rates);
+            const firings = propensities.map(a => samplePoisson(a * tau, random));
+            firings.forEach((times, index) => fireReaction(counts, index, times));
+        }
+    }
+
+    // =============================================================================
+    // 6. SIMULATION RUNS
+    // =============================================================================
+
+    /**
+     * Get the latest simulated protein level of every gene (baseline if not yet simulated)
+     */
+    function getProteinLevels(simulation, genes) {
+        const levels = {};
+        for (const gene of genes) {
+            const geneState = simulation.geneStates[gene.symbol];
+            levels[gene.symbol] = geneState ? geneState.protein : gene.baselineProtein;
+        }
+        return levels;
+    }
+
+    /**
+     * Build a complete simulation configuration
+     * Genes and diseases may be objects or symbols/names from the databases; anything
+     * not given falls back to the defaults. Passing a finished config returns an equivalent one.
+     */
+    function createSimulationConfig(options = {}) {
+        const geneDatabase = options.geneDatabase || GENE_DATABASE;
+        const diseaseDatabase = options.diseaseDatabase || DISEASE_DATABASE;
+        const resolve = (items, database, key, kind) => (items || []).map(item => {
+            if (typeof item !== 'string') return item;
+            const found = database.find(entry => entry[key] === item);
+            if (!found) throw new Error(`Unknown ${kind}: ${item}`);
+            return found;
+        });
+        
+        const engine = options.engine || 'deterministic';
+        if (!SIMULATION_ENGINES[engine]) {
+            throw new Error(`Unknown simulation engine: ${engine}`);
+        }
+        
+        const integrator = { method: 'euler', stepSize: SIMULATION_DEFAULTS.timeStep, tolerance: 1e-4, ...(options.integrator || {}) };
+        if (!ODE_INTEGRATORS[integrator.method]) {
+            throw new Error(`Unknown ODE integrator: ${integrator.method}`);
+        }
+        
+        const interventions = (options.interventions || []).map(intervention => ({ ...intervention }));
+        for (const intervention of interventions) {
+            if (!(intervention.parameter in DEFAULT_PARAMS) || !INTERVENTION_TYPES[intervention.type]) {
+                throw new Error(`Invalid intervention: ${intervention.type} of ${intervention.parameter}`);
+            }
+        }
+        
+        const drugs = (options.drugs || []).map(drug => ({ ...drug }));
+        for (const drug of drugs) {
+            if (drug.targetType !== 'gene' && !(drug.target in DEFAULT_PARAMS)) {
+                throw new Error(`Invalid drug target: ${drug.target}`);
+            }
+        }
+        
+        return {
+            genes: resolve(options.genes, geneDatabase, 'symbol', 'gene'),
+            diseases: resolve(options.diseases, diseaseDatabase, 'name', 'disease'),
+            params: { ...DEFAULT_PARAMS, ...(options.params || {}) },
+            geneOverrides: options.geneOverrides || {},
+            networkEnabled: options.networkEnabled !== undefined ? options.networkEnabled : true,
+            network: options.network || GENE_REGULATORY_NETWORK,
+            geneDatabase: geneDatabase,
+            diseaseDatabase: diseaseDatabase,
+            engine: engine,
+            integrator: integrator,
+            seed: options.seed !== undefined && options.seed !== null ? options.seed >>> 0 : generateSeed(),
+            timeStep: options.timeStep || SIMULATION_DEFAULTS.timeStep,
+            maxTime: options.maxTime || SIMULATION_DEFAULTS.maxTime,
+            tauLeapSubsteps: options.tauLeapSubsteps || SIMULATION_DEFAULTS.tauLeapSubsteps,
+            interventions: interventions,
+            drugs: drugs
+        };
+    }
+
+    /**
+     * Value of one scheduled intervention's parameter at time t, given the value it acts on
+     * step:  `value` from `start` on
+     * ramp:  blends linearly from the underlying value to `value` between `start` and `end`, then holds
+     * pulse: `value` for `duration` hours every `period` hours from `start` (once without a period),
+     *        until `end` if given
+     */
+    function getInterventionValue(intervention, base, t) {
+        const time = t + 1e-9;  // a change scheduled at t applies to the step starting at t
+        const { type, start, end, value } = intervention;
+        if (time < start) return base;
+        
+        if (type === 'step') {
+            return value;
+        }
+        if (type === 'ramp') {
+            const fraction = end > start ? Math.min(1, Math.max(0, (t - start) / (end - start))) : 1;
+            return base + (value - base) * fraction;
+        }
+        
+        if (end !== undefined && end !== null && time >= end) return base;
+        const phase = intervention.period > 0 ? (time - start) % intervention.period : time - start;
+        return phase < intervention.duration ? value : base;
+    }
+    
+    /**
+     * Global parameters at time t with the scheduled interventions applied in list order
+     */
+    function getParamsAt(config, t) {
+        if (!config.interventions || config.interventions.length === 0) return config.params;
+        
+        const params = { ...config.params };
+        for (const intervention of config.interventions) {
+            params[intervention.parameter] = getInterventionValue(intervention, params[intervention.parameter], t);
+        }
+        return params;
+    }
+    
+    /**
+     * Configuration with the parameters in effect at time t (interventions, then drug effects)
+     */
+    function getConfigAt(config, t) {
+        const hasInterventions = config.interventions && config.interventions.length > 0;
+        const hasDrugs = config.drugs && config.drugs.length > 0;
+        if (!hasInterventions && !hasDrugs) return config;
+        
+        const params = getParamsAt(config, t);
+        return hasDrugs
+            ? { ...config, ...applyDrugEffects(params, config.drugs, t) }
+            : { ...config, params };
+    }
+    
+    /**
+     * Create the mutable state of one simulation run
+     */
+    function createSimulationState(config) {
+        const simulation = {
+            currentTime: 0,
+            seed: config.seed,
+            random: createSeededRandom(config.seed),
+            timeSeriesData: {
+                time: [],
+                genes: {},
+                risks: Object.fromEntries(config.diseases.map(d => [d.name, []]))
+            },
+            geneStates: {}
+        };
+        
+        // Each gene starts at its steady-state mRNA level and baseline protein
+        // (whole molecule counts for the stochastic engines)
+        const baselineLevels = Object.fromEntries(config.genes.map(g => [g.symbol, g.baselineProtein]));
+        const toCount = config.engine === 'deterministic' ? (x => x) : Math.round;
+        
+        // Initialize arrays for each gene (aligned with the time array)
+        for (const gene of config.genes) {
+            simulation.geneStates[gene.symbol] = {
+                mrna: toCount(calculateGeneExpressionFor(gene, baselineLevels, config)),
+                protein: toCount(gene.baselineProtein)
+            };
+            simulation.timeSeriesData.genes[gene.symbol] = {
+                mrna: [],
+                protein: []
+            };
+        }
+        
+        return simulation;
+    }
+
+    /**
+     * Advance a simulation by one time step and record it in its time series
+     * Returns the genomic/transcriptomic/proteomic values of every gene.
+     */
+    function stepSimulation(simulation, runConfig) {
+        // Scheduled interventions are evaluated at the start of the step and held over it
+        const config = getConfigAt(runConfig, simulation.currentTime);
+        const params = config.params;
+        const dt = config.timeStep;
+        
+        // Calculate current values for all genes
+        const currentValues = {};
+        
+        // Protein levels from the previous step drive the regulatory network
+        const proteinLevels = getProteinLevels(simulation, config.genes);
+        
+        for (const gene of config.genes) {
+            const geneState = simulation.geneStates[gene.symbol];
+            const mrnaDegradation = getMrnaDegradationRate(gene);
+            
+            // Calculate gene expression (genomics) with per-gene overrides and network regulation
+            const E_gene = calculateGeneExpressionFor(gene, proteinLevels, config);
+            
+            if (config.engine === 'deterministic') {
+                // Noisy transcription rate, scaled so steady-state mRNA equals E_gene
+                const transcriptionRate = mrnaDegradation * addExpressionNoise(E_gene, params.expressionNoise, simulation.random);
+                
+                // Integrate mRNA (transcriptomics) and protein (proteomics) over the step
+                const ode = createGeneODE(
+                    transcriptionRate,
+                    mrnaDegradation,
+                    params.translationEfficiency,
+                    params.proteinDegradation
+                );
+                const [M, P] = integrateODE(ode, simulation.currentTime, [geneState.mrna, geneState.protein], dt, config.integrator);
+                geneState.mrna = Math.max(0, M);
+                geneState.protein = Math.max(0, P);
+            } else {
+                // Stochastic engines: noise comes from the reactions themselves
+                const rates = getReactionRates(E_gene, mrnaDegradation, params);
+                if (config.engine === 'gillespie') {
+                    runGillespieInterval(geneState, rates, dt, simulation.random);
+                } else {
+                    runTauLeapInterval(geneState, rates, dt, config.tauLeapSubsteps, simulation.random);
+                }
+            }
+            
+            const T = geneState.mrna;
+            const P = geneState.protein;
+            
+            // Store values
+            currentValues[gene.symbol] = {
+                genomic: E_gene,
+                transcriptomic: T,
+                proteomic: P
+            };
+            
+            // Add to time series
+            simulation.timeSeriesData.genes[gene.symbol].mrna.push(T);
+            simulation.timeSeriesData.genes[gene.symbol].protein.push(P);
+        }
+        
+        // Disease risk under the parameters in effect during the step
+        // (a disease first seen mid-run gets an empty start so it stays aligned with time)
+        const riskSeries = simulation.timeSeriesData.risks;
+        for (const [name, result] of Object.entries(calculateDiseaseRisks(currentValues, config))) {
+            if (!riskSeries[name]) {
+                riskSeries[name] = new Array(simulation.timeSeriesData.time.length).fill(null);
+            }
+            riskSeries[name].push(result.risk);
+        }
+        
+        // Update time
+        simulation.currentTime += dt;
+        simulation.timeSeriesData.time.push(simulation.currentTime);
+        
+        return currentValues;
+    }
+
+    /**
+     * Risk of every configured disease for one set of gene values
+     */
+    function calculateDiseaseRisks(geneValues, config) {
+        const { weightGenomics, weightTranscriptomics, weightProteomics } = config.params;
+        const risks = {};
+        
+        for (const disease of config.diseases) {
+            risks[disease.name] = calculateDiseaseRisk(
+                geneValues,
+                disease,
+                weightGenomics,
+                weightTranscriptomics,
+                weightProteomics,
+                config.genes
+            );
+        }
+        
+        return risks;
+    }
+
+    /**
+     * Run a complete simulation from t = 0 to maxTime
+     */
+    function runSimulation(options = {}) {
+        const config = createSimulationConfig(options);
+        const simulation = createSimulationState(config);
+        let currentValues = {};
+        let riskConfig = config;
+        
+        while (simulation.currentTime < config.maxTime - 1e-9) {
+            riskConfig = getConfigAt(config, simulation.currentTime);
+            currentValues = stepSimulation(simulation, config);
+        }
+        
+        return {
+            config: config,
+            seed: config.seed,
+            timeSeriesData: simulation.timeSeriesData,
+            finalValues: currentValues,
+            risks: calculateDiseaseRisks(currentValues, riskConfig),
+            riskTimeSeries: simulation.timeSeriesData.risks
+        };
+    }
+
+    // =============================================================================
+    // 7. STEADY STATE & SENSITIVITY ANALYSIS
+    // =============================================================================
+    
+    /**
+     * Deterministic steady state of the two-stage model (noise-free)
+     * M* = E(P*), P* = η·M* / δp, iterated until the regulatory network settles.
+     * `initialLevels` (protein per gene) selects the branch when the network is multistable.
+     */
+    function findSteadyState(config, initialLevels = null, maxIterations = 500, tolerance = 1e-10) {
+        const params = config.params;
+        const degradation = Math.max(params.proteinDegradation, 1e-9);
+        let proteinLevels = initialLevels
+            ? { ...initialLevels }
+            : Object.fromEntries(config.genes.map(g => [g.symbol, g.baselineProtein]));
+        let values = {};
+        let converged = false;
+        let iterations = 0;
+        
+        while (iterations < maxIterations && !converged) {
+            iterations++;
+            const nextLevels = {};
+            converged = true;
+            values = {};
+            
+            for (const gene of config.genes) {
+                const E_gene = calculateGeneExpressionFor(gene, proteinLevels, config);
+                const P = params.translationEfficiency * E_gene / degradation;
+                nextLevels[gene.symbol] = P;
+                values[gene.symbol] = { genomic: E_gene, transcriptomic: E_gene, proteomic: P };
+                
+                const previous = proteinLevels[gene.symbol];
+                if (Math.abs(P - previous) > tolerance * (1 + Math.abs(previous))) {
+                    converged = false;
+                }
+            }
+            
+            proteinLevels = nextLevels;
+        }
+        
+        return { values, proteinLevels, converged, iterations };
+    }
+    
+    /**
+     * Time (h) after which a two-stage gene stays within (1 − fraction) of its initial distance
+     * from steady state, starting from (M0, P0) with transcription held at its steady-state rate:
+     * P(t) − P* = (P0 − P*)·e^(−δp·t) + η(M0 − M*)·(e^(−δm·t) − e^(−δp·t)) / (δp − δm).
+     * The deviation can overshoot once, so the last exit from the band is found on a grid
+     * and refined by bisection.
+     */
+    function getSettlingTime(initial, steady, mrnaDegradation, proteinDegradation, eta, fraction = 0.9) {
+        const p0 = initial.protein - steady.protein;
+        const m0 = initial.mrna - steady.mrna;
+        const band = (1 - fraction) * Math.abs(p0);
+        if (band <= 1e-12 * (1 + Math.abs(steady.protein))) return 0;
+        
+        const rateGap = proteinDegradation - mrnaDegradation;
+        const deviation = t => p0 * Math.exp(-proteinDegradation * t) + eta * m0 * (Math.abs(rateGap) < 1e-12
+            ? t * Math.exp(-proteinDegradation * t)
+            : (Math.exp(-mrnaDegradation * t) - Math.exp(-proteinDegradation * t)) / rateGap);
+        
+        const horizon = 50 / Math.min(mrnaDegradation, proteinDegradation);
+        const points = 2000;
+        let last = -1;
+        for (let i = 0; i <= points; i++) {
+            if (Math.abs(deviation(horizon * i / points)) > band) last = i;
+        }
+        if (last < 0) return 0;
+        if (last === points) return Infinity;
+        
+        let low = horizon * last / points;
+        let high = horizon * (last + 1) / points;
+        for (let i = 0; i < 50; i++) {
+            const mid = (low + high) / 2;
+            if (Math.abs(deviation(mid)) > band) low = mid; else high = mid;
+        }
+        return high;
+    }
+    
+    /**
+     * Solve A·x = b by Gaussian elimination with partial pivoting (null when A is singular)
+     */
+    function solveLinearSystem(A, b) {
+        const n = b.length;
+        const a = A.map((row, i) => [...row, b[i]]);
+        
+        for (let col = 0; col < n; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-300) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            
+            for (let row = col + 1; row < n; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= n; k++) a[row][k] -= factor * a[col][k];
+            }
+        }
+        
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = a[row][n];
+            for (let k = row + 1; k < n; k++) sum -= a[row][k] * x[k];
+            x[row] = sum / a[row][row];
+        }
+        return x;
+    }
+    
+    /**
+     * Eigenvalues { re, im } of a real square matrix
+     * Reduces a copy to upper Hessenberg form by stabilized elimination, then applies the
+     * Francis double-shift QR algorithm (after Numerical Recipes' elmhes/hqr).
+     */
+    function computeEigenvalues(matrix) {
+        const n = matrix.length;
+        const a = matrix.map(row => [...row]);
+        const eigenvalues = new Array(n);
+        const EPS = Number.EPSILON;
+        const sign = (value, of) => (of >= 0 ? Math.abs(value) : -Math.abs(value));
+        
+        // Hessenberg reduction
+        for (let m = 1; m < n - 1; m++) {
+            let x = 0;
+            let i = m;
+            for (let j = m; j < n; j++) {
+                if (Math.abs(a[j][m - 1]) > Math.abs(x)) {
+                    x = a[j][m - 1];
+                    i = j;
+                }
+            }
+            if (i !== m) {
+                for (let j = m - 1; j < n; j++) [a[i][j], a[m][j]] = [a[m][j], a[i][j]];
+                for (let j = 0; j < n; j++) [a[j][i], a[j][m]] = [a[j][m], a[j][i]];
+            }
+            if (x !== 0) {
+                for (i = m + 1; i < n; i++) {
+                    let y = a[i][m - 1];
+                    if (y === 0) continue;
+                    y /= x;
+                    a[i][m - 1] = 0;
+                    for (let j = m; j < n; j++) a[i][j] -= y * a[m][j];
+                    for (let j = 0; j < n; j++) a[j][m] += y * a[j][i];
+                }
+            }
+        }
+        
+        // Shifted QR iterations on the Hessenberg matrix
+        let anorm = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = Math.max(i - 1, 0); j < n; j++) anorm += Math.abs(a[i][j]);
+        }
+        
+        let nn = n - 1;
+        let t = 0;
+        while (nn >= 0) {
+            let its = 0;
+            let l;
+            do {
+                for (l = nn; l > 0; l--) {
+                    let s = Math.abs(a[l - 1][l - 1]) + Math.abs(a[l][l]);
+                    if (s === 0) s = anorm;
+                    if (Math.abs(a[l][l - 1]) <= EPS * s) {
+                        a[l][l - 1] = 0;
+                        break;
+                    }
+                }
+                
+                let x = a[nn][nn];
+                if (l === nn) {
+                    eigenvalues[nn--] = { re: x + t, im: 0 };
+                    continue;
+                }
+                
+                let y = a[nn - 1][nn - 1];
+                let w = a[nn][nn - 1] * a[nn - 1][nn];
+                if (l === nn - 1) {
+                    const p = 0.5 * (y - x);
+                    const q = p * p + w;
+                    let z = Math.sqrt(Math.abs(q));
+                    x += t;
+                    if (q >= 0) {
+                        z = p + sign(z, p);
+                        eigenvalues[nn - 1] = { re: x + z, im: 0 };
+                        eigenvalues[nn] = { re: z !== 0 ? x - w / z : x + z, im: 0 };
+                    } else {
+                        eigenvalues[nn] = { re: x + p, im: -z };
+                        eigenvalues[nn - 1] = { re: x + p, im: z };
+                    }
+                    nn -= 2;
+                    continue;
+                }
+                
+                if (its === 60) throw new Error('Eigenvalue iteration did not converge');
+                if (its === 10 || its === 20) {
+                    // Exceptional shift
+                    t += x;
+                    for (let i = 0; i <= nn; i++) a[i][i] -= x;
+                    const s = Math.abs(a[nn][nn - 1]) + Math.abs(a[nn - 1][nn - 2]);
+                    y = x = 0.75 * s;
+                    w = -0.4375 * s * s;
+                }
+                its++;
+                
+                let m;
+                let p;
+                let q;
+                let r;
+                let z;
+                for (m = nn - 2; m >= l; m--) {
+                    z = a[m][m];
+                    r = x - z;
+                    const s0 = y - z;
+                    p = (r * s0 - w) / a[m + 1][m] + a[m][m + 1];
+                    q = a[m + 1][m + 1] - z - r - s0;
+                    r = a[m + 2][m + 1];
+                    const s = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                    p /= s;
+                    q /= s;
+                    r /= s;
+                    if (m === l) break;
+                    const u = Math.abs(a[m][m - 1]) * (Math.abs(q) + Math.abs(r));
+                    const v = Math.abs(p) * (Math.abs(a[m - 1][m - 1]) + Math.abs(z) + Math.abs(a[m + 1][m + 1]));
+                    if (u <= EPS * v) break;
+                }
+                for (let i = m; i < nn - 1; i++) {
+                    a[i + 2][i] = 0;
+                    if (i !== m) a[i + 2][i - 1] = 0;
+                }
+                
+                for (let k = m; k < nn; k++) {
+                    if (k !== m) {
+                        p = a[k][k - 1];
+                        q = a[k + 1][k - 1];
+                        r = k + 1 !== nn ? a[k + 2][k - 1] : 0;
+                        x = Math.abs(p) + Math.abs(q) + Math.abs(r);
+                        if (x !== 0) {
+                            p /= x;
+                            q /= x;
+                            r /= x;
+                        }
+                    }
+                    const s = sign(Math.sqrt(p * p + q * q + r * r), p);
+                    if (s === 0) continue;
+                    
+                    if (k === m) {
+                        if (l !== m) a[k][k - 1] = -a[k][k - 1];
+                    } else {
+                        a[k][k - 1] = -s * x;
+                    }
+                    p += s;
+                    x = p / s;
+                    y = q / s;
+                    z = r / s;
+                    q /= p;
+                    r /= p;
+                    for (let j = k; j <= nn; j++) {
+                        p = a[k][j] + q * a[k + 1][j];
+                        if (k + 1 !== nn) {
+                            p += r * a[k + 2][j];
+                            a[k + 2][j] -= p * z;
+                        }
+                        a[k + 1][j] -= p * y;
+                        a[k][j] -= p * x;
+                    }
+                    const mmin = nn < k + 3 ? nn : k + 3;
+                    for (let i = l; i <= mmin; i++) {
+                        p = x * a[i][k] + y * a[i][k + 1];
+                        if (k + 1 !== nn) {
+                            p += z * a[i][k + 2];
+                            a[i][k + 2] -= p * r;
+                        }
+                        a[i][k + 1] -= p * q;
+                        a[i][k] -= p;
+                    }
+                }
+            } while (l + 1 < nn);
+        }
+        
+        return eigenvalues;
+    }
+    
+    /**
+     * Stability of a fixed point from the eigenvalues of its Jacobian
+     * The Jacobian is partly a finite-difference estimate, which splits a repeated real eigenvalue
+     * into a pair with imaginary parts of order √(error); only imaginary parts above 1e-4·max|λ|
+     * count as oscillation.
+     */
+    function classifyFixedPoint(eigenvalues, tolerance = 1e-9) {
+        const scale = Math.max(...eigenvalues.map(e => Math.hypot(e.re, e.im)), 0);
+        const growing = eigenvalues.filter(e => e.re > tolerance).length;
+        const decaying = eigenvalues.filter(e => e.re < -tolerance).length;
+        const oscillatory = eigenvalues.some(e => Math.abs(e.im) > Math.max(tolerance, 1e-4 * scale));
+        
+        if (decaying === eigenvalues.length) {
+            return { type: oscillatory ? 'stable focus' : 'stable node', stable: true };
+        }
+        if (growing > 0 && decaying > 0) {
+            return { type: 'saddle', stable: false };
+        }
+        if (growing > 0) {
+            return { type: oscillatory ? 'unstable focus' : 'unstable node', stable: false };
+        }
+        return { type: 'marginal', stable: false };
+    }
+    
+    /**
+     * Jacobian of the noise-free model for the state [M1..Mn, P1..Pn] at the given protein levels
+     * dMi/dt = δm,i·(Ei(P) − Mi), dPi/dt = η·Mi − δp·Pi; ∂Ei/∂Pj by central differences.
+     */
+    function getSystemJacobian(config, proteinLevels) {
+        const genes = config.genes;
+        const n = genes.length;
+        const { translationEfficiency: eta, proteinDegradation } = config.params;
+        const J = Array.from({ length: 2 * n }, () => new Array(2 * n).fill(0));
+        
+        genes.forEach((gene, i) => {
+            const mrnaDegradation = getMrnaDegradationRate(gene);
+            J[i][i] = -mrnaDegradation;
+            J[n + i][i] = eta;
+            J[n + i][n + i] = -proteinDegradation;
+            
+            if (!config.networkEnabled) return;
+            genes.forEach((regulator, j) => {
+                const level = proteinLevels[regulator.symbol];
+                const h = 1e-6 * (1 + Math.abs(level));
+                const up = calculateGeneExpressionFor(gene, { ...proteinLevels, [regulator.symbol]: level + h }, config);
+                const down = calculateGeneExpressionFor(gene, { ...proteinLevels, [regulator.symbol]: Math.max(0, level - h) }, config);
+                J[i][n + j] = mrnaDegradation * (up - down) / (level + h - Math.max(0, level - h));
+            });
+        });
+        
+        return J;
+    }
+    
+    /**
+     * Protein fixed points P = η·E(P)/δp of the noise-free model
+     * Newton's method (finite-difference Jacobian, step halving) from each start in `starts`;
+     * fixed points closer than `tolerance` (relative) are merged. Returns [{ proteinLevels, start }],
+     * where `start` is the index of the first start that reached the point.
+     */
+    function findFixedPoints(config, starts, maxIterations = 100, tolerance = 1e-6) {
+        const genes = config.genes;
+        const { translationEfficiency: eta, proteinDegradation } = config.params;
+        const toLevels = P => Object.fromEntries(genes.map((g, i) => [g.symbol, P[i]]));
+        const residual = P => {
+            const levels = toLevels(P);
+            return genes.map((gene, i) => eta * calculateGeneExpressionFor(gene, levels, config) / proteinDegradation - P[i]);
+        };
+        const size = F => Math.max(0, ...F.map(Math.abs));
+        const found = [];
+        
+        starts.forEach((start, startIndex) => {
+            let P = genes.map(g => Math.max(0, start[g.symbol] ?? g.baselineProtein));
+            let F = residual(P);
+            
+            for (let iteration = 0; iteration < maxIterations && size(F) > 1e-9 * (1 + size(P)); iteration++) {
+                const J = genes.map(() => new Array(genes.length).fill(0));
+                genes.forEach((_, j) => {
+                    const h = 1e-7 * (1 + Math.abs(P[j]));
+                    const shifted = [...P];
+                    shifted[j] += h;
+                    residual(shifted).forEach((value, i) => {
+                        J[i][j] = (value - F[i]) / h;
+                    });
+                });
+                
+                const step = solveLinearSystem(J, F.map(value => -value));
+                if (!step) return;
+                
+                // Halve the step until the residual shrinks (levels stay non-negative)
+                let lambda = 1;
+                let next;
+                let nextF;
+                do {
+                    next = P.map((value, i) => Math.max(0, value + lambda * step[i]));
+                    nextF = residual(next);
+                    lambda /= 2;
+                } while (size(nextF) >= size(F) && lambda > 1e-4);
+                P = next;
+                F = nextF;
+            }
+            if (size(F) > 1e-6 * (1 + size(P))) return;
+            
+            const duplicate = found.some(point => genes.every((g, i) =>
+                Math.abs(point.proteinLevels[g.symbol] - P[i]) <= tolerance * (1 + Math.abs(P[i]))
+            ));
+            if (!duplicate) {
+                found.push({ proteinLevels: toLevels(P), start: startIndex });
+            }
+        });
+        
+        return found;
+    }
+    
+    /**
+     * Steady-state and stability analysis of the noise-free model under config.params
+     * (scheduled interventions and drugs are not applied)
+     * - reference: the steady state reached by fixed-point iteration from baseline protein
+     *   levels (as in findSteadyState); per gene its M*, P* = η·M* / δp, protein relaxation
+     *   time 1/δp and settling time to 90% from the run's initial state (see getSettlingTime)
+     * - fixedPoints: every fixed point found from the reference, all-low/all-high and one-gene-high
+     *   starts, with Jacobian eigenvalues and stability type
+     * Returns { bounded: false } when proteins are not degraded (δp = 0).
+     */
+    function analyzeSteadyState(config) {
+        const genes = config.genes;
+        const params = config.params;
+        if (!(params.proteinDegradation > 0) || genes.length === 0) {
+            return { bounded: params.proteinDegradation > 0, genes: [], fixedPoints: [], reference: null };
+        }
+        
+        const baselineLevels = Object.fromEntries(genes.map(g => [g.symbol, g.baselineProtein]));
+        const reference = findSteadyState(config, baselineLevels);
+        const scaled = factor => Object.fromEntries(genes.map(g => [
+            g.symbol,
+            factor * Math.max(reference.proteinLevels[g.symbol], g.baselineProtein)
+        ]));
+        const starts = [
+            reference.proteinLevels,
+            baselineLevels,
+            scaled(0),
+            scaled(0.1),
+            scaled(10),
+            ...(config.networkEnabled ? genes.map(gene => ({ ...scaled(0.01), [gene.symbol]: scaled(10)[gene.symbol] })) : [])
+        ];
+        
+        const fixedPoints = findFixedPoints(config, starts).map(point => {
+            const eigenvalues = computeEigenvalues(getSystemJacobian(config, point.proteinLevels))
+                .sort((a, b) => b.re - a.re || b.im - a.im);
+            const mrnaLevels = Object.fromEntries(genes.map(g => [g.symbol, calculateGeneExpressionFor(g, point.proteinLevels, config)]));
+            const dominant = eigenvalues[0].re;
+            return {
+                proteinLevels: point.proteinLevels,
+                mrnaLevels,
+                eigenvalues,
+                ...classifyFixedPoint(eigenvalues),
+                relaxationTime: dominant < 0 ? -1 / dominant : Infinity,
+                reference: point.start === 0
+            };
+        });
+        
+        const referencePoint = fixedPoints.find(point => point.reference) || null;
+        const steadyLevels = referencePoint ? referencePoint.proteinLevels : reference.proteinLevels;
+        const geneResults = genes.map(gene => {
+            const mrnaDegradation = getMrnaDegradationRate(gene);
+            const steady = {
+                mrna: calculateGeneExpressionFor(gene, steadyLevels, config),
+                protein: steadyLevels[gene.symbol]
+            };
+            const initial = {
+                mrna: calculateGeneExpressionFor(gene, baselineLevels, config),
+                protein: gene.baselineProtein
+            };
+            return {
+                symbol: gene.symbol,
+                mrna: steady.mrna,
+                protein: steady.protein,
+                relaxationTime: 1 / params.proteinDegradation,
+                settlingTime: getSettlingTime(initial, steady, mrnaDegradation, params.proteinDegradation, params.translationEfficiency)
+            };
+        });
+        
+        return { bounded: true, genes: geneResults, fixedPoints, reference: referencePoint };
+    }
+    
+    /**
+     * Risk (%) of every configured disease, either at steady state or at the end of a seeded run
+     */
+    function evaluateRisks(config, output = 'steady-state') {
+        const geneValues = output === 'simulation'
+            ? runSimulation(config).finalValues
+            : findSteadyState(config).values;
+        const risks = calculateDiseaseRisks(geneValues, config);
+        return Object.fromEntries(Object.entries(risks).map(([name, result]) => [name, result.risk]));
+    }
+    
+    /**
+     * Morris one-at-a-time design: `trajectories` random walks of k + 1 points on a
+     * `levels`-level grid in the unit hypercube, each moving one factor by Δ = p / (2(p - 1))
+     */
+    function createMorrisDesign(k, trajectories, levels, random) {
+        const delta = levels / (2 * (levels - 1));
+        const points = [];
+        const steps = [];
+        
+        for (let r = 0; r < trajectories; r++) {
+            // Base point on the lower half of the grid so that x + Δ stays inside [0, 1]
+            const point = Array.from({ length: k }, () => Math.floor(random() * (levels / 2)) / (levels - 1));
+            const order = Array.from({ length: k }, (_, i) => i);
+            for (let i = k - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            
+            points.push(point.slice());
+            for (const factor of order) {
+                point[factor] += delta;
+                steps.push({ from: points.length - 1, to: points.length, factor });
+                points.push(point.slice());
+            }
+        }
+        
+        return { method: 'morris', k, delta, points, steps };
+    }
+    
+    /**
+     * Saltelli design for Sobol indices: matrices A, B and A_B^i (A with column i from B),
+     * N(k + 2) points in total
+     */
+    function createSobolDesign(k, samples, random) {
+        const A = Array.from({ length: samples }, () => Array.from({ length: k }, () => random()));
+        const B = Array.from({ length: samples }, () => Array.from({ length: k }, () => random()));
+        const points = [...A, ...B];
+        
+        for (let i = 0; i < k; i++) {
+            for (let j = 0; j < samples; j++) {
+                const row = A[j].slice();
+                row[i] = B[j][i];
+                points.push(row);
+            }
+        }
+        
+        return { method: 'sobol', k, samples, points };
+    }
+    
+    /**
+     * Map a unit-hypercube point onto parameter values
+     */
+    function scaleDesignPoint(point, keys, ranges, baseParams) {
+        const params = { ...baseParams };
+        keys.forEach((key, i) => {
+            const [min, max] = ranges[key];
+            params[key] = min + point[i] * (max - min);
+        });
+        return params;
+    }
+    
+    /**
+     * Sensitivity indices for one output from design outputs y (one value per design point)
+     * Morris: mean (μ), mean absolute (μ*) and standard deviation (σ) of elementary effects.
+     * Sobol: first-order (Saltelli 2010) and total-order (Jansen) indices, with outputs
+     * centred on their mean so a large baseline risk does not swamp the estimates.
+     */
+    function computeSensitivityIndices(design, y, keys) {
+        if (design.method === 'morris') {
+            const effects = keys.map(() => []);
+            for (const step of design.steps) {
+                effects[step.factor].push((y[step.to] - y[step.from]) / design.delta);
+            }
+            
+            return keys.map((key, i) => {
+                const ee = effects[i];
+                const mu = ee.reduce((a, b) => a + b, 0) / ee.length;
+                const muStar = ee.reduce((a, b) => a + Math.abs(b), 0) / ee.length;
+                const sigma = ee.length > 1
+                    ? Math.sqrt(ee.reduce((a, b) => a + (b - mu) ** 2, 0) / (ee.length - 1))
+                    : 0;
+                return { parameter: key, mu, muStar, sigma };
+            });
+        }
+        
+        const N = design.samples;
+        const fA = y.slice(0, N);
+        const fB = y.slice(N, 2 * N);
+        const all = fA.concat(fB);
+        const mean = all.reduce((a, b) => a + b, 0) / all.length;
+        const variance = all.reduce((a, b) => a + (b - mean) ** 2, 0) / all.length;
+        
+        return keys.map((key, i) => {
+            const fAB = y.slice((2 + i) * N, (3 + i) * N);
+            if (variance <= 1e-12) {
+                return { parameter: key, firstOrder: 0, totalOrder: 0 };
+            }
+            let first = 0;
+            let total = 0;
+            for (let j = 0; j < N; j++) {
+                first += (fB[j] - mean) * (fAB[j] - fA[j]);
+                total += (fA[j] - fAB[j]) ** 2;
+            }
+            return {
+                parameter: key,
+                firstOrder: first / N / variance,
+                totalOrder: total / (2 * N) / variance
+            };
+        });
+    }
+    
+    /**
+     * Run a complete Morris or Sobol analysis of disease risk
+     * options: config options plus { method, ranges: { key: [min, max] }, samples, levels, output }.
+     * `samples` is the number of trajectories (Morris) or base samples N (Sobol).
+     */
+    function runSensitivityAnalysis(options) {
+        const config = createSimulationConfig(options);
+        const keys = Object.keys(options.ranges);
+        const random = createSeededRandom(deriveSeed(config.seed, 3));
+        const design = options.method === 'sobol'
+            ? createSobolDesign(keys.length, options.samples, random)
+            : createMorrisDesign(keys.length, options.samples, options.levels || 4, random);
+        
+        const outputs = design.points.map(point => evaluateRisks(
+            { ...config, params: scaleDesignPoint(point, keys, options.ranges, config.params) },
+            options.output
+        ));
+        
+        const results = {};
+        for (const disease of config.diseases) {
+            results[disease.name] = computeSensitivityIndices(design, outputs.map(o => o[disease.name]), keys);
+        }
+        
+        return { method: design.method, keys, evaluations: design.points.length, results };
+    }
+    
+    // =============================================================================
+    // 8. PARAMETER SWEEPS & PHASE DIAGRAMS
+    // =============================================================================
+    
+    /**
+     * Sweep values from min to max, evenly spaced or geometric when `logScale` (min > 0)
+     */
+    function createSweepValues(min, max, points, logScale = false) {
+        if (logScale && (min <= 0 || max <= 0)) {
+            throw new Error('A logarithmic sweep needs a positive range');
+        }
+        if (points < 2) return [min];
+        
+        return Array.from({ length: points }, (_, i) => {
+            const f = i / (points - 1);
+            return logScale ? min * Math.pow(max / min, f) : min + f * (max - min);
+        });
+    }
+    
+    /**
+     * Incremental parameter sweep (see runParameterSweep); stepParameterSweep solves one value
+     * options: config options plus { parameter, values }.
+     */
+    function createParameterSweepState(options) {
+        const config = createSimulationConfig(options);
+        const { parameter, values } = options;
+        if (!(parameter in config.params)) {
+            throw new Error(`Unknown parameter: ${parameter}`);
+        }
+        
+        const result = { parameter, values: values.slice(), genes: {}, risks: {} };
+        config.genes.forEach(gene => { result.genes[gene.symbol] = { mrna: [], protein: [] }; });
+        config.diseases.forEach(disease => { result.risks[disease.name] = []; });
+        
+        return { config, completed: 0, total: values.length, result };
+    }
+    
+    /**
+     * Steady state and risks at the next sweep value; returns true once every value is done
+     */
+    function stepParameterSweep(sweep) {
+        const { config, result } = sweep;
+        if (sweep.completed < sweep.total) {
+            const value = result.values[sweep.completed];
+            const pointConfig = { ...config, params: { ...config.params, [result.parameter]: value } };
+            const steadyState = findSteadyState(pointConfig).values;
+            
+            for (const gene of config.genes) {
+                result.genes[gene.symbol].mrna.push(steadyState[gene.symbol].transcriptomic);
+                result.genes[gene.symbol].protein.push(steadyState[gene.symbol].proteomic);
+            }
+            
+            const risks = calculateDiseaseRisks(steadyState, pointConfig);
+            for (const disease of config.diseases) {
+                result.risks[disease.name].push(risks[disease.name].risk);
+            }
+            sweep.completed++;
+        }
+        return sweep.completed >= sweep.total;
+    }
+    
+    /**
+     * Steady-state mRNA, protein and disease risk at each value of one parameter
+     * options: config options plus { parameter, values }.
+     * Returns { parameter, values, genes: { SYMBOL: { mrna, protein } }, risks: { name: [...] } }.
+     */
+    function runParameterSweep(options) {
+        const sweep = createParameterSweepState(options);
+        while (!stepParameterSweep(sweep)) {
+            // one parameter value per step
+        }
+        return sweep.result;
+    }
+    
+    /**
+     * Incremental phase diagram (see runParameterGrid); stepParameterGrid solves one cell,
+     * row by row
+     * options: config options plus { xParameter, xValues, yParameter, yValues }.
+     */
+    function createParameterGridState(options) {
+        const config = createSimulationConfig(options);
+        const { xParameter, xValues, yParameter, yValues } = options;
+        for (const key of [xParameter, yParameter]) {
+            if (!(key in config.params)) {
+                throw new Error(`Unknown parameter: ${key}`);
+            }
+        }
+        
+        return {
+            config,
+            completed: 0,
+            total: xValues.length * yValues.length,
+            result: {
+                xParameter,
+                yParameter,
+                xValues: xValues.slice(),
+                yValues: yValues.slice(),
+                risks: Object.fromEntries(config.diseases.map(disease => [disease.name, []]))
+            }
+        };
+    }
+    
+    /**
+     * Steady-state risks at the next grid cell; returns true once the grid is full
+     */
+    function stepParameterGrid(grid) {
+        const { config, result } = grid;
+        if (grid.completed < grid.total) {
+            const row = Math.floor(grid.completed / result.xValues.length);
+            const column = grid.completed % result.xValues.length;
+            const pointConfig = {
+                ...config,
+                params: { ...config.params, [result.xParameter]: result.xValues[column], [result.yParameter]: result.yValues[row] }
+            };
+            const pointRisks = calculateDiseaseRisks(findSteadyState(pointConfig).values, pointConfig);
+            
+            for (const disease of config.diseases) {
+                if (column === 0) result.risks[disease.name].push([]);
+                result.risks[disease.name][row].push(pointRisks[disease.name].risk);
+            }
+            grid.completed++;
+        }
+        return grid.completed >= grid.total;
+    }
+    
+    /**
+     * Steady-state risk over a two-parameter grid (phase diagram)
+     * options: config options plus { xParameter, xValues, yParameter, yValues }.
+     * Returns risks[name][row][column], rows following yValues and columns xValues.
+     */
+    function runParameterGrid(options) {
+        const grid = createParameterGridState(options);
+        while (!stepParameterGrid(grid)) {
+            // one grid cell per step
+        }
+        return grid.result;
+    }
+    
+    /**
+     * Marching-squares contour of a grid (grid[row][column]) at `level`
+     * Returns line segments [[column, row], [column, row]] in fractional grid coordinates;
+     * saddle cells are resolved with the cell-centre average.
+     */
+    function computeContourSegments(grid, level) {
+        const segments = [];
+        const crossing = (a, b) => (a >= level) !== (b >= level);
+        const fraction = (a, b) => (level - a) / (b - a);
+        
+        for (let j = 0; j < grid.length - 1; j++) {
+            for (let i = 0; i < grid[j].length - 1; i++) {
+                const z00 = grid[j][i];
+                const z10 = grid[j][i + 1];
+                const z01 = grid[j + 1][i];
+                const z11 = grid[j + 1][i + 1];
+                
+                // Crossing points on the bottom, right, top and left edges
+                const bottom = crossing(z00, z10) ? [i + fraction(z00, z10), j] : null;
+                const right = crossing(z10, z11) ? [i + 1, j + fraction(z10, z11)] : null;
+                const top = crossing(z01, z11) ? [i + fraction(z01, z11), j + 1] : null;
+                const left = crossing(z00, z01) ? [i, j + fraction(z00, z01)] : null;
+                const points = [bottom, right, top, left].filter(Boolean);
+                
+                if (points.length === 2) {
+                    segments.push(points);
+                } else if (points.length === 4) {
+                    const centreAbove = (z00 + z10 + z01 + z11) / 4 >= level;
+                    if (centreAbove === (z00 >= level)) {
+                        segments.push([bottom, right], [top, left]);
+                    } else {
+                        segments.push([bottom, left], [right, top]);
+                    }
+                }
+            }
+        }
+        
+        return segments;
+    }
+    
+    // =============================================================================
+    // 9. ENSEMBLES
+    // =============================================================================
+    
+    /**
+     * Seed of ensemble replicate `index` (streams from 100 up stay clear of the auxiliary streams)
+     */
+    function getReplicateSeed(seed, index) {
+        return deriveSeed(seed, 100 + index);
+    }
+    
+    /**
+     * Empirical quantile of an ascending array (linear interpolation between order statistics)
+     */
+    function quantile(sorted, q) {
+        if (sorted.length === 0) return NaN;
+        
+        const position = (sorted.length - 1) * q;
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+    }
+    
+    /**
+     * Mean, sample SD, median and 5-95% interval of a sample
+     */
+    function summarizeSample(values) {
+        const n = values.length;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mean = values.reduce((a, b) => a + b, 0) / n;
+        const sd = n > 1 ? Math.sqrt(values.reduce((a, b) => a + (b - mean) ** 2, 0) / (n - 1)) : 0;
+        
+        return { mean, sd, median: quantile(sorted, 0.5), p5: quantile(sorted, 0.05), p95: quantile(sorted, 0.95) };
+    }
+    
+    /**
+     * Summarize replicate runs of one configuration
+     * genes[SYMBOL][mrna|protein] holds arrays (aligned with time) of mean, sd, median, p5 and p95;
+     * risks[name] holds the final risk of every replicate plus its summary.
+     */
+    function summarizeEnsemble(runs) {
+        const first = runs[0];
+        const time = first.timeSeriesData.time;
+        const genes = {};
+        const risks = {};
+        
+        for (const symbol of Object.keys(first.timeSeriesData.genes)) {
+            genes[symbol] = {};
+            
+            for (const series of ['mrna', 'protein']) {
+                const stats = time.map((_, t) => summarizeSample(runs.map(run => run.timeSeriesData.genes[symbol][series][t])));
+                genes[symbol][series] = Object.fromEntries(
+                    ['mean', 'sd', 'median', 'p5', 'p95'].map(key => [key, stats.map(s => s[key])])
+                );
+            }
+        }
+        
+        for (const name of Object.keys(first.risks)) {
+            const values = runs.map(run => run.risks[name].risk);
+            risks[name] = { values, ...summarizeSample(values) };
+        }
+        
+        return { replicates: runs.length, seeds: runs.map(run => run.seed), time, genes, risks };
+    }
+    
+    /**
+     * Run `options.replicates` copies of a configuration, replicate i seeded with getReplicateSeed(seed, i)
+     * Returns { runs, summary } (see runSimulation and summarizeEnsemble).
+     */
+    function runEnsemble(options) {
+        const config = createSimulationConfig(options);
+        const runs = [];
+        
+        for (let i = 0; i < options.replicates; i++) {
+            runs.push(runSimulation({ ...config, seed: getReplicateSeed(config.seed, i) }));
+        }
+        
+        return { runs, summary: summarizeEnsemble(runs) };
+    }
+    
+    // =============================================================================
+    // 10. CHART DOWNSAMPLING
+    // =============================================================================
+    
+    /**
+     * Largest-Triangle-Three-Buckets downsampling of several series sharing one x axis
+     * Returns at most `threshold` indices (always including the first and last point).
+     * Each bucket keeps the point whose triangle areas, summed over the series with each
+     * series scaled by its range, are largest, so peaks of every series survive.
+     */
+    function downsampleLTTB(x, series, threshold) {
+        const n = x.length;
+        if (threshold >= n || threshold < 3) {
+            return Array.from({ length: n }, (_, i) => i);
+        }
+        
+        const scales = series.map(ys => {
+            let min = Infinity;
+            let max = -Infinity;
+            for (const y of ys) {
+                if (y < min) min = y;
+                if (y > max) max = y;
+            }
+            return max > min ? max - min : 1;
+        });
+        const bucketSize = (n - 2) / (threshold - 2);
+        const indices = [0];
+        let a = 0;
+        
+        for (let bucket = 0; bucket < threshold - 2; bucket++) {
+            // Average of the next bucket is the third triangle vertex
+            const nextStart = Math.floor((bucket + 1) * bucketSize) + 1;
+            const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, n);
+            let avgX = 0;
+            const avgY = series.map(() => 0);
+            for (let j = nextStart; j < nextEnd; j++) {
+                avgX += x[j];
+                series.forEach((ys, s) => { avgY[s] += ys[j]; });
+            }
+            const count = nextEnd - nextStart;
+            avgX /= count;
+            avgY.forEach((sum, s) => { avgY[s] = sum / count; });
+            
+            const start = Math.floor(bucket * bucketSize) + 1;
+            const end = Math.floor((bucket + 1) * bucketSize) + 1;
+            let best = start;
+            let bestArea = -1;
+            for (let j = start; j < end; j++) {
+                let area = 0;
+                series.forEach((ys, s) => {
+                    area += Math.abs((x[a] - avgX) * (ys[j] - ys[a]) - (x[a] - x[j]) * (avgY[s] - ys[a])) / scales[s];
+                });
+                if (area > bestArea) {
+                    bestArea = area;
+                    best = j;
+                }
+            }
+            
+            indices.push(best);
+            a = best;
+        }
+        
+        indices.push(n - 1);
+        return indices;
+    }
+    
+    // =============================================================================
+    // 11. DRUG PHARMACOKINETICS & PHARMACODYNAMICS
+    // =============================================================================
+    
+    /**
+     * Plasma concentration (mg/L) at time τ (h) after a single dose
+     * One compartment: D/V·e^(−kτ) as an IV bolus, F·D·ka / (V(ka − k))·(e^(−kτ) − e^(−ka·τ)) orally,
+     * with k = ln 2 / half-life. Two compartments: k is the elimination rate from the central
+     * compartment and k12/k21 the distribution rates, giving a bi-exponential (IV) or
+     * tri-exponential (oral) curve with disposition rates α > β.
+     */
+    function getSingleDoseConcentration(drug, tau) {
+        const k = Math.LN2 / drug.halfLife;
+        const oral = drug.route === 'oral';
+        const amount = (oral ? drug.bioavailability : 1) * drug.dose / drug.volume;
+        
+        if (drug.compartments !== 2) {
+            if (!oral) return amount * Math.exp(-k * tau);
+            const ka = drug.absorptionRate;
+            if (Math.abs(ka - k) < 1e-9) return amount * ka * tau * Math.exp(-k * tau);
+            return amount * ka / (ka - k) * (Math.exp(-k * tau) - Math.exp(-ka * tau));
+        }
+        
+        const { k12, k21 } = drug;
+        const sum = k + k12 + k21;
+        const root = Math.sqrt(sum * sum - 4 * k * k21);
+        const alpha = (sum + root) / 2;
+        const beta = (sum - root) / 2;
+        
+        if (!oral) {
+            return amount * (
+                (alpha - k21) / (alpha - beta) * Math.exp(-alpha * tau) +
+                (k21 - beta) / (alpha - beta) * Math.exp(-beta * tau)
+            );
+        }
+        
+        // Nudge ka off α and β, where the tri-exponential terms are singular
+        const ka = [alpha, beta].some(rate => Math.abs(drug.absorptionRate - rate) < 1e-9)
+            ? drug.absorptionRate * (1 + 1e-6)
+            : drug.absorptionRate;
+        return amount * ka * (
+            (k21 - alpha) / ((ka - alpha) * (beta - alpha)) * Math.exp(-alpha * tau) +
+            (k21 - beta) / ((ka - beta) * (alpha - beta)) * Math.exp(-beta * tau) +
+            (k21 - ka) / ((alpha - ka) * (beta - ka)) * Math.exp(-ka * tau)
+        );
+    }
+    
+    /**
+     * Plasma concentration (mg/L) of a drug at time t (h): superposition of every dose given so far
+     * Doses are given at start, start + interval, ... (`doses` in total).
+     */
+    function getDrugConcentration(drug, t) {
+        let concentration = 0;
+        for (let i = 0; i < drug.doses; i++) {
+            const tau = t - (drug.start + i * drug.interval);
+            if (tau < 0) break;
+            concentration += getSingleDoseConcentration(drug, tau);
+        }
+        return concentration;
+    }
+    
+    /**
+     * Fractional drug effect (Emax/Hill model): E = Emax·Cⁿ / (EC50ⁿ + Cⁿ)
+     */
+    function calculateDrugEffect(drug, concentration) {
+        if (concentration <= 0) return 0;
+        const cn = Math.pow(concentration, drug.hill);
+        return drug.emax * cn / (Math.pow(drug.ec50, drug.hill) + cn);
+    }
+    
+    /**
+     * Apply every drug's effect at time t
+     * A parameter target is scaled by (1 − E) when inhibited or (1 + E) when stimulated; a gene
+     * target scales that gene's transcription the same way. Drugs on one target multiply.
+     * Returns { params, expressionFactors: { symbol: factor } }.
+     */
+    function applyDrugEffects(params, drugs, t) {
+        const adjusted = { ...params };
+        const expressionFactors = {};
+        
+        for (const drug of drugs) {
+            const effect = calculateDrugEffect(drug, getDrugConcentration(drug, t));
+            const factor = drug.action === 'stimulate' ? 1 + effect : Math.max(0, 1 - effect);
+            
+            if (drug.targetType === 'gene') {
+                expressionFactors[drug.target] = (expressionFactors[drug.target] ?? 1) * factor;
+            } else {
+                adjusted[drug.target] *= factor;
+                if (FRACTION_PARAMETERS.includes(drug.target)) {
+                    adjusted[drug.target] = Math.min(1, adjusted[drug.target]);
+                }
+            }
+        }
+        
+        return { params: adjusted, expressionFactors };
+    }
+    
+    // =============================================================================
+    // 12. BISTABILITY & HYSTERESIS
+    // =============================================================================
+    
+    /**
+     * Transcription of a self-activating gene: the TF-driven Hill term plus positive feedback
+     * from the gene's own protein, both silenced by methylation and mutation:
+     * E(P) = (1 − m)(1 − μ)·[Vmax·TFⁿ / (Kdⁿ + TFⁿ) + s·Pʰ / (Kʰ + Pʰ)]
+     * feedback: { strength: s (TPM), threshold: K (AU), hill: h }.
+     */
+    function calculateSelfActivatedExpression(gene, params, feedback, P) {
+        const intact = (1 - params.methylationFactor) * (1 - params.mutationSeverity);
+        const Ph = Math.pow(Math.max(0, P), feedback.hill);
+        const loop = feedback.strength * Ph / (Math.pow(feedback.threshold, feedback.hill) + Ph);
+        
+        return calculateGeneExpression(
+            params.tfConcentration,
+            params.bindingAffinity,
+            params.hillCoefficient,
+            gene.Vmax,
+            params.methylationFactor,
+            params.mutationSeverity
+        ) + Math.max(0, intact * loop);
+    }
+    
+    /**
+     * Incremental hysteresis scan (see runHysteresisScan): finds the saddle-node points up front,
+     * then stepHysteresisScan follows one TF value of the up sweep, then of the down sweep
+     */
+    function createHysteresisState(options) {
+        const config = createSimulationConfig({ ...options, genes: [options.gene] });
+        const gene = config.genes[0];
+        const params = getGeneParams(gene, config);
+        const { strength, threshold, hill } = options.feedback;
+        const tfValues = options.tfValues.slice().sort((a, b) => a - b);
+        
+        if (!(strength >= 0) || !(threshold > 0) || !(hill >= 1)) {
+            throw new Error('Feedback needs strength ≥ 0, threshold > 0 and Hill coefficient ≥ 1');
+        }
+        if (!(params.translationEfficiency > 0) || !(params.proteinDegradation > 0)) {
+            throw new Error('Translation efficiency and protein degradation must be positive for a steady state');
+        }
+        
+        const a = params.translationEfficiency / params.proteinDegradation;
+        const intact = (1 - params.methylationFactor) * (1 - params.mutationSeverity);
+        const maxDrive = gene.Vmax * intact;
+        const Kh = Math.pow(threshold, hill);
+        const R = P => P / a - intact * strength * Math.pow(P, hill) / (Kh + Math.pow(P, hill));
+        const dR = P => 1 / a - intact * strength * hill * Kh * Math.pow(P, hill - 1) / Math.pow(Kh + Math.pow(P, hill), 2);
+        const maxProtein = a * (maxDrive + intact * strength);
+        
+        const Kd_nM = params.bindingAffinity * 1000;
+        const n = params.hillCoefficient;
+        const drive = tf => calculateGeneExpression(tf, params.bindingAffinity, n, gene.Vmax, params.methylationFactor, params.mutationSeverity);
+        const tfForDrive = r => {
+            const u = r / maxDrive;
+            return u >= 0 && u < 1 ? Kd_nM * Math.pow(u / (1 - u), 1 / n) : NaN;
+        };
+        
+        const bisect = (f, lo, hi) => {
+            const positiveLo = f(lo) > 0;
+            for (let i = 0; i < 100 && hi - lo > 1e-12 * (1 + maxProtein); i++) {
+                const mid = (lo + hi) / 2;
+                if ((f(mid) > 0) === positiveLo) lo = mid; else hi = mid;
+            }
+            return (lo + hi) / 2;
+        };
+        
+        // Saddle-node points: sign changes of R′ on a fine grid, refined by bisection
+        const folds = [];
+        const gridSize = 2000;
+        for (let i = 0; i < gridSize; i++) {
+            const lo = maxProtein * i / gridSize;
+            const hi = maxProtein * (i + 1) / gridSize;
+            if ((dR(lo) > 0) !== (dR(hi) > 0)) folds.push(bisect(dR, lo, hi));
+        }
+        const bounds = [0, ...folds, maxProtein];
+        
+        // R is monotone between folds, so each piece holds at most one steady state
+        const steadyStates = tf => {
+            const target = drive(tf);
+            const states = [];
+            for (let i = 0; i < bounds.length - 1; i++) {
+                const g = P => target - R(P);
+                const [lo, hi] = [bounds[i], bounds[i + 1]];
+                if ((g(lo) >= 0) === (g(hi) >= 0) && g(lo) !== 0 && g(hi) !== 0) continue;
+                const protein = g(lo) === 0 ? lo : g(hi) === 0 ? hi : bisect(g, lo, hi);
+                if (states.length === 0 || protein - states[states.length - 1] > 1e-9 * (1 + maxProtein)) {
+                    states.push(protein);
+                }
+            }
+            return states;
+        };
+        
+        // Each step relaxes from the previous state to the nearest steady state in the direction of dP/dt
+        const relax = (tf, P) => {
+            const states = steadyStates(tf);
+            return drive(tf) - R(P) >= 0
+                ? states.find(state => state >= P) ?? states[states.length - 1]
+                : [...states].reverse().find(state => state <= P) ?? states[0];
+        };
+        
+        return {
+            gene: gene.symbol,
+            feedback: { strength, threshold, hill },
+            tfValues,
+            maxDrive,
+            maxProtein,
+            folds,
+            bounds,
+            R,
+            dR,
+            tfForDrive,
+            relax,
+            up: [],
+            down: new Array(tfValues.length),
+            completed: 0,
+            total: 2 * tfValues.length
+        };
+    }
+    
+    /**
+     * Relax to the steady state at the next TF value, sweeping up from P = 0 and then down from
+     * the fully-on level; returns true once both sweeps are done
+     */
+    function stepHysteresisScan(scan) {
+        const n = scan.tfValues.length;
+        if (scan.completed < n) {
+            const previous = scan.completed > 0 ? scan.up[scan.completed - 1] : 0;
+            scan.up.push(scan.relax(scan.tfValues[scan.completed], previous));
+            scan.completed++;
+        } else if (scan.completed < scan.total) {
+            const index = scan.total - 1 - scan.completed;
+            const previous = index < n - 1 ? scan.down[index + 1] : scan.maxProtein;
+            scan.down[index] = scan.relax(scan.tfValues[index], previous);
+            scan.completed++;
+        }
+        return scan.completed >= scan.total;
+    }
+    
+    /**
+     * Result of a finished scan: both sweeps, the full S-shaped curve, saddle nodes and bistable range
+     */
+    function getHysteresisResult(scan) {
+        const { tfValues, up, down, maxDrive, maxProtein, folds, bounds, R, dR, tfForDrive } = scan;
+        
+        // Full curve, one branch per monotone piece of R (stable where R rises)
+        const branches = [];
+        for (let i = 0; i < bounds.length - 1; i++) {
+            const [lo, hi] = [bounds[i], bounds[i + 1]];
+            const branch = { stable: dR((lo + hi) / 2) > 0, tf: [], protein: [] };
+            const samples = Math.max(2, Math.round(400 * (hi - lo) / maxProtein));
+            for (let j = 0; j <= samples; j++) {
+                const protein = lo + (hi - lo) * j / samples;
+                const tf = tfForDrive(R(protein));
+                if (!Number.isFinite(tf)) continue;
+                branch.tf.push(tf);
+                branch.protein.push(protein);
+            }
+            if (branch.tf.length > 1) branches.push(branch);
+        }
+        
+        const saddleNodes = folds
+            .map(protein => ({ tf: tfForDrive(R(protein)), protein }))
+            .filter(point => Number.isFinite(point.tf));
+        
+        // Three steady states coexist between the drives at the local minimum and maximum of R
+        let bistableRange = null;
+        if (folds.length === 2) {
+            const [high, low] = folds.map(R);
+            if (high > 0 && low < maxDrive) {
+                bistableRange = {
+                    from: low <= 0 ? 0 : tfForDrive(low),
+                    to: high >= maxDrive ? Infinity : tfForDrive(high)
+                };
+            }
+        }
+        
+        return { gene: scan.gene, feedback: scan.feedback, tfValues, up, down, branches, saddleNodes, bistableRange };
+    }
+    
+    /**
+     * Bifurcation diagram and hysteresis loop of a self-activating gene against TF concentration
+     * At steady state P = a·E(P) with a = η / δp, so the TF-driven transcription must equal
+     * R(P) = P / a − (1 − m)(1 − μ)·s·Pʰ / (Kʰ + Pʰ). The TF term rises monotonically with TF, so each
+     * P maps to one TF: tracing P draws the whole S-shaped curve, including the unstable middle
+     * branch where R falls. Saddle-node bifurcations sit at the extrema of R.
+     * The loop follows the steady state as TF is swept up from the low state and back down from
+     * the high state; each step relaxes from the previous state, jumping where its branch ends.
+     * options: config options plus { gene, feedback (see calculateSelfActivatedExpression), tfValues }.
+     * Returns { gene, feedback, tfValues, up, down, branches: [{ stable, tf, protein }],
+     * saddleNodes: [{ tf, protein }], bistableRange: { from, to } | null } (TF in nM, protein in AU).
+     */
+    function runHysteresisScan(options) {
+        const scan = createHysteresisState(options);
+        while (!stepHysteresisScan(scan)) {
+            // one TF value of the up or down sweep per step
+        }
+        return getHysteresisResult(scan);
+    }
+    
+    // =============================================================================
+    // 13. PARAMETER FITTING
+    // =============================================================================
+    
+    /**
+     * Least-squares optimisers for parameter fitting
+     */
+    const FIT_METHODS = {
+        'nelder-mead': 'Nelder–Mead simplex',
+        'levenberg-marquardt': 'Levenberg–Marquardt'
+    };
+    
+    /**
+     * Parameters that shape the noise-free trajectories (noise and risk weights do not)
+     */
+    const FITTABLE_PARAMETERS = [
+        'tfConcentration',
+        'bindingAffinity',
+        'hillCoefficient',
+        'methylationFactor',
+        'mutationSeverity',
+        'translationEfficiency',
+        'proteinDegradation'
+    ];
+    
+    /**
+     * Two-sided 95% quantiles of Student's t for 1–30 degrees of freedom
+     */
+    const T_QUANTILES_95 = [
+        12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+        2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+        2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+    ];
+    
+    /**
+     * Two-sided 95% quantile of Student's t (Cornish–Fisher expansion above 30 degrees of freedom)
+     */
+    function getStudentTQuantile95(dof) {
+        if (dof < 1) return Infinity;
+        if (dof <= 30) return T_QUANTILES_95[Math.floor(dof) - 1];
+        const z = 1.959964;
+        return z + (z ** 3 + z) / (4 * dof) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * dof * dof);
+    }
+    
+    /**
+     * Linear interpolation of ys over ascending xs at x (held constant beyond the ends)
+     */
+    function interpolateLinear(xs, ys, x) {
+        if (x <= xs[0]) return ys[0];
+        if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+        
+        let lo = 0;
+        let hi = xs.length - 1;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (xs[mid] <= x) lo = mid; else hi = mid;
+        }
+        const f = (x - xs[lo]) / (xs[hi] - xs[lo]);
+        return ys[lo] + f * (ys[hi] - ys[lo]);
+    }
+    
+    /**
+     * Noise-free deterministic trajectories sampled at the given times (t = 0 is the initial state)
+     * Returns { SYMBOL: { mrna: [...], protein: [...] } } aligned with `times`.
+     */
+    function simulateAtTimes(config, times) {
+        const runConfig = {
+            ...config,
+            engine: 'deterministic',
+            params: { ...config.params, expressionNoise: 0 },
+            diseases: [],
+            maxTime: Math.max(config.timeStep, ...times)
+        };
+        const simulation = createSimulationState(runConfig);
+        const initial = Object.fromEntries(Object.entries(simulation.geneStates).map(([symbol, s]) => [symbol, { ...s }]));
+        
+        while (simulation.currentTime < runConfig.maxTime - 1e-9) {
+            stepSimulation(simulation, runConfig);
+        }
+        
+        const data = simulation.timeSeriesData;
+        const sampleTimes = [0, ...data.time];
+        const result = {};
+        for (const [symbol, series] of Object.entries(data.genes)) {
+            const mrna = [initial[symbol].mrna, ...series.mrna];
+            const protein = [initial[symbol].protein, ...series.protein];
+            result[symbol] = {
+                mrna: times.map(t => interpolateLinear(sampleTimes, mrna, t)),
+                protein: times.map(t => interpolateLinear(sampleTimes, protein, t))
+            };
+        }
+        return result;
+    }
+    
+    /**
+     * Match measured time courses to a model configuration (shared by fitting and MCMC)
+     * options: config options plus
+     *   data: { time: [...], genes: { SYMBOL: { mrna: [...], protein: [...] } } } (null = not measured),
+     *   parameters: keys of FITTABLE_PARAMETERS, bounds: { key: [min, max] }.
+     * Genes in the data are simulated alongside options.genes. Each residual is divided by the
+     * RMS of its measured series, so mRNA (TPM) and protein (AU) weigh in equally.
+     * Returns { keys, bounds, config, times, observations, initial, spans, evaluations }.
+     */
+    function createFitProblem(options) {
+        const keys = options.parameters || [];
+        if (keys.length === 0) {
+            throw new Error('Choose at least one parameter to fit');
+        }
+        for (const key of keys) {
+            if (!FITTABLE_PARAMETERS.includes(key)) throw new Error(`Parameter cannot be fitted: ${key}`);
+        }
+        
+        const listed = (options.genes || []).map(gene => (typeof gene === 'string' ? gene : gene.symbol));
+        const config = createSimulationConfig({
+            ...options,
+            genes: [...(options.genes || []), ...Object.keys(options.data.genes).filter(symbol => !listed.includes(symbol))],
+            diseases: []
+        });
+        
+        const times = [...new Set(options.data.time)].sort((a, b) => a - b);
+        const observations = [];
+        for (const gene of config.genes) {
+            const series = options.data.genes[gene.symbol];
+            if (!series) continue;
+            for (const kind of ['mrna', 'protein']) {
+                (series[kind] || []).forEach((observed, i) => {
+                    if (observed === null || observed === undefined || !Number.isFinite(observed)) return;
+                    const time = options.data.time[i];
+                    observations.push({ symbol: gene.symbol, kind, time, timeIndex: times.indexOf(time), observed });
+                });
+            }
+        }
+        if (observations.length <= keys.length) {
+            throw new Error(`The data has ${observations.length} measurements; a fit needs more than the ${keys.length} fitted parameters`);
+        }
+        
+        const scales = {};
+        for (const observation of observations) {
+            const id = `${observation.symbol}:${observation.kind}`;
+            scales[id] = scales[id] || { sum: 0, count: 0 };
+            scales[id].sum += observation.observed ** 2;
+            scales[id].count++;
+        }
+        for (const observation of observations) {
+            const scale = scales[`${observation.symbol}:${observation.kind}`];
+            observation.scale = Math.sqrt(scale.sum / scale.count) || 1;
+        }
+        
+        const bounds = keys.map(key => options.bounds?.[key] || (FRACTION_PARAMETERS.includes(key) ? [0, 1] : [0, Infinity]));
+        const initial = clampToBounds(keys.map(key => config.params[key]), bounds);
+        return {
+            keys,
+            bounds,
+            config,
+            times,
+            observations,
+            initial,
+            // Typical size of each parameter, for steps and finite differences
+            spans: initial.map((x, j) => (Number.isFinite(bounds[j][1] - bounds[j][0]) ? bounds[j][1] - bounds[j][0] : Math.max(Math.abs(x), 1))),
+            evaluations: 0
+        };
+    }
+    
+    /**
+     * Set up a least-squares fit of model parameters to measured time courses
+     * options: those of createFitProblem plus method (key of FIT_METHODS), maxIterations, tolerance.
+     * The fit state is advanced with stepFit() and summarised with getFitResult().
+     */
+    function createFitState(options) {
+        const method = options.method || 'levenberg-marquardt';
+        if (!FIT_METHODS[method]) {
+            throw new Error(`Unknown fitting method: ${method}`);
+        }
+        
+        const problem = createFitProblem(options);
+        const { keys, bounds, initial } = problem;
+        const fit = {
+            ...problem,
+            method,
+            maxIterations: options.maxIterations || 200,
+            tolerance: options.tolerance || 1e-8,
+            iteration: 0,
+            converged: false,
+            x: initial,
+            residuals: null,
+            value: Infinity
+        };
+        
+        fit.residuals = getFitResiduals(fit, initial);
+        fit.value = sumOfSquares(fit.residuals);
+        
+        if (method === 'nelder-mead') {
+            fit.simplex = createSimplex(fit, initial, fit.value);
+            fit.restartValue = null;
+        } else {
+            fit.damping = 1e-3;
+        }
+        
+        return fit;
+    }
+    
+    /**
+     * Clamp each coordinate into its [min, max] bound
+     */
+    function clampToBounds(x, bounds) {
+        return x.map((value, j) => Math.min(bounds[j][1], Math.max(bounds[j][0], value)));
+    }
+    
+    /**
+     * Σ r²
+     */
+    function sumOfSquares(residuals) {
+        return residuals.reduce((sum, r) => sum + r * r, 0);
+    }
+    
+    /**
+     * Scaled residuals (simulated − observed) / series RMS for parameter values x
+     */
+    function getFitResiduals(fit, x) {
+        fit.evaluations++;
+        const params = { ...fit.config.params };
+        fit.keys.forEach((key, j) => { params[key] = x[j]; });
+        
+        const simulated = simulateAtTimes({ ...fit.config, params }, fit.times);
+        return fit.observations.map(o => {
+            const r = (simulated[o.symbol][o.kind][o.timeIndex] - o.observed) / o.scale;
+            return Number.isFinite(r) ? r : 1e6;
+        });
+    }
+    
+    /**
+     * { x, value } with the sum of squared scaled residuals at x
+     */
+    function evaluateFitPoint(fit, x) {
+        return { x, value: sumOfSquares(getFitResiduals(fit, x)) };
+    }
+    
+    /**
+     * Finite-difference Jacobian of the scaled residuals (one row per observation)
+     * Steps point away from a bound the parameter sits on.
+     */
+    function getFitJacobian(fit, x, residuals) {
+        const J = residuals.map(() => new Array(x.length).fill(0));
+        
+        x.forEach((value, j) => {
+            let h = 1e-6 * Math.max(Math.abs(value), 1e-3 * fit.spans[j]);
+            if (value + h > fit.bounds[j][1]) h = -h;
+            const shifted = x.slice();
+            shifted[j] = value + h;
+            const r = getFitResiduals(fit, shifted);
+            r.forEach((ri, i) => { J[i][j] = (ri - residuals[i]) / h; });
+        });
+        return J;
+    }
+    
+    /**
+     * JᵀJ and Jᵀr
+     */
+    function getNormalEquations(J, residuals) {
+        const k = J[0].length;
+        const JtJ = Array.from({ length: k }, () => new Array(k).fill(0));
+        const Jtr = new Array(k).fill(0);
+        
+        J.forEach((row, i) => {
+            for (let a = 0; a < k; a++) {
+                Jtr[a] += row[a] * residuals[i];
+                for (let b = 0; b < k; b++) JtJ[a][b] += row[a] * row[b];
+            }
+        });
+        return { JtJ, Jtr };
+    }
+    
+    /**
+     * Starting simplex around x: one vertex per parameter, stepped 10% of its value (5% of its
+     * span from 0) and pointed away from the upper bound
+     */
+    function createSimplex(fit, x, value) {
+        const simplex = [{ x, value }];
+        fit.keys.forEach((key, j) => {
+            let step = x[j] !== 0 ? 0.1 * Math.abs(x[j]) : 0.05 * fit.spans[j];
+            if (x[j] + step > fit.bounds[j][1]) step = -step;
+            const vertex = x.slice();
+            vertex[j] = x[j] + step;
+            simplex.push(evaluateFitPoint(fit, clampToBounds(vertex, fit.bounds)));
+        });
+        return simplex;
+    }
+    
+    /**
+     * One Nelder–Mead iteration: reflect, expand or contract the worst vertex, else shrink
+     * Candidates are clamped into the bounds, which can press the simplex flat against a bound
+     * away from the minimum; so once it has shrunk, it is rebuilt around the best point, and the
+     * fit counts as converged only when a rebuilt simplex finds nothing better.
+     */
+    function stepNelderMead(fit) {
+        const simplex = fit.simplex;
+        const n = fit.keys.length;
+        simplex.sort((a, b) => a.value - b.value);
+        
+        const best = simplex[0];
+        const worst = simplex[n];
+        const centroid = best.x.map((_, j) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[j], 0) / n);
+        const along = t => evaluateFitPoint(fit, clampToBounds(centroid.map((c, j) => c + t * (worst.x[j] - c)), fit.bounds));
+        
+        const reflected = along(-1);
+        if (reflected.value < best.value) {
+            const expanded = along(-2);
+            simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < simplex[n - 1].value) {
+            simplex[n] = reflected;
+        } else {
+            const contracted = along(reflected.value < worst.value ? -0.5 : 0.5);
+            if (contracted.value < Math.min(reflected.value, worst.value)) {
+                simplex[n] = contracted;
+            } else {
+                for (let i = 1; i <= n; i++) {
+                    simplex[i] = evaluateFitPoint(fit, best.x.map((b, j) => b + 0.5 * (simplex[i].x[j] - b)));
+                }
+            }
+        }
+        
+        simplex.sort((a, b) => a.value - b.value);
+        fit.x = simplex[0].x;
+        fit.value = simplex[0].value;
+        
+        const spread = simplex[n].value - simplex[0].value;
+        const size = Math.max(...simplex.slice(1).flatMap(p => p.x.map((v, j) => Math.abs(v - fit.x[j]) / fit.spans[j])));
+        if (spread > fit.tolerance * (fit.value + 1e-12) || size > 1e-6) return false;
+        
+        if (fit.restartValue !== null && fit.restartValue - fit.value <= fit.tolerance * (fit.value + 1e-12)) return true;
+        fit.restartValue = fit.value;
+        fit.simplex = createSimplex(fit, fit.x, fit.value);
+        return false;
+    }
+    
+    /**
+     * One Levenberg–Marquardt iteration: solve (JᵀJ + λ·diag(JᵀJ))δ = −Jᵀr, raising the damping λ
+     * until the step lowers the sum of squares and lowering it after a success
+     */
+    function stepLevenbergMarquardt(fit) {
+        const J = getFitJacobian(fit, fit.x, fit.residuals);
+        const { JtJ, Jtr } = getNormalEquations(J, fit.residuals);
+        const floor = 1e-12 * Math.max(...JtJ.map((row, j) => row[j]), 1e-300);
+        
+        for (let attempt = 0; attempt < 12; attempt++) {
+            const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v + fit.damping * Math.max(v, floor) : v)));
+            const delta = solveLinearSystem(A, Jtr.map(v => -v));
+            if (delta) {
+                const x = clampToBounds(fit.x.map((v, j) => v + delta[j]), fit.bounds);
+                const residuals = getFitResiduals(fit, x);
+                const value = sumOfSquares(residuals);
+                
+                if (value < fit.value) {
+                    const gain = fit.value - value;
+                    const moved = Math.max(...x.map((v, j) => Math.abs(v - fit.x[j]) / fit.spans[j]));
+                    fit.x = x;
+                    fit.residuals = residuals;
+                    fit.value = value;
+                    fit.damping = Math.max(fit.damping / 10, 1e-12);
+                    return gain <= fit.tolerance * (value + 1e-12) || moved <= 1e-10;
+                }
+            }
+            fit.damping *= 10;
+        }
+        
+        // No damping lowers the sum of squares: the fit sits at a (local) minimum
+        return true;
+    }
+    
+    /**
+     * Advance a fit by one optimiser iteration; returns true once it has converged or run out of iterations
+     */
+    function stepFit(fit) {
+        if (fit.converged || fit.iteration >= fit.maxIterations) return true;
+        
+        fit.iteration++;
+        fit.converged = fit.method === 'nelder-mead' ? stepNelderMead(fit) : stepLevenbergMarquardt(fit);
+        return fit.converged || fit.iteration >= fit.maxIterations;
+    }
+    
+    /**
+     * Fitted values, residuals and approximate 95% confidence intervals
+     * Intervals use the linearised covariance s²·(JᵀJ)⁻¹ with s² = SSE / (N − k) and Student's t;
+     * a parameter the data cannot pin down gets an infinite interval.
+     * Returns { method, parameters: [{ key, initial, value, standardError, ci, atBound }],
+     * observations: [{ symbol, kind, time, observed, fitted, residual }], series: [{ symbol, kind, points, rmse }],
+     * sse, degreesOfFreedom, iterations, evaluations, converged }.
+     */
+    function getFitResult(fit) {
+        const residuals = getFitResiduals(fit, fit.x);
+        const sse = sumOfSquares(residuals);
+        const dof = fit.observations.length - fit.keys.length;
+        const J = getFitJacobian(fit, fit.x, residuals);
+        const { JtJ } = getNormalEquations(J, residuals);
+        const s2 = sse / dof;
+        const t = getStudentTQuantile95(dof);
+        
+        const parameters = fit.keys.map((key, j) => {
+            const unit = fit.keys.map((_, i) => (i === j ? 1 : 0));
+            const column = solveLinearSystem(JtJ, unit);
+            const variance = column ? s2 * column[j] : Infinity;
+            const standardError = variance >= 0 ? Math.sqrt(variance) : Infinity;
+            const value = fit.x[j];
+            const [min, max] = fit.bounds[j];
+            return {
+                key,
+                initial: fit.initial[j],
+                value,
+                standardError,
+                ci: [value - t * standardError, value + t * standardError],
+                atBound: Math.abs(value - min) <= 1e-9 * fit.spans[j] || Math.abs(value - max) <= 1e-9 * fit.spans[j]
+            };
+        });
+        
+        const observations = fit.observations.map((o, i) => {
+            const fitted = o.observed + residuals[i] * o.scale;
+            return { symbol: o.symbol, kind: o.kind, time: o.time, observed: o.observed, fitted, residual: fitted - o.observed };
+        });
+        
+        const series = [];
+        for (const o of observations) {
+            let entry = series.find(s => s.symbol === o.symbol && s.kind === o.kind);
+            if (!entry) {
+                entry = { symbol: o.symbol, kind: o.kind, points: 0, rmse: 0 };
+                series.push(entry);
+            }
+            entry.points++;
+            entry.rmse += o.residual ** 2;
+        }
+        series.forEach(entry => { entry.rmse = Math.sqrt(entry.rmse / entry.points); });
+        
+        return {
+            method: fit.method,
+            parameters,
+            observations,
+            series,
+            sse,
+            degreesOfFreedom: dof,
+            iterations: fit.iteration,
+            evaluations: fit.evaluations,
+            converged: fit.converged
+        };
+    }
+    
+    /**
+     * Fit parameters in one call (see createFitState for the options)
+     */
+    function fitParameters(options) {
+        const fit = createFitState(options);
+        while (!stepFit(fit)) {
+            // iterate until converged or out of iterations
+        }
+        return getFitResult(fit);
+    }
+    
+    // =============================================================================
+    // 14. BAYESIAN INFERENCE (MCMC)
+    // =============================================================================
+    
+    /**
+     * Prior distributions, each truncated to its [min, max] range
+     */
+    const PRIOR_TYPES = {
+        uniform: 'Uniform',
+        normal: 'Normal',
+        'log-uniform': 'Log-uniform'
+    };
+    
+    /**
+     * Log prior density of x up to a constant (−∞ outside [min, max])
+     * prior: { type, min, max, mean, sd } (mean and sd for normal priors only)
+     */
+    function getLogPrior(prior, x) {
+        if (!(x >= prior.min && x <= prior.max)) return -Infinity;
+        if (prior.type === 'normal') return -((x - prior.mean) ** 2) / (2 * prior.sd ** 2);
+        if (prior.type === 'log-uniform') return -Math.log(x);
+        return 0;
+    }
+    
+    /**
+     * Lower-triangular L with L·Lᵀ = A (null unless A is positive definite)
+     */
+    function choleskyDecompose(A) {
+        const n = A.length;
+        const L = Array.from({ length: n }, () => new Array(n).fill(0));
+        
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = A[i][j];
+                for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+                if (i === j) {
+                    if (!(sum > 0)) return null;
+                    L[i][i] = Math.sqrt(sum);
+                } else {
+                    L[i][j] = sum / L[j][j];
+                }
+            }
+        }
+        return L;
+    }
+    
+    /**
+     * Effective sample size n / (1 + 2Σρₖ), summing autocorrelations in pairs while positive (Geyer)
+     */
+    function getEffectiveSampleSize(values) {
+        const n = values.length;
+        if (n < 4) return n;
+        
+        const mean = values.reduce((sum, v) => sum + v, 0) / n;
+        const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / n;
+        if (!(variance > 0)) return n;
+        
+        const rho = lag => {
+            let sum = 0;
+            for (let i = 0; i + lag < n; i++) sum += (values[i] - mean) * (values[i + lag] - mean);
+            return sum / (n * variance);
+        };
+        
+        let tau = -1;
+        for (let lag = 0; lag + 1 < n; lag += 2) {
+            const pair = rho(lag) + rho(lag + 1);
+            if (pair <= 0) break;
+            tau += 2 * pair;
+        }
+        return Math.min(n, n / Math.max(tau, 1e-9));
+    }
+    
+    /**
+     * Set up a Metropolis–Hastings sampler of model parameters given measured time courses
+     * options: config options plus data (see createFitProblem), priors: { key: prior } (see getLogPrior),
+     *   samples (kept after burn-in), burnIn, thin, seed, adaptive (default true), stepSize
+     *   (initial proposal SD as a fraction of each prior range) and predictiveDraws.
+     * The measurement noise is unknown; integrating it out under a Jeffreys prior leaves a
+     * likelihood ∝ SSE^(−N/2) of the scaled residuals. Proposals are Gaussian random walks; the
+     * adaptive sampler (Haario et al.) tunes their covariance to the chain's, scaled for a 23%
+     * acceptance rate, during burn-in only, so the kept chain is a plain Metropolis chain.
+     * Sampling is followed by posterior-predictive runs of evenly spaced kept samples.
+     * Advance with stepMcmc() and summarise with getMcmcResult().
+     */
+    function createMcmcState(options) {
+        const keys = Object.keys(options.priors || {});
+        const priors = keys.map(key => ({ ...options.priors[key] }));
+        priors.forEach((prior, j) => {
+            if (!PRIOR_TYPES[prior.type]) {
+                throw new Error(`Unknown prior for ${keys[j]}: ${prior.type}`);
+            }
+            if (!(Number.isFinite(prior.min) && Number.isFinite(prior.max) && prior.min < prior.max)) {
+                throw new Error(`The prior range of ${keys[j]} needs min below max`);
+            }
+            if (prior.type === 'normal' && !(prior.sd > 0 && Number.isFinite(prior.mean))) {
+                throw new Error(`The normal prior of ${keys[j]} needs a mean and a positive SD`);
+            }
+            if (prior.type === 'log-uniform' && !(prior.min > 0)) {
+                throw new Error(`The log-uniform prior of ${keys[j]} needs a positive min`);
+            }
+        });
+        
+        const problem = createFitProblem({
+            ...options,
+            parameters: keys,
+            bounds: Object.fromEntries(keys.map((key, j) => [key, [priors[j].min, priors[j].max]]))
+        });
+        const samples = options.samples || 2000;
+        const burnIn = options.burnIn ?? 1000;
+        const thin = options.thin || 1;
+        const seed = options.seed !== undefined && options.seed !== null ? options.seed >>> 0 : generateSeed();
+        const stepSize = options.stepSize || 0.02;
+        const iterations = burnIn + samples * thin;
+        const predictiveDraws = Math.min(options.predictiveDraws ?? 100, samples);
+        
+        const mcmc = {
+            ...problem,
+            priors,
+            seed,
+            random: createSeededRandom(seed),
+            adaptive: options.adaptive !== false,
+            samples,
+            burnIn,
+            thin,
+            iterations,
+            iteration: 0,
+            accepted: 0,
+            acceptedAfterBurnIn: 0,
+            // Random-walk proposal: Cholesky factor of its covariance and a tuned overall scale
+            proposal: choleskyDecompose(problem.spans.map((span, i) => problem.spans.map((_, j) => (i === j ? (stepSize * span) ** 2 : 0)))),
+            logScale: 0,
+            chainCount: 0,
+            chainMean: problem.initial.slice(),
+            chainCov: keys.map(() => new Array(keys.length).fill(0)),
+            x: problem.initial,
+            logPosterior: -Infinity,
+            trace: { iterations: [], values: [], logPosterior: [] },
+            predictive: {
+                draws: predictiveDraws,
+                times: createSweepValues(0, Math.max(problem.config.maxTime, ...problem.times), 101),
+                runs: []
+            },
+            step: 0,
+            totalSteps: iterations + predictiveDraws
+        };
+        mcmc.logPosterior = getLogPosterior(mcmc, mcmc.x);
+        return mcmc;
+    }
+    
+    /**
+     * Log posterior (up to a constant): log prior − (N/2)·log SSE
+     */
+    function getLogPosterior(mcmc, x) {
+        const logPrior = x.reduce((sum, value, j) => sum + getLogPrior(mcmc.priors[j], value), 0);
+        if (logPrior === -Infinity) return -Infinity;
+        
+        const sse = sumOfSquares(getFitResiduals(mcmc, x));
+        return logPrior - mcmc.observations.length / 2 * Math.log(sse + 1e-300);
+    }
+    
+    /**
+     * One Metropolis–Hastings iteration (adapting the proposal while in burn-in)
+     */
+    function stepMetropolis(mcmc) {
+        const d = mcmc.keys.length;
+        const scale = Math.exp(mcmc.logScale);
+        const z = mcmc.keys.map(() => gaussianRandom(0, 1, mcmc.random));
+        const proposed = mcmc.x.map((value, i) => value + scale * mcmc.proposal[i].reduce((sum, l, j) => sum + l * z[j], 0));
+        const logPosterior = getLogPosterior(mcmc, proposed);
+        const acceptance = Math.min(1, Math.exp(logPosterior - mcmc.logPosterior));
+        
+        mcmc.iteration++;
+        const inBurnIn = mcmc.iteration <= mcmc.burnIn;
+        if (mcmc.random() < acceptance) {
+            mcmc.x = proposed;
+            mcmc.logPosterior = logPosterior;
+            mcmc.accepted++;
+            if (!inBurnIn) mcmc.acceptedAfterBurnIn++;
+        }
+        
+        if (inBurnIn && mcmc.adaptive) {
+            // Robbins–Monro scale tuning towards 23.4% acceptance
+            mcmc.logScale += (acceptance - 0.234) / Math.pow(mcmc.iteration, 0.6);
+            
+            // Running mean and covariance of the chain (Welford), used once it has some history;
+            // halfway through burn-in the estimate restarts to forget the approach from the initial values
+            if (mcmc.iteration === Math.floor(mcmc.burnIn / 2)) mcmc.chainCount = 0;
+            const n = ++mcmc.chainCount;
+            const delta = mcmc.x.map((v, i) => v - mcmc.chainMean[i]);
+            mcmc.chainMean = mcmc.chainMean.map((m, i) => m + delta[i] / n);
+            for (let i = 0; i < d; i++) {
+                for (let j = 0; j < d; j++) {
+                    mcmc.chainCov[i][j] += (delta[i] * (mcmc.x[j] - mcmc.chainMean[j]) - mcmc.chainCov[i][j]) / n;
+                }
+            }
+            if (n >= 100 && n % 10 === 0) {
+                const factor = 2.38 ** 2 / d;
+                const L = choleskyDecompose(mcmc.chainCov.map((row, i) => row.map((c, j) =>
+                    factor * c + (i === j ? 1e-10 * mcmc.spans[i] ** 2 : 0))));
+                if (L) mcmc.proposal = L;
+            }
+        }
+        
+        if (mcmc.iteration % mcmc.thin === 0 || mcmc.iteration === mcmc.burnIn) {
+            mcmc.trace.iterations.push(mcmc.iteration);
+            mcmc.trace.values.push(mcmc.x.slice());
+            mcmc.trace.logPosterior.push(mcmc.logPosterior);
+        }
+    }
+    
+    /**
+     * Advance the sampler by one iteration, then by one posterior-predictive run once sampling is
+     * over; returns true when both are finished
+     */
+    function stepMcmc(mcmc) {
+        if (mcmc.step >= mcmc.totalSteps) return true;
+        mcmc.step++;
+        
+        if (mcmc.iteration < mcmc.iterations) {
+            stepMetropolis(mcmc);
+        } else {
+            const kept = getKeptSamples(mcmc);
+            const predictive = mcmc.predictive;
+            const index = Math.floor(predictive.runs.length * kept.values.length / predictive.draws);
+            const params = { ...mcmc.config.params };
+            mcmc.keys.forEach((key, j) => { params[key] = kept.values[index][j]; });
+            predictive.runs.push(simulateAtTimes({ ...mcmc.config, params }, predictive.times));
+        }
+        return mcmc.step >= mcmc.totalSteps;
+    }
+    
+    /**
+     * Samples recorded after burn-in: { iterations, values, logPosterior }
+     */
+    function getKeptSamples(mcmc) {
+        const start = mcmc.trace.iterations.findIndex(iteration => iteration > mcmc.burnIn);
+        const from = start < 0 ? mcmc.trace.iterations.length : start;
+        return {
+            iterations: mcmc.trace.iterations.slice(from),
+            values: mcmc.trace.values.slice(from),
+            logPosterior: mcmc.trace.logPosterior.slice(from)
+        };
+    }
+    
+    /**
+     * Posterior summary, chain and predictive bands
+     * Returns { keys, seed, burnIn, thin, adaptive, acceptanceRate, trace, samples (kept, after burn-in),
+     * summary: [{ key, mean, sd, median, ci: [2.5%, 97.5%], ess }],
+     * predictive: { times, genes: { SYMBOL: { mrna, protein: { lower, median, upper } } } } | null, evaluations }.
+     */
+    function getMcmcResult(mcmc) {
+        const samples = getKeptSamples(mcmc);
+        const sampled = Math.max(0, mcmc.iteration - mcmc.burnIn);
+        
+        const summary = mcmc.keys.map((key, j) => {
+            const values = samples.values.map(x => x[j]);
+            const sorted = values.slice().sort((a, b) => a - b);
+            const mean = values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+            const sd = values.length > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1)) : 0;
+            return {
+                key,
+                mean,
+                sd,
+                median: quantile(sorted, 0.5),
+                ci: [quantile(sorted, 0.025), quantile(sorted, 0.975)],
+                ess: getEffectiveSampleSize(values)
+            };
+        });
+        
+        let predictive = null;
+        const runs = mcmc.predictive.runs;
+        if (runs.length > 0) {
+            predictive = { times: mcmc.predictive.times, genes: {} };
+            for (const gene of mcmc.config.genes) {
+                predictive.genes[gene.symbol] = {};
+                for (const kind of ['mrna', 'protein']) {
+                    const bands = { lower: [], median: [], upper: [] };
+                    mcmc.predictive.times.forEach((_, i) => {
+                        const sorted = runs.map(run => run[gene.symbol][kind][i]).sort((a, b) => a - b);
+                        bands.lower.push(quantile(sorted, 0.025));
+                        bands.median.push(quantile(sorted, 0.5));
+                        bands.upper.push(quantile(sorted, 0.975));
+                    });
+                    predictive.genes[gene.symbol][kind] = bands;
+                }
+            }
+        }
+        
+        return {
+            keys: mcmc.keys,
+            seed: mcmc.seed,
+            burnIn: mcmc.burnIn,
+            thin: mcmc.thin,
+            adaptive: mcmc.adaptive,
+            acceptanceRate: sampled > 0 ? mcmc.acceptedAfterBurnIn / sampled : 0,
+            trace: mcmc.trace,
+            samples,
+            summary,
+            predictive,
+            evaluations: mcmc.evaluations
+        };
+    }
+    
+    /**
+     * Run a sampler to the end in one call (see createMcmcState for the options)
+     */
+    function runMcmc(options) {
+        const mcmc = createMcmcState(options);
+        while (!stepMcmc(mcmc)) {
+            // sample, then run the posterior-predictive draws
+        }
+        return getMcmcResult(mcmc);
+    }
+    
+    // =============================================================================
+    // 15. RISK MODEL CALIBRATION
+    // =============================================================================
+    
+    /**
+     * Per-gene risk scores of one measured sample, as calculateDiseaseRisk combines them
+     * 2·[(w1 + w2)·M/baselineTPM + w3·P/baselineProtein] / (w1 + w2 + w3) for each gene; the
+     * mRNA level stands in for the genomic layer, as it does at steady state.
+     * values: { SYMBOL: { mrna, protein } }
+     */
+    function getRiskFeatures(values, genes, params) {
+        const { weightGenomics: w1, weightTranscriptomics: w2, weightProteomics: w3 } = params;
+        const totalWeight = w1 + w2 + w3;
+        
+        return genes.map(gene => {
+            const { mrna, protein } = values[gene.symbol];
+            return 2 * ((w1 + w2) * mrna / gene.baselineTPM + w3 * protein / gene.baselineProtein) / totalWeight;
+        });
+    }
+    
+    /**
+     * Area under the ROC curve: the chance a random case scores above a random control
+     */
+    function getRocAuc(scores, labels) {
+        const ranked = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => a.score - b.score);
+        let rankSum = 0;
+        let cases = 0;
+        
+        for (let i = 0; i < ranked.length;) {
+            let j = i;
+            while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+            const midRank = (i + j + 1) / 2;
+            for (let k = i; k < j; k++) {
+                if (ranked[k].label === 1) {
+                    rankSum += midRank;
+                    cases++;
+                }
+            }
+            i = j;
+        }
+        
+        const controls = ranked.length - cases;
+        return cases > 0 && controls > 0 ? (rankSum - cases * (cases + 1) / 2) / (cases * controls) : NaN;
+    }
+    
+    /**
+     * Fit a disease's gene weights and bias to a labelled cohort by ridge-penalised logistic regression
+     * options: samples: [{ id, status (1 = case, 0 = control), values: { SYMBOL: { mrna, protein } } }],
+     *   genes (symbols or records, every one measured in every sample), params (omics layer weights),
+     *   geneDatabase, penalty (λ of λ/2·Σ weight², default 1; the bias is not penalised), maxIterations.
+     * The model is calculateDiseaseRisk's: risk = σ(1.5·(bias + Σ weight·score / n)) over the n genes,
+     * so the fitted weights reproduce the cohort's risks when exactly these genes are simulated.
+     * Solved by Newton's method (iteratively reweighted least squares) with step halving. The
+     * intervals are Wald intervals from the inverse penalised Hessian, which shrinks them as the
+     * penalty grows.
+     * Returns { genes, geneWeights, bias, coefficients: [{ symbol (null for the bias), value,
+     * standardError, ci }], penalty, samples, cases, controls, iterations, converged, deviance,
+     * nullDeviance, auc, accuracy, brierScore, predictions: [{ id, status, risk }] }.
+     */
+    function fitRiskModel(options) {
+        const config = createSimulationConfig({ genes: options.genes, params: options.params, geneDatabase: options.geneDatabase });
+        const genes = config.genes;
+        const samples = options.samples || [];
+        const penalty = options.penalty ?? 1;
+        const maxIterations = options.maxIterations || 100;
+        
+        if (genes.length === 0) {
+            throw new Error('The cohort needs at least one gene');
+        }
+        if (config.params.weightGenomics + config.params.weightTranscriptomics + config.params.weightProteomics <= 0) {
+            throw new Error('At least one omics layer weight must be above 0');
+        }
+        if (!(penalty >= 0)) {
+            throw new Error('The penalty must be 0 or more');
+        }
+        const cases = samples.filter(sample => sample.status === 1).length;
+        if (cases === 0 || cases === samples.length) {
+            throw new Error('The cohort needs both cases and controls');
+        }
+        
+        // Design matrix on the scale of the disease model: θ = [bias, weight per gene]
+        const n = genes.length;
+        const y = samples.map(sample => sample.status);
+        const Z = samples.map(sample => [RISK_STEEPNESS, ...getRiskFeatures(sample.values, genes, config.params).map(x => RISK_STEEPNESS * x / n)]);
+        const d = n + 1;
+        
+        const logistic = eta => 1 / (1 + Math.exp(-eta));
+        const predict = theta => Z.map(z => logistic(z.reduce((sum, zj, j) => sum + zj * theta[j], 0)));
+        const objective = theta => {
+            const p = predict(theta);
+            const logLikelihood = y.reduce((sum, yi, i) => sum + Math.log(Math.max(yi === 1 ? p[i] : 1 - p[i], 1e-300)), 0);
+            return logLikelihood - penalty / 2 * theta.slice(1).reduce((sum, w) => sum + w * w, 0);
+        };
+        const getHessian = (p) => Array.from({ length: d }, (_, j) => Array.from({ length: d }, (_, k) =>
+            Z.reduce((sum, z, i) => sum + p[i] * (1 - p[i]) * z[j] * z[k], 0) + (j === k && j > 0 ? penalty : 0)));
+        
+        // Start from the cohort's base rate with no gene effects
+        let theta = new Array(d).fill(0);
+        theta[0] = Math.log(cases / (samples.length - cases)) / RISK_STEEPNESS;
+        let value = objective(theta);
+        let iterations = 0;
+        let converged = false;
+        
+        while (!converged && iterations < maxIterations) {
+            iterations++;
+            const p = predict(theta);
+            const gradient = Array.from({ length: d }, (_, j) =>
+                Z.reduce((sum, z, i) => sum + (y[i] - p[i]) * z[j], 0) - (j > 0 ? penalty * theta[j] : 0));
+            const step = solveLinearSystem(getHessian(p), gradient);
+            if (!step) break;
+            
+            let scale = 1;
+            let next = theta.map((t, j) => t + step[j]);
+            let nextValue = objective(next);
+            while (nextValue < value - 1e-12 && scale > 1e-6) {
+                scale /= 2;
+                next = theta.map((t, j) => t + scale * step[j]);
+                nextValue = objective(next);
+            }
+            
+            converged = Math.max(...step.map(s => Math.abs(scale * s))) < 1e-8 || Math.abs(nextValue - value) < 1e-10 * (1 + Math.abs(value));
+            theta = next;
+            value = nextValue;
+        }
+        
+        const p = predict(theta);
+        const hessian = getHessian(p);
+        const coefficients = theta.map((value, j) => {
+            const unit = theta.map((_, i) => (i === j ? 1 : 0));
+            const column = solveLinearSystem(hessian, unit);
+            const standardError = column && column[j] >= 0 ? Math.sqrt(column[j]) : Infinity;
+            return {
+                symbol: j === 0 ? null : genes[j - 1].symbol,
+                value,
+                standardError,
+                ci: [value - 1.959964 * standardError, value + 1.959964 * standardError]
+            };
+        });
+        
+        const deviance = -2 * y.reduce((sum, yi, i) => sum + Math.log(Math.max(yi === 1 ? p[i] : 1 - p[i], 1e-300)), 0);
+        const baseRate = cases / samples.length;
+        const nullDeviance = -2 * (cases * Math.log(baseRate) + (samples.length - cases) * Math.log(1 - baseRate));
+        
+        return {
+            genes: genes.map(gene => gene.symbol),
+            geneWeights: Object.fromEntries(coefficients.slice(1).map(c => [c.symbol, c.value])),
+            bias: theta[0],
+            coefficients,
+            penalty,
+            samples: samples.length,
+            cases,
+            controls: samples.length - cases,
+            iterations,
+            converged,
+            deviance,
+            nullDeviance,
+            auc: getRocAuc(p, y),
+            accuracy: p.filter((pi, i) => (pi >= 0.5 ? 1 : 0) === y[i]).length / samples.length,
+            brierScore: p.reduce((sum, pi, i) => sum + (pi - y[i]) ** 2, 0) / samples.length,
+            predictions: samples.map((sample, i) => ({ id: sample.id, status: sample.status, risk: p[i] * 100 }))
+        };
+    }
+    
+    return {
+        // Data & defaults
+        GENE_DATABASE,
+        GENE_REGULATORY_NETWORK,
+        DISEASE_DATABASE,
+        DEFAULT_PARAMS,
+        SIMULATION_DEFAULTS,
+        ODE_INTEGRATORS,
+        SIMULATION_ENGINES,
+        INTERVENTION_TYPES,
+        FRACTION_PARAMETERS,
+        
+        // Random numbers
+        createSeededRandom,
+        deriveSeed,
+        generateSeed,
+        gaussianRandom,
+        samplePoisson,
+        
+        // Models
+        calculateGeneExpression,
+        getGeneParams,
+        calculateGeneExpressionFor,
+        calculateRegulatoryInput,
+        combineRegulatoryInputs,
+        calculateNetworkFactor,
+        addExpressionNoise,
+        getMrnaDegradationRate,
+        createGeneODE,
+        calculateDiseaseRisk,
+        sigmoid,
+        normalizeWeights,
+        
+        // Integrators & stochastic engines
+        integrateODE,
+        eulerStep,
+        rk4Step,
+        dormandPrinceStep,
+        getReactionRates,
+        runGillespieInterval,
+        runTauLeapInterval,
+        
+        // Simulation runs
+        getProteinLevels,
+        createSimulationConfig,
+        getInterventionValue,
+        getParamsAt,
+        getConfigAt,
+        createSimulationState,
+        stepSimulation,
+        calculateDiseaseRisks,
+        runSimulation,
+        
+        // Steady state & sensitivity analysis
+        findSteadyState,
+        getSettlingTime,
+        solveLinearSystem,
+        computeEigenvalues,
+        classifyFixedPoint,
+        getSystemJacobian,
+        findFixedPoints,
+        analyzeSteadyState,
+        evaluateRisks,
+        createMorrisDesign,
+        createSobolDesign,
+        scaleDesignPoint,
+        computeSensitivityIndices,
+        runSensitivityAnalysis,
+        
+        // Parameter sweeps & phase diagrams
+        createSweepValues,
+        createParameterSweepState,
+        stepParameterSweep,
+        runParameterSweep,
+        createParameterGridState,
+        stepParameterGrid,
+        runParameterGrid,
+        computeContourSegments,
+        
+        // Ensembles
+        getReplicateSeed,
+        quantile,
+        summarizeSample,
+        summarizeEnsemble,
+        runEnsemble,
+        
+        // Chart downsampling
+        downsampleLTTB,
+        
+        // Drug PK/PD
+        getSingleDoseConcentration,
+        getDrugConcentration,
+        calculateDrugEffect,
+        applyDrugEffects,
+        
+        // Bistability & hysteresis
+        calculateSelfActivatedExpression,
+        createHysteresisState,
+        stepHysteresisScan,
+        getHysteresisResult,
+        runHysteresisScan,
+        
+        // Parameter fitting
+        FIT_METHODS,
+        FITTABLE_PARAMETERS,
+        getStudentTQuantile95,
+        interpolateLinear,
+        simulateAtTimes,
+        createFitProblem,
+        createFitState,
+        stepFit,
+        getFitResult,
+        fitParameters,
+        
+        // Bayesian inference (MCMC)
+        PRIOR_TYPES,
+        getLogPrior,
+        choleskyDecompose,
+        getEffectiveSampleSize,
+        createMcmcState,
+        stepMcmc,
+        getMcmcResult,
+        runMcmc,
+        
+        // Risk model calibration
+        RISK_STEEPNESS,
+        getRiskFeatures,
+        getRocAuc,
+        fitRiskModel
+    };
+});
@@ -0,0 +1,276 @@
+/* =============================================================================
+   Virtual Multi-Omics Lab - Simulation Worker
+
+   Description: Runs simulation jobs off the main thread. Jobs work in short time
+   slices, so results stream back while they are computed and cancel messages are
+   seen between slices.
+
+   WORKER:
+   new Worker('simulation-worker.js') loads simulation-core.js itself.
+
+   PAGE:
+   Loaded as a normal script (after simulation-core.js) it only defines
+   `SimulationJobs.createJobRunner(post)`, which script.js uses to run the same
+   jobs on the main thread when workers are unavailable (e.g. file:// pages).
+
+   MESSAGES:
+   In:  { id, type: 'simulate' | 'ensemble' | 'compare' | 'sensitivity' | 'sweep' | 'grid' |
+              'hysteresis' | 'fit' | 'mcmc', options }
+        { id, type: 'cancel' }
+   Out: { id, type: 'chunk' | 'progress', ... } while running, then
+        { id, type: 'done', result } or { id, type: 'error', message }
+
+   ============================================================================= */
+
+(function (root) {
+    'use strict';
+
+    if (typeof root.SimulationCore === 'undefined' && typeof importScripts === 'function') {
+        importScripts('simulation-core.js');
+    }
+    const SimulationCore = root.SimulationCore;
+
+    // Longest stretch of work (ms) before yielding to incoming messages
+    const SLICE_MS = 30;
+
+    /**
+     * Create a job runner that reports every message through `post(message)`
+     */
+    function createJobRunner(post) {
+        const active = new Set();
+        const cancelled = new Set();
+
+        /**
+         * Call `step` until it returns true, in time slices; `flush(finished)` runs after each slice
+         */
+        function runSliced(id, step, flush) {
+            active.add(id);
+
+            const slice = () => {
+                if (cancelled.has(id)) {
+                    cancelled.delete(id);
+                    active.delete(id);
+                    return;
+                }
+
+                try {
+                    const sliceStart = Date.now();
+                    let finished = false;
+                    while (!finished && Date.now() - sliceStart < SLICE_MS) {
+                        finished = step();
+                    }
+
+                    flush(finished);
+                    if (finished) {
+                        active.delete(id);
+                    } else {
+                        setTimeout(slice, 0);
+                    }
+                } catch (error) {
+                    active.delete(id);
+                    post({ id, type: 'error', message: error.message });
+                }
+            };
+
+            setTimeout(slice, 0);
+        }
+
+        const jobs = {
+            /**
+             * One time course; streams { time, genes, risks, values } chunks, then the final gene states
+             */
+            simulate(id, options) {
+                const config = SimulationCore.createSimulationConfig(options);
+                const simulation = SimulationCore.createSimulationState(config);
+                const data = simulation.timeSeriesData;
+                let values = [];
+                let sent = 0;
+
+                runSliced(id, () => {
+                    values.push(SimulationCore.stepSimulation(simulation, config));
+                    return simulation.currentTime >= config.maxTime - 1e-9;
+                }, finished => {
+                    const genes = {};
+                    for (const [symbol, series] of Object.entries(data.genes)) {
+                        genes[symbol] = { mrna: series.mrna.slice(sent), protein: series.protein.slice(sent) };
+                    }
+                    const risks = {};
+                    for (const [name, series] of Object.entries(data.risks)) {
+                        risks[name] = series.slice(sent);
+                    }
+                    post({ id, type: 'chunk', time: data.time.slice(sent), genes, risks, values });
+                    sent = data.time.length;
+                    values = [];
+
+                    if (finished) {
+                        post({
+                            id,
+                            type: 'done',
+                            result: { seed: simulation.seed, currentTime: simulation.currentTime, geneStates: simulation.geneStates }
+                        });
+                    }
+                });
+            },
+
+            /**
+             * Replicate runs of one configuration (see SimulationCore.runEnsemble)
+             */
+            ensemble(id, options) {
+                const config = SimulationCore.createSimulationConfig(options);
+                const runs = [];
+
+                runSliced(id, () => {
+                    runs.push(SimulationCore.runSimulation({
+                        ...config,
+                        seed: SimulationCore.getReplicateSeed(config.seed, runs.length)
+                    }));
+                    return runs.length >= options.replicates;
+                }, finished => {
+                    post({ id, type: 'progress', completed: runs.length, total: options.replicates });
+                    if (finished) {
+                        post({ id, type: 'done', result: { runs, summary: SimulationCore.summarizeEnsemble(runs) } });
+                    }
+                });
+            },
+
+            /**
+             * Full runs of several configurations side by side, one run per step
+             * options: { configs: [config options, ...] }
+             */
+            compare(id, options) {
+                const results = [];
+
+                runSliced(id, () => {
+                    results.push(SimulationCore.runSimulation(options.configs[results.length]));
+                    return results.length >= options.configs.length;
+                }, finished => {
+                    post({ id, type: 'progress', completed: results.length, total: options.configs.length });
+                    if (finished) {
+                        post({ id, type: 'done', result: { results } });
+                    }
+                });
+            },
+
+            /**
+             * Disease risks at every point of a sensitivity design
+             * options: { config, design, keys, ranges, output }
+             */
+            sensitivity(id, options) {
+                const { config, design, keys, ranges, output } = options;
+                const outputs = [];
+
+                runSliced(id, () => {
+                    const params = SimulationCore.scaleDesignPoint(design.points[outputs.length], keys, ranges, config.params);
+                    outputs.push(SimulationCore.evaluateRisks({ ...config, params }, output));
+                    return outputs.length >= design.points.length;
+                }, finished => {
+                    post({ id, type: 'progress', completed: outputs.length, total: design.points.length });
+                    if (finished) {
+                        post({ id, type: 'done', result: { outputs } });
+                    }
+                });
+            },
+
+            /**
+             * Steady states along one parameter (see SimulationCore.createParameterSweepState), one value per step
+             */
+            sweep(id, options) {
+                const sweep = SimulationCore.createParameterSweepState(options);
+
+                runSliced(id, () => SimulationCore.stepParameterSweep(sweep), finished => {
+                    post({ id, type: 'progress', completed: sweep.completed, total: sweep.total });
+                    if (finished) {
+                        post({ id, type: 'done', result: sweep.result });
+                    }
+                });
+            },
+
+            /**
+             * Risk phase diagram (see SimulationCore.createParameterGridState), one grid cell per step
+             */
+            grid(id, options) {
+                const grid = SimulationCore.createParameterGridState(options);
+
+                runSliced(id, () => SimulationCore.stepParameterGrid(grid), finished => {
+                    post({ id, type: 'progress', completed: grid.completed, total: grid.total });
+                    if (finished) {
+                        post({ id, type: 'done', result: grid.result });
+                    }
+                });
+            },
+
+            /**
+             * Hysteresis loop of a self-activating gene (see SimulationCore.createHysteresisState),
+             * one TF value of the up or down sweep per step
+             */
+            hysteresis(id, options) {
+                const scan = SimulationCore.createHysteresisState(options);
+
+                runSliced(id, () => SimulationCore.stepHysteresisScan(scan), finished => {
+                    post({ id, type: 'progress', completed: scan.completed, total: scan.total });
+                    if (finished) {
+                        post({ id, type: 'done', result: SimulationCore.getHysteresisResult(scan) });
+                    }
+                });
+            },
+
+            /**
+             * Least-squares parameter fit (see SimulationCore.createFitState), one optimiser iteration per step
+             */
+            fit(id, options) {
+                const fit = SimulationCore.createFitState(options);
+
+                runSliced(id, () => SimulationCore.stepFit(fit), finished => {
+                    post({ id, type: 'progress', completed: fit.iteration, total: fit.maxIterations, value: fit.value });
+                    if (finished) {
+                        post({ id, type: 'done', result: SimulationCore.getFitResult(fit) });
+                    }
+                });
+            },
+
+            /**
+             * Bayesian parameter inference (see SimulationCore.createMcmcState), one sampler iteration
+             * or posterior-predictive run per step
+             */
+            mcmc(id, options) {
+                const mcmc = SimulationCore.createMcmcState(options);
+
+                runSliced(id, () => SimulationCore.stepMcmc(mcmc), finished => {
+                    post({ id, type: 'progress', completed: mcmc.step, total: mcmc.totalSteps });
+                    if (finished) {
+                        post({ id, type: 'done', result: SimulationCore.getMcmcResult(mcmc) });
+                    }
+                });
+            }
+        };
+
+        return {
+            /**
+             * Start or cancel a job
+             */
+            handle(message) {
+                if (message.type === 'cancel') {
+                    if (active.has(message.id)) cancelled.add(message.id);
+                    return;
+                }
+                if (!jobs[message.type]) {
+                    post({ id: message.id, type: 'error', message: `Unknown job type: ${message.type}` });
+                    return;
+                }
+
+                try {
+                    jobs[message.type](message.id, message.options);
+                } catch (error) {
+                    post({ id: message.id, type: 'error', message: error.message });
+                }
+            }
+        };
+    }
+
+    if (typeof WorkerGlobalScope !== 'undefined' && root instanceof WorkerGlobalScope) {
+        const runner = createJobRunner(message => root.postMessage(message));
+        root.onmessage = event => runner.handle(event.data);
+    } else {
+        root.SimulationJobs = { createJobRunner };
+    }
+})(self);